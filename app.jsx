@@ -1,1050 +1,10439 @@
 const { useState, useEffect, useRef } = React;
 
+// Corbeille : durée de conservation par défaut avant purge automatique
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Historique : les sauvegardes rapprochées sont regroupées dans une même version
+const REVISION_COALESCE_MS = 5 * 60 * 1000;
+const MAX_REVISIONS_PER_NOTE = 50;
+
 // ============================================
-// GESTIONNAIRE IndexedDB
+// RECHERCHE PLEIN TEXTE
 // ============================================
-class NotesDB {
-    constructor() {
-        this.dbName = 'NotesFlowDB';
-        this.version = 1;
-        this.db = null;
-    }
+// Index inversé persistant (object store "searchIndex") : une entrée par
+// couple (terme, note) avec les positions du terme dans le titre et le contenu.
 
-    // Initialiser la base de données
-    async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.version);
+const SEARCH_TITLE_WEIGHT = 3;
+const SEARCH_PREFIX_WEIGHT = 0.5;
+const SEARCH_BM25_K1 = 1.2;
+const SEARCH_BM25_B = 0.75;
+// Restes d'élisions ("qu'il", "jusqu'à") sans intérêt pour la recherche
+const SEARCH_IGNORED_TERMS = new Set(['qu', 'jusqu', 'lorsqu', 'puisqu', 'quoiqu']);
 
-            request.onerror = () => {
-                console.error('❌ Erreur ouverture IndexedDB:', request.error);
-                reject(request.error);
-            };
+// Minuscules, sans accents ni ligatures : "Été", "ete" et "ÉTÉ" se valent
+function normalizeTerm(word) {
+    return word
+        .toLowerCase()
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '');
+}
 
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('✅ IndexedDB initialisée');
-                resolve(this.db);
-            };
+// Découper un texte en termes, avec leur position et leur place dans le texte
+// → [{ term, position, start, end }]
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Créer l'object store pour les notes
-                if (!db.objectStoreNames.contains('notes')) {
-                    const objectStore = db.createObjectStore('notes', { 
-                        keyPath: 'id', 
-                        autoIncrement: true 
-                    });
-                    
-                    // Créer des index pour les recherches
-                    objectStore.createIndex('title', 'title', { unique: false });
-                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
-                    objectStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-                    
-                    console.log('📦 Object store "notes" créé');
-                }
-            };
+    while ((match = pattern.exec(text || '')) !== null) {
+        const term = normalizeTerm(match[0]);
+        // Les lettres isolées viennent surtout des élisions (l', d', j'...)
+        if ((term.length < 2 && !/\d/.test(term)) || SEARCH_IGNORED_TERMS.has(term)) continue;
+
+        tokens.push({
+            term,
+            position: tokens.length,
+            start: match.index,
+            end: match.index + match[0].length
         });
     }
 
-    // Ajouter une note
-    async addNote(note) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const objectStore = transaction.objectStore('notes');
-        
-        const noteData = {
-            ...note,
-            createdAt: Date.now(),
-            updatedAt: Date.now()
-        };
-        
-        return new Promise((resolve, reject) => {
-            const request = objectStore.add(noteData);
-            
-            request.onsuccess = () => {
-                console.log('✅ Note ajoutée, ID:', request.result);
-                resolve(request.result);
-            };
-            
-            request.onerror = () => {
-                console.error('❌ Erreur ajout note:', request.error);
-                reject(request.error);
-            };
-        });
+    return tokens;
+}
+
+// Regrouper les positions de chaque terme d'un texte
+function collectTermPositions(text) {
+    const positions = new Map();
+    tokenize(text).forEach(({ term, position }) => {
+        if (!positions.has(term)) positions.set(term, []);
+        positions.get(term).push(position);
+    });
+    return positions;
+}
+
+// Compter les occurrences d'une expression (termes consécutifs) dans un champ
+// "positionsByTerm" : Map terme → positions pour ce champ
+function countPhrase(positionsByTerm, words) {
+    const first = positionsByTerm.get(words[0]) || [];
+    return first.filter(start => words.every((word, offset) =>
+        (positionsByTerm.get(word) || []).includes(start + offset)
+    )).length;
+}
+
+// Extrait du texte autour du premier terme trouvé, découpé en segments à surligner
+// → [{ text, highlight }]
+function buildSearchSnippet(text, matchedTerms, maxLength = 120) {
+    const source = text || '';
+    const tokens = tokenize(source).filter(t => matchedTerms.includes(t.term));
+
+    let start = 0;
+    if (tokens.length > 0) {
+        start = Math.max(0, tokens[0].start - Math.floor(maxLength / 3));
+        // Commencer sur un début de mot
+        const space = source.lastIndexOf(' ', start);
+        start = start > 0 && space !== -1 && tokens[0].start - space < maxLength / 2 ? space + 1 : start;
     }
+    const end = Math.min(source.length, start + maxLength);
 
-    // Récupérer toutes les notes
-    async getAllNotes() {
-        const transaction = this.db.transaction(['notes'], 'readonly');
-        const objectStore = transaction.objectStore('notes');
-        
-        return new Promise((resolve, reject) => {
-            const request = objectStore.getAll();
-            
-            request.onsuccess = () => {
-                console.log('📖 Notes récupérées:', request.result.length);
-                resolve(request.result);
-            };
-            
-            request.onerror = () => {
-                console.error('❌ Erreur récupération notes:', request.error);
-                reject(request.error);
-            };
+    const segments = [];
+    let cursor = start;
+    tokens
+        .filter(t => t.start >= start && t.end <= end)
+        .forEach((t) => {
+            if (t.start > cursor) segments.push({ text: source.slice(cursor, t.start), highlight: false });
+            segments.push({ text: source.slice(t.start, t.end), highlight: true });
+            cursor = t.end;
         });
+    if (cursor < end) segments.push({ text: source.slice(cursor, end), highlight: false });
+
+    if (start > 0) segments.unshift({ text: '…', highlight: false });
+    if (end < source.length) segments.push({ text: '…', highlight: false });
+    return segments;
+}
+
+// Statistiques de l'index pour le classement BM25
+function computeSearchStats(docs) {
+    const average = (field) => docs.reduce((sum, doc) => sum + doc[field], 0) / (docs.length || 1) || 1;
+    return {
+        count: docs.length,
+        docsById: new Map(docs.map(doc => [doc.noteId, doc])),
+        avgTitle: average('titleLength'),
+        avgContent: average('contentLength')
+    };
+}
+
+// Score de chaque note pour un critère de recherche
+// "frequencies" : Map noteId → { title, content } (occurrences dans chaque champ)
+function rankSearchFrequencies(frequencies, stats) {
+    const idf = Math.log(1 + (stats.count - frequencies.size + 0.5) / (frequencies.size + 0.5));
+    // BM25 : fréquence saturée, normalisée par la longueur du champ
+    const bm25 = (tf, length, avgLength) => tf === 0 ? 0 :
+        tf * (SEARCH_BM25_K1 + 1) /
+        (tf + SEARCH_BM25_K1 * (1 - SEARCH_BM25_B + SEARCH_BM25_B * length / avgLength));
+
+    const scores = new Map();
+    frequencies.forEach(({ title, content }, noteId) => {
+        const doc = stats.docsById.get(noteId) || { titleLength: 1, contentLength: 1 };
+        scores.set(noteId, idf * (
+            SEARCH_TITLE_WEIGHT * bm25(title, doc.titleLength, stats.avgTitle) +
+            bm25(content, doc.contentLength, stats.avgContent)
+        ));
+    });
+    return scores;
+}
+
+// Positions des termes d'une note et sa fiche pour le classement
+// → { doc: { noteId, updatedAt, titleLength, contentLength }, title, content }
+function analyzeSearchNote(note) {
+    const title = collectTermPositions(note.title);
+    const content = collectTermPositions(note.content);
+    const countTokens = (positions) => [...positions.values()].reduce((sum, p) => sum + p.length, 0);
+
+    return {
+        doc: {
+            noteId: note.id,
+            updatedAt: note.updatedAt,
+            titleLength: countTokens(title),
+            contentLength: countTokens(content)
+        },
+        title,
+        content
+    };
+}
+
+// Lecture de l'index persistant, dans une transaction sur searchIndex/searchDocs
+class StoredSearchIndex {
+    constructor(transaction) {
+        this.transaction = transaction;
     }
 
-    // Mettre à jour une note
-    async updateNote(id, updates) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const objectStore = transaction.objectStore('notes');
-        
-        return new Promise((resolve, reject) => {
-            const getRequest = objectStore.get(id);
-            
-            getRequest.onsuccess = () => {
-                const note = getRequest.result;
-                
-                if (note) {
-                    const updatedNote = {
-                        ...note,
-                        ...updates,
-                        updatedAt: Date.now()
-                    };
-                    
-                    const updateRequest = objectStore.put(updatedNote);
-                    
-                    updateRequest.onsuccess = () => {
-                        console.log('✅ Note mise à jour, ID:', id);
-                        resolve(updatedNote);
-                    };
-                    
-                    updateRequest.onerror = () => {
-                        console.error('❌ Erreur mise à jour:', updateRequest.error);
-                        reject(updateRequest.error);
-                    };
-                } else {
-                    reject(new Error('Note non trouvée'));
-                }
-            };
-            
-            getRequest.onerror = () => {
-                reject(getRequest.error);
-            };
+    getDocs() {
+        return promisifyRequest(this.transaction.objectStore('searchDocs').getAll());
+    }
+
+    // Entrées d'un terme (ou de tous les termes qui commencent par lui)
+    // → [{ term, noteId, title, content }]
+    getEntries(term, prefix = false) {
+        const range = prefix
+            ? IDBKeyRange.bound([term], [term + '\uffff'])
+            : IDBKeyRange.bound([term], [term, []]);
+        return promisifyRequest(this.transaction.objectStore('searchIndex').getAll(range));
+    }
+}
+
+// Index gardé en mémoire, même interface de lecture que StoredSearchIndex :
+// utilisé quand les notes sont chiffrées, pour ne rien écrire en clair sur le disque
+class MemorySearchIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.docs = new Map();
+        this.terms = new Map();
+    }
+
+    // Indexer (ou réindexer) une note déchiffrée
+    set(note) {
+        this.delete(note.id);
+        const { doc, title, content } = analyzeSearchNote(note);
+        this.docs.set(note.id, { ...doc, terms: new Set([...title.keys(), ...content.keys()]) });
+
+        this.docs.get(note.id).terms.forEach((term) => {
+            if (!this.terms.has(term)) this.terms.set(term, new Map());
+            this.terms.get(term).set(note.id, {
+                term,
+                noteId: note.id,
+                title: title.get(term) || [],
+                content: content.get(term) || []
+            });
         });
     }
 
-    // Supprimer une note
-    async deleteNote(id) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const objectStore = transaction.objectStore('notes');
-        
-        return new Promise((resolve, reject) => {
-            const request = objectStore.delete(id);
-            
-            request.onsuccess = () => {
-                console.log('🗑️ Note supprimée, ID:', id);
-                resolve();
-            };
-            
-            request.onerror = () => {
-                console.error('❌ Erreur suppression:', request.error);
-                reject(request.error);
-            };
+    delete(noteId) {
+        const doc = this.docs.get(noteId);
+        if (!doc) return;
+
+        doc.terms.forEach((term) => {
+            const entries = this.terms.get(term);
+            entries.delete(noteId);
+            if (entries.size === 0) this.terms.delete(term);
         });
+        this.docs.delete(noteId);
     }
 
-    // Rechercher des notes
-    async searchNotes(searchTerm) {
-        const allNotes = await this.getAllNotes();
-        const term = searchTerm.toLowerCase();
-        
-        return allNotes.filter(note => 
-            note.title.toLowerCase().includes(term) || 
-            note.content.toLowerCase().includes(term)
-        );
+    async getDocs() {
+        return [...this.docs.values()];
     }
-}
 
-// Instance globale de la DB
-const notesDB = new NotesDB();
+    async getEntries(term, prefix = false) {
+        if (!prefix) {
+            return [...(this.terms.get(term)?.values() || [])];
+        }
+        const entries = [];
+        this.terms.forEach((byNote, key) => {
+            if (key.startsWith(term)) entries.push(...byNote.values());
+        });
+        return entries;
+    }
+}
 
 // ============================================
-// COMPOSANTS REACT
+// LANGAGE DE REQUÊTE
 // ============================================
+// Syntaxe de la barre de recherche :
+//   arb "crème brûlée"          mots (par préfixe) et expressions exactes
+//   tag:courses color:rouge     filtres sur les champs de la note
+//   created:>2026-01-01         dates (AAAA-MM-JJ) ou âges relatifs
+//   updated:<7d                 (h, d/j, w, m, y : "modifiée il y a moins de 7 jours")
+//   is:empty is:checklist       états de la note
+//   -brouillon  -(a OR b)       négation
+//   recette OR cuisine          alternatives, regroupables entre parenthèses
+// Les termes juxtaposés doivent tous correspondre (ET implicite).
 
-// Composant principal de l'application
-function App() {
-    const [notes, setNotes] = useState([]);
-    const [selectedNote, setSelectedNote] = useState(null);
-    const [isOnline, setIsOnline] = useState(navigator.onLine);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [isDBReady, setIsDBReady] = useState(false);
-    const [showInstallPrompt, setShowInstallPrompt] = useState(false);
-    const [stats, setStats] = useState({ total: 0, today: 0 });
-    const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
-    const [showSidebar, setShowSidebar] = useState(window.innerWidth > 768);
+// Couleurs attribuées aux notes, nommées pour le filtre "color:"
+const NOTE_COLORS = {
+    orange: '#f39c12',
+    rouge: '#e74c3c',
+    bleu: '#3498db',
+    vert: '#2ecc71',
+    violet: '#9b59b6',
+    turquoise: '#1abc9c'
+};
 
-    // Détecter le redimensionnement de la fenêtre
-    useEffect(() => {
-        const handleResize = () => {
-            const mobile = window.innerWidth <= 768;
-            setIsMobile(mobile);
-            if (!mobile) {
-                setShowSidebar(true);
-            }
-        };
+const SEARCH_DURATION_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    j: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
 
-        window.addEventListener('resize', handleResize);
-        return () => window.removeEventListener('resize', handleResize);
-    }, []);
+const SEARCH_NOTE_STATES = {
+    pinned: note => !!note.pinned,
+    favorite: note => !!note.favorite,
+    archived: note => !!note.archived,
+    empty: note => !(note.content || '').trim(),
+    conflict: note => !!note.conflict,
+    checklist: note => isChecklist(note),
+    reminder: note => !!note.reminder,
+    overdue: note => !!note.reminder && isReminderOverdue(note.reminder)
+};
 
-    // Initialiser IndexedDB au démarrage
-    useEffect(() => {
-        notesDB.init()
-            .then(() => {
-                setIsDBReady(true);
-                loadNotes();
-            })
-            .catch((error) => {
-                console.error('Erreur initialisation DB:', error);
-            });
+// Erreur de syntaxe, affichée sous la barre de recherche
+class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
 
-        // Écouter les changements de statut réseau
-        const handleOnline = () => setIsOnline(true);
-        const handleOffline = () => setIsOnline(false);
-        
-        window.addEventListener('online', handleOnline);
-        window.addEventListener('offline', handleOffline);
+// Intervalle de dates d'un filtre created:/updated: → { lower, upper }
+// (borne basse incluse, borne haute exclue, en millisecondes)
+function parseDateFilter(field, value, now = Date.now()) {
+    const [, operator = '', operand] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
 
-        // Écouter l'événement d'installation PWA
-        const handleInstallable = () => {
-            console.log('✅ PWA installable détectée, affichage du bouton');
-            setShowInstallPrompt(true);
-        };
-        window.addEventListener('pwa-installable', handleInstallable);
+    const relative = operand.match(/^(\d+)([a-z])$/i);
+    if (relative && SEARCH_DURATION_UNITS[relative[2].toLowerCase()]) {
+        const limit = now - Number(relative[1]) * SEARCH_DURATION_UNITS[relative[2].toLowerCase()];
+        // Un âge : "<7d" = plus récent que 7 jours, ">7d" = plus ancien
+        return operator.startsWith('>') ? { upper: limit } : { lower: limit };
+    }
 
-        console.log('🔍 État initial - Prompt disponible:', !!window.deferredPrompt);
+    const date = operand.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const dayStart = date && new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])).getTime();
+    if (!date || Number.isNaN(dayStart) || new Date(dayStart).getDate() !== Number(date[3])) {
+        throw new SearchQueryError(
+            `Date invalide pour ${field}: "${value}" (AAAA-MM-JJ ou durée comme 7d, 2w, 3m)`
+        );
+    }
+    const nextDay = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]) + 1).getTime();
 
-        return () => {
-            window.removeEventListener('online', handleOnline);
-            window.removeEventListener('offline', handleOffline);
-            window.removeEventListener('pwa-installable', handleInstallable);
-        };
-    }, []);
+    switch (operator) {
+        case '<': return { upper: dayStart };
+        case '<=': return { upper: nextDay };
+        case '>': return { lower: nextDay };
+        case '>=': return { lower: dayStart };
+        default: return { lower: dayStart, upper: nextDay };
+    }
+}
 
-    // Charger toutes les notes
-    const loadNotes = async () => {
-        try {
-            const allNotes = await notesDB.getAllNotes();
-            setNotes(allNotes.sort((a, b) => b.updatedAt - a.updatedAt));
-            
-            // Calculer les stats
-            const today = new Date().setHours(0, 0, 0, 0);
-            const todayNotes = allNotes.filter(n => n.createdAt >= today);
-            setStats({ total: allNotes.length, today: todayNotes.length });
-        } catch (error) {
-            console.error('Erreur chargement notes:', error);
+// Construire le nœud d'un filtre "clé:valeur"
+function parseSearchFilter(key, value) {
+    if (!value) {
+        throw new SearchQueryError(`Valeur manquante après "${key}:"`);
+    }
+
+    switch (key) {
+        case 'tag':
+            return { type: 'filter', field: 'tag', value: normalizeTag(value) };
+        case 'color': {
+            const color = NOTE_COLORS[normalizeTerm(value)] || value.toLowerCase();
+            if (!/^#[0-9a-f]{6}$/.test(color)) {
+                throw new SearchQueryError(
+                    `Couleur inconnue "${value}" (${Object.keys(NOTE_COLORS).join(', ')} ou #rrggbb)`
+                );
+            }
+            return { type: 'filter', field: 'color', value: color };
         }
-    };
+        case 'created':
+        case 'updated':
+            return { type: 'filter', field: key, ...parseDateFilter(key, value) };
+        case 'is':
+            if (!SEARCH_NOTE_STATES[value.toLowerCase()]) {
+                throw new SearchQueryError(
+                    `État inconnu "is:${value}" (${Object.keys(SEARCH_NOTE_STATES).join(', ')})`
+                );
+            }
+            return { type: 'filter', field: 'is', value: value.toLowerCase() };
+        default:
+            throw new SearchQueryError(`Filtre inconnu "${key}:" (tag, color, created, updated, is)`);
+    }
+}
 
-    // Créer une nouvelle note
-    const createNote = async () => {
-        const newNote = {
-            title: 'Nouvelle note',
-            content: '',
-            color: getRandomColor()
-        };
+// Découper une requête en lexèmes : ( ) - OR, mots, "expressions" et filtres
+function lexSearchQuery(query) {
+    const tokens = [];
+    let index = 0;
 
-        try {
-            const id = await notesDB.addNote(newNote);
-            await loadNotes();
-            
-            // Sélectionner la nouvelle note
-            const allNotes = await notesDB.getAllNotes();
-            const createdNote = allNotes.find(n => n.id === id);
-            setSelectedNote(createdNote);
-            
-            // Sur mobile, fermer la sidebar après création
-            if (isMobile) {
-                setShowSidebar(false);
-            }
-        } catch (error) {
-            console.error('Erreur création note:', error);
+    // Ajouter un mot ou une expression ; un texte sans terme indexable
+    // ("a", "l'") est ignoré, ainsi que le "-" qui le précède
+    const pushWords = (words, single) => {
+        if (words.length === 0) {
+            if (tokens.length > 0 && tokens[tokens.length - 1].type === '-') tokens.pop();
+        } else if (words.length === 1 && single.type === 'term') {
+            tokens.push({ ...single, term: words[0] });
+        } else {
+            tokens.push({ type: 'phrase', words });
         }
     };
 
-    // Mettre à jour une note
-    const updateNote = async (id, updates) => {
-        try {
-            await notesDB.updateNote(id, updates);
-            await loadNotes();
-            
-            if (selectedNote && selectedNote.id === id) {
-                const allNotes = await notesDB.getAllNotes();
-                const updated = allNotes.find(n => n.id === id);
-                setSelectedNote(updated);
-            }
-        } catch (error) {
-            console.error('Erreur mise à jour note:', error);
+    while (index < query.length) {
+        const rest = query.slice(index);
+        const space = rest.match(/^\s+/);
+        if (space) {
+            index += space[0].length;
+            continue;
         }
-    };
 
-    // Supprimer une note
-    const deleteNote = async (id) => {
-        if (!confirm('Êtes-vous sûr de vouloir supprimer cette note ?')) return;
-        
-        try {
-            await notesDB.deleteNote(id);
-            await loadNotes();
-            
-            if (selectedNote && selectedNote.id === id) {
-                setSelectedNote(null);
+        if (rest[0] === '(' || rest[0] === ')') {
+            tokens.push({ type: rest[0] });
+            index++;
+            continue;
+        }
+
+        if (rest[0] === '-') {
+            if (rest.length === 1 || /^-\s/.test(rest)) {
+                throw new SearchQueryError('Le signe "-" doit précéder un mot, un filtre ou une parenthèse');
             }
-        } catch (error) {
-            console.error('Erreur suppression note:', error);
+            tokens.push({ type: '-' });
+            index++;
+            continue;
         }
-    };
 
-    // Rechercher des notes
-    const handleSearch = async (term) => {
-        setSearchTerm(term);
-        
-        if (term.trim() === '') {
-            await loadNotes();
-        } else {
-            try {
-                const results = await notesDB.searchNotes(term);
-                setNotes(results.sort((a, b) => b.updatedAt - a.updatedAt));
-            } catch (error) {
-                console.error('Erreur recherche:', error);
+        if (rest[0] === '"') {
+            const end = rest.indexOf('"', 1);
+            if (end === -1) {
+                throw new SearchQueryError('Guillemet fermant manquant');
             }
+            pushWords(tokenize(rest.slice(1, end)).map(t => t.term), { type: 'phrase' });
+            index += end + 1;
+            continue;
         }
-    };
 
-    // Installer la PWA
-    const installPWA = async () => {
-        console.log('🔘 Bouton installer cliqué');
-        
-        if (!window.deferredPrompt) {
-            console.log('⚠️ Pas de prompt d\'installation disponible');
-            alert('L\'installation n\'est pas disponible. L\'application est peut-être déjà installée ou vous devez utiliser HTTPS.');
-            return;
+        // "https://..." reste un mot : seuls les "clé:valeur" sans // sont des filtres
+        const filter = rest.match(/^([a-z]+):("[^"]*"|[^\s()"]*)/i);
+        if (filter && !filter[2].startsWith('//')) {
+            tokens.push(parseSearchFilter(filter[1].toLowerCase(), filter[2].replace(/^"|"$/g, '')));
+            index += filter[0].length;
+            continue;
         }
 
-        try {
-            // Afficher le prompt d'installation
-            console.log('📲 Affichage du prompt...');
-            window.deferredPrompt.prompt();
-            
-            // Attendre la réponse de l'utilisateur
-            const choiceResult = await window.deferredPrompt.userChoice;
-            
-            if (choiceResult.outcome === 'accepted') {
-                console.log('✅ Utilisateur a accepté l\'installation');
-            } else {
-                console.log('❌ Utilisateur a refusé l\'installation');
-            }
-            
-            // Réinitialiser le prompt
-            window.deferredPrompt = null;
-            setShowInstallPrompt(false);
-        } catch (error) {
-            console.error('❌ Erreur lors de l\'installation:', error);
-            alert('Erreur lors de l\'installation. Veuillez réessayer.');
+        const word = rest.match(/^[^\s()"]+/)[0];
+        if (word === 'OR') {
+            tokens.push({ type: 'OR' });
+        } else {
+            // Un mot composé ("porte-clés") se cherche comme une expression
+            pushWords(tokenize(word).map(t => t.term), { type: 'term', prefix: true });
         }
-    };
+        index += word.length;
+    }
 
-    const getRandomColor = () => {
-        const colors = ['#f39c12', '#e74c3c', '#3498db', '#2ecc71', '#9b59b6', '#1abc9c'];
-        return colors[Math.floor(Math.random() * colors.length)];
+    return tokens;
+}
+
+// Analyser une requête en arbre : and / or / not, term, phrase, filter.
+// Retourne null pour une requête vide ; lève SearchQueryError si elle est invalide.
+function parseSearchQuery(query) {
+    const tokens = lexSearchQuery(query || '');
+    let index = 0;
+
+    if (tokens.length === 0) return null;
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (tokens[index] && tokens[index].type === 'OR') {
+            index++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
     };
 
-    const handleSelectNote = (note) => {
-        setSelectedNote(note);
-        if (isMobile) {
-            setShowSidebar(false);
+    const parseAnd = () => {
+        const children = [];
+        while (tokens[index] && tokens[index].type !== 'OR' && tokens[index].type !== ')') {
+            children.push(parseUnary());
+        }
+        if (children.length === 0) {
+            throw new SearchQueryError(tokens[index] && tokens[index].type === ')'
+                ? 'Parenthèse vide ou OR sans terme avant ")"'
+                : 'OR doit être entouré de deux termes');
         }
+        return children.length === 1 ? children[0] : { type: 'and', children };
     };
 
-    const handleBackToList = () => {
-        setShowSidebar(true);
-        if (isMobile) {
-            setSelectedNote(null);
+    const parseUnary = () => {
+        const token = tokens[index++];
+        if (!token) {
+            throw new SearchQueryError('Requête incomplète');
+        }
+        if (token.type === '-') {
+            if (tokens[index] && (tokens[index].type === ')' || tokens[index].type === 'OR')) {
+                throw new SearchQueryError('Le signe "-" doit précéder un mot, un filtre ou une parenthèse');
+            }
+            return { type: 'not', child: parseUnary() };
         }
+        if (token.type === '(') {
+            const node = parseOr();
+            if (!tokens[index] || tokens[index].type !== ')') {
+                throw new SearchQueryError('Parenthèse fermante manquante');
+            }
+            index++;
+            return node;
+        }
+        // Une expression d'un seul mot est un mot exact
+        if (token.type === 'phrase' && token.words.length === 1) {
+            return { type: 'term', term: token.words[0], prefix: false };
+        }
+        return token;
     };
 
-    if (!isDBReady) {
-        return (
-            <div style={styles.loading}>
-                <div style={styles.loadingText}>Initialisation d'IndexedDB...</div>
-            </div>
-        );
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new SearchQueryError('Parenthèse fermante sans ouvrante');
     }
+    return tree;
+}
 
-    return (
-        <div style={styles.app}>
-            <Header 
-                isOnline={isOnline} 
-                stats={stats}
-                onSearch={handleSearch}
-                searchTerm={searchTerm}
-                showInstallPrompt={showInstallPrompt}
-                onInstall={installPWA}
-                isMobile={isMobile}
-                showSidebar={showSidebar}
-                onToggleSidebar={() => setShowSidebar(!showSidebar)}
-            />
-            
-            <div style={styles.container}>
-                {(showSidebar || !isMobile) && (
-                    <Sidebar 
-                        notes={notes}
-                        selectedNote={selectedNote}
-                        onSelectNote={handleSelectNote}
-                        onCreateNote={createNote}
-                        onDeleteNote={deleteNote}
-                        isMobile={isMobile}
-                        onClose={() => setShowSidebar(false)}
-                    />
-                )}
-                
-                {(!isMobile || (isMobile && !showSidebar)) && (
-                    <Editor 
-                        note={selectedNote}
-                        onUpdate={updateNote}
-                        isMobile={isMobile}
-                        onBack={handleBackToList}
-                    />
-                )}
-            </div>
-        </div>
+// Lister les nœuds d'un arbre de requête vérifiant "predicate"
+function collectSearchNodes(node, predicate, found = []) {
+    if (predicate(node)) found.push(node);
+    (node.children || (node.child ? [node.child] : [])).forEach(child =>
+        collectSearchNodes(child, predicate, found)
     );
+    return found;
 }
 
-// Composant Header
-function Header({ isOnline, stats, onSearch, searchTerm, showInstallPrompt, onInstall, isMobile, showSidebar, onToggleSidebar }) {
-    return (
-        <header style={styles.header}>
-            <div style={styles.headerLeft}>
-                {isMobile && (
-                    <button 
-                        onClick={onToggleSidebar}
-                        style={styles.hamburger}
-                        aria-label="Toggle menu"
-                    >
-                        {showSidebar ? '✕' : '☰'}
-                    </button>
-                )}
-                <h1 style={{...styles.logo, fontSize: isMobile ? '1.3rem' : '1.8rem'}}>
-                    <span style={styles.logoIcon}>{isMobile ? '📝' : '📝'}</span>
-                    {!isMobile && 'NotesFlow'}
-                </h1>
-                {!isMobile && (
-                    <div style={styles.statusBadge}>
-                        <span style={{
-                            ...styles.statusDot,
-                            backgroundColor: isOnline ? '#2ecc71' : '#e74c3c'
-                        }} />
-                        {isOnline ? 'En ligne' : 'Hors ligne'}
-                    </div>
-                )}
-            </div>
-            
-            {!isMobile && (
-                <div style={styles.headerCenter}>
-                    <input 
-                        type="text"
-                        placeholder="🔍 Rechercher..."
-                        value={searchTerm}
-                        onChange={(e) => onSearch(e.target.value)}
-                        style={styles.searchInput}
-                    />
-                </div>
-            )}
-            
-            <div style={styles.headerRight}>
-                {!isMobile && (
-                    <div style={styles.stats}>
-                        <div style={styles.statItem}>
-                            <span style={styles.statValue}>{stats.total}</span>
-                            <span style={styles.statLabel}>notes</span>
-                        </div>
-                        <div style={styles.statDivider} />
-                        <div style={styles.statItem}>
-                            <span style={styles.statValue}>{stats.today}</span>
-                            <span style={styles.statLabel}>aujourd'hui</span>
-                        </div>
-                    </div>
-                )}
-                
-                {showInstallPrompt && (
-                    <button onClick={onInstall} style={{...styles.installButton, fontSize: isMobile ? '0.8rem' : '0.9rem', padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'}}>
-                        {isMobile ? '📲' : '📲 Installer'}
-                    </button>
-                )}
-                
-                {!isMobile && (
-                    <button 
-                        onClick={() => {
-                            console.log('=== DEBUG PWA ===');
-                            console.log('deferredPrompt disponible:', !!window.deferredPrompt);
-                            console.log('Service Worker enregistré:', 'serviceWorker' in navigator);
-                            console.log('HTTPS actif:', window.location.protocol === 'https:' || window.location.hostname === 'localhost');
-                            console.log('showInstallPrompt:', showInstallPrompt);
-                            if (!window.deferredPrompt) {
-                                alert('❌ Prompt d\'installation non disponible.\n\nRaisons possibles:\n- L\'app est déjà installée\n- Vous n\'êtes pas sur HTTPS/localhost\n- Le navigateur ne supporte pas l\'installation\n- Les critères PWA ne sont pas remplis');
-                            } else {
-                                alert('✅ Prompt d\'installation disponible!\nCliquez sur le bouton "📲 Installer"');
-                            }
-                        }}
-                        style={{...styles.installButton, background: '#16213e', marginLeft: '0.5rem'}}
-                        title="Vérifier le statut d'installation"
-                    >
-                        🔍 Debug
-                    </button>
-                )}
-            </div>
-        </header>
-    );
+// Tester un filtre sur une note
+function matchesSearchFilter(filter, note) {
+    switch (filter.field) {
+        case 'tag':
+            return (note.tags || []).includes(filter.value);
+        case 'color':
+            return (note.color || '').toLowerCase() === filter.value;
+        case 'created':
+        case 'updated': {
+            const time = filter.field === 'created' ? note.createdAt : note.updatedAt;
+            return (filter.lower === undefined || time >= filter.lower) &&
+                (filter.upper === undefined || time < filter.upper);
+        }
+        case 'is':
+            return SEARCH_NOTE_STATES[filter.value](note);
+        default:
+            return false;
+    }
 }
 
-// Composant Sidebar
-function Sidebar({ notes, selectedNote, onSelectNote, onCreateNote, onDeleteNote, isMobile, onClose }) {
-    return (
-        <aside style={{
-            ...styles.sidebar,
-            width: isMobile ? '100%' : '350px',
-            position: isMobile ? 'fixed' : 'relative',
-            zIndex: isMobile ? 100 : 1,
-            height: isMobile ? '100vh' : 'auto'
-        }}>
-            {isMobile && (
-                <div style={styles.sidebarHeader}>
-                    <h2 style={styles.sidebarTitle}>Mes Notes</h2>
-                    <button onClick={onClose} style={styles.closeButton}>✕</button>
-                </div>
-            )}
-            
-            <button onClick={onCreateNote} style={{
-                ...styles.createButton,
-                margin: isMobile ? '1rem' : '1.5rem'
-            }}>
-                ✚ Nouvelle Note
-            </button>
-            
-            <div style={styles.notesList}>
-                {notes.length === 0 ? (
-                    <div style={styles.emptyState}>
-                        <div style={styles.emptyIcon}>📭</div>
-                        <p>Aucune note</p>
-                        <p style={styles.emptySubtext}>Créez votre première note</p>
-                    </div>
-                ) : (
-                    notes.map((note) => (
-                        <NoteCard 
-                            key={note.id}
-                            note={note}
-                            isSelected={selectedNote?.id === note.id}
-                            onSelect={() => onSelectNote(note)}
-                            onDelete={() => onDeleteNote(note.id)}
-                        />
-                    ))
-                )}
-            </div>
-        </aside>
-    );
+// Évaluer l'arbre sur une note. "matches" associe chaque nœud term/phrase
+// à ses correspondances dans l'index (Map noteId → { score, terms }).
+// → null si la note ne correspond pas, sinon { score, terms } à surligner
+function evaluateSearchNode(node, note, matches) {
+    const combine = results => ({
+        score: results.reduce((sum, r) => sum + r.score, 0),
+        terms: results.flatMap(r => r.terms)
+    });
+
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return matches.get(node).get(note.id) || null;
+        case 'filter':
+            return matchesSearchFilter(node, note) ? { score: 0, terms: [] } : null;
+        case 'not':
+            return evaluateSearchNode(node.child, note, matches) ? null : { score: 0, terms: [] };
+        case 'and': {
+            const results = [];
+            for (const child of node.children) {
+                const result = evaluateSearchNode(child, note, matches);
+                if (!result) return null;
+                results.push(result);
+            }
+            return combine(results);
+        }
+        case 'or': {
+            const results = node.children
+                .map(child => evaluateSearchNode(child, note, matches))
+                .filter(Boolean);
+            return results.length > 0 ? combine(results) : null;
+        }
+        default:
+            return null;
+    }
 }
 
-// Composant NoteCard
-function NoteCard({ note, isSelected, onSelect, onDelete }) {
-    const formatDate = (timestamp) => {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diff = now - date;
-        
-        const minutes = Math.floor(diff / 60000);
-        const hours = Math.floor(diff / 3600000);
-        const days = Math.floor(diff / 86400000);
-        
-        if (minutes < 1) return 'À l\'instant';
-        if (minutes < 60) return `Il y a ${minutes}min`;
-        if (hours < 24) return `Il y a ${hours}h`;
-        if (days < 7) return `Il y a ${days}j`;
-        
-        return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
-    };
+// ============================================
+// TAGS
+// ============================================
+// Stockés dans le tableau "tags" de chaque note (index multiEntry "tags").
 
-    const handleDelete = (e) => {
-        e.stopPropagation();
-        onDelete();
-    };
+// Minuscules, espaces réduits, sans "#" initial : "#Maison " → "maison"
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+}
 
-    return (
-        <div 
-            style={{
-                ...styles.noteCard,
-                ...(isSelected ? styles.noteCardSelected : {})
-            }}
-            onClick={onSelect}
-        >
-            <div style={{...styles.noteColorBar, backgroundColor: note.color}} />
-            
-            <div style={styles.noteCardContent}>
-                <h3 style={styles.noteCardTitle}>{note.title}</h3>
-                <p style={styles.noteCardPreview}>
-                    {note.content ? note.content.substring(0, 80) + '...' : 'Aucun contenu'}
-                </p>
-                <div style={styles.noteCardFooter}>
-                    <span style={styles.noteCardDate}>{formatDate(note.updatedAt)}</span>
-                    <button 
-                        onClick={handleDelete}
-                        style={styles.deleteButton}
-                        title="Supprimer"
-                    >
-                        🗑️
-                    </button>
-                </div>
-            </div>
-        </div>
+// Normaliser une liste de tags, sans doublons ni tags vides
+function normalizeTags(tags) {
+    return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+// Requête de recherche affichant les notes d'un tag
+function tagSearchQuery(tag) {
+    return /[\s()"]/.test(tag) ? `tag:"${tag.replace(/"/g, '')}"` : `tag:${tag}`;
+}
+
+// ============================================
+// CARNETS
+// ============================================
+// Object store "notebooks" ({ uid, name, parentUid }) ; chaque note pointe
+// vers son carnet par "notebookUid" (absent ou inconnu = sans carnet).
+
+// Uid d'un carnet et de tous ses sous-carnets
+function collectNotebookSubtree(notebooks, uid) {
+    const subtree = new Set([uid]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        notebooks.forEach((notebook) => {
+            if (subtree.has(notebook.parentUid) && !subtree.has(notebook.uid)) {
+                subtree.add(notebook.uid);
+                grew = true;
+            }
+        });
+    }
+    return subtree;
+}
+
+// Arbre des carnets triés par nom → [{ notebook, depth, children }]
+function buildNotebookTree(notebooks, parentUid = null, depth = 0) {
+    const known = new Set(notebooks.map(n => n.uid));
+    return notebooks
+        // Un parent disparu rattache le carnet à la racine
+        .filter(n => parentUid === null ? !known.has(n.parentUid) : n.parentUid === parentUid)
+        .sort((a, b) => a.name.localeCompare(b.name, 'fr'))
+        .map(notebook => ({
+            notebook,
+            depth,
+            children: buildNotebookTree(notebooks, notebook.uid, depth + 1)
+        }));
+}
+
+// Liste à plat de l'arbre, dans l'ordre d'affichage (pour les <select>)
+function flattenNotebookTree(tree) {
+    return tree.flatMap(node => [node, ...flattenNotebookTree(node.children)]);
+}
+
+// ============================================
+// CLASSEMENT DES NOTES
+// ============================================
+// Drapeaux de chaque note (synchronisés) : "pinned" (toujours en tête),
+// "favorite" et "archived" (hors de la liste, mais trouvée par la recherche).
+
+const NOTE_SORT_FIELDS = {
+    updatedAt: 'Modification',
+    createdAt: 'Création',
+    title: 'Titre',
+    color: 'Couleur'
+};
+const DEFAULT_NOTE_SORT = { field: 'updatedAt', direction: 'desc' };
+
+// Filtres de la liste des notes
+const NOTE_LIST_FILTERS = {
+    all: { icon: '📝', label: 'Toutes', empty: 'Aucune note', match: note => !note.archived },
+    favorites: { icon: '⭐', label: 'Favoris', empty: 'Aucun favori', match: note => !!note.favorite && !note.archived },
+    archived: { icon: '🗄️', label: 'Archives', empty: 'Aucune note archivée', match: note => !!note.archived }
+};
+
+// Tri choisi ({ field, direction }), réglage illisible → tri par défaut
+function normalizeNoteSort(sort) {
+    return sort && NOTE_SORT_FIELDS[sort.field] && ['asc', 'desc'].includes(sort.direction)
+        ? sort
+        : DEFAULT_NOTE_SORT;
+}
+
+function compareNoteField(a, b, field) {
+    if (field === 'title') {
+        return (a.title || '').localeCompare(b.title || '', 'fr', { sensitivity: 'base', numeric: true });
+    }
+    if (field === 'color') {
+        // Ordre de la palette, couleurs inconnues à la fin
+        const palette = Object.values(NOTE_COLORS);
+        const rank = note => (palette.includes(note.color) ? palette.indexOf(note.color) : palette.length);
+        return rank(a) - rank(b);
+    }
+    return (a[field] || 0) - (b[field] || 0);
+}
+
+// Notes épinglées en tête, puis selon le tri choisi (à égalité : les plus
+// récemment modifiées d'abord)
+function sortNotes(notes, sort) {
+    const { field, direction } = normalizeNoteSort(sort);
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...notes].sort((a, b) =>
+        (!!b.pinned - !!a.pinned)
+        || sign * compareNoteField(a, b, field)
+        || b.updatedAt - a.updatedAt
     );
 }
 
-// Composant Editor
-function Editor({ note, onUpdate, isMobile, onBack }) {
-    const [title, setTitle] = useState('');
-    const [content, setContent] = useState('');
-    const timeoutRef = useRef(null);
+// Remplacer dans une liste les notes "ids" par leur version relue : celles
+// absentes de "records" en sont retirées, les nouvelles ajoutées à la fin
+function upsertNotes(list, ids, records) {
+    const changed = new Set(ids);
+    const updated = new Map(records.map(note => [note.id, note]));
+    const known = new Set(list.map(note => note.id));
 
-    useEffect(() => {
-        if (note) {
-            setTitle(note.title);
-            setContent(note.content);
-        } else {
-            setTitle('');
-            setContent('');
-        }
-    }, [note]);
+    return [
+        ...list
+            .filter(note => !changed.has(note.id) || updated.has(note.id))
+            .map(note => updated.get(note.id) || note),
+        ...records.filter(note => !known.has(note.id))
+    ];
+}
 
-    const handleTitleChange = (e) => {
-        const newTitle = e.target.value;
-        setTitle(newTitle);
-        
-        if (note) {
-            clearTimeout(timeoutRef.current);
-            timeoutRef.current = setTimeout(() => {
-                onUpdate(note.id, { title: newTitle });
-            }, 500);
-        }
-    };
+// ============================================
+// PIÈCES JOINTES
+// ============================================
+// Object store "attachments" ({ uid, noteId, name, type, size, blob,
+// thumbnail, createdAt }). Le texte de la note y renvoie par "attachment:<uid>" :
+// ![photo](attachment:…) s'affiche dans l'aperçu, [rapport.pdf](attachment:…)
+// se télécharge. Les fichiers restent sur l'appareil (jamais synchronisés) ;
+// avec le chiffrement activé, nom, fichier et miniature sont chiffrés.
 
-    const handleContentChange = (e) => {
-        const newContent = e.target.value;
-        setContent(newContent);
-        
-        if (note) {
-            clearTimeout(timeoutRef.current);
-            timeoutRef.current = setTimeout(() => {
-                onUpdate(note.id, { content: newContent });
-            }, 500);
-        }
-    };
+const ATTACHMENT_SCHEME = 'attachment:';
+const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+const THUMBNAIL_SIZE = 240;
+const ATTACHMENT_REF_PATTERN = /attachment:([\w-]+)/g;
+// Dans une archive Markdown : attachments/<uid>/<nom du fichier>
+const ARCHIVE_ATTACHMENT_PATH = /^(?:.*\/)?attachments\/([\w-]+)\/([^/]+)$/;
+const ARCHIVE_ATTACHMENT_LINK = /(?:\.\.\/)*attachments\/([\w-]+)\/[^)\s]+/g;
+const ATTACHMENT_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    txt: 'text/plain'
+};
 
-    if (!note) {
-        return (
-            <main style={styles.editor}>
-                <div style={styles.editorEmpty}>
-                    <div style={styles.editorEmptyIcon}>✍️</div>
-                    <h2 style={styles.editorEmptyTitle}>Sélectionnez une note</h2>
-                    <p style={styles.editorEmptySubtext}>ou créez-en une nouvelle pour commencer</p>
-                </div>
-            </main>
-        );
+class AttachmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AttachmentError';
     }
+}
 
-    return (
-        <main style={styles.editor}>
-            <div style={{
-                ...styles.editorHeader,
-                padding: isMobile ? '1rem 1rem 0.5rem' : '2rem 3rem 1rem'
-            }}>
-                {isMobile && (
-                    <button onClick={onBack} style={styles.backButton}>
-                        ← Retour
-                    </button>
-                )}
-                <input 
-                    type="text"
-                    value={title}
-                    onChange={handleTitleChange}
-                    placeholder="Titre de la note..."
-                    style={{
-                        ...styles.editorTitle,
-                        fontSize: isMobile ? '1.5rem' : '2rem'
-                    }}
-                />
-                <div style={styles.editorMeta}>
-                    Modifiée: {new Date(note.updatedAt).toLocaleString('fr-FR')}
-                </div>
-            </div>
-            
-            <textarea 
-                value={content}
-                onChange={handleContentChange}
-                placeholder="Commencez à écrire votre note..."
-                style={{
-                    ...styles.editorTextarea,
-                    padding: isMobile ? '1rem' : '2rem 3rem',
-                    fontSize: isMobile ? '0.95rem' : '1.05rem'
-                }}
-            />
-            
-            <div style={{
-                ...styles.editorFooter,
-                padding: isMobile ? '0.8rem 1rem' : '1rem 3rem'
-            }}>
-                <div style={styles.wordCount}>
-                    {content.split(/\s+/).filter(w => w.length > 0).length} mots
-                    {' · '}
-                    {content.length} caractères
-                </div>
-            </div>
-        </main>
+function isImageAttachment(attachment) {
+    return /^image\//.test(attachment.type);
+}
+
+// Markdown inséré dans la note : image affichée ou lien de téléchargement
+function attachmentMarkdown(attachment) {
+    const label = attachment.name.replace(/[[\]]/g, '');
+    return `${isImageAttachment(attachment) ? '!' : ''}[${label}](${ATTACHMENT_SCHEME}${attachment.uid})`;
+}
+
+// Retirer d'un texte les renvois (image ou lien) vers une pièce jointe
+function removeAttachmentRefs(text, uid) {
+    return text.replace(new RegExp(`!?\\[[^\\]]*\\]\\(${ATTACHMENT_SCHEME}${uid}\\)\\n?`, 'g'), '');
+}
+
+// Version lisible hors de l'App d'une note partagée : les renvois aux pièces
+// jointes (adresses internes) deviennent leur nom, les tags suivent le texte
+function formatNoteForSharing(content, tags) {
+    const text = (content || '').replace(
+        new RegExp(`!?\\[([^\\]]*)\\]\\(${ATTACHMENT_SCHEME}[^)]*\\)`, 'g'),
+        (match, label) => `📎 ${label}`
     );
+    const tagLine = (tags || []).map(tag => `#${tag}`).join(' ');
+    return [text.trim(), tagLine].filter(Boolean).join('\n\n');
+}
+
+// Type MIME d'après l'extension (fichiers lus dans une archive)
+function guessMimeType(name) {
+    const extension = (name.match(/\.(\w+)$/) || [])[1];
+    return ATTACHMENT_MIME_TYPES[(extension || '').toLowerCase()] || 'application/octet-stream';
+}
+
+// Miniature WebP (240 px au plus) d'une image → { thumbnail, width, height } ou null
+async function createThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.8));
+        return { thumbnail, width, height };
+    } catch (error) {
+        // Format que le navigateur ne sait pas décoder (SVG, HEIC...) : pas de miniature
+        console.log('⚠️ Miniature impossible:', error.message);
+        return null;
+    }
+}
+
+// Compléter une pièce jointe avant enregistrement (miniature des images)
+async function prepareAttachment(attachment) {
+    if (attachment.thumbnail !== undefined || !isImageAttachment(attachment)) {
+        return { thumbnail: null, ...attachment };
+    }
+    const preview = await createThumbnail(attachment.blob);
+    return { ...attachment, ...(preview || { thumbnail: null }) };
+}
+
+// Blob → base64 (export JSON)
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
 }
 
 // ============================================
-// STYLES
+// ESPACE DE STOCKAGE
 // ============================================
-const styles = {
-    app: {
-        minHeight: '100vh',
-        display: 'flex',
-        flexDirection: 'column',
-        background: 'linear-gradient(135deg, #0f0f1e 0%, #1a1a2e 100%)',
-    },
-    loading: {
-        display: 'flex',
-        justifyContent: 'center',
-        alignItems: 'center',
-        height: '100vh',
-        fontSize: '1.5rem',
-        color: '#f39c12',
-    },
-    loadingText: {
-        animation: 'pulse 1.5s ease-in-out infinite',
+// Le navigateur peut effacer les données d'un site "temporaire" quand
+// l'appareil manque de place, et refuse les écritures au-delà du quota.
+
+// Alerte à partir de 80 % du quota, critique à 95 %
+const STORAGE_WARNING_RATIO = 0.8;
+const STORAGE_CRITICAL_RATIO = 0.95;
+const STORAGE_CHECK_MS = 10 * 60 * 1000;
+
+// Répartition affichée dans le panneau Stockage (object stores de NotesFlowDB)
+const STORAGE_CATEGORIES = [
+    { key: 'notes', label: '📝 Notes et carnets', stores: ['notes', 'notebooks'] },
+    { key: 'history', label: '🕘 Historique des versions', stores: ['noteRevisions'] },
+    { key: 'attachments', label: '📎 Pièces jointes', stores: ['attachments'] },
+    { key: 'search', label: '🔍 Index de recherche', stores: ['searchIndex', 'searchDocs'] },
+    { key: 'other', label: '⚙️ Synchronisation et réglages', stores: ['outbox', 'settings'] }
+];
+
+class StorageQuotaError extends Error {
+    constructor(message = 'Espace de stockage plein : la note n\'a pas pu être enregistrée.') {
+        super(message);
+        this.name = 'StorageQuotaError';
+    }
+}
+
+// Quota dépassé ? (nom standard, ancien code 22 et variante Firefox)
+function isQuotaError(error) {
+    return !!error && (error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22);
+}
+
+function toStorageError(error) {
+    return isQuotaError(error) ? new StorageQuotaError() : error;
+}
+
+// Taille approximative d'un enregistrement IndexedDB (octets, UTF-16 pour le texte)
+function estimateSize(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof Blob) return value.size;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + estimateSize(item), 0);
+    return Object.entries(value).reduce((sum, [key, item]) => sum + key.length * 2 + estimateSize(item), 0);
+}
+
+// Taille totale des réponses du Cache Storage (Service Worker)
+async function measureCaches() {
+    if (!('caches' in window)) return 0;
+
+    let total = 0;
+    for (const name of await caches.keys()) {
+        const cache = await caches.open(name);
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            if (response) total += (await response.blob()).size;
+        }
+    }
+    return total;
+}
+
+// Utilisation et quota estimés par le navigateur → { usage, quota } ou null
+async function getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return quota ? { usage, quota } : null;
+}
+
+// Niveau d'alerte : null, 'warning' ou 'critical'
+function getStorageLevel(estimate) {
+    if (!estimate) return null;
+    const ratio = estimate.usage / estimate.quota;
+    if (ratio >= STORAGE_CRITICAL_RATIO) return 'critical';
+    if (ratio >= STORAGE_WARNING_RATIO) return 'warning';
+    return null;
+}
+
+function formatBytes(bytes) {
+    const units = ['o', 'Ko', 'Mo', 'Go'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toLocaleString('fr-FR', { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+}
+
+// ============================================
+// GESTIONNAIRE IndexedDB
+// ============================================
+// Canal des onglets ouverts : chacun y annonce ses écritures
+const DB_CHANNEL_NAME = 'notesflow-db';
+// Saisie dans un autre onglet : signalée au plus toutes les EDITING_SIGNAL_MS,
+// oubliée sans nouvelles après EDITING_PRESENCE_MS
+const EDITING_SIGNAL_MS = 5000;
+const EDITING_PRESENCE_MS = 15000;
+// Notes lues par page au chargement de la liste (voir getNotesPage)
+const NOTE_PAGE_SIZE = 200;
+
+// Note à modifier absente de la base (supprimée définitivement, ici ou ailleurs)
+class NoteNotFoundError extends Error {
+    constructor(message = 'Note non trouvée') {
+        super(message);
+        this.name = 'NoteNotFoundError';
+    }
+}
+
+class NotesDB {
+    constructor() {
+        this.dbName = 'NotesFlowDB';
+        this.version = 8;
+        this.db = null;
+        // Onglets ouverts sur la même base (BroadcastChannel, absent des anciens navigateurs)
+        this.tabId = generateUid();
+        this.listeners = new Set();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DB_CHANNEL_NAME) : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.emit(event.data);
+        }
+    }
+
+    // Être prévenu des écritures des autres onglets ({ type: 'change' }), de
+    // leurs saisies ({ type: 'editing' }) et des mises à niveau de la base
+    // ({ type: 'versionchange' | 'blocked' }) → fonction de désabonnement
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(message) {
+        this.listeners.forEach(listener => listener(message));
+    }
+
+    broadcast(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, tabId: this.tabId });
+        }
+    }
+
+    // Après chaque écriture : notes touchées (noteIds) ou réglage modifié
+    // (setting) ; sans précision, les autres onglets relisent tout
+    notifyChange(change = {}) {
+        this.broadcast({ type: 'change', ...change });
+    }
+
+    // Initialiser la base de données
+    async init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onerror = () => {
+                console.error('❌ Erreur ouverture IndexedDB:', request.error);
+                reject(request.error);
+            };
+
+            // Un autre onglet garde l'ancienne version de la base ouverte
+            request.onblocked = () => {
+                console.warn('⏳ Mise à niveau de la base bloquée par un autre onglet');
+                this.emit({ type: 'blocked' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Une nouvelle version de l'App met la base à niveau dans un autre
+                // onglet : libérer la connexion plutôt que de la bloquer
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    console.warn('🔄 Base mise à niveau par un autre onglet, connexion fermée');
+                    this.emit({ type: 'versionchange' });
+                };
+                console.log('✅ IndexedDB initialisée');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const transaction = event.target.transaction;
+                
+                // Créer l'object store pour les notes
+                if (!db.objectStoreNames.contains('notes')) {
+                    const objectStore = db.createObjectStore('notes', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    // Créer des index pour les recherches
+                    objectStore.createIndex('title', 'title', { unique: false });
+                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                    objectStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+                    
+                    console.log('📦 Object store "notes" créé');
+                }
+
+                // v2 : identifiant global (uid) pour la synchronisation
+                const notesStore = transaction.objectStore('notes');
+                if (!notesStore.indexNames.contains('uid')) {
+                    notesStore.createIndex('uid', 'uid', { unique: true });
+
+                    // Attribuer un uid aux notes existantes
+                    notesStore.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (cursor) {
+                            if (!cursor.value.uid) {
+                                cursor.update({ ...cursor.value, uid: generateUid() });
+                            }
+                            cursor.continue();
+                        }
+                    };
+                }
+
+                // v2 : file d'attente des mutations à synchroniser
+                if (!db.objectStoreNames.contains('outbox')) {
+                    const outbox = db.createObjectStore('outbox', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    outbox.createIndex('noteUid', 'noteUid', { unique: false });
+
+                    console.log('📦 Object store "outbox" créé');
+                }
+
+                // v2 : réglages partagés avec le Service Worker
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+
+                // v3 : historique des versions de chaque note
+                if (!db.objectStoreNames.contains('noteRevisions')) {
+                    const revisions = db.createObjectStore('noteRevisions', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    revisions.createIndex('noteId', 'noteId', { unique: false });
+
+                    console.log('📦 Object store "noteRevisions" créé');
+                }
+
+                // v4 : index de recherche plein texte (reconstruit au démarrage)
+                if (!db.objectStoreNames.contains('searchIndex')) {
+                    const searchIndex = db.createObjectStore('searchIndex', {
+                        keyPath: ['term', 'noteId']
+                    });
+                    searchIndex.createIndex('noteId', 'noteId', { unique: false });
+                    db.createObjectStore('searchDocs', { keyPath: 'noteId' });
+
+                    console.log('📦 Object stores "searchIndex" et "searchDocs" créés');
+                }
+
+                // v5 : tags (une entrée d'index par tag de la note)
+                if (!notesStore.indexNames.contains('tags')) {
+                    notesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+
+                // v6 : carnets imbriqués
+                if (!db.objectStoreNames.contains('notebooks')) {
+                    db.createObjectStore('notebooks', { keyPath: 'uid' });
+                    console.log('📦 Object store "notebooks" créé');
+                }
+                if (!notesStore.indexNames.contains('notebookUid')) {
+                    notesStore.createIndex('notebookUid', 'notebookUid', { unique: false });
+                }
+
+                // v7 : pièces jointes (fichiers de chaque note)
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attachments = db.createObjectStore('attachments', { keyPath: 'uid' });
+                    attachments.createIndex('noteId', 'noteId', { unique: false });
+                    console.log('📦 Object store "attachments" créé');
+                }
+
+                // v8 : carnets synchronisés ; ceux d'avant partent au prochain envoi
+                if (event.oldVersion >= 6 && event.oldVersion < 8) {
+                    transaction.objectStore('notebooks').getAllKeys().onsuccess = (e) => {
+                        e.target.result.forEach(uid => SyncEngine.recordMutation(transaction, 'notebook', uid));
+                    };
+                }
+            };
+        });
+    }
+
+    // Ajouter une note
+    async addNote(note) {
+        const transaction = this.db.transaction(['notes', 'outbox', 'searchIndex', 'searchDocs'], 'readwrite');
+        const objectStore = transaction.objectStore('notes');
+        
+        const noteData = {
+            ...note,
+            tags: normalizeTags(note.tags),
+            uid: generateUid(),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        
+        return new Promise((resolve, reject) => {
+            const request = objectStore.add(noteData);
+            SyncEngine.recordMutation(transaction, 'create', noteData.uid);
+            
+            request.onsuccess = () => {
+                this.indexNote(transaction, { ...noteData, id: request.result });
+            };
+
+            // Un quota dépassé n'apparaît souvent qu'à la validation de la transaction
+            transaction.oncomplete = () => {
+                console.log('✅ Note ajoutée, ID:', request.result);
+                this.notifyChange({ noteIds: [request.result] });
+                resolve(request.result);
+            };
+
+            transaction.onabort = () => {
+                console.error('❌ Erreur ajout note:', transaction.error);
+                reject(toStorageError(transaction.error));
+            };
+        });
+    }
+
+    // Récupérer tous les enregistrements, corbeille comprise
+    async getAllRecords() {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const objectStore = transaction.objectStore('notes');
+        
+        return new Promise((resolve, reject) => {
+            const request = objectStore.getAll();
+            
+            request.onsuccess = () => {
+                console.log('📖 Notes récupérées:', request.result.length);
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                console.error('❌ Erreur récupération notes:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Récupérer toutes les notes (hors corbeille)
+    async getAllNotes() {
+        const allNotes = await this.getAllRecords();
+        return allNotes.filter(note => !note.deletedAt);
+    }
+
+    // Récupérer les notes de la corbeille
+    async getTrashedNotes() {
+        const allNotes = await this.getAllRecords();
+        return allNotes.filter(note => note.deletedAt);
+    }
+
+    // Une page de notes (corbeille comprise), de la plus récemment modifiée à
+    // la plus ancienne, parcourue sur l'index "updatedAt". "after" : curseur
+    // rendu par la page précédente → { notes, cursor } (null à la dernière page)
+    async getNotesPage({ after = null, limit = NOTE_PAGE_SIZE } = {}) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const index = transaction.objectStore('notes').index('updatedAt');
+        const range = after ? IDBKeyRange.upperBound(after.updatedAt) : null;
+        const notes = [];
+
+        return new Promise((resolve, reject) => {
+            const request = index.openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ notes, cursor: null });
+                    return;
+                }
+                // Même date que la fin de la page précédente : reprendre après elle
+                // (à date égale, les ids arrivent en ordre décroissant)
+                if (after && cursor.key === after.updatedAt && cursor.primaryKey >= after.id) {
+                    cursor.continue();
+                    return;
+                }
+                if (notes.length === limit) {
+                    const last = notes[notes.length - 1];
+                    resolve({ notes, cursor: { updatedAt: last.updatedAt, id: last.id } });
+                    return;
+                }
+                notes.push(cursor.value);
+                cursor.continue();
+            };
+
+            request.onerror = () => {
+                console.error('❌ Erreur lecture page de notes:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Relire quelques notes (corbeille comprise) ; celles qui ont été
+    // supprimées définitivement sont absentes du résultat
+    async getNotes(ids) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const objectStore = transaction.objectStore('notes');
+        const notes = await Promise.all(ids.map(id => promisifyRequest(objectStore.get(id))));
+        return notes.filter(Boolean);
+    }
+
+    // Ids des notes modifiées depuis "since" (index "updatedAt"), pour relire
+    // celles qu'une écriture groupée (tag, carnet) vient de toucher
+    async getNoteIdsUpdatedSince(since) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const index = transaction.objectStore('notes').index('updatedAt');
+        return promisifyRequest(index.getAllKeys(IDBKeyRange.lowerBound(since)));
+    }
+
+    // Nombre de notes (corbeille comprise) rangées dans les carnets "uids"
+    async countNotebookNotes(uids) {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const index = transaction.objectStore('notes').index('notebookUid');
+        const counts = await Promise.all([...uids].map(uid => promisifyRequest(index.count(uid))));
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    // Enregistrer une version dans l'historique (dans la transaction de l'écriture).
+    // Les sauvegardes espacées de moins de REVISION_COALESCE_MS mettent à jour
+    // la dernière version au lieu d'en créer une ; "force" crée toujours une version.
+    recordRevision(transaction, previous, next, force = false) {
+        if (!force && previous.title === next.title && previous.content === next.content) {
+            return;
+        }
+
+        const objectStore = transaction.objectStore('noteRevisions');
+        const request = objectStore.index('noteId').getAll(next.id);
+
+        request.onsuccess = () => {
+            const revisions = request.result.sort((a, b) => a.createdAt - b.createdAt);
+            const latest = revisions[revisions.length - 1];
+            const now = Date.now();
+
+            // Première modification : conserver aussi le texte d'origine
+            if (!latest) {
+                const original = {
+                    noteId: previous.id,
+                    title: previous.title,
+                    content: previous.content,
+                    createdAt: previous.updatedAt,
+                    updatedAt: previous.updatedAt
+                };
+                revisions.push(original);
+                objectStore.add(original);
+            }
+
+            if (latest && !force && now - latest.createdAt < REVISION_COALESCE_MS) {
+                objectStore.put({ ...latest, title: next.title, content: next.content, updatedAt: now });
+                return;
+            }
+
+            objectStore.add({
+                noteId: next.id,
+                title: next.title,
+                content: next.content,
+                createdAt: now,
+                updatedAt: now
+            });
+
+            // Oublier les versions les plus anciennes au-delà de la limite
+            revisions
+                .slice(0, Math.max(0, revisions.length + 1 - MAX_REVISIONS_PER_NOTE))
+                .filter(revision => revision.id !== undefined)
+                .forEach(revision => objectStore.delete(revision.id));
+        };
+    }
+
+    // Récupérer l'historique d'une note (plus récente en premier)
+    async getRevisions(noteId) {
+        const transaction = this.db.transaction(['noteRevisions'], 'readonly');
+        const objectStore = transaction.objectStore('noteRevisions');
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.index('noteId').getAll(noteId);
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+            };
+
+            request.onerror = () => {
+                console.error('❌ Erreur récupération historique:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Restaurer une version de l'historique
+    async restoreRevision(noteId, revisionId) {
+        const transaction = this.db.transaction(
+            ['notes', 'outbox', 'noteRevisions', 'searchIndex', 'searchDocs'], 'readwrite'
+        );
+        const objectStore = transaction.objectStore('notes');
+
+        return new Promise((resolve, reject) => {
+            const getRequest = objectStore.get(noteId);
+            const revisionRequest = transaction.objectStore('noteRevisions').get(revisionId);
+
+            revisionRequest.onsuccess = () => {
+                const note = getRequest.result;
+                const revision = revisionRequest.result;
+
+                if (!note || !revision || revision.noteId !== noteId) {
+                    reject(new Error('Version non trouvée'));
+                    return;
+                }
+
+                const restoredNote = {
+                    ...note,
+                    title: revision.title,
+                    content: revision.content,
+                    updatedAt: Date.now()
+                };
+
+                const updateRequest = objectStore.put(restoredNote);
+                SyncEngine.recordMutation(transaction, 'update', note.uid);
+                this.recordRevision(transaction, note, restoredNote, true);
+                this.indexNote(transaction, restoredNote, note);
+
+                updateRequest.onsuccess = () => {
+                    console.log('⏪ Version restaurée, ID:', noteId);
+                    this.notifyChange({ noteIds: [noteId] });
+                    resolve(restoredNote);
+                };
+
+                updateRequest.onerror = () => {
+                    console.error('❌ Erreur restauration:', updateRequest.error);
+                    reject(updateRequest.error);
+                };
+            };
+
+            revisionRequest.onerror = () => {
+                reject(revisionRequest.error);
+            };
+        });
+    }
+
+    // Mettre à jour une note
+    async updateNote(id, updates) {
+        const transaction = this.db.transaction(
+            ['notes', 'outbox', 'noteRevisions', 'searchIndex', 'searchDocs'], 'readwrite'
+        );
+        const objectStore = transaction.objectStore('notes');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = objectStore.get(id);
+            let updatedNote = null;
+            
+            getRequest.onsuccess = () => {
+                const note = getRequest.result;
+                
+                if (note) {
+                    updatedNote = {
+                        ...note,
+                        ...updates,
+                        updatedAt: Date.now()
+                    };
+                    if (updates.tags) {
+                        updatedNote.tags = normalizeTags(updates.tags);
+                    }
+                    
+                    objectStore.put(updatedNote);
+                    SyncEngine.recordMutation(transaction, 'update', note.uid);
+                    this.recordRevision(transaction, note, updatedNote);
+                    this.indexNote(transaction, updatedNote, note);
+                } else {
+                    reject(new NoteNotFoundError());
+                }
+            };
+            
+            // Un quota dépassé n'apparaît souvent qu'à la validation de la transaction
+            transaction.oncomplete = () => {
+                if (!updatedNote) return;
+                console.log('✅ Note mise à jour, ID:', id);
+                this.notifyChange({ noteIds: [id] });
+                resolve(updatedNote);
+            };
+
+            transaction.onabort = () => {
+                console.error('❌ Erreur mise à jour:', transaction.error);
+                reject(toStorageError(transaction.error));
+            };
+        });
+    }
+
+    // Mettre une note à la corbeille (suppression réversible)
+    async trashNote(id) {
+        return this.updateNote(id, { deletedAt: Date.now() });
+    }
+
+    // Restaurer une note depuis la corbeille
+    async restoreNote(id) {
+        return this.updateNote(id, { deletedAt: null });
+    }
+
+    // Purger les notes restées à la corbeille plus longtemps que la rétention
+    async purgeExpiredNotes(retentionDays) {
+        const limit = Date.now() - retentionDays * 86400000;
+        const expired = (await this.getTrashedNotes()).filter(note => note.deletedAt < limit);
+
+        for (const note of expired) {
+            await this.deleteNote(note.id);
+        }
+
+        if (expired.length > 0) {
+            console.log('🧹 Notes purgées de la corbeille:', expired.length);
+        }
+        return expired.length;
+    }
+
+    // Supprimer définitivement une note
+    async deleteNote(id) {
+        const transaction = this.db.transaction(
+            ['notes', 'outbox', 'searchIndex', 'searchDocs', ...NOTE_CHILD_STORES], 'readwrite'
+        );
+        const objectStore = transaction.objectStore('notes');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = objectStore.get(id);
+
+            getRequest.onsuccess = () => {
+                const note = getRequest.result;
+                const request = objectStore.delete(id);
+                this.deleteNoteChildren(transaction, id);
+                this.unindexNote(transaction, id);
+                if (note) {
+                    SyncEngine.recordMutation(transaction, 'delete', note.uid, {
+                        baseRevision: note.revision
+                    });
+                }
+                
+                request.onsuccess = () => {
+                    console.log('🗑️ Note supprimée, ID:', id);
+                    this.notifyChange({ noteIds: [id] });
+                    resolve();
+                };
+                
+                request.onerror = () => {
+                    console.error('❌ Erreur suppression:', request.error);
+                    reject(request.error);
+                };
+            };
+
+            getRequest.onerror = () => {
+                reject(getRequest.error);
+            };
+        });
+    }
+
+    // Supprimer l'historique et les pièces jointes d'une note (dans la
+    // transaction de suppression)
+    deleteNoteChildren(transaction, noteId) {
+        NOTE_CHILD_STORES.forEach((name) => {
+            const objectStore = transaction.objectStore(name);
+            const request = objectStore.index('noteId').getAllKeys(noteId);
+
+            request.onsuccess = () => {
+                request.result.forEach(key => objectStore.delete(key));
+            };
+        });
+    }
+
+    // Pièce jointe telle qu'enregistrée, et telle que lue (chiffrement : voir
+    // EncryptedNotesDB)
+    async sealAttachment(attachment) {
+        return attachment;
+    }
+
+    async openAttachment(record) {
+        return record;
+    }
+
+    // Pièces jointes d'une note, dans l'ordre d'ajout
+    async getAttachments(noteId) {
+        const transaction = this.db.transaction(['attachments'], 'readonly');
+        const attachments = await promisifyRequest(
+            transaction.objectStore('attachments').index('noteId').getAll(noteId)
+        );
+        const opened = await Promise.all(attachments.map(record => this.openAttachment(record)));
+        return opened.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async getAttachment(uid) {
+        const transaction = this.db.transaction(['attachments'], 'readonly');
+        return this.openAttachment(await promisifyRequest(transaction.objectStore('attachments').get(uid)));
+    }
+
+    // Joindre un fichier (File ou Blob) à une note → pièce jointe enregistrée
+    async addAttachment(noteId, file) {
+        if (file.size > MAX_ATTACHMENT_SIZE) {
+            throw new AttachmentError(
+                `"${file.name}" dépasse la taille maximale de ${formatBytes(MAX_ATTACHMENT_SIZE)}`
+            );
+        }
+
+        // Miniature (et chiffrement) calculés avant d'ouvrir la transaction
+        // (elle se fermerait pendant l'attente)
+        const attachment = await prepareAttachment({
+            uid: generateUid(),
+            noteId,
+            name: file.name || 'fichier',
+            type: file.type || guessMimeType(file.name || ''),
+            size: file.size,
+            blob: file,
+            createdAt: Date.now()
+        });
+        const record = await this.sealAttachment(attachment);
+
+        const transaction = this.db.transaction(['attachments'], 'readwrite');
+        transaction.objectStore('attachments').add(record);
+        try {
+            await transactionDone(transaction);
+        } catch (error) {
+            throw toStorageError(error);
+        }
+
+        console.log('📎 Pièce jointe ajoutée:', attachment.name);
+        this.notifyChange({ noteIds: [noteId] });
+        return attachment;
+    }
+
+    async deleteAttachment(uid) {
+        const transaction = this.db.transaction(['attachments'], 'readwrite');
+        const objectStore = transaction.objectStore('attachments');
+        const attachment = await promisifyRequest(objectStore.get(uid));
+        objectStore.delete(uid);
+        await transactionDone(transaction);
+        this.notifyChange({ noteIds: attachment ? [attachment.noteId] : [] });
+    }
+
+    // Supprimer les pièces jointes dont la note n'existe plus
+    async purgeOrphanAttachments() {
+        const transaction = this.db.transaction(['notes', 'attachments'], 'readwrite');
+        const noteIds = new Set(await promisifyRequest(transaction.objectStore('notes').getAllKeys()));
+        const objectStore = transaction.objectStore('attachments');
+        let purged = 0;
+
+        await new Promise((resolve, reject) => {
+            const request = objectStore.index('noteId').openKeyCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                if (!noteIds.has(cursor.key)) {
+                    objectStore.delete(cursor.primaryKey);
+                    purged++;
+                }
+                cursor.continue();
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+
+        await transactionDone(transaction);
+        if (purged > 0) {
+            console.log('🧹 Pièces jointes orphelines supprimées:', purged);
+        }
+        return purged;
+    }
+
+    // Résoudre un conflit de synchronisation avec le texte choisi/fusionné
+    async resolveConflict(id, resolution) {
+        const transaction = this.db.transaction(
+            ['notes', 'outbox', 'noteRevisions', 'searchIndex', 'searchDocs'], 'readwrite'
+        );
+        const objectStore = transaction.objectStore('notes');
+
+        return new Promise((resolve, reject) => {
+            const getRequest = objectStore.get(id);
+
+            getRequest.onsuccess = () => {
+                const note = getRequest.result;
+
+                if (!note || !note.conflict) {
+                    reject(new Error('Aucun conflit à résoudre'));
+                    return;
+                }
+
+                const { conflict, ...rest } = note;
+                const resolvedNote = {
+                    ...rest,
+                    title: resolution.title,
+                    content: resolution.content,
+                    // La version distante devient la base de la prochaine fusion
+                    revision: conflict.revision,
+                    syncBase: toSyncBase(conflict),
+                    updatedAt: Date.now()
+                };
+
+                const updateRequest = objectStore.put(resolvedNote);
+                SyncEngine.recordMutation(transaction, 'update', note.uid, { clearConflict: true });
+                this.recordRevision(transaction, note, resolvedNote, true);
+                this.indexNote(transaction, resolvedNote, note);
+
+                updateRequest.onsuccess = () => {
+                    console.log('✅ Conflit résolu, ID:', id);
+                    this.notifyChange({ noteIds: [id] });
+                    resolve(resolvedNote);
+                };
+
+                updateRequest.onerror = () => {
+                    console.error('❌ Erreur résolution conflit:', updateRequest.error);
+                    reject(updateRequest.error);
+                };
+            };
+
+            getRequest.onerror = () => {
+                reject(getRequest.error);
+            };
+        });
+    }
+
+    // Récupérer tous les carnets
+    async getNotebooks() {
+        const transaction = this.db.transaction(['notebooks'], 'readonly');
+        const objectStore = transaction.objectStore('notebooks');
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Créer un carnet (à la racine si parentUid est null)
+    async addNotebook(name, parentUid = null) {
+        const transaction = this.db.transaction(['notebooks', 'outbox'], 'readwrite');
+        const notebook = {
+            uid: generateUid(),
+            name: name.trim(),
+            parentUid,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        return new Promise((resolve, reject) => {
+            const request = transaction.objectStore('notebooks').add(notebook);
+            SyncEngine.recordMutation(transaction, 'notebook', notebook.uid);
+            request.onsuccess = () => {
+                console.log('📁 Carnet créé:', notebook.name);
+                this.notifyChange();
+                resolve(notebook);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Renommer un carnet
+    async renameNotebook(uid, name) {
+        const transaction = this.db.transaction(['notebooks', 'outbox'], 'readwrite');
+        const objectStore = transaction.objectStore('notebooks');
+
+        return new Promise((resolve, reject) => {
+            const getRequest = objectStore.get(uid);
+
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    reject(new Error('Carnet introuvable'));
+                    return;
+                }
+                const notebook = { ...getRequest.result, name: name.trim(), updatedAt: Date.now() };
+                SyncEngine.recordMutation(transaction, 'notebook', uid);
+                objectStore.put(notebook).onsuccess = () => {
+                    this.notifyChange();
+                    resolve(notebook);
+                };
+            };
+
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Supprimer un carnet et ses sous-carnets, en une transaction. Leurs notes
+    // sont déplacées vers "targetUid" (null = sans carnet) ou mises à la corbeille.
+    // Retourne le nombre de notes concernées.
+    async deleteNotebook(uid, { trashNotes = false, targetUid = null } = {}) {
+        const transaction = this.db.transaction(
+            ['notebooks', 'notes', 'outbox', 'searchIndex', 'searchDocs'], 'readwrite'
+        );
+        const notebooksStore = transaction.objectStore('notebooks');
+        const notesStore = transaction.objectStore('notes');
+
+        const subtree = collectNotebookSubtree(await promisifyRequest(notebooksStore.getAll()), uid);
+        if (targetUid && subtree.has(targetUid)) {
+            transaction.abort();
+            throw new Error('Impossible de déplacer les notes dans un carnet supprimé');
+        }
+
+        const now = Date.now();
+        let moved = 0;
+        for (const notebookUid of subtree) {
+            const notes = await promisifyRequest(notesStore.index('notebookUid').getAll(notebookUid));
+            notes.forEach((note) => {
+                const updatedNote = trashNotes && !note.deletedAt
+                    // Restaurée plus tard, la note reviendra sans carnet
+                    ? { ...note, notebookUid: null, deletedAt: now, updatedAt: now }
+                    : { ...note, notebookUid: targetUid, updatedAt: now };
+                notesStore.put(updatedNote);
+                SyncEngine.recordMutation(transaction, 'update', note.uid);
+                this.indexNote(transaction, updatedNote, note);
+            });
+            moved += notes.length;
+            notebooksStore.delete(notebookUid);
+            SyncEngine.recordMutation(transaction, 'notebook-delete', notebookUid);
+        }
+
+        await transactionDone(transaction);
+        console.log('📁 Carnet supprimé:', uid, `(${moved} note(s) ${trashNotes ? 'à la corbeille' : 'déplacée(s)'})`);
+        this.notifyChange();
+        return moved;
+    }
+
+    // Exporter toute la base (voir "SAUVEGARDE") → objet JSON
+    async exportData() {
+        const transaction = this.db.transaction(['notes', 'notebooks', 'noteRevisions', 'attachments'], 'readonly');
+        const [notes, notebooks, revisions, attachments] = await Promise.all([
+            promisifyRequest(transaction.objectStore('notes').getAll()),
+            promisifyRequest(transaction.objectStore('notebooks').getAll()),
+            promisifyRequest(transaction.objectStore('noteRevisions').getAll()),
+            promisifyRequest(transaction.objectStore('attachments').getAll())
+        ]);
+
+        const revisionsByNote = new Map();
+        revisions.forEach(({ id, noteId, ...revision }) => {
+            if (!revisionsByNote.has(noteId)) revisionsByNote.set(noteId, []);
+            revisionsByNote.get(noteId).push(revision);
+        });
+
+        // Fichiers en base64 et en clair, sans la miniature (recalculée à
+        // l'import) ; un fichier illisible (autre phrase secrète) est omis
+        const attachmentsByNote = new Map();
+        for (const record of attachments) {
+            const { noteId, blob, thumbnail, unreadable, ...attachment } = await this.openAttachment(record);
+            if (unreadable) continue;
+            if (!attachmentsByNote.has(noteId)) attachmentsByNote.set(noteId, []);
+            attachmentsByNote.get(noteId).push({ ...attachment, data: await blobToBase64(blob) });
+        }
+
+        return {
+            format: EXPORT_FORMAT,
+            formatVersion: EXPORT_FORMAT_VERSION,
+            schemaVersion: this.version,
+            exportedAt: Date.now(),
+            notebooks,
+            notes: notes.map(note => ({
+                ...toExportedNote(note),
+                revisions: revisionsByNote.get(note.id) || [],
+                attachments: attachmentsByNote.get(note.id) || []
+            }))
+        };
+    }
+
+    // Importer des carnets ; un carnet existant (même uid) n'est remplacé
+    // qu'avec collision = 'overwrite'
+    async importNotebooks(notebooks, collision = 'skip') {
+        const transaction = this.db.transaction(['notebooks', 'outbox'], 'readwrite');
+        const objectStore = transaction.objectStore('notebooks');
+
+        for (const notebook of notebooks) {
+            const existing = await promisifyRequest(objectStore.get(notebook.uid));
+            if (!existing || collision === 'overwrite') {
+                objectStore.put(notebook);
+                SyncEngine.recordMutation(transaction, 'notebook', notebook.uid);
+            }
+        }
+
+        await transactionDone(transaction);
+        this.notifyChange();
+    }
+
+    // Importer des notes par lots : une transaction par lot, et une pause entre
+    // deux lots pour laisser l'interface respirer.
+    // records : [{ note, revisions, attachments }] ; une note dont l'uid existe
+    // déjà est ignorée ('skip'), remplace l'existante ('overwrite', l'ancienne
+    // version reste dans l'historique) ou est ajoutée comme copie ('duplicate').
+    async importNotes(records, { collision = 'skip', onProgress } = {}) {
+        const summary = { created: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+
+        for (let start = 0; start < records.length; start += IMPORT_BATCH_SIZE) {
+            const batch = [];
+            for (const record of records.slice(start, start + IMPORT_BATCH_SIZE)) {
+                batch.push(await this.prepareImportRecord(record, collision));
+            }
+
+            const transaction = this.db.transaction(
+                ['notes', 'outbox', 'noteRevisions', 'attachments', 'searchIndex', 'searchDocs'], 'readwrite'
+            );
+            const notesStore = transaction.objectStore('notes');
+            const revisionsStore = transaction.objectStore('noteRevisions');
+            const attachmentsStore = transaction.objectStore('attachments');
+
+            for (const { note, revisions, attachments, copy } of batch) {
+                const existing = await promisifyRequest(notesStore.index('uid').get(note.uid));
+
+                if (existing && collision === 'skip') {
+                    summary.skipped++;
+                    continue;
+                }
+
+                if (existing && collision === 'overwrite') {
+                    // Garder l'état de synchronisation de la note remplacée
+                    const { id, revision, syncBase } = existing;
+                    const updatedNote = { ...note, id, revision, syncBase, updatedAt: Date.now() };
+                    // Historique de la sauvegarde ajouté à celui de la note, sans
+                    // doublons (sauvegarde de cette même base)
+                    const known = await promisifyRequest(revisionsStore.index('noteId').getAll(id));
+                    const knownDates = new Set(known.map(r => r.createdAt));
+                    notesStore.put(updatedNote);
+                    SyncEngine.recordMutation(transaction, 'update', existing.uid);
+                    this.recordRevision(transaction, existing, updatedNote, true);
+                    this.indexNote(transaction, updatedNote, existing);
+                    revisions
+                        .filter(r => !knownDates.has(r.createdAt))
+                        .forEach(r => revisionsStore.add({ ...r, noteId: id }));
+                    const previous = await promisifyRequest(attachmentsStore.index('noteId').getAllKeys(id));
+                    previous.forEach(key => attachmentsStore.delete(key));
+                    attachments.forEach(attachment => attachmentsStore.put({ ...attachment, noteId: id }));
+                    summary.overwritten++;
+                    continue;
+                }
+
+                const { note: newNote, attachments: newAttachments } = existing ? copy : { note, attachments };
+                const id = await promisifyRequest(notesStore.add(newNote));
+                SyncEngine.recordMutation(transaction, 'create', newNote.uid);
+                this.indexNote(transaction, { ...newNote, id });
+                revisions.forEach(revision => revisionsStore.add({ ...revision, noteId: id }));
+                newAttachments.forEach(attachment => attachmentsStore.put({ ...attachment, noteId: id }));
+                summary[existing ? 'duplicated' : 'created']++;
+            }
+
+            await transactionDone(transaction);
+            if (onProgress) onProgress(Math.min(start + IMPORT_BATCH_SIZE, records.length), records.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        console.log('📥 Import terminé:', summary);
+        this.notifyChange();
+        return summary;
+    }
+
+    // Préparer un enregistrement hors transaction : miniatures, et copie
+    // ('duplicate') avec de nouveaux uids pour la note et ses pièces jointes,
+    // renvois du contenu compris
+    async prepareImportRecord(record, collision) {
+        const attachments = await Promise.all((record.attachments || []).map(prepareAttachment));
+        if (collision !== 'duplicate') return { ...record, attachments };
+
+        const uids = new Map(attachments.map(a => [a.uid, generateUid()]));
+        const copy = {
+            note: {
+                ...record.note,
+                uid: generateUid(),
+                content: record.note.content.replace(ATTACHMENT_REF_PATTERN, (ref, uid) => (
+                    uids.has(uid) ? ATTACHMENT_SCHEME + uids.get(uid) : ref
+                ))
+            },
+            attachments: attachments.map(a => ({ ...a, uid: uids.get(a.uid) }))
+        };
+        return { ...record, attachments, copy };
+    }
+
+    // Lire un réglage
+    async getSetting(key) {
+        const transaction = this.db.transaction(['settings'], 'readonly');
+        const objectStore = transaction.objectStore('settings');
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.value : undefined);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    // Enregistrer un réglage
+    async setSetting(key, value) {
+        const transaction = this.db.transaction(['settings'], 'readwrite');
+        const objectStore = transaction.objectStore('settings');
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.put({ key, value });
+
+            request.onsuccess = () => {
+                this.notifyChange({ setting: key });
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.error('❌ Erreur enregistrement réglage:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // Taille approximative du contenu de chaque object store
+    // → { notes: octets, noteRevisions: octets, ... }
+    async measureStores() {
+        const storeNames = [...this.db.objectStoreNames];
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        const sizes = {};
+
+        await Promise.all(storeNames.map(name => new Promise((resolve, reject) => {
+            sizes[name] = 0;
+            const request = transaction.objectStore(name).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                sizes[name] += estimateSize(cursor.value);
+                cursor.continue();
+            };
+
+            request.onerror = () => reject(request.error);
+        })));
+
+        return sizes;
+    }
+
+    // Compter les notes de chaque tag (hors corbeille)
+    // → [{ tag, count }] par ordre alphabétique
+    async getTagCounts() {
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const index = transaction.objectStore('notes').index('tags');
+
+        return new Promise((resolve, reject) => {
+            const counts = new Map();
+            const request = index.openCursor();
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (!cursor.value.deletedAt) {
+                        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+                    }
+                    cursor.continue();
+                } else {
+                    resolve([...counts]
+                        .map(([tag, count]) => ({ tag, count }))
+                        .sort((a, b) => a.tag.localeCompare(b.tag, 'fr')));
+                }
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Renommer un tag sur toutes ses notes ; s'il existe déjà, les deux
+    // tags sont fusionnés. Retourne le nombre de notes modifiées.
+    async renameTag(tag, newName) {
+        const target = normalizeTag(newName);
+        if (!target) {
+            throw new Error('Nom de tag vide');
+        }
+        return this.replaceTag(tag, target);
+    }
+
+    // Retirer un tag de toutes ses notes
+    async deleteTag(tag) {
+        return this.replaceTag(tag, null);
+    }
+
+    // Remplacer (ou retirer si "replacement" est null) un tag sur toutes
+    // ses notes, en une seule transaction
+    async replaceTag(tag, replacement) {
+        const transaction = this.db.transaction(['notes', 'outbox', 'searchIndex', 'searchDocs'], 'readwrite');
+        const objectStore = transaction.objectStore('notes');
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.index('tags').getAll(tag);
+
+            request.onsuccess = () => {
+                const now = Date.now();
+                request.result.forEach((note) => {
+                    const updatedNote = {
+                        ...note,
+                        tags: normalizeTags(note.tags.map(t => t === tag ? replacement : t).filter(Boolean)),
+                        updatedAt: now
+                    };
+                    objectStore.put(updatedNote);
+                    SyncEngine.recordMutation(transaction, 'update', note.uid);
+                    this.indexNote(transaction, updatedNote, note);
+                });
+            };
+
+            transaction.oncomplete = () => {
+                console.log('🏷️ Tag', replacement ? `renommé en "${replacement}"` : 'supprimé', ':', tag);
+                this.notifyChange({ noteIds: request.result.map(note => note.id) });
+                resolve(request.result.length);
+            };
+
+            transaction.onerror = () => {
+                console.error('❌ Erreur modification tag:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // Indexer une note (dans la transaction de l'écriture).
+    // Si "previous" est fourni et que le texte n'a pas changé, seule la date
+    // d'indexation est mise à jour.
+    indexNote(transaction, note, previous = null) {
+        const searchIndex = transaction.objectStore('searchIndex');
+        const { doc, title, content } = analyzeSearchNote(note);
+
+        transaction.objectStore('searchDocs').put(doc);
+
+        if (previous && previous.title === note.title && previous.content === note.content) {
+            return;
+        }
+
+        const terms = new Set([...title.keys(), ...content.keys()]);
+        const request = searchIndex.index('noteId').getAllKeys(note.id);
+
+        request.onsuccess = () => {
+            // Retirer les termes disparus, réécrire les autres
+            request.result
+                .filter(([term]) => !terms.has(term))
+                .forEach(key => searchIndex.delete(key));
+
+            terms.forEach((term) => {
+                searchIndex.put({
+                    term,
+                    noteId: note.id,
+                    title: title.get(term) || [],
+                    content: content.get(term) || []
+                });
+            });
+        };
+    }
+
+    // Retirer une note de l'index (dans la transaction de suppression)
+    unindexNote(transaction, noteId) {
+        const searchIndex = transaction.objectStore('searchIndex');
+        const request = searchIndex.index('noteId').getAllKeys(noteId);
+
+        request.onsuccess = () => {
+            request.result.forEach(key => searchIndex.delete(key));
+        };
+        transaction.objectStore('searchDocs').delete(noteId);
+    }
+
+    // Réindexer les notes modifiées hors de NotesDB (synchronisation,
+    // première ouverture après la mise à niveau du schéma)
+    async refreshSearchIndex() {
+        const allNotes = await this.getAllRecords();
+        const readTransaction = this.db.transaction(['searchDocs'], 'readonly');
+        const docs = await promisifyRequest(readTransaction.objectStore('searchDocs').getAll());
+
+        const docsById = new Map(docs.map(doc => [doc.noteId, doc]));
+        const noteIds = new Set(allNotes.map(note => note.id));
+        const stale = allNotes.filter(note => docsById.get(note.id)?.updatedAt !== note.updatedAt);
+        const removed = docs.filter(doc => !noteIds.has(doc.noteId));
+
+        if (stale.length === 0 && removed.length === 0) return 0;
+
+        const transaction = this.db.transaction(['searchIndex', 'searchDocs'], 'readwrite');
+        stale.forEach(note => this.indexNote(transaction, note));
+        removed.forEach(doc => this.unindexNote(transaction, doc.noteId));
+        await transactionDone(transaction);
+
+        console.log('🔎 Index de recherche mis à jour:', stale.length, 'note(s)');
+        return stale.length + removed.length;
+    }
+
+    // Index à interroger pour une recherche (StoredSearchIndex ou MemorySearchIndex)
+    async openSearchIndex() {
+        return new StoredSearchIndex(this.db.transaction(['searchIndex', 'searchDocs'], 'readonly'));
+    }
+
+    // Notes correspondant à un mot (par préfixe, sauf mot exact entre guillemets)
+    // → Map noteId → { score, terms }
+    async matchSearchTerm(searchIndex, stats, { term, prefix }) {
+        const entries = await searchIndex.getEntries(term, prefix);
+        const frequencies = new Map();
+        const found = new Map();
+
+        entries.forEach((entry) => {
+            // Un mot complet compte plus qu'un simple préfixe
+            const weight = entry.term === term ? 1 : SEARCH_PREFIX_WEIGHT;
+            const current = frequencies.get(entry.noteId) || { title: 0, content: 0 };
+            frequencies.set(entry.noteId, {
+                title: current.title + entry.title.length * weight,
+                content: current.content + entry.content.length * weight
+            });
+            if (!found.has(entry.noteId)) found.set(entry.noteId, []);
+            found.get(entry.noteId).push(entry.term);
+        });
+
+        const matches = new Map();
+        rankSearchFrequencies(frequencies, stats).forEach((score, noteId) => {
+            matches.set(noteId, { score, terms: found.get(noteId) });
+        });
+        return matches;
+    }
+
+    // Notes contenant une expression (mots consécutifs)
+    // → Map noteId → { score, terms }
+    async matchSearchPhrase(searchIndex, stats, words) {
+        const byNote = new Map();
+        for (const word of words) {
+            const entries = await searchIndex.getEntries(word);
+            entries.forEach((entry) => {
+                if (!byNote.has(entry.noteId)) byNote.set(entry.noteId, { title: new Map(), content: new Map() });
+                byNote.get(entry.noteId).title.set(word, entry.title);
+                byNote.get(entry.noteId).content.set(word, entry.content);
+            });
+        }
+
+        const frequencies = new Map();
+        byNote.forEach((fields, noteId) => {
+            const title = countPhrase(fields.title, words);
+            const content = countPhrase(fields.content, words);
+            if (title + content > 0) frequencies.set(noteId, { title, content });
+        });
+
+        const matches = new Map();
+        rankSearchFrequencies(frequencies, stats).forEach((score, noteId) => {
+            matches.set(noteId, { score, terms: words });
+        });
+        return matches;
+    }
+
+    // Notes à tester contre la requête : celles d'un mot obligatoire si possible,
+    // sinon celles d'un tag (index tags) ou d'un intervalle de dates
+    // (index createdAt/updatedAt), sinon toutes
+    async getSearchCandidates(transaction, tree, matches) {
+        const notesStore = transaction.objectStore('notes');
+        const required = tree.type === 'and' ? tree.children : [tree];
+
+        const textNode = required.find(node => matches.has(node));
+        if (textNode) {
+            const notes = await Promise.all(
+                [...matches.get(textNode).keys()].map(id => promisifyRequest(notesStore.get(id)))
+            );
+            return notes.filter(Boolean);
+        }
+
+        const tagFilter = required.find(node => node.field === 'tag');
+        if (tagFilter) {
+            return promisifyRequest(notesStore.index('tags').getAll(tagFilter.value));
+        }
+
+        const dateFilter = required.find(node => node.field === 'created' || node.field === 'updated');
+        if (dateFilter) {
+            const { lower, upper } = dateFilter;
+            const range = lower === undefined ? IDBKeyRange.upperBound(upper, true)
+                : upper === undefined ? IDBKeyRange.lowerBound(lower)
+                : IDBKeyRange.bound(lower, Math.max(lower, upper), false, true);
+            return promisifyRequest(notesStore.index(`${dateFilter.field}At`).getAll(range));
+        }
+
+        return promisifyRequest(notesStore.getAll());
+    }
+
+    // Rechercher des notes avec le langage de requête (voir plus haut),
+    // triées par pertinence. Lève SearchQueryError si la requête est invalide.
+    async searchNotes(query) {
+        const tree = parseSearchQuery(query);
+        if (!tree) {
+            return this.getAllNotes();
+        }
+
+        const searchIndex = await this.openSearchIndex();
+        const stats = computeSearchStats(await searchIndex.getDocs());
+
+        // Résoudre chaque mot et expression dans l'index
+        const matches = new Map();
+        for (const node of collectSearchNodes(tree, n => n.type === 'term' || n.type === 'phrase')) {
+            matches.set(node, node.type === 'term'
+                ? await this.matchSearchTerm(searchIndex, stats, node)
+                : await this.matchSearchPhrase(searchIndex, stats, node.words));
+        }
+
+        const transaction = this.db.transaction(['notes'], 'readonly');
+        const candidates = await this.getSearchCandidates(transaction, tree, matches);
+        const results = [];
+        candidates.forEach((note) => {
+            const match = !note.deletedAt && evaluateSearchNode(tree, note, matches);
+            if (match) {
+                results.push({ ...note, searchMatch: { score: match.score, terms: [...new Set(match.terms)] } });
+            }
+        });
+
+        return results.sort((a, b) => b.searchMatch.score - a.searchMatch.score || b.updatedAt - a.updatedAt);
+    }
+}
+
+// ============================================
+// CHIFFREMENT DE BOUT EN BOUT
+// ============================================
+// Optionnel : le titre et le contenu des notes (historique et conflits
+// compris) sont chiffrés avec AES-GCM, sous une clé dérivée d'une phrase
+// secrète (PBKDF2). La clé ne quitte pas la mémoire de la page : le Service
+// Worker et le serveur de synchronisation ne voient que du texte chiffré.
+// Les pièces jointes (nom, fichier, miniature) sont chiffrées avec la même clé.
+// Tags, couleurs, carnets, dates, types et tailles des fichiers restent en clair.
+//
+// Réglage "encryption" : { salt, iterations, verifier }, où "verifier" est
+// un texte connu chiffré avec la clé pour vérifier la phrase secrète.
+
+const ENCRYPTION_KDF_ITERATIONS = 600000;
+const ENCRYPTION_VERIFIER = 'notesflow';
+const ENCRYPTED_FIELDS = ['title', 'content'];
+const ENCRYPTION_BATCH_SIZE = 100;
+// Réécriture recommencée tant que des notes changent pendant le calcul
+const ENCRYPTION_REWRITE_ATTEMPTS = 5;
+const MIN_PASSPHRASE_LENGTH = 8;
+// Verrouillage automatique après inactivité (0 = jamais)
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const AUTO_LOCK_CHECK_MS = 15 * 1000;
+// Textes déchiffrés gardés en mémoire (vidés au verrouillage)
+const DECRYPTED_CACHE_SIZE = 5000;
+
+// Phrase secrète incorrecte, ou notes verrouillées
+class EncryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EncryptionError';
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// Dériver la clé AES-GCM d'une phrase secrète ("salt" en base64)
+async function deriveEncryptionKey(passphrase, salt, iterations = ENCRYPTION_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Chiffrer un texte → "enc:v1:<sel>:<iv>:<données>". Le nom du champ est
+// authentifié : un titre chiffré ne peut pas passer pour un contenu.
+async function encryptText(key, salt, field, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(field) },
+        key,
+        new TextEncoder().encode(text)
+    );
+    return `enc:v1:${salt}:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(data))}`;
+}
+
+// Déchiffrer un texte d'encryptText ; "keys" : Map sel → clé.
+// Échoue si la clé manque ou si le texte a été altéré.
+async function decryptText(keys, field, value) {
+    const [, salt, iv, data] = value.match(ENCRYPTED_TEXT_PATTERN);
+    if (!keys.has(salt)) {
+        throw new EncryptionError('Texte chiffré avec une autre phrase secrète');
+    }
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv), additionalData: new TextEncoder().encode(field) },
+        keys.get(salt),
+        base64ToBytes(data)
+    );
+    return new TextDecoder().decode(plain);
+}
+
+// Chiffrer un fichier (Blob) → { salt, iv, data: Blob chiffré }, avec le
+// même schéma que encryptText : le nom du champ est authentifié
+async function encryptBlob(key, salt, field, blob) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(field) },
+        key,
+        await blob.arrayBuffer()
+    );
+    return { salt, iv: bytesToBase64(iv), data: new Blob([data]) };
+}
+
+// Déchiffrer un fichier d'encryptBlob → Blob du type "type"
+async function decryptBlob(keys, field, sealed, type) {
+    if (!keys.has(sealed.salt)) {
+        throw new EncryptionError('Fichier chiffré avec une autre phrase secrète');
+    }
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(sealed.iv), additionalData: new TextEncoder().encode(field) },
+        keys.get(sealed.salt),
+        await sealed.data.arrayBuffer()
+    );
+    return new Blob([plain], { type });
+}
+
+function isEncryptedBlob(value) {
+    return !!value && !(value instanceof Blob) && typeof value.salt === 'string' && value.data instanceof Blob;
+}
+
+// Sels des textes chiffrés d'une note (un par appareil qui l'a chiffrée)
+function collectEncryptionSalts(note, salts = new Set()) {
+    [note.title, note.content, note.conflict?.title, note.conflict?.content].forEach((value) => {
+        if (isEncryptedText(value)) salts.add(value.match(ENCRYPTED_TEXT_PATTERN)[1]);
+    });
+    return salts;
+}
+
+// NotesDB avec chiffrement : les textes sont chiffrés à l'entrée et déchiffrés
+// à la sortie, le reste de l'application ne manipule que du texte en clair.
+// Web Crypto étant asynchrone, tout est chiffré avant d'ouvrir les transactions.
+// Sans chiffrement activé, tout est délégué tel quel à NotesDB.
+class EncryptedNotesDB extends NotesDB {
+    constructor() {
+        super();
+        this.encryption = null;
+        this.keys = null;
+        this.decrypted = new Map();
+        // L'index persistant contiendrait les mots en clair : en mémoire seulement
+        this.memoryIndex = new MemorySearchIndex();
+        this.indexing = Promise.resolve();
+    }
+
+    async init() {
+        const db = await super.init();
+        this.encryption = (await this.getSetting('encryption')) || null;
+        return db;
+    }
+
+    isEncrypted() {
+        return !!this.encryption;
+    }
+
+    isLocked() {
+        return !!this.encryption && !this.keys;
+    }
+
+    requireUnlocked() {
+        if (this.isLocked()) {
+            throw new EncryptionError('Notes verrouillées');
+        }
+    }
+
+    // Vérifier la phrase secrète → clé de cet appareil
+    async verifyPassphrase(passphrase) {
+        const { salt, iterations, verifier } = this.encryption;
+        const key = await deriveEncryptionKey(passphrase, salt, iterations);
+        try {
+            await decryptText(new Map([[salt, key]]), 'verifier', verifier);
+        } catch (error) {
+            throw new EncryptionError('Phrase secrète incorrecte');
+        }
+        return key;
+    }
+
+    // Clés des notes chiffrées par d'autres appareils avec la même phrase
+    // secrète (leur sel diffère) ; une autre phrase donnera des notes illisibles
+    async deriveForeignKeys(passphrase, keys) {
+        const salts = new Set();
+        (await super.getAllRecords()).forEach(note => collectEncryptionSalts(note, salts));
+        // Pièces jointes d'un changement de phrase secrète interrompu
+        const transaction = this.db.transaction(['attachments'], 'readonly');
+        (await promisifyRequest(transaction.objectStore('attachments').getAll())).forEach((attachment) => {
+            if (isEncryptedText(attachment.name)) salts.add(attachment.name.match(ENCRYPTED_TEXT_PATTERN)[1]);
+        });
+
+        for (const salt of salts) {
+            if (!keys.has(salt)) {
+                keys.set(salt, await deriveEncryptionKey(passphrase, salt));
+            }
+        }
+        return keys;
+    }
+
+    async unlock(passphrase) {
+        const key = await this.verifyPassphrase(passphrase);
+        this.keys = await this.deriveForeignKeys(passphrase, new Map([[this.encryption.salt, key]]));
+        console.log('🔓 Notes déverrouillées');
+    }
+
+    // Oublier les clés et tout le texte déchiffré
+    lock() {
+        this.keys = null;
+        this.decrypted.clear();
+        this.memoryIndex.clear();
+        console.log('🔒 Notes verrouillées');
+    }
+
+    // Chiffrement activé, modifié ou désactivé dans un autre onglet : relire
+    // le réglage et oublier les clés (la phrase secrète a pu changer)
+    async reloadEncryption() {
+        this.encryption = (await this.getSetting('encryption')) || null;
+        this.lock();
+    }
+
+    // Activer le chiffrement : toutes les notes sont chiffrées et renvoyées
+    // au serveur, l'index de recherche persistant est effacé
+    async enableEncryption(passphrase, onProgress) {
+        const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await deriveEncryptionKey(passphrase, salt);
+        const encryption = {
+            salt,
+            iterations: ENCRYPTION_KDF_ITERATIONS,
+            verifier: await encryptText(key, salt, 'verifier', ENCRYPTION_VERIFIER)
+        };
+
+        await this.rewriteNoteTexts(
+            async (field, value) => isEncryptedText(value) ? value : encryptText(key, salt, field, value),
+            { encryption, sync: true, onProgress }
+        );
+
+        this.encryption = encryption;
+        this.keys = await this.deriveForeignKeys(passphrase, new Map([[salt, key]]));
+        await this.rewriteAttachments(attachment => this.sealAttachment(attachment));
+        console.log('🔐 Chiffrement activé');
+    }
+
+    // Changer de phrase secrète : nouveau sel, tout est rechiffré
+    async changePassphrase(currentPassphrase, newPassphrase, onProgress) {
+        await this.verifyPassphrase(currentPassphrase);
+        const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await deriveEncryptionKey(newPassphrase, salt);
+        const encryption = {
+            salt,
+            iterations: ENCRYPTION_KDF_ITERATIONS,
+            verifier: await encryptText(key, salt, 'verifier', ENCRYPTION_VERIFIER)
+        };
+
+        await this.rewriteNoteTexts(async (field, value) => {
+            const plain = await this.decryptValue(field, value, null);
+            // Illisible (autre phrase secrète) : laissé tel quel
+            return plain === null ? value : encryptText(key, salt, field, plain);
+        }, { encryption, sync: true, onProgress });
+
+        // Les anciennes clés restent utiles aux notes illisibles
+        this.keys = new Map([...this.keys, [salt, key]]);
+        this.encryption = encryption;
+        await this.rewriteAttachments(async (record) => {
+            const attachment = await this.openAttachment(record);
+            return attachment.unreadable ? record : this.sealAttachment(attachment);
+        });
+        console.log('🔐 Phrase secrète modifiée');
+    }
+
+    // Désactiver le chiffrement : tout est déchiffré et renvoyé au serveur
+    async disableEncryption(passphrase, onProgress) {
+        await this.verifyPassphrase(passphrase);
+
+        // Fichiers déchiffrés d'abord : ils restent lisibles si l'opération
+        // s'interrompt (les fichiers en clair sont acceptés tels quels)
+        await this.rewriteAttachments(async (record) => {
+            const attachment = await this.openAttachment(record);
+            return attachment.unreadable ? record : attachment;
+        });
+
+        await this.rewriteNoteTexts(async (field, value) => {
+            const plain = await this.decryptValue(field, value, null);
+            return plain === null ? value : plain;
+        }, { encryption: null, sync: true, onProgress });
+
+        this.lock();
+        this.encryption = null;
+        console.log('🔓 Chiffrement désactivé');
+    }
+
+    // Réécrire le texte des notes retenues par "filter" (conflits et historique
+    // compris) avec transform(field, value) → Promise<value>. Calculé par lots
+    // hors transaction puis écrit d'un bloc, avec le nouveau réglage "encryption"
+    // s'il est fourni : une interruption ne mélange pas deux clés. Les notes
+    // modifiées ou créées entre-temps (autre onglet, synchronisation) sont
+    // recalculées avant d'écrire ; au-delà de ENCRYPTION_REWRITE_ATTEMPTS
+    // essais, rien n'est écrit (EncryptionError).
+    async rewriteNoteTexts(transform, { filter = () => true, encryption, sync = false, onProgress } = {}) {
+        const rewriteFields = async (record) => {
+            if (!record) return record;
+            const rewritten = { ...record };
+            for (const field of ENCRYPTED_FIELDS) {
+                if (typeof record[field] === 'string') {
+                    rewritten[field] = await transform(field, record[field]);
+                }
+            }
+            return rewritten;
+        };
+        const rewriteNote = async (note) => {
+            const rewritten = await rewriteFields(note);
+            if (note.conflict) {
+                rewritten.conflict = {
+                    ...(await rewriteFields(note.conflict)),
+                    base: await rewriteFields(note.conflict.base)
+                };
+            }
+            return rewritten;
+        };
+
+        // id → { updatedAt (note lue), note et historique réécrits }
+        const results = new Map();
+
+        for (let attempt = 1; attempt <= ENCRYPTION_REWRITE_ATTEMPTS; attempt++) {
+            const readTransaction = this.db.transaction(['notes', 'noteRevisions'], 'readonly');
+            const [allNotes, allRevisions] = await Promise.all([
+                promisifyRequest(readTransaction.objectStore('notes').getAll()),
+                promisifyRequest(readTransaction.objectStore('noteRevisions').getAll())
+            ]);
+            const notes = allNotes.filter(filter);
+            const noteIds = new Set(notes.map(note => note.id));
+            [...results.keys()].filter(id => !noteIds.has(id)).forEach(id => results.delete(id));
+
+            // Au premier essai toutes les notes, ensuite celles modifiées depuis
+            const todo = notes.filter(note => results.get(note.id)?.updatedAt !== note.updatedAt);
+            for (let start = 0; start < todo.length; start += ENCRYPTION_BATCH_SIZE) {
+                await Promise.all(todo.slice(start, start + ENCRYPTION_BATCH_SIZE).map(async (note) => {
+                    results.set(note.id, {
+                        updatedAt: note.updatedAt,
+                        note: await rewriteNote(note),
+                        revisions: await Promise.all(allRevisions
+                            .filter(revision => revision.noteId === note.id)
+                            .map(rewriteFields))
+                    });
+                }));
+                if (onProgress) onProgress(Math.min(start + ENCRYPTION_BATCH_SIZE, todo.length), todo.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            const stores = ['notes', 'noteRevisions', 'outbox', 'settings', 'searchIndex', 'searchDocs'];
+            const transaction = this.db.transaction(stores, 'readwrite');
+            const notesStore = transaction.objectStore('notes');
+            const revisionsStore = transaction.objectStore('noteRevisions');
+
+            // Vérifié dans la transaction d'écriture : rien ne peut plus changer
+            const current = (await promisifyRequest(notesStore.getAll())).filter(filter);
+            const changed = current.filter(note => results.get(note.id)?.updatedAt !== note.updatedAt);
+            if (changed.length > 0 || current.length !== results.size) {
+                transaction.abort();
+                await transactionDone(transaction).catch(() => {});
+                console.log('🔁 Notes modifiées pendant la réécriture, nouvel essai:', changed.length);
+                continue;
+            }
+
+            results.forEach(({ note, revisions }) => {
+                notesStore.put(note);
+                if (sync) SyncEngine.recordMutation(transaction, 'update', note.uid);
+                revisions.forEach(revision => revisionsStore.put(revision));
+            });
+
+            if (encryption !== undefined) {
+                transaction.objectStore('settings').put({ key: 'encryption', value: encryption });
+                // Avec ou sans chiffrement, l'index persistant repart de zéro
+                transaction.objectStore('searchIndex').clear();
+                transaction.objectStore('searchDocs').clear();
+            }
+
+            await transactionDone(transaction);
+            this.notifyChange(encryption !== undefined ? { setting: 'encryption' } : {});
+            return results.size;
+        }
+
+        throw new EncryptionError('Des notes ont été modifiées pendant l\'opération : réessayez');
+    }
+
+    // Réécrire les pièces jointes retenues par "filter" avec rewrite(record)
+    // → Promise<record>, une par une : les fichiers peuvent être volumineux.
+    // Une pièce jointe supprimée entre-temps n'est pas recréée.
+    async rewriteAttachments(rewrite, filter = () => true) {
+        const listTransaction = this.db.transaction(['attachments'], 'readonly');
+        const uids = (await promisifyRequest(listTransaction.objectStore('attachments').getAll()))
+            .filter(filter)
+            .map(attachment => attachment.uid);
+        let rewritten = 0;
+
+        for (const uid of uids) {
+            const readTransaction = this.db.transaction(['attachments'], 'readonly');
+            const record = await promisifyRequest(readTransaction.objectStore('attachments').get(uid));
+            if (!record) continue;
+            const updated = await rewrite(record);
+
+            const transaction = this.db.transaction(['attachments'], 'readwrite');
+            const objectStore = transaction.objectStore('attachments');
+            if (await promisifyRequest(objectStore.count(uid)) > 0) {
+                objectStore.put(updated);
+                rewritten++;
+            }
+            await transactionDone(transaction);
+        }
+        return rewritten;
+    }
+
+    // Texte en clair d'un champ ("fallback" si illisible ; lève l'erreur si
+    // "fallback" n'est pas fourni)
+    async decryptValue(field, value, fallback) {
+        if (!isEncryptedText(value)) return value;
+        if (this.decrypted.has(value)) return this.decrypted.get(value);
+
+        try {
+            const plain = await decryptText(this.keys || new Map(), field, value);
+            if (this.decrypted.size >= DECRYPTED_CACHE_SIZE) this.decrypted.clear();
+            this.decrypted.set(value, plain);
+            return plain;
+        } catch (error) {
+            if (fallback !== undefined) return fallback;
+            throw error;
+        }
+    }
+
+    // Chiffrer les champs texte présents dans "record"
+    async encryptFields(record) {
+        if (!this.encryption) return record;
+        this.requireUnlocked();
+
+        const { salt } = this.encryption;
+        const encrypted = { ...record };
+        for (const field of ENCRYPTED_FIELDS) {
+            if (typeof record[field] === 'string') {
+                encrypted[field] = await encryptText(this.keys.get(salt), salt, field, record[field]);
+            }
+        }
+        return encrypted;
+    }
+
+    // Déchiffrer les champs texte de "record". Un texte illisible (autre phrase
+    // secrète, données altérées) est remplacé et la note marquée "unreadable",
+    // sauf avec keepUnreadable (export) où il est gardé chiffré.
+    async decryptFields(record, keepUnreadable = false) {
+        if (!record || !this.encryption) return record;
+        this.requireUnlocked();
+
+        const decrypted = { ...record };
+        for (const field of ENCRYPTED_FIELDS) {
+            if (typeof record[field] !== 'string') continue;
+            const plain = await this.decryptValue(field, record[field], null);
+            if (plain !== null) {
+                decrypted[field] = plain;
+            } else if (!keepUnreadable) {
+                decrypted[field] = field === 'title' ? '🔒 Note illisible' : '';
+                decrypted.unreadable = true;
+            }
+        }
+        return decrypted;
+    }
+
+    async decryptNote(note) {
+        const decrypted = await this.decryptFields(note);
+        if (decrypted && decrypted.conflict && this.encryption) {
+            decrypted.conflict = {
+                ...(await this.decryptFields(decrypted.conflict)),
+                base: await this.decryptFields(decrypted.conflict.base)
+            };
+        }
+        return decrypted;
+    }
+
+    // Nom, fichier et miniature chiffrés (ceux déjà chiffrés sont gardés)
+    async sealAttachment(attachment) {
+        if (!this.encryption) return attachment;
+        this.requireUnlocked();
+
+        const { salt } = this.encryption;
+        const key = this.keys.get(salt);
+        const seal = (field, blob) => (blob instanceof Blob ? encryptBlob(key, salt, field, blob) : blob);
+        return {
+            ...attachment,
+            name: isEncryptedText(attachment.name) ? attachment.name : await encryptText(key, salt, 'name', attachment.name),
+            blob: await seal('blob', attachment.blob),
+            thumbnail: await seal('thumbnail', attachment.thumbnail)
+        };
+    }
+
+    // Pièce jointe en clair ; illisible, elle est marquée "unreadable", sans
+    // fichier ni miniature
+    async openAttachment(record) {
+        if (!record || !this.encryption) return record;
+        this.requireUnlocked();
+
+        try {
+            const open = (field, value, type) => (
+                isEncryptedBlob(value) ? decryptBlob(this.keys, field, value, type) : value
+            );
+            return {
+                ...record,
+                name: await this.decryptValue('name', record.name),
+                blob: await open('blob', record.blob, record.type),
+                thumbnail: await open('thumbnail', record.thumbnail, 'image/webp')
+            };
+        } catch (error) {
+            return { ...record, name: '🔒 Pièce jointe illisible', blob: null, thumbnail: null, unreadable: true };
+        }
+    }
+
+    async addNote(note) {
+        return super.addNote(await this.encryptFields(note));
+    }
+
+    async getAllRecords() {
+        const records = await super.getAllRecords();
+        return Promise.all(records.map(note => this.decryptNote(note)));
+    }
+
+    async getNotesPage(options) {
+        const page = await super.getNotesPage(options);
+        return { ...page, notes: await Promise.all(page.notes.map(note => this.decryptNote(note))) };
+    }
+
+    async getNotes(ids) {
+        const notes = await super.getNotes(ids);
+        return Promise.all(notes.map(note => this.decryptNote(note)));
+    }
+
+    async getRevisions(noteId) {
+        const revisions = await super.getRevisions(noteId);
+        return Promise.all(revisions.map(revision => this.decryptFields(revision)));
+    }
+
+    async restoreRevision(noteId, revisionId) {
+        return this.decryptNote(await super.restoreRevision(noteId, revisionId));
+    }
+
+    async updateNote(id, updates) {
+        return this.decryptNote(await super.updateNote(id, await this.encryptFields(updates)));
+    }
+
+    async resolveConflict(id, resolution) {
+        return this.decryptNote(await super.resolveConflict(id, await this.encryptFields(resolution)));
+    }
+
+    // Les sauvegardes sont exportées en clair
+    async exportData() {
+        const data = await super.exportData();
+        if (!this.encryption) return data;
+
+        const notes = [];
+        for (const note of data.notes) {
+            notes.push({
+                ...(await this.decryptFields(note, true)),
+                revisions: await Promise.all(note.revisions.map(revision => this.decryptFields(revision, true)))
+            });
+        }
+        return { ...data, notes };
+    }
+
+    // Chiffrement après la préparation : les renvois de la copie sont
+    // réécrits sur le texte en clair
+    async prepareImportRecord(record, collision) {
+        const { note, revisions, attachments, copy, ...prepared } = await super.prepareImportRecord(record, collision);
+        const sealAll = list => Promise.all(list.map(attachment => this.sealAttachment(attachment)));
+        return {
+            ...prepared,
+            note: await this.encryptFields(note),
+            revisions: await Promise.all(revisions.map(revision => this.encryptFields(revision))),
+            attachments: await sealAll(attachments),
+            copy: copy && {
+                note: await this.encryptFields(copy.note),
+                attachments: await sealAll(copy.attachments)
+            }
+        };
+    }
+
+    async getSearchCandidates(transaction, tree, matches) {
+        const notes = await super.getSearchCandidates(transaction, tree, matches);
+        return Promise.all(notes.map(note => this.decryptNote(note)));
+    }
+
+    async openSearchIndex() {
+        if (!this.encryption) return super.openSearchIndex();
+        this.requireUnlocked();
+        await this.indexing;
+        return this.memoryIndex;
+    }
+
+    // Index en mémoire mis à jour après coup : la transaction n'attend pas Web Crypto
+    indexNote(transaction, note, previous = null) {
+        if (!this.encryption) return super.indexNote(transaction, note, previous);
+        this.queueIndexing(async () => this.memoryIndex.set(await this.decryptFields(note)));
+    }
+
+    unindexNote(transaction, noteId) {
+        if (!this.encryption) return super.unindexNote(transaction, noteId);
+        this.queueIndexing(async () => this.memoryIndex.delete(noteId));
+    }
+
+    queueIndexing(task) {
+        this.indexing = this.indexing
+            .then(() => this.keys && task())
+            .catch(error => console.error('❌ Erreur index de recherche:', error));
+    }
+
+    // Chiffré : chiffrer les notes reçues en clair d'un appareil sans
+    // chiffrement (sans les renvoyer), puis mettre l'index en mémoire à jour
+    async refreshSearchIndex() {
+        if (!this.encryption) return super.refreshSearchIndex();
+        this.requireUnlocked();
+
+        const { salt } = this.encryption;
+        const hasPlainText = note => ENCRYPTED_FIELDS.some(
+            field => typeof note[field] === 'string' && !isEncryptedText(note[field])
+        );
+        if ((await super.getAllRecords()).some(hasPlainText)) {
+            const sealed = await this.rewriteNoteTexts(
+                async (field, value) => isEncryptedText(value) ? value : encryptText(this.keys.get(salt), salt, field, value),
+                { filter: hasPlainText }
+            );
+            console.log('🔐 Notes reçues en clair chiffrées:', sealed);
+        }
+        // Activation interrompue : pièces jointes restées en clair
+        const sealedFiles = await this.rewriteAttachments(
+            attachment => this.sealAttachment(attachment),
+            attachment => !isEncryptedText(attachment.name)
+        );
+        if (sealedFiles > 0) console.log('🔐 Pièces jointes chiffrées:', sealedFiles);
+
+        await this.indexing;
+        const allNotes = await super.getAllRecords();
+        const noteIds = new Set(allNotes.map(note => note.id));
+        const stale = allNotes.filter(note => this.memoryIndex.docs.get(note.id)?.updatedAt !== note.updatedAt);
+        const removed = [...this.memoryIndex.docs.keys()].filter(id => !noteIds.has(id));
+
+        for (const note of stale) {
+            this.memoryIndex.set(await this.decryptFields(note));
+        }
+        removed.forEach(id => this.memoryIndex.delete(id));
+
+        if (stale.length > 0) {
+            console.log('🔎 Index de recherche (en mémoire) mis à jour:', stale.length, 'note(s)');
+        }
+        return stale.length + removed.length;
+    }
+}
+
+// Instance globale de la DB
+const notesDB = new EncryptedNotesDB();
+
+// Moteur de synchronisation (sync-engine.js), sur la connexion de l'App
+const syncEngine = new SyncEngine({ getDB: () => notesDB.db });
+
+// ============================================
+// MARKDOWN
+// ============================================
+// Analyseur volontairement simple : le texte est transformé en éléments React,
+// jamais en HTML brut (pas de dangerouslySetInnerHTML), ce qui empêche toute
+// injection. Les liens sont limités aux protocoles sûrs.
+
+const MD_FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s{0,3}>\s?/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MD_TASK = /^\[([ xX])\]\s+(.*)$/;
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MD_SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Découper le texte en blocs
+// "offset" : numéro de la première ligne dans le texte source (cases à cocher)
+function parseMarkdown(text, offset = 0) {
+    const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isTableStart = (index) => lines[index].includes('|') &&
+        index + 1 < lines.length && MD_TABLE_SEPARATOR.test(lines[index + 1]) &&
+        lines[index + 1].includes('-');
+
+    const startsBlock = (index) => MD_FENCE.test(lines[index]) || MD_HEADING.test(lines[index]) ||
+        MD_HR.test(lines[index]) || MD_QUOTE.test(lines[index]) ||
+        MD_LIST_ITEM.test(lines[index]) || isTableStart(index);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Bloc de code délimité
+        const fence = line.match(MD_FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && MD_FENCE.test(lines[i]))) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', lang: fence[2], text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(MD_HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (MD_HR.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        if (MD_QUOTE.test(line)) {
+            const start = i;
+            const quoted = [];
+            while (i < lines.length && MD_QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(MD_QUOTE, ''));
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseMarkdown(quoted.join('\n'), offset + start) });
+            continue;
+        }
+
+        if (isTableStart(i)) {
+            const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '')
+                .split('|').map(cell => cell.trim());
+            const header = splitRow(line);
+            const align = splitRow(lines[i + 1]).map((cell) => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                if (cell.endsWith(':')) return 'right';
+                return 'left';
+            });
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+                rows.push(splitRow(lines[i]));
+                i++;
+            }
+            blocks.push({ type: 'table', header, align, rows });
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].match(MD_LIST_ITEM);
+                if (item) {
+                    items.push({
+                        indent: item[1].replace(/\t/g, '    ').length,
+                        ordered: /\d/.test(item[2]),
+                        number: parseInt(item[2], 10) || 1,
+                        text: item[3],
+                        line: offset + i
+                    });
+                    i++;
+                } else if (lines[i].trim() !== '' && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+                    // Ligne de continuation indentée
+                    items[items.length - 1].text += ' ' + lines[i].trim();
+                    i++;
+                } else if (lines[i].trim() === '' && i + 1 < lines.length && MD_LIST_ITEM.test(lines[i + 1])) {
+                    i++;
+                } else {
+                    break;
+                }
+            }
+            let index = 0;
+            while (index < items.length) {
+                const built = buildMarkdownList(items, index);
+                blocks.push(built.list);
+                index = built.next;
+            }
+            continue;
+        }
+
+        // Paragraphe : jusqu'à une ligne vide ou un autre bloc
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !startsBlock(i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+
+    return blocks;
+}
+
+// Construire l'arbre d'une liste à partir de l'indentation des éléments
+function buildMarkdownList(items, start) {
+    const baseIndent = items[start].indent;
+    const list = { type: 'list', ordered: items[start].ordered, start: items[start].number, items: [] };
+    let i = start;
+
+    while (i < items.length && items[i].indent >= baseIndent) {
+        const item = items[i];
+
+        // Passage d'une liste à puces à une liste numérotée : nouvelle liste
+        if (item.indent === baseIndent && item.ordered !== list.ordered) break;
+
+        if (item.indent > baseIndent && list.items.length > 0) {
+            const nested = buildMarkdownList(items, i);
+            list.items[list.items.length - 1].children.push(nested.list);
+            i = nested.next;
+            continue;
+        }
+
+        const task = item.text.match(MD_TASK);
+        list.items.push({
+            text: task ? task[2] : item.text,
+            checked: task ? task[1] !== ' ' : null,
+            line: item.line,
+            children: []
+        });
+        i++;
+    }
+
+    return { list, next: i };
+}
+
+// Découper une ligne en éléments en ligne (gras, italique, code, liens...)
+const MD_INLINE = new RegExp([
+    '\\\\([\\\\`*_{}\\[\\]()#+\\-.!~|>])',                       // 1 : échappement
+    '(`+)([\\s\\S]*?[^`])\\2(?!`)',                               // 2-3 : code
+    '\\[([^\\]]+)\\]\\(\\s*([^)\\s]+)\\s*\\)',                    // 4-5 : lien
+    '(https?:\\/\\/[^\\s<]+[^\\s<.,;:!?)\\]\'"])',                // 6 : URL brute
+    '(\\*\\*|(?<![\\w])__)(?=\\S)([\\s\\S]*?\\S)\\7',             // 7-8 : gras
+    '(\\*|(?<![\\w])_)(?=\\S)([\\s\\S]*?\\S)\\9(?![\\w])',        // 9-10 : italique
+    '~~(?=\\S)([\\s\\S]*?\\S)~~',                                 // 11 : barré
+    '!\\[([^\\]]*)\\]\\(\\s*([^)\\s]+)\\s*\\)',                   // 12-13 : image
+    '\\[\\[([^\\[\\]\\n]+)\\]\\]'                                 // 14 : lien vers une note
+].join('|'));
+
+function parseInline(text) {
+    const tokens = [];
+    let rest = text || '';
+
+    while (rest.length > 0) {
+        const match = rest.match(MD_INLINE);
+        if (!match) {
+            tokens.push({ type: 'text', text: rest });
+            break;
+        }
+
+        if (match.index > 0) {
+            tokens.push({ type: 'text', text: rest.slice(0, match.index) });
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'text', text: match[1] });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'code', text: match[3].trim() });
+        } else if (match[4] !== undefined) {
+            tokens.push({ type: 'link', href: match[5], children: parseInline(match[4]) });
+        } else if (match[6] !== undefined) {
+            tokens.push({ type: 'link', href: match[6], children: [{ type: 'text', text: match[6] }] });
+        } else if (match[7] !== undefined) {
+            tokens.push({ type: 'strong', children: parseInline(match[8]) });
+        } else if (match[9] !== undefined) {
+            tokens.push({ type: 'em', children: parseInline(match[10]) });
+        } else if (match[11] !== undefined) {
+            tokens.push({ type: 'del', children: parseInline(match[11]) });
+        } else if (match[14] !== undefined) {
+            tokens.push({ type: 'noteLink', text: match[14].trim() });
+        } else {
+            tokens.push({ type: 'image', href: match[13], text: match[12] });
+        }
+
+        rest = rest.slice(match.index + match[0].length);
+    }
+
+    return tokens;
+}
+
+// Uid de la pièce jointe visée par un lien "attachment:<uid>", sinon null
+function attachmentUid(href) {
+    return href.startsWith(ATTACHMENT_SCHEME) ? href.slice(ATTACHMENT_SCHEME.length) : null;
+}
+
+// N'autoriser que les liens sûrs (http, https, mailto ; pas de javascript:,
+// data:...). L'URL est analysée comme le ferait le navigateur, qui ignore par
+// exemple les caractères de contrôle en tête ; un lien relatif devient absolu.
+function sanitizeUrl(url, base = window.location.href) {
+    try {
+        const parsed = new URL((url || '').trim(), base);
+        return MD_SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function renderInline(tokens, keyPrefix = '', noteLinks = null) {
+    return tokens.map((token, index) => {
+        const key = `${keyPrefix}${index}`;
+
+        switch (token.type) {
+            case 'code':
+                return <code key={key} style={styles.mdInlineCode}>{token.text}</code>;
+            case 'strong':
+                return <strong key={key}>{renderInline(token.children, key + '-', noteLinks)}</strong>;
+            case 'em':
+                return <em key={key}>{renderInline(token.children, key + '-', noteLinks)}</em>;
+            case 'del':
+                return <del key={key}>{renderInline(token.children, key + '-', noteLinks)}</del>;
+            case 'image': {
+                const uid = attachmentUid(token.href);
+                if (uid) {
+                    return <AttachmentImage key={key} uid={uid} alt={token.text} />;
+                }
+                const src = sanitizeUrl(token.href);
+                return src
+                    ? <img key={key} src={src} alt={token.text} style={styles.mdImage} />
+                    : <span key={key}>{token.text}</span>;
+            }
+            case 'noteLink': {
+                const target = noteLinks && getNoteTitleIndex(noteLinks.notes).get(normalizeNoteTitle(token.text));
+                if (!target) {
+                    return (
+                        <span key={key} style={styles.noteLinkMissing} title="Aucune note de ce titre">
+                            {token.text}
+                        </span>
+                    );
+                }
+                return (
+                    <button key={key} onClick={() => noteLinks.onOpen(target)} style={styles.noteLink} title={`Ouvrir "${target.title}"`}>
+                        {token.text}
+                    </button>
+                );
+            }
+            case 'link': {
+                const uid = attachmentUid(token.href);
+                if (uid) {
+                    return <AttachmentLink key={key} uid={uid}>{renderInline(token.children, key + '-', noteLinks)}</AttachmentLink>;
+                }
+                const href = sanitizeUrl(token.href);
+                if (!href) {
+                    return <span key={key}>{renderInline(token.children, key + '-', noteLinks)}</span>;
+                }
+                return (
+                    <a key={key} href={href} target="_blank" rel="noopener noreferrer" style={styles.mdLink}>
+                        {renderInline(token.children, key + '-', noteLinks)}
+                    </a>
+                );
+            }
+            default: {
+                // Retours à la ligne à l'intérieur d'un paragraphe
+                const parts = token.text.split('\n');
+                return parts.map((part, partIndex) => (
+                    <React.Fragment key={`${key}-${partIndex}`}>
+                        {partIndex > 0 && <br />}
+                        {part}
+                    </React.Fragment>
+                ));
+            }
+        }
+    });
+}
+
+// Rendre les blocs en éléments React
+// "onToggleTask(line)" : clic sur une case à cocher de la prévisualisation
+// "noteLinks" : { notes, onOpen(note) } pour les liens [[Titre]]
+function renderMarkdownBlocks(blocks, onToggleTask, keyPrefix = '', noteLinks = null) {
+    return blocks.map((block, index) => {
+        const key = `${keyPrefix}${index}`;
+
+        switch (block.type) {
+            case 'heading': {
+                const Tag = `h${block.level}`;
+                return (
+                    <Tag key={key} style={{ ...styles.mdHeading, fontSize: `${(1.8 - block.level * 0.15).toFixed(2)}rem` }}>
+                        {renderInline(parseInline(block.text), '', noteLinks)}
+                    </Tag>
+                );
+            }
+            case 'code':
+                return (
+                    <pre key={key} style={styles.mdCodeBlock} data-lang={block.lang || undefined}>
+                        <code>{block.text}</code>
+                    </pre>
+                );
+            case 'hr':
+                return <hr key={key} style={styles.mdHr} />;
+            case 'blockquote':
+                return (
+                    <blockquote key={key} style={styles.mdBlockquote}>
+                        {renderMarkdownBlocks(block.children, onToggleTask, key + '-', noteLinks)}
+                    </blockquote>
+                );
+            case 'table':
+                return (
+                    <table key={key} style={styles.mdTable}>
+                        <thead>
+                            <tr>
+                                {block.header.map((cell, cellIndex) => (
+                                    <th key={cellIndex} style={{ ...styles.mdTableCell, ...styles.mdTableHeader, textAlign: block.align[cellIndex] || 'left' }}>
+                                        {renderInline(parseInline(cell), '', noteLinks)}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {block.rows.map((row, rowIndex) => (
+                                <tr key={rowIndex}>
+                                    {block.header.map((_, cellIndex) => (
+                                        <td key={cellIndex} style={{ ...styles.mdTableCell, textAlign: block.align[cellIndex] || 'left' }}>
+                                            {renderInline(parseInline(row[cellIndex] || ''), '', noteLinks)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                );
+            case 'list': {
+                const Tag = block.ordered ? 'ol' : 'ul';
+                const isTaskList = block.items.some(item => item.checked !== null);
+                return (
+                    <Tag
+                        key={key}
+                        start={block.ordered ? block.start : undefined}
+                        style={{ ...styles.mdList, ...(isTaskList ? { listStyle: 'none', paddingLeft: '0.5rem' } : {}) }}
+                    >
+                        {block.items.map((item, itemIndex) => (
+                            <li key={itemIndex} style={styles.mdListItem}>
+                                {item.checked !== null && (
+                                    <input
+                                        type="checkbox"
+                                        checked={item.checked}
+                                        onChange={() => onToggleTask && onToggleTask(item.line)}
+                                        disabled={!onToggleTask}
+                                        style={styles.mdCheckbox}
+                                    />
+                                )}
+                                <span style={item.checked ? styles.mdTaskDone : undefined}>
+                                    {renderInline(parseInline(item.text), '', noteLinks)}
+                                </span>
+                                {renderMarkdownBlocks(item.children, onToggleTask, `${key}-${itemIndex}-`, noteLinks)}
+                            </li>
+                        ))}
+                    </Tag>
+                );
+            }
+            default:
+                return (
+                    <p key={key} style={styles.mdParagraph}>
+                        {renderInline(parseInline(block.text), '', noteLinks)}
+                    </p>
+                );
+        }
+    });
+}
+
+// Texte brut sans syntaxe Markdown (aperçus, extraits)
+function markdownToPlainText(text) {
+    const inlineText = (tokens) => tokens
+        .map(token => token.children ? inlineText(token.children) : token.text)
+        .join('');
+
+    const blockText = (blocks) => blocks.map((block) => {
+        switch (block.type) {
+            case 'code':
+                return block.text;
+            case 'hr':
+                return '';
+            case 'blockquote':
+                return blockText(block.children);
+            case 'table':
+                return [block.header, ...block.rows]
+                    .map(row => row.map(cell => inlineText(parseInline(cell))).join(' · '))
+                    .join('\n');
+            case 'list':
+                return block.items
+                    .map(item => [
+                        (item.checked === null ? '' : item.checked ? '☑ ' : '☐ ') + inlineText(parseInline(item.text)),
+                        blockText(item.children)
+                    ].filter(Boolean).join('\n'))
+                    .join('\n');
+            default:
+                return inlineText(parseInline(block.text));
+        }
+    }).filter(Boolean).join('\n');
+
+    return blockText(parseMarkdown(text));
+}
+
+// Cocher/décocher la case de la ligne donnée dans le texte source
+function toggleMarkdownTask(text, line) {
+    const lines = text.split('\n');
+    lines[line] = lines[line].replace(/^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/, (_, prefix, mark) =>
+        `${prefix}[${mark === ' ' ? 'x' : ' '}]`
+    );
+    return lines.join('\n');
+}
+
+// Actions de la barre d'outils (et raccourcis clavier, Ctrl ou ⌘)
+const MARKDOWN_ACTIONS = [
+    { id: 'bold', icon: 'B', label: 'Gras', shortcut: 'Ctrl+B', code: 'KeyB', shift: false,
+        format: { type: 'wrap', before: '**', after: '**', placeholder: 'texte en gras' } },
+    { id: 'italic', icon: 'I', label: 'Italique', shortcut: 'Ctrl+I', code: 'KeyI', shift: false,
+        format: { type: 'wrap', before: '*', after: '*', placeholder: 'texte en italique' } },
+    { id: 'code', icon: '</>', label: 'Code', shortcut: 'Ctrl+E', code: 'KeyE', shift: false,
+        format: { type: 'wrap', before: '`', after: '`', placeholder: 'code' } },
+    { id: 'heading', icon: 'H', label: 'Titre', shortcut: 'Ctrl+Shift+H', code: 'KeyH', shift: true,
+        format: { type: 'line', prefix: '## ' } },
+    { id: 'list', icon: '•', label: 'Liste à puces', shortcut: 'Ctrl+Shift+8', code: 'Digit8', shift: true,
+        format: { type: 'line', prefix: '- ' } },
+    { id: 'ordered', icon: '1.', label: 'Liste numérotée', shortcut: 'Ctrl+Shift+7', code: 'Digit7', shift: true,
+        format: { type: 'line', prefix: '1. ', ordered: true } },
+    { id: 'task', icon: '☑', label: 'Case à cocher', shortcut: 'Ctrl+Shift+9', code: 'Digit9', shift: true,
+        format: { type: 'line', prefix: '- [ ] ' } },
+    { id: 'codeblock', icon: '{ }', label: 'Bloc de code', shortcut: 'Ctrl+Shift+E', code: 'KeyE', shift: true,
+        format: { type: 'block', before: '```\n', after: '\n```', placeholder: 'code' } },
+    { id: 'link', icon: '🔗', label: 'Lien', shortcut: 'Ctrl+Shift+U', code: 'KeyU', shift: true,
+        format: { type: 'link' } },
+    { id: 'table', icon: '▦', label: 'Tableau', shortcut: null,
+        format: { type: 'insert', text: '\n| Colonne 1 | Colonne 2 |\n| --- | --- |\n| | |\n' } }
+];
+
+// Appliquer une action de mise en forme à la sélection
+// → { text, selectionStart, selectionEnd }
+function applyMarkdownFormat(text, selectionStart, selectionEnd, format) {
+    const selected = text.slice(selectionStart, selectionEnd);
+    const before = text.slice(0, selectionStart);
+    const after = text.slice(selectionEnd);
+
+    switch (format.type) {
+        case 'wrap':
+        case 'block': {
+            const inner = selected || format.placeholder;
+            // Un bloc commence sur sa propre ligne
+            const lead = format.type === 'block' && before && !before.endsWith('\n') ? '\n' : '';
+            const start = selectionStart + lead.length + format.before.length;
+            return {
+                text: before + lead + format.before + inner + format.after + after,
+                selectionStart: start,
+                selectionEnd: start + inner.length
+            };
+        }
+        case 'link': {
+            const label = selected || 'texte du lien';
+            const url = 'https://';
+            const start = selectionStart + label.length + 3;
+            return {
+                text: `${before}[${label}](${url})${after}`,
+                selectionStart: start,
+                selectionEnd: start + url.length
+            };
+        }
+        case 'insert': {
+            const end = selectionEnd + format.text.length;
+            return { text: before + format.text + after, selectionStart: end, selectionEnd: end };
+        }
+        default: {
+            // Préfixe de ligne : ajouté à toutes les lignes sélectionnées, ou retiré
+            // si elles l'ont toutes déjà
+            const lineStart = text.lastIndexOf('\n', selectionStart - 1) + 1;
+            const nextBreak = text.indexOf('\n', selectionEnd);
+            const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+            const lines = text.slice(lineStart, lineEnd).split('\n');
+            const pattern = format.ordered ? /^\d+\.\s/ : new RegExp('^' + format.prefix.replace(/[[\]\\^$.|?*+()]/g, '\\$&'));
+            const remove = lines.every(line => pattern.test(line));
+            const updated = lines.map((line, index) => remove
+                ? line.replace(pattern, '')
+                : (format.ordered ? `${index + 1}. ` : format.prefix) + line
+            ).join('\n');
+
+            return {
+                text: text.slice(0, lineStart) + updated + text.slice(lineEnd),
+                selectionStart: lineStart,
+                selectionEnd: lineStart + updated.length
+            };
+        }
+    }
+}
+
+// ============================================
+// LIENS ENTRE NOTES
+// ============================================
+// "[[Titre]]" dans le contenu renvoie à la note de ce titre (sans tenir
+// compte de la casse, des accents ni des espaces superflus). Les liens ne
+// sont pas stockés : ils sont relus dans le texte, d'où les caches par objet
+// (une note modifiée est un nouvel objet).
+
+const NOTE_LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
+// "[[" pas encore refermé juste avant le curseur (autocomplétion)
+const NOTE_LINK_OPEN = /\[\[([^[\]\n]*)$/;
+const NOTE_LINK_SUGGESTIONS = 6;
+// Graphe : notes affichées au plus (les plus reliées) et itérations du placement
+const GRAPH_MAX_NODES = 150;
+const GRAPH_ITERATIONS = 200;
+const GRAPH_WIDTH = 640;
+const GRAPH_HEIGHT = 440;
+const GRAPH_GRAVITY = 3;
+
+const noteLinksCache = new WeakMap();
+const noteTitleIndexCache = new WeakMap();
+
+function normalizeNoteTitle(title) {
+    return normalizeTerm((title || '').trim().replace(/\s+/g, ' '));
+}
+
+// Un titre contenant des crochets ou un retour à la ligne ne peut pas être lié
+function isLinkableTitle(title) {
+    return (title || '').trim() !== '' && !/[[\]\n]/.test(title);
+}
+
+// Titres (normalisés) visés par les liens d'une note, sans doublons
+function getNoteLinks(note) {
+    if (!noteLinksCache.has(note)) {
+        const targets = [...(note.content || '').matchAll(NOTE_LINK_PATTERN)]
+            .map(match => normalizeNoteTitle(match[1]));
+        noteLinksCache.set(note, [...new Set(targets)]);
+    }
+    return noteLinksCache.get(note);
+}
+
+// Titre normalisé → note (à titre égal, la première de la liste : la plus
+// récemment modifiée)
+function getNoteTitleIndex(notes) {
+    if (!noteTitleIndexCache.has(notes)) {
+        const index = new Map();
+        notes.forEach((note) => {
+            const key = normalizeNoteTitle(note.title);
+            if (key && !index.has(key)) index.set(key, note);
+        });
+        noteTitleIndexCache.set(notes, index);
+    }
+    return noteTitleIndexCache.get(notes);
+}
+
+// Notes dont un lien vise "note" (rétroliens)
+function collectBacklinks(notes, note) {
+    const key = normalizeNoteTitle(note.title);
+    if (!key) return [];
+    return notes.filter(other => other.id !== note.id && getNoteLinks(other).includes(key));
+}
+
+// Titres proposés après "[[" : ceux qui commencent par la saisie d'abord
+function suggestNoteLinks(notes, query, excludedId) {
+    const normalized = normalizeNoteTitle(query);
+    const candidates = notes.filter(note => note.id !== excludedId && isLinkableTitle(note.title)
+        && normalizeNoteTitle(note.title).includes(normalized));
+    const startsWith = candidates.filter(note => normalizeNoteTitle(note.title).startsWith(normalized));
+    return [...startsWith, ...candidates.filter(note => !startsWith.includes(note))]
+        .slice(0, NOTE_LINK_SUGGESTIONS);
+}
+
+// Faire suivre les liens d'une note renommée
+function replaceNoteLinks(text, oldTitle, newTitle) {
+    const key = normalizeNoteTitle(oldTitle);
+    return text.replace(NOTE_LINK_PATTERN, (match, target) =>
+        normalizeNoteTitle(target) === key ? `[[${newTitle.trim()}]]` : match
+    );
+}
+
+// Réseau des notes reliées → { nodes: [{ note, degree }], edges: [{ from, to }] }
+// (ids de notes). Les notes sans aucun lien n'y figurent pas, sauf "focusId".
+function buildNoteGraph(notes, focusId = null) {
+    const index = getNoteTitleIndex(notes);
+    const edges = [];
+    const degrees = new Map();
+    const addDegree = id => degrees.set(id, (degrees.get(id) || 0) + 1);
+
+    notes.forEach((note) => {
+        getNoteLinks(note).forEach((key) => {
+            const target = index.get(key);
+            if (!target || target.id === note.id) return;
+            edges.push({ from: note.id, to: target.id });
+            addDegree(note.id);
+            addDegree(target.id);
+        });
+    });
+
+    const kept = new Set(notes
+        .filter(note => degrees.has(note.id) || note.id === focusId)
+        .sort((a, b) => (degrees.get(b.id) || 0) - (degrees.get(a.id) || 0))
+        .slice(0, GRAPH_MAX_NODES)
+        .map(note => note.id));
+
+    return {
+        nodes: notes.filter(note => kept.has(note.id))
+            .map(note => ({ note, degree: degrees.get(note.id) || 0 })),
+        edges: edges.filter(edge => kept.has(edge.from) && kept.has(edge.to))
+    };
+}
+
+// Placement par forces (Fruchterman-Reingold) : les notes se repoussent, les
+// liens les rapprochent → Map id → { x, y }
+function layoutNoteGraph({ nodes, edges }, width = GRAPH_WIDTH, height = GRAPH_HEIGHT) {
+    const margin = 40;
+    const ideal = Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.7;
+    const indexes = new Map(nodes.map(({ note }, i) => [note.id, i]));
+    // Départ sur un cercle : le résultat ne dépend que des données
+    const points = nodes.map((node, i) => {
+        const angle = (2 * Math.PI * i) / Math.max(nodes.length, 1);
+        return {
+            x: width / 2 + Math.cos(angle) * width / 3,
+            y: height / 2 + Math.sin(angle) * height / 3
+        };
+    });
+
+    for (let step = 0; step < GRAPH_ITERATIONS; step++) {
+        const temperature = (width / 10) * (1 - step / GRAPH_ITERATIONS);
+        const moves = points.map(() => ({ x: 0, y: 0 }));
+
+        points.forEach((a, i) => {
+            for (let j = i + 1; j < points.length; j++) {
+                const b = points[j];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const force = (ideal * ideal) / distance;
+                moves[i].x += (dx / distance) * force;
+                moves[i].y += (dy / distance) * force;
+                moves[j].x -= (dx / distance) * force;
+                moves[j].y -= (dy / distance) * force;
+            }
+        });
+
+        edges.forEach(({ from, to }) => {
+            const i = indexes.get(from);
+            const j = indexes.get(to);
+            const dx = points[i].x - points[j].x;
+            const dy = points[i].y - points[j].y;
+            const distance = Math.max(Math.hypot(dx, dy), 0.01);
+            const force = (distance * distance) / ideal;
+            moves[i].x -= (dx / distance) * force;
+            moves[i].y -= (dy / distance) * force;
+            moves[j].x += (dx / distance) * force;
+            moves[j].y += (dy / distance) * force;
+        });
+
+        // Attraction vers le centre : sans elle, les notes repoussées se collent aux bords
+        points.forEach((point, i) => {
+            moves[i].x += (width / 2 - point.x) * GRAPH_GRAVITY;
+            moves[i].y += (height / 2 - point.y) * GRAPH_GRAVITY;
+        });
+
+        points.forEach((point, i) => {
+            const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 0.01);
+            const distance = Math.min(length, temperature);
+            point.x = Math.min(width - margin, Math.max(margin, point.x + (moves[i].x / length) * distance));
+            point.y = Math.min(height - margin, Math.max(margin, point.y + (moves[i].y / length) * distance));
+        });
+    }
+
+    return new Map(nodes.map(({ note }, i) => [note.id, points[i]]));
+}
+
+// ============================================
+// LISTES DE TÂCHES
+// ============================================
+// Une note de type "checklist" garde un contenu Markdown : une case à cocher
+// par ligne, indentée de deux espaces par niveau ("  - [x] Pain"). La
+// synchronisation, la fusion, le chiffrement, la recherche et les exports la
+// traitent donc comme n'importe quelle note ; seul l'éditeur l'affiche en liste.
+
+const CHECKLIST_TYPE = 'checklist';
+const CHECKLIST_INDENT = '  ';
+const CHECKLIST_MAX_DEPTH = 5;
+const CHECKLIST_DRAG_TYPE = 'application/x-notesflow-checklist-item';
+// Indentation, puce ("-", "*", "1.") et case facultatives, puis le texte
+const CHECKLIST_LINE = /^(\s*)(?:(?:[-*+]|\d+[.)])(?:\s+|$))?(?:\[([ xX])\](?:\s+|$))?(.*)$/;
+
+function isChecklist(note) {
+    return !!note && note.type === CHECKLIST_TYPE;
+}
+
+// Contenu → [{ text, checked, depth }] ; les lignes vides sont ignorées et
+// une ligne de texte ordinaire devient une tâche à faire
+function parseChecklist(content) {
+    const items = [];
+
+    (content || '').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+
+        const [, indent, mark, text] = line.match(CHECKLIST_LINE);
+        const width = indent.replace(/\t/g, CHECKLIST_INDENT).length;
+        // Pas plus d'un niveau sous la tâche précédente
+        const maxDepth = items.length > 0 ? items[items.length - 1].depth + 1 : 0;
+
+        items.push({
+            text,
+            checked: mark !== undefined && mark !== ' ',
+            depth: Math.min(Math.floor(width / CHECKLIST_INDENT.length), maxDepth, CHECKLIST_MAX_DEPTH)
+        });
+    });
+
+    return items;
+}
+
+function serializeChecklist(items) {
+    return items
+        .map(item => `${CHECKLIST_INDENT.repeat(item.depth)}- [${item.checked ? 'x' : ' '}] ${item.text}`)
+        .join('\n');
+}
+
+// Note texte → liste : une tâche par ligne (les cases et l'indentation
+// existantes sont conservées). Dans l'autre sens, le contenu reste tel quel :
+// des cases à cocher Markdown.
+function textToChecklist(content) {
+    return serializeChecklist(parseChecklist(content));
+}
+
+// → { done, total } (null si la liste est vide)
+function checklistProgress(content) {
+    const items = parseChecklist(content);
+    if (items.length === 0) return null;
+    return { done: items.filter(item => item.checked).length, total: items.length };
+}
+
+// Fin (exclue) du bloc formé par une tâche et ses sous-tâches
+function checklistBlockEnd(items, index) {
+    let end = index + 1;
+    while (end < items.length && items[end].depth > items[index].depth) end++;
+    return end;
+}
+
+// Déplacer une tâche et ses sous-tâches devant la tâche "to" (items.length :
+// à la fin), au niveau "depth" → { items, index: nouvelle position }
+function moveChecklistBlock(items, from, to, depth = items[from].depth) {
+    const end = checklistBlockEnd(items, from);
+    // Pas de déplacement à l'intérieur de son propre bloc
+    if (to > from && to < end) return { items, index: from };
+
+    const delta = depth - items[from].depth;
+    const block = items.slice(from, end).map(item => ({ ...item, depth: Math.max(0, item.depth + delta) }));
+    const rest = [...items.slice(0, from), ...items.slice(end)];
+    const index = to > from ? to - block.length : to;
+    rest.splice(index, 0, ...block);
+
+    return { items: rest, index };
+}
+
+// Indenter (+1) ou désindenter (-1) une tâche avec ses sous-tâches
+function indentChecklistItem(items, index, step) {
+    const item = items[index];
+    const maxDepth = index > 0 ? Math.min(items[index - 1].depth + 1, CHECKLIST_MAX_DEPTH) : 0;
+    const depth = Math.max(0, Math.min(item.depth + step, maxDepth));
+    if (depth === item.depth) return items;
+
+    const end = checklistBlockEnd(items, index);
+    return items.map((other, i) => (
+        i >= index && i < end ? { ...other, depth: other.depth + depth - item.depth } : other
+    ));
+}
+
+// Échanger une tâche (et ses sous-tâches) avec la tâche sœur précédente
+// (direction -1) ou suivante (+1) → { items, index } ou null
+function swapChecklistItem(items, index, direction) {
+    const { depth } = items[index];
+
+    if (direction < 0) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (items[i].depth < depth) return null;
+            if (items[i].depth === depth) return moveChecklistBlock(items, index, i);
+        }
+        return null;
+    }
+
+    const next = checklistBlockEnd(items, index);
+    if (next >= items.length || items[next].depth !== depth) return null;
+    return moveChecklistBlock(items, index, checklistBlockEnd(items, next));
+}
+
+// ============================================
+// RAPPELS
+// ============================================
+// Échéances, répétitions et vérification : voir sync-engine.js (partagé avec
+// le Service Worker, qui affiche les notifications).
+
+const REMINDER_CHECK_MS = 30 * 1000;
+const REMINDER_REPEAT_LABELS = {
+    '': 'Une seule fois',
+    daily: 'Chaque jour',
+    weekly: 'Chaque semaine'
+};
+
+// Timestamp → valeur d'un <input type="datetime-local"> (heure locale)
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+// Autoriser les notifications (à appeler pendant le clic de l'utilisateur)
+// et demander la vérification en arrière-plan quand le navigateur la propose
+async function enableReminderNotifications() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    if (Notification.permission !== 'granted') return false;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+        }
+    } catch (error) {
+        // Refusé (PWA non installée...) : les rappels sonnent quand l'App est ouverte
+        console.log('⚠️ Periodic Background Sync indisponible:', error.message);
+    }
+    return true;
+}
+
+// ============================================
+// RACCOURCIS CLAVIER
+// ============================================
+// Combinaisons écrites "Ctrl+Alt+Shift+Touche" (Ctrl vaut aussi Cmd sur
+// macOS). Lettres et chiffres désignent la touche physique, comme les
+// raccourcis Markdown ; la ponctuation ("/", "?") le caractère tapé.
+// Réglage "shortcuts" : { action: combinaison ou '' } pour les touches
+// modifiées par l'utilisateur.
+
+const KEYBOARD_ACTIONS = {
+    palette: { icon: '⌨️', label: 'Palette de commandes', shortcut: 'Ctrl+K' },
+    shortcuts: { icon: '❔', label: 'Raccourcis clavier', shortcut: '?' },
+    newNote: { icon: '✚', label: 'Nouvelle note', shortcut: 'Alt+N' },
+    newChecklist: { icon: '☑️', label: 'Nouvelle liste de tâches', shortcut: 'Alt+Shift+N' },
+    focusSearch: { icon: '🔍', label: 'Rechercher', shortcut: '/' },
+    nextNote: { icon: '⬇️', label: 'Note suivante', shortcut: 'Alt+ArrowDown' },
+    previousNote: { icon: '⬆️', label: 'Note précédente', shortcut: 'Alt+ArrowUp' },
+    deleteNote: { icon: '🗑️', label: 'Supprimer la note', shortcut: 'Delete' },
+    toggleSidebar: { icon: '◧', label: 'Afficher / masquer la liste', shortcut: 'Alt+S' },
+    showNotes: { icon: '📝', label: 'Afficher les notes', shortcut: '' },
+    showTrash: { icon: '🗑️', label: 'Afficher la corbeille', shortcut: '' },
+    showReminders: { icon: '⏰', label: 'Afficher les rappels', shortcut: '' },
+    sync: { icon: '🔄', label: 'Synchroniser', shortcut: '' },
+    backup: { icon: '💾', label: 'Sauvegarde', shortcut: '' },
+    storage: { icon: '💽', label: 'Stockage', shortcut: '' },
+    graph: { icon: '🕸️', label: 'Graphe des notes', shortcut: '' },
+    security: { icon: '🔐', label: 'Chiffrement', shortcut: '' },
+    lock: { icon: '🔒', label: 'Verrouiller les notes', shortcut: '' }
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+const PALETTE_MAX_RESULTS = 30;
+// Palette sans requête : les actions, puis les dernières notes modifiées
+const PALETTE_RECENT_NOTES = 5;
+
+// Événement clavier → combinaison ("Ctrl+K"), null pour une touche de
+// modification seule
+function eventToShortcut(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+
+    // Ponctuation tapée sans Ctrl ni Alt : le caractère ("?" est sur la
+    // touche M en AZERTY) ; sinon la touche physique (Alt+N donne "˜" sur macOS)
+    const punctuation = e.key.length === 1 && !/[\p{L}\p{N}]/u.test(e.key)
+        && !e.ctrlKey && !e.metaKey && !e.altKey;
+    const physical = /^(Key[A-Z]|Digit\d)$/.test(e.code) && !punctuation;
+    let key = physical ? e.code.slice(-1) : e.key;
+    if (key === ' ') key = 'Space';
+    if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    // "?" ou "/" dépendent déjà de Maj selon le clavier
+    if (e.shiftKey && (physical || key.length > 1)) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+// Sans Ctrl ni Alt, une combinaison est ignorée pendant la saisie
+function isTypingShortcut(shortcut) {
+    return !/^(Ctrl|Alt)\+/.test(shortcut);
+}
+
+function isEditableTarget(target) {
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// Combinaisons en vigueur → { action: combinaison ou '' }
+function resolveShortcuts(overrides) {
+    const bindings = {};
+    Object.entries(KEYBOARD_ACTIONS).forEach(([id, action]) => {
+        bindings[id] = overrides && typeof overrides[id] === 'string' ? overrides[id] : action.shortcut;
+    });
+    return bindings;
+}
+
+// Attribuer une combinaison à une action ('' = aucune) → nouveau réglage.
+// L'action qui l'utilisait la perd ; seules les différences avec les
+// combinaisons par défaut sont conservées.
+function rebindShortcut(overrides, id, shortcut) {
+    const bindings = resolveShortcuts(overrides);
+    const next = { ...overrides, [id]: shortcut };
+    Object.keys(bindings).forEach((other) => {
+        if (other !== id && shortcut && bindings[other] === shortcut) next[other] = '';
+    });
+    Object.keys(next).forEach((action) => {
+        if (!KEYBOARD_ACTIONS[action] || next[action] === KEYBOARD_ACTIONS[action].shortcut) delete next[action];
+    });
+    return next;
+}
+
+// Note voisine dans la liste (offset ±1, ±Infinity pour les extrémités) ;
+// sans note courante dans la liste, on part d'avant la première (ou
+// d'après la dernière en remontant)
+function adjacentNote(notes, current, offset) {
+    if (notes.length === 0) return null;
+    const index = current ? notes.findIndex(n => n.id === current.id) : -1;
+    const start = index !== -1 ? index : (offset > 0 ? -1 : notes.length);
+    return notes[Math.min(Math.max(start + offset, 0), notes.length - 1)];
+}
+
+// Affichage d'une combinaison : "Alt+ArrowDown" → "Alt+↓"
+function formatShortcut(shortcut) {
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Delete: 'Suppr', Escape: 'Échap', Space: 'Espace', Enter: 'Entrée' };
+    return shortcut.split('+').map(key => names[key] || key).join('+');
+}
+
+// Recherche approximative : les caractères de la requête apparaissent dans
+// l'ordre (sans accents ni casse) → { score, segments } ou null. Les lettres
+// consécutives et les débuts de mots comptent davantage.
+function fuzzyMatch(query, text) {
+    const needle = normalizeTerm(query).replace(/\s+/g, '');
+    const haystack = normalizeTerm(text || '');
+    if (!needle) return { score: 0, segments: [{ text: text || '', highlight: false }] };
+
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+
+        score += 1;
+        if (positions.length > 0 && index === positions[positions.length - 1] + 1) score += 5;
+        if (index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1])) score += 3;
+        positions.push(index);
+        from = index + 1;
+    }
+    score -= positions[0] * 0.1 + haystack.length * 0.01;
+
+    // Surligner seulement si la normalisation garde les positions ("œ" → "oe")
+    if (haystack.length !== text.length) {
+        return { score, segments: [{ text, highlight: false }] };
+    }
+    const segments = [];
+    text.split('').forEach((char, index) => {
+        const highlight = positions.includes(index);
+        const last = segments[segments.length - 1];
+        if (last && last.highlight === highlight) {
+            last.text += char;
+        } else {
+            segments.push({ text: char, highlight });
+        }
+    });
+    return { score, segments };
+}
+
+// ============================================
+// SAUVEGARDE : EXPORT / IMPORT
+// ============================================
+// Deux formats :
+//   - JSON : copie complète (notes, corbeille, carnets, historique, pièces
+//     jointes en base64), réimportable
+//   - ZIP : un fichier Markdown par note, rangé par carnet, avec un en-tête
+//     (front-matter) pour le titre, la couleur, les dates, les tags et les
+//     drapeaux (épinglée, favorite, archivée) ; les pièces jointes sont dans
+//     attachments/<uid>/
+// Les champs propres à la synchronisation de cet appareil ne sont pas exportés.
+
+const EXPORT_FORMAT = 'notesflow-export';
+// v2 : pièces jointes
+const EXPORT_FORMAT_VERSION = 2;
+const IMPORT_BATCH_SIZE = 100;
+
+// Fichier de sauvegarde illisible ou invalide
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+// Note telle qu'exportée : sans id local ni état de synchronisation
+function toExportedNote(note) {
+    const { id, revision, syncBase, conflict, searchMatch, ...fields } = note;
+    return fields;
+}
+
+// Vérifier et compléter une note importée → note prête pour NotesDB
+function normalizeImportedNote(raw, label) {
+    if (!raw || typeof raw !== 'object') {
+        throw new ImportError(`${label} : format invalide`);
+    }
+    if (typeof raw.title !== 'string' || typeof raw.content !== 'string') {
+        throw new ImportError(`${label} : titre ou contenu manquant`);
+    }
+    if (raw.tags !== undefined && (!Array.isArray(raw.tags) || raw.tags.some(t => typeof t !== 'string'))) {
+        throw new ImportError(`${label} : tags invalides`);
+    }
+
+    const isTime = value => Number.isFinite(value) && value > 0;
+    const now = Date.now();
+    const { revisions, attachments, ...fields } = toExportedNote(raw);
+
+    return {
+        ...fields,
+        uid: typeof raw.uid === 'string' && raw.uid ? raw.uid : generateUid(),
+        color: typeof raw.color === 'string' ? raw.color : NOTE_COLORS.orange,
+        tags: normalizeTags(raw.tags),
+        notebookUid: typeof raw.notebookUid === 'string' ? raw.notebookUid : null,
+        pinned: raw.pinned === true,
+        favorite: raw.favorite === true,
+        archived: raw.archived === true,
+        createdAt: isTime(raw.createdAt) ? raw.createdAt : now,
+        updatedAt: isTime(raw.updatedAt) ? raw.updatedAt : now,
+        deletedAt: isTime(raw.deletedAt) ? raw.deletedAt : null
+    };
+}
+
+// Pièce jointe d'une sauvegarde JSON (fichier en base64) → pièce jointe à enregistrer
+function normalizeImportedAttachment(raw, label) {
+    if (!raw || typeof raw.uid !== 'string' || typeof raw.name !== 'string' || typeof raw.data !== 'string') {
+        throw new ImportError(`${label} : pièce jointe invalide`);
+    }
+    const type = typeof raw.type === 'string' && raw.type ? raw.type : guessMimeType(raw.name);
+    let blob;
+    try {
+        blob = new Blob([base64ToBytes(raw.data)], { type });
+    } catch (error) {
+        throw new ImportError(`${label} : pièce jointe "${raw.name}" illisible`);
+    }
+
+    return {
+        uid: raw.uid,
+        name: raw.name,
+        type,
+        size: blob.size,
+        blob,
+        createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now()
+    };
+}
+
+// Valider une sauvegarde JSON → { records: [{ note, revisions, attachments }], notebooks }
+function validateImportData(data) {
+    if (!data || data.format !== EXPORT_FORMAT) {
+        throw new ImportError('Ce fichier n\'est pas une sauvegarde NotesFlow');
+    }
+    if (!(data.formatVersion <= EXPORT_FORMAT_VERSION)) {
+        throw new ImportError('Sauvegarde créée par une version plus récente de NotesFlow');
+    }
+    if (!Array.isArray(data.notes)) {
+        throw new ImportError('Sauvegarde sans liste de notes');
+    }
+
+    const notebooks = (data.notebooks || []).map((notebook, index) => {
+        if (!notebook || typeof notebook.uid !== 'string' || typeof notebook.name !== 'string') {
+            throw new ImportError(`Carnet n°${index + 1} : format invalide`);
+        }
+        return {
+            uid: notebook.uid,
+            name: notebook.name,
+            parentUid: typeof notebook.parentUid === 'string' ? notebook.parentUid : null,
+            createdAt: notebook.createdAt || Date.now(),
+            updatedAt: notebook.updatedAt || Date.now()
+        };
+    });
+
+    const records = data.notes.map((raw, index) => ({
+        note: normalizeImportedNote(raw, `Note n°${index + 1}`),
+        revisions: (Array.isArray(raw.revisions) ? raw.revisions : [])
+            .filter(r => r && typeof r.title === 'string' && typeof r.content === 'string')
+            .map(({ id, noteId, ...revision }) => revision),
+        attachments: (Array.isArray(raw.attachments) ? raw.attachments : [])
+            .map(attachment => normalizeImportedAttachment(attachment, `Note n°${index + 1}`))
+    }));
+
+    return { records, notebooks };
+}
+
+// Nom de fichier sûr, sans accents : "Crème brûlée !" → "creme-brulee"
+function slugify(text) {
+    return normalizeTerm(text || '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'note';
+}
+
+// Nom de fichier sans séparateurs ni caractères interdits sous Windows
+function safeFileName(name) {
+    return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_') || 'fichier';
+}
+
+// Fichiers de l'archive ZIP (hors corbeille) → [{ name, content }] : les notes
+// en Markdown (content texte) puis leurs pièces jointes (content en octets),
+// les renvois "attachment:<uid>" devenant des chemins relatifs
+function buildMarkdownFiles(notes, notebooks) {
+    const byUid = new Map(notebooks.map(n => [n.uid, n]));
+    const pathOf = (uid) => {
+        const names = [];
+        // Garde-fou contre un cycle de parents
+        for (let notebook = byUid.get(uid); notebook && names.length < 32; notebook = byUid.get(notebook.parentUid)) {
+            names.unshift(notebook.name);
+        }
+        return names;
+    };
+
+    const used = new Set();
+    const attachmentFiles = [];
+    const markdownFiles = notes.filter(note => !note.deletedAt).map((note) => {
+        const folders = pathOf(note.notebookUid);
+        const dir = folders.map(slugify).join('/');
+        let name = `${dir ? dir + '/' : ''}${slugify(note.title)}.md`;
+        for (let i = 2; used.has(name); i++) {
+            name = `${dir ? dir + '/' : ''}${slugify(note.title)}-${i}.md`;
+        }
+        used.add(name);
+
+        const frontMatter = [
+            ['title', note.title],
+            ['uid', note.uid],
+            ['color', note.color],
+            ['created', new Date(note.createdAt).toISOString()],
+            ['updated', new Date(note.updatedAt).toISOString()],
+            ['tags', note.tags || []],
+            ...(folders.length > 0 ? [['notebook', folders.join('/')]] : []),
+            ...['pinned', 'favorite', 'archived'].filter(flag => note[flag]).map(flag => [flag, true])
+        ].map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+        const links = new Map();
+        (note.attachments || []).forEach((attachment) => {
+            const fileName = safeFileName(attachment.name);
+            attachmentFiles.push({
+                name: `attachments/${attachment.uid}/${fileName}`,
+                content: base64ToBytes(attachment.data)
+            });
+            const href = encodeURIComponent(fileName).replace(/\(/g, '%28').replace(/\)/g, '%29');
+            links.set(attachment.uid, `${'../'.repeat(folders.length)}attachments/${attachment.uid}/${href}`);
+        });
+        const content = note.content.replace(ATTACHMENT_REF_PATTERN, (ref, uid) => links.get(uid) || ref);
+
+        return { name, content: `---\n${frontMatter.join('\n')}\n---\n\n${content}` };
+    });
+
+    return [...markdownFiles, ...attachmentFiles];
+}
+
+// Lire une note Markdown (avec ou sans front-matter)
+// → { note, notebookPath } ; notebookPath : noms des carnets, de la racine au carnet
+function parseMarkdownFile(text, path) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    const meta = {};
+
+    if (match) {
+        match[1].split(/\r?\n/).forEach((line) => {
+            const field = line.match(/^(\w+):\s*(.*)$/);
+            if (!field) return;
+            try {
+                meta[field[1]] = JSON.parse(field[2]);
+            } catch (error) {
+                meta[field[1]] = field[2].trim();
+            }
+        });
+    }
+
+    const content = (match ? text.slice(match[0].length) : text).replace(/^\r?\n/, '');
+    const fileName = path.split('/').pop().replace(/\.(md|markdown|txt)$/i, '');
+    const heading = content.match(/^#\s+(.+)$/m);
+    const time = value => (value ? new Date(value).getTime() : NaN);
+
+    const note = normalizeImportedNote({
+        title: typeof meta.title === 'string' ? meta.title : (heading ? heading[1].trim() : fileName),
+        content,
+        uid: typeof meta.uid === 'string' ? meta.uid : undefined,
+        color: typeof meta.color === 'string' ? meta.color : undefined,
+        tags: Array.isArray(meta.tags) ? meta.tags.map(String) : undefined,
+        pinned: meta.pinned,
+        favorite: meta.favorite,
+        archived: meta.archived,
+        createdAt: time(meta.created),
+        updatedAt: time(meta.updated)
+    }, path);
+
+    const notebookPath = typeof meta.notebook === 'string'
+        ? meta.notebook.split('/').filter(Boolean)
+        : path.split('/').slice(0, -1).filter(Boolean);
+
+    return { note, notebookPath };
+}
+
+// Carnets à créer pour des chemins ("Travail/Projets"), en réutilisant les
+// carnets existants de même nom → { notebooks: nouveaux carnets, uidByPath }
+function planNotebooksFromPaths(existing, paths) {
+    const all = [...existing];
+    const created = [];
+    const uidByPath = new Map();
+
+    paths.forEach((names) => {
+        let parentUid = null;
+        names.forEach((name, depth) => {
+            const key = names.slice(0, depth + 1).join('/');
+            if (!uidByPath.has(key)) {
+                const found = all.find(n => n.name === name && (n.parentUid || null) === parentUid);
+                const notebook = found || {
+                    uid: generateUid(),
+                    name,
+                    parentUid,
+                    createdAt: Date.now(),
+                    updatedAt: Date.now()
+                };
+                if (!found) {
+                    all.push(notebook);
+                    created.push(notebook);
+                }
+                uidByPath.set(key, notebook.uid);
+            }
+            parentUid = uidByPath.get(key);
+        });
+    });
+
+    return { notebooks: created, uidByPath };
+}
+
+// Lire une archive de notes Markdown ([{ name, bytes }]) → { records, notebooks }
+function readMarkdownArchive(files, existingNotebooks) {
+    const decoder = new TextDecoder();
+    const parsed = files
+        .filter(file => /\.(md|markdown|txt)$/i.test(file.name) && !file.name.split('/').pop().startsWith('.'))
+        .filter(file => !ARCHIVE_ATTACHMENT_PATH.test(file.name))
+        .map(file => parseMarkdownFile(decoder.decode(file.bytes), file.name));
+
+    if (parsed.length === 0) {
+        throw new ImportError('Aucune note Markdown (.md) dans ce fichier');
+    }
+
+    const { notebooks, uidByPath } = planNotebooksFromPaths(
+        existingNotebooks, parsed.map(p => p.notebookPath)
+    );
+
+    // Pièces jointes : rattachées à la première note qui y renvoie
+    const attachments = new Map();
+    files.forEach((file) => {
+        const match = file.name.match(ARCHIVE_ATTACHMENT_PATH);
+        if (!match) return;
+        const type = guessMimeType(match[2]);
+        attachments.set(match[1], {
+            uid: match[1],
+            name: match[2],
+            type,
+            size: file.bytes.length,
+            blob: new Blob([file.bytes], { type }),
+            createdAt: Date.now()
+        });
+    });
+
+    return {
+        records: parsed.map(({ note, notebookPath }) => {
+            const noteAttachments = [];
+            const content = note.content.replace(ARCHIVE_ATTACHMENT_LINK, (link, uid) => {
+                if (!attachments.has(uid)) return link;
+                noteAttachments.push(attachments.get(uid));
+                attachments.delete(uid);
+                return ATTACHMENT_SCHEME + uid;
+            });
+            return {
+                note: { ...note, content, notebookUid: uidByPath.get(notebookPath.join('/')) || null },
+                revisions: [],
+                attachments: noteAttachments
+            };
+        }),
+        notebooks
+    };
+}
+
+// --- ZIP (méthode "stored", sans compression) ---
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Créer une archive ZIP à partir de fichiers (texte ou Uint8Array) → Blob
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        // En-tête local (30 octets) ; bit 11 : noms en UTF-8
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header, name, data);
+
+        // Entrée du répertoire central (46 octets)
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Lire les fichiers d'une archive ZIP → [{ name, bytes }]
+// (entrées "stored" ou "deflate", décompressées par DecompressionStream)
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // Fin du répertoire central : cherchée depuis la fin (commentaire possible)
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new ImportError('Archive ZIP illisible');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014b50) {
+            throw new ImportError('Archive ZIP corrompue');
+        }
+        const method = view.getUint16(position + 10, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, size);
+
+        if (method === 0) {
+            files.push({ name, bytes: data });
+        } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.push({ name, bytes: new Uint8Array(await new Response(stream).arrayBuffer()) });
+        } else {
+            throw new ImportError(`Compression non prise en charge pour "${name}"`);
+        }
+    }
+
+    return files;
+}
+
+// Proposer un fichier au téléchargement
+function downloadFile(content, fileName, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================
+// FILE D'ENREGISTREMENT
+// ============================================
+// Saisie de l'éditeur pas encore écrite, regroupée par note : les champs
+// modifiés coup sur coup (titre puis contenu) partent dans la même écriture,
+// SAVE_DELAY_MS après la dernière frappe ou tout de suite avec flush()
+// (changement de note, onglet masqué ou fermé). Une écriture refusée est
+// retentée après chacun des SAVE_RETRY_DELAYS_MS, puis indéfiniment après le
+// dernier, la saisie arrivée entre-temps s'y ajoutant. Celle d'une note qui
+// n'existe plus est abandonnée.
+
+const SAVE_DELAY_MS = 500;
+const SAVE_RETRY_DELAYS_MS = [1000, 5000, 15000];
+
+// État affiché dans le pied de l'éditeur
+const SAVE_STATUS_LABELS = {
+    saved: '✓ Enregistré',
+    pending: '✏️ Modifications non enregistrées',
+    saving: '⏳ Enregistrement...',
+    error: '⚠️ Échec de l\'enregistrement'
+};
+
+class SaveQueue {
+    // write(noteId, updates) → Promise, rejetée si l'écriture échoue ;
+    // onStatusChange(status) : voir SAVE_STATUS_LABELS
+    constructor(write, onStatusChange) {
+        this.write = write;
+        this.onStatusChange = onStatusChange;
+        // noteId → { updates, attempts, timer }
+        this.pending = new Map();
+        // noteId → écriture en cours
+        this.inFlight = new Map();
+        this.status = 'saved';
+    }
+
+    // Ajouter des champs à écrire (les plus récents l'emportent)
+    schedule(noteId, updates, delay = SAVE_DELAY_MS) {
+        const entry = this.pending.get(noteId) || { updates: {}, attempts: 0, timer: null };
+        clearTimeout(entry.timer);
+        entry.updates = { ...entry.updates, ...updates };
+        entry.timer = setTimeout(() => this.flushNote(noteId), delay);
+        this.pending.set(noteId, entry);
+        this.updateStatus();
+    }
+
+    // Saisie en attente (pas encore en cours d'écriture), pour une note ou
+    // pour toutes
+    hasPending(noteId) {
+        return noteId === undefined ? this.pending.size > 0 : this.pending.has(noteId);
+    }
+
+    // Écrire sans attendre une note (ou toutes) ; se résout quand les
+    // écritures sont terminées, réussies ou non (voir hasPending)
+    async flush(noteId) {
+        const noteIds = noteId === undefined
+            ? new Set([...this.pending.keys(), ...this.inFlight.keys()])
+            : [noteId];
+        await Promise.all([...noteIds].map(id => this.flushNote(id)));
+    }
+
+    async flushNote(noteId) {
+        // Une écriture à la fois par note, dans l'ordre de la saisie
+        while (this.inFlight.has(noteId)) {
+            await this.inFlight.get(noteId).catch(() => {});
+        }
+
+        const entry = this.pending.get(noteId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.pending.delete(noteId);
+
+        const write = this.write(noteId, entry.updates);
+        this.inFlight.set(noteId, write);
+        this.updateStatus();
+
+        try {
+            await write;
+        } catch (error) {
+            const newer = this.pending.get(noteId);
+            if (newer) clearTimeout(newer.timer);
+
+            if (error instanceof NoteNotFoundError) {
+                // Supprimée définitivement : plus rien à écrire
+                console.warn('🗑️ Saisie abandonnée, note supprimée, ID:', noteId);
+                this.pending.delete(noteId);
+                return;
+            }
+
+            console.error('❌ Erreur enregistrement, ID:', noteId, error);
+            // Remettre les champs en file, sous la saisie arrivée entre-temps
+            const delay = SAVE_RETRY_DELAYS_MS[Math.min(entry.attempts, SAVE_RETRY_DELAYS_MS.length - 1)];
+            this.pending.set(noteId, {
+                updates: { ...entry.updates, ...(newer ? newer.updates : {}) },
+                attempts: entry.attempts + 1,
+                timer: setTimeout(() => this.flushNote(noteId), delay)
+            });
+        } finally {
+            this.inFlight.delete(noteId);
+            this.updateStatus();
+        }
+    }
+
+    // Oublier la saisie en attente d'une note (supprimée définitivement)
+    discard(noteId) {
+        const entry = this.pending.get(noteId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.pending.delete(noteId);
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const entries = [...this.pending.values()];
+        let status = 'saved';
+        if (this.inFlight.size > 0) {
+            status = 'saving';
+        } else if (entries.some(entry => entry.attempts > 0)) {
+            status = 'error';
+        } else if (entries.length > 0) {
+            status = 'pending';
+        }
+
+        if (status !== this.status) {
+            this.status = status;
+            this.onStatusChange(status);
+        }
+    }
+}
+
+// ============================================
+// COMPOSANTS REACT
+// ============================================
+
+// Composant principal de l'application
+function App() {
+    const [notes, setNotes] = useState([]);
+    const [selectedNote, setSelectedNote] = useState(null);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [searchError, setSearchError] = useState(null);
+    const [tags, setTags] = useState([]);
+    const [isDBReady, setIsDBReady] = useState(false);
+    const [showInstallPrompt, setShowInstallPrompt] = useState(false);
+    const [allNotes, setAllNotes] = useState([]);
+    const [notebooks, setNotebooks] = useState([]);
+    const [currentNotebook, setCurrentNotebook] = useState(null);
+    const [statsScope, setStatsScope] = useState('notebook');
+    const [notebookToDelete, setNotebookToDelete] = useState(null);
+    const [showBackup, setShowBackup] = useState(false);
+    const [showSecurity, setShowSecurity] = useState(false);
+    const [showStorage, setShowStorage] = useState(false);
+    const [showGraph, setShowGraph] = useState(false);
+    // Espace de stockage : null, 'warning' ou 'critical' (voir getStorageLevel)
+    const [storageLevel, setStorageLevel] = useState(null);
+    const [isEncrypted, setIsEncrypted] = useState(false);
+    const [isLocked, setIsLocked] = useState(false);
+    const [autoLockMinutes, setAutoLockMinutes] = useState(DEFAULT_AUTO_LOCK_MINUTES);
+    const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+    const [showSidebar, setShowSidebar] = useState(window.innerWidth > 768);
+    const [syncStatus, setSyncStatus] = useState({ pending: 0, failed: 0, conflicts: 0, syncing: false, endpoint: null });
+    const [trashedNotes, setTrashedNotes] = useState([]);
+    // Page de notes en cours de lecture (ouverture, défilement)
+    const [notesLoading, setNotesLoading] = useState(false);
+    // Notes plus anciennes pas encore lues (voir loadMoreNotes)
+    const [hasMoreNotes, setHasMoreNotes] = useState(false);
+    const [sidebarView, setSidebarView] = useState('notes');
+    const [noteFilter, setNoteFilter] = useState('all');
+    const [noteSort, setNoteSort] = useState(DEFAULT_NOTE_SORT);
+    const [showPalette, setShowPalette] = useState(false);
+    const [showShortcuts, setShowShortcuts] = useState(false);
+    // Raccourcis modifiés par l'utilisateur (voir resolveShortcuts)
+    const [shortcutOverrides, setShortcutOverrides] = useState({});
+    const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+    const [toast, setToast] = useState(null);
+    // Mise à jour de l'application : null, 'available', 'saving' (acceptée,
+    // en attente de la fin des enregistrements), 'failed' (enregistrement en
+    // échec : rien n'est rechargé) ou 'outdated' (base mise à niveau par un
+    // autre onglet : rechargement obligatoire)
+    const [updateStatus, setUpdateStatus] = useState(window.waitingServiceWorker ? 'available' : null);
+    // Saisie de l'éditeur : 'saved', 'pending', 'saving' ou 'error' (voir SaveQueue)
+    const [saveStatus, setSaveStatus] = useState('saved');
+    const [saveQueue] = useState(() => new SaveQueue((id, updates) => writeNote(id, updates), setSaveStatus));
+    // Ouverture de la base retardée par un onglet resté sur l'ancienne version
+    const [isDBBlocked, setIsDBBlocked] = useState(false);
+    // Notes en cours de saisie dans les autres onglets : tabId → { noteUid, at }
+    const [remoteEditing, setRemoteEditing] = useState({});
+
+    // Requête courante, réappliquée à chaque rechargement de la liste
+    const searchTermRef = useRef('');
+    // Enregistrements en cours (la saisie de l'éditeur attend dans saveQueue)
+    const pendingSavesRef = useRef(0);
+    // Dernier niveau d'alerte signalé (une seule alerte par palier franchi)
+    const storageLevelRef = useRef(null);
+    // Note à ouvrir dès que les notes sont lisibles (clic sur un rappel)
+    const pendingNoteUidRef = useRef(null);
+    // Action de mise à jour (activer, recharger) en attente des enregistrements
+    const updateActionRef = useRef(null);
+    const searchInputRef = useRef(null);
+    // Commandes et raccourcis du dernier rendu, lus par l'écouteur clavier
+    const keyboardRef = useRef({ commands: {}, bindings: {} });
+    // Écritures d'autres onglets pas encore relues : notes concernées, ou
+    // toute la liste ("all")
+    const remoteChangesRef = useRef({ running: false, all: false, noteIds: new Set() });
+    // Dernière saisie signalée aux autres onglets
+    const editingSignalRef = useRef({ noteUid: null, at: 0 });
+    // Pages lues : curseur de la suivante (null : tout est lu) et nombre de
+    // notes lues, relues d'un bloc par loadNotes
+    const notesPageRef = useRef({ cursor: null, count: 0, loading: false });
+
+    // Détecter le redimensionnement de la fenêtre
+    useEffect(() => {
+        const handleResize = () => {
+            const mobile = window.innerWidth <= 768;
+            setIsMobile(mobile);
+            if (!mobile) {
+                setShowSidebar(true);
+            }
+        };
+
+        window.addEventListener('resize', handleResize);
+        return () => window.removeEventListener('resize', handleResize);
+    }, []);
+
+    // Initialiser IndexedDB au démarrage
+    useEffect(() => {
+        // Ouverte depuis une notification : /?note=<uid>
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('note')) {
+            pendingNoteUidRef.current = params.get('note');
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+        // Arrivée depuis un partage (le contenu attend dans la base)
+        if (params.has('shared')) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+
+        // Autres onglets : écritures, saisies en cours et mises à niveau de la base
+        const unsubscribe = notesDB.subscribe((message) => {
+            if (message.type === 'change') {
+                handleRemoteChange(message);
+            }
+            if (message.type === 'editing') {
+                setRemoteEditing((prev) => {
+                    const { [message.tabId]: previous, ...others } = prev;
+                    return message.noteUid
+                        ? { ...others, [message.tabId]: { noteUid: message.noteUid, at: Date.now() } }
+                        : others;
+                });
+            }
+            if (message.type === 'blocked') {
+                setIsDBBlocked(true);
+            }
+            if (message.type === 'versionchange') {
+                setUpdateStatus('outdated');
+            }
+        });
+
+        // Onglet masqué ou fermé : écrire la saisie en attente sans attendre
+        const handlePageHide = () => {
+            saveQueue.flush();
+            signalEditing(null);
+        };
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') saveQueue.flush();
+        };
+        // Fermeture pendant un enregistrement : demander confirmation, le
+        // temps qu'il se termine
+        const handleBeforeUnload = (e) => {
+            if (!hasPendingSaves()) return;
+            saveQueue.flush();
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('pagehide', handlePageHide);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('beforeunload', handleBeforeUnload);
+
+        notesDB.init()
+            .then(async () => {
+                setIsDBBlocked(false);
+                setIsEncrypted(notesDB.isEncrypted());
+                setAutoLockMinutes((await notesDB.getSetting('autoLockMinutes')) ?? DEFAULT_AUTO_LOCK_MINUTES);
+                setNoteSort(normalizeNoteSort(await notesDB.getSetting('noteSort')));
+                setShortcutOverrides((await notesDB.getSetting('shortcuts')) || {});
+                setIsDBReady(true);
+                // Chiffrées : rien n'est lu avant le déverrouillage
+                if (notesDB.isLocked()) {
+                    setIsLocked(true);
+                    return;
+                }
+                await openNotes();
+            })
+            .catch((error) => {
+                console.error('Erreur initialisation DB:', error);
+            });
+
+        // Écouter les changements de statut réseau
+        const handleOnline = () => {
+            setIsOnline(true);
+            runSync();
+        };
+        const handleOffline = () => setIsOnline(false);
+        
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        // Écouter l'événement d'installation PWA
+        const handleInstallable = () => {
+            console.log('✅ PWA installable détectée, affichage du bouton');
+            setShowInstallPrompt(true);
+        };
+        window.addEventListener('pwa-installable', handleInstallable);
+
+        // Nouvelle version du Service Worker en attente (voir index.html)
+        const handleUpdateAvailable = () => setUpdateStatus('available');
+        window.addEventListener('sw-update-available', handleUpdateAvailable);
+
+        // Nouvelle version activée (ici ou dans un autre onglet) : recharger,
+        // mais pas avant d'avoir enregistré la saisie de cet onglet
+        const handleControllerChange = () => whenSaved(() => window.location.reload());
+        window.addEventListener('sw-controller-changed', handleControllerChange);
+        if (window.serviceWorkerReplaced) handleControllerChange();
+
+        // Le Service Worker a synchronisé en arrière-plan, modifié un rappel
+        // (action d'une notification) ou demande d'ouvrir une note
+        const handleSWMessage = (event) => {
+            const type = event.data && event.data.type;
+            if (type === 'SYNC_COMPLETE' || type === 'NOTES_CHANGED') {
+                if (!notesDB.isLocked()) {
+                    notesDB.refreshSearchIndex().then(loadNotes);
+                    refreshSelectedNote();
+                }
+                refreshSyncStatus();
+            }
+            if (type === 'OPEN_NOTE') {
+                pendingNoteUidRef.current = event.data.noteUid;
+                if (!notesDB.isLocked()) openPendingNote();
+            }
+        };
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', handleSWMessage);
+        }
+
+        console.log('🔍 État initial - Prompt disponible:', !!window.deferredPrompt);
+
+        return () => {
+            unsubscribe();
+            window.removeEventListener('pagehide', handlePageHide);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            window.removeEventListener('pwa-installable', handleInstallable);
+            window.removeEventListener('sw-update-available', handleUpdateAvailable);
+            window.removeEventListener('sw-controller-changed', handleControllerChange);
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.removeEventListener('message', handleSWMessage);
+            }
+        };
+    }, []);
+
+    // Verrouiller après AUTO_LOCK_MINUTES sans activité
+    useEffect(() => {
+        if (!isEncrypted || isLocked || autoLockMinutes <= 0) return;
+
+        let lastActivity = Date.now();
+        const markActivity = () => {
+            lastActivity = Date.now();
+        };
+        const events = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+        events.forEach(name => window.addEventListener(name, markActivity, { passive: true }));
+
+        const timer = setInterval(() => {
+            if (Date.now() - lastActivity >= autoLockMinutes * 60000) {
+                console.log('⏲️ Inactivité : verrouillage automatique');
+                lockNotes();
+            }
+        }, AUTO_LOCK_CHECK_MS);
+
+        return () => {
+            events.forEach(name => window.removeEventListener(name, markActivity));
+            clearInterval(timer);
+        };
+    }, [isEncrypted, isLocked, autoLockMinutes]);
+
+    // Surveiller l'espace de stockage une fois les notes ouvertes
+    useEffect(() => {
+        if (!isDBReady || isLocked) return;
+
+        checkStorage();
+        const timer = setInterval(checkStorage, STORAGE_CHECK_MS);
+        return () => clearInterval(timer);
+    }, [isDBReady, isLocked]);
+
+    // Rappels échus, vérifiés tant que l'App est ouverte (même verrouillée :
+    // la notification n'affiche alors pas le titre)
+    useEffect(() => {
+        if (!isDBReady) return;
+        checkReminders();
+        const timer = setInterval(checkReminders, REMINDER_CHECK_MS);
+        return () => clearInterval(timer);
+    }, [isDBReady]);
+
+    // Raccourcis clavier globaux (pas sur l'écran de verrouillage)
+    useEffect(() => {
+        if (!isDBReady || isLocked) return;
+
+        const handleKeyDown = (e) => {
+            // Déjà traité par un composant (éditeur, liste de tâches, palette...)
+            if (e.defaultPrevented) return;
+
+            const shortcut = eventToShortcut(e);
+            const { commands, bindings } = keyboardRef.current;
+            const id = shortcut && Object.keys(bindings).find(action => bindings[action] === shortcut);
+            if (!id || !commands[id]) return;
+            if (isTypingShortcut(shortcut) && isEditableTarget(e.target)) return;
+            // Une boîte de dialogue ouverte ne laisse passer que la palette
+            if (id !== 'palette' && document.querySelector('[aria-modal="true"]')) return;
+
+            e.preventDefault();
+            commands[id]();
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isDBReady, isLocked]);
+
+    // Oublier les saisies des onglets qui ne donnent plus de nouvelles (fermés
+    // sans prévenir)
+    useEffect(() => {
+        if (Object.keys(remoteEditing).length === 0) return;
+
+        const timer = setInterval(() => {
+            const now = Date.now();
+            setRemoteEditing(prev => Object.fromEntries(
+                Object.entries(prev).filter(([, editing]) => now - editing.at < EDITING_PRESENCE_MS)
+            ));
+        }, EDITING_SIGNAL_MS);
+        return () => clearInterval(timer);
+    }, [remoteEditing]);
+
+    // Changement de note : la saisie de la précédente est écrite tout de suite,
+    // et n'est plus signalée aux autres onglets
+    useEffect(() => {
+        saveQueue.flush();
+        const { noteUid } = editingSignalRef.current;
+        if (noteUid && noteUid !== selectedNote?.uid) signalEditing(null);
+    }, [selectedNote?.uid]);
+
+    // Fermer automatiquement le toast
+    useEffect(() => {
+        if (!toast) return;
+        const timer = setTimeout(() => setToast(null), toast.duration || 6000);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    // Comparer l'espace utilisé au quota et prévenir à l'approche de la limite
+    const checkStorage = async () => {
+        try {
+            const level = getStorageLevel(await getStorageEstimate());
+            if (level && level !== storageLevelRef.current) {
+                setToast({
+                    message: level === 'critical'
+                        ? '💽 Stockage presque plein : les prochaines modifications risquent d\'être refusées'
+                        : '💽 L\'espace de stockage approche de sa limite',
+                    actionLabel: 'Détails',
+                    onAction: () => setShowStorage(true),
+                    duration: 12000
+                });
+            }
+            storageLevelRef.current = level;
+            setStorageLevel(level);
+        } catch (error) {
+            console.error('Erreur estimation stockage:', error);
+        }
+    };
+
+    // Écriture refusée faute de place : le dire plutôt qu'échouer en silence
+    const reportWriteError = (error, label) => {
+        if (!(error instanceof StorageQuotaError)) {
+            console.error(label, error);
+            return;
+        }
+
+        setToast({
+            message: `💽 ${error.message}`,
+            actionLabel: 'Libérer de la place',
+            onAction: () => setShowStorage(true),
+            duration: 15000
+        });
+        checkStorage();
+    };
+
+    // Notification système pour chaque rappel échu (toast si elles sont refusées)
+    const checkReminders = async () => {
+        try {
+            const due = await collectDueReminders(notesDB.db);
+            if (due.length === 0) return;
+
+            // Titres déchiffrés si les notes sont déverrouillées
+            const readable = notesDB.isLocked() ? [] : await notesDB.getAllNotes();
+            const registration = 'serviceWorker' in navigator
+                ? await navigator.serviceWorker.getRegistration()
+                : null;
+            const canNotify = registration && 'Notification' in window && Notification.permission === 'granted';
+
+            for (const raw of due) {
+                const note = readable.find(n => n.uid === raw.uid) || raw;
+                if (canNotify) {
+                    await showReminderNotification(registration, note);
+                } else {
+                    setToast({
+                        message: `⏰ ${notesDB.isLocked() ? 'Rappel' : note.title}`,
+                        actionLabel: 'Ouvrir',
+                        onAction: () => {
+                            pendingNoteUidRef.current = note.uid;
+                            openPendingNote();
+                        },
+                        duration: 30000
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Erreur vérification rappels:', error);
+        }
+    };
+
+    // Ouvrir la note demandée par une notification
+    const openPendingNote = async () => {
+        const uid = pendingNoteUidRef.current;
+        if (!uid) return;
+        pendingNoteUidRef.current = null;
+
+        const note = (await notesDB.getAllNotes()).find(n => n.uid === uid);
+        if (note) handleSelectNote(note);
+    };
+
+    // Premier chargement (au démarrage, ou au déverrouillage)
+    const openNotes = async () => {
+        await purgeTrash();
+        await notesDB.purgeOrphanAttachments();
+        await notesDB.refreshSearchIndex();
+        await loadNotes({ progressive: true });
+        await importSharedContent();
+        openPendingNote();
+        runSync();
+    };
+
+    // Créer une note par contenu partagé vers l'App (reçu par le Service
+    // Worker). Un partage n'est retiré qu'une fois sa note enregistrée.
+    const importSharedContent = async () => {
+        try {
+            const pending = await readSharedContent(notesDB.db);
+            if (pending.length === 0) return;
+
+            let lastId = null;
+            const skipped = [];
+            for (const shared of pending) {
+                const { title, content } = buildSharedNote(shared);
+                const id = await notesDB.addNote({
+                    title,
+                    content,
+                    type: 'text',
+                    color: getRandomColor(),
+                    tags: [],
+                    notebookUid: null
+                });
+
+                // Échec après la création (quota, base fermée...) : la note est
+                // supprimée, le partage gardé sera réimporté sans doublon
+                try {
+                    const refs = [];
+                    for (const file of shared.files) {
+                        try {
+                            refs.push(attachmentMarkdown(await notesDB.addAttachment(id, file)));
+                        } catch (error) {
+                            if (!(error instanceof AttachmentError)) throw error;
+                            skipped.push(error.message);
+                        }
+                    }
+                    if (refs.length > 0) {
+                        await notesDB.updateNote(id, { content: [content, ...refs].filter(Boolean).join('\n\n') });
+                    }
+
+                    await removeSharedContent(notesDB.db, shared.id);
+                } catch (error) {
+                    await notesDB.deleteNote(id).catch(deleteError => {
+                        console.error('❌ Note du partage non supprimée:', deleteError);
+                    });
+                    throw error;
+                }
+                lastId = id;
+            }
+
+            await loadNotes();
+            requestSync();
+            const [created] = await notesDB.getNotes([lastId]);
+            if (created) handleSelectNote(created);
+
+            setToast({
+                message: skipped.length > 0
+                    ? `📥 ${pending.length} partage(s) ajouté(s), fichier(s) ignoré(s) : ${skipped.join(', ')}`
+                    : `📥 ${pending.length === 1 ? 'Contenu partagé ajouté' : `${pending.length} partages ajoutés`} aux notes`
+            });
+        } catch (error) {
+            reportWriteError(error, 'Erreur import partage:');
+        }
+    };
+
+    // Déverrouiller les notes chiffrées (lève EncryptionError si la phrase
+    // secrète est incorrecte)
+    const unlockNotes = async (passphrase) => {
+        await notesDB.unlock(passphrase);
+        setIsLocked(false);
+        await openNotes();
+        // Saisie refusée pendant le verrouillage (chiffrement changé ailleurs)
+        saveQueue.flush();
+    };
+
+    // Verrouiller : clés oubliées, plus aucun texte en clair dans l'état. La
+    // saisie en attente est écrite avant, tant que les clés sont là.
+    const lockNotes = async () => {
+        await saveQueue.flush();
+        notesDB.lock();
+        setIsLocked(true);
+        setNotes([]);
+        setAllNotes([]);
+        setTrashedNotes([]);
+        notesPageRef.current = { cursor: null, count: 0, loading: false };
+        setHasMoreNotes(false);
+        setSelectedNote(null);
+        setShowBackup(false);
+        setShowSecurity(false);
+    };
+
+    // Chiffrement activé, désactivé ou phrase secrète modifiée
+    const handleEncryptionChange = async () => {
+        setIsEncrypted(notesDB.isEncrypted());
+        await notesDB.refreshSearchIndex();
+        await loadNotes();
+        await refreshSelectedNote();
+        requestSync();
+    };
+
+    // Modifier la combinaison d'une action (null : toutes par défaut)
+    const changeShortcut = async (id, shortcut) => {
+        const overrides = id === null ? {} : rebindShortcut(shortcutOverrides, id, shortcut);
+        setShortcutOverrides(overrides);
+        try {
+            await notesDB.setSetting('shortcuts', overrides);
+        } catch (error) {
+            console.error('Erreur enregistrement raccourcis:', error);
+        }
+    };
+
+    const changeAutoLock = async (minutes) => {
+        setAutoLockMinutes(minutes);
+        await notesDB.setSetting('autoLockMinutes', minutes);
+    };
+
+    // Tri de la liste, conservé d'une session à l'autre
+    const changeNoteSort = async (sort) => {
+        setNoteSort(sort);
+        try {
+            await notesDB.setSetting('noteSort', sort);
+        } catch (error) {
+            console.error('Erreur enregistrement tri:', error);
+        }
+    };
+
+    // Charger la liste (la recherche en cours reste appliquée) : la première
+    // page, ou autant de notes que déjà lues pour garder la liste en place.
+    // Les suivantes ne sont lues qu'au défilement (loadMoreNotes).
+    // "progressive" signale la lecture (ouverture).
+    const loadNotes = async ({ progressive = false } = {}) => {
+        if (progressive) setNotesLoading(true);
+        try {
+            const page = await notesDB.getNotesPage({
+                limit: Math.max(NOTE_PAGE_SIZE, notesPageRef.current.count)
+            });
+            notesPageRef.current = { ...notesPageRef.current, cursor: page.cursor, count: page.notes.length };
+            setHasMoreNotes(!!page.cursor);
+
+            const allNotes = page.notes.filter(note => !note.deletedAt);
+            if (searchTermRef.current.trim() === '') {
+                setNotes(allNotes);
+            } else {
+                await applySearch(searchTermRef.current);
+            }
+
+            const trash = page.notes.filter(note => note.deletedAt);
+            setTrashedNotes(trash.sort((a, b) => b.deletedAt - a.deletedAt));
+            setTags(await notesDB.getTagCounts());
+            setAllNotes(allNotes);
+            await loadNotebooks();
+        } catch (error) {
+            console.error('Erreur chargement notes:', error);
+        } finally {
+            if (progressive) setNotesLoading(false);
+        }
+    };
+
+    // Lire la page suivante (fin de la liste atteinte au défilement, ou liste
+    // entière nécessaire) et l'ajouter à l'état
+    const loadMoreNotes = async () => {
+        const { cursor, loading } = notesPageRef.current;
+        if (!cursor || loading || notesDB.isLocked()) return;
+
+        notesPageRef.current.loading = true;
+        setNotesLoading(true);
+        try {
+            const page = await notesDB.getNotesPage({ after: cursor });
+            // Liste relue entre-temps (loadNotes) : cette page n'est plus la suite
+            if (notesPageRef.current.cursor !== cursor) return;
+            notesPageRef.current.cursor = page.cursor;
+            notesPageRef.current.count += page.notes.length;
+            setHasMoreNotes(!!page.cursor);
+
+            // Les résultats d'une recherche ne dépendent pas des pages lues
+            await mergeNotes(page.notes.map(note => note.id), page.notes, { tagsChanged: false, searchChanged: false });
+        } catch (error) {
+            console.error('Erreur chargement notes:', error);
+        } finally {
+            notesPageRef.current.loading = false;
+            setNotesLoading(false);
+        }
+    };
+
+    // Relire les carnets (ils ne touchent pas aux notes)
+    const loadNotebooks = async () => {
+        const allNotebooks = await notesDB.getNotebooks();
+        setNotebooks(allNotebooks);
+        // Carnet affiché supprimé (ici ou par un autre onglet)
+        setCurrentNotebook(prev => allNotebooks.some(n => n.uid === prev) ? prev : null);
+    };
+
+    // Reporter dans l'état quelques notes enregistrées ("records", relues
+    // après l'écriture) sans recharger toute la liste. Les tags et les
+    // résultats d'une recherche ne sont recalculés que s'ils ont pu changer.
+    const mergeNotes = async (ids, records, { tagsChanged = true, searchChanged = true } = {}) => {
+        const live = records.filter(note => !note.deletedAt);
+        setAllNotes(prev => upsertNotes(prev, ids, live));
+        setTrashedNotes(prev => upsertNotes(prev, ids, records.filter(note => note.deletedAt))
+            .sort((a, b) => b.deletedAt - a.deletedAt));
+
+        if (searchTermRef.current.trim() === '') {
+            setNotes(prev => upsertNotes(prev, ids, live));
+        } else if (searchChanged) {
+            // Pertinence et extraits à recalculer
+            await applySearch(searchTermRef.current);
+        }
+        if (tagsChanged) setTags(await notesDB.getTagCounts());
+    };
+
+    // Relire les notes "ids" après une écriture et les reporter dans l'état,
+    // note ouverte comprise (pas pendant la saisie) → notes relues
+    const reloadNotes = async (ids, options) => {
+        const records = await notesDB.getNotes(ids);
+        await mergeNotes(ids, records, options);
+        if (!hasPendingSaves()) {
+            setSelectedNote(prev => prev && ids.includes(prev.id)
+                ? records.find(note => note.id === prev.id && !note.deletedAt) || null
+                : prev);
+        }
+        return records;
+    };
+
+    // Écriture groupée (tag, carnet) commencée à "since" : relire les notes
+    // qu'elle a modifiées, même celles des pages pas encore lues
+    const reloadNotesSince = async (since) => {
+        await reloadNotes(await notesDB.getNoteIdsUpdatedSince(since));
+    };
+
+    // Enregistrement en attente ou en cours (saisie de l'éditeur comprise)
+    const hasPendingSaves = () => pendingSavesRef.current > 0 || saveQueue.hasPending();
+
+    // Recharger la note ouverte (modifiée par une synchronisation ou un autre
+    // onglet). Pas pendant la saisie : l'éditeur écraserait le texte tapé, et
+    // l'enregistrement en attente rechargera la note de toute façon.
+    const refreshSelectedNote = async () => {
+        if (hasPendingSaves()) return;
+        const allNotes = await notesDB.getAllNotes();
+        setSelectedNote(prev => prev ? (allNotes.find(n => n.id === prev.id) || null) : prev);
+    };
+
+    // Écriture d'un autre onglet : relire ce qu'elle a modifié
+    const handleRemoteChange = async (change) => {
+        // Base pas encore ouverte : tout sera lu à l'ouverture
+        if (!notesDB.db) return;
+
+        if (change.setting === 'encryption') {
+            // Chiffrement activé, modifié ou désactivé là-bas : les clés
+            // de cet onglet ne valent plus rien
+            await notesDB.reloadEncryption();
+            setIsEncrypted(notesDB.isEncrypted());
+            if (notesDB.isLocked()) {
+                lockNotes();
+            } else {
+                setIsLocked(false);
+                await handleEncryptionChange();
+            }
+            return;
+        }
+        // Les autres réglages sont relus au prochain démarrage
+        if (change.setting) return;
+
+        // Une relecture à la fois : les écritures reçues pendant ce temps
+        // sont regroupées dans la suivante
+        const pending = remoteChangesRef.current;
+        if (change.noteIds) {
+            change.noteIds.forEach(id => pending.noteIds.add(id));
+        } else {
+            pending.all = true;
+        }
+        if (pending.running) return;
+
+        pending.running = true;
+        try {
+            while (pending.all || pending.noteIds.size > 0) {
+                const all = pending.all;
+                const noteIds = [...pending.noteIds];
+                pending.all = false;
+                pending.noteIds.clear();
+                if (notesDB.isLocked()) continue;
+
+                await notesDB.refreshSearchIndex();
+                if (all) {
+                    await loadNotes();
+                    await refreshSelectedNote();
+                } else {
+                    // Seulement les notes écrites là-bas
+                    await reloadNotes(noteIds);
+                }
+            }
+            await refreshSyncStatus();
+        } catch (error) {
+            console.error('Erreur lecture des modifications d\'un autre onglet:', error);
+        } finally {
+            pending.running = false;
+        }
+    };
+
+    // Prévenir les autres onglets de la saisie en cours dans une note
+    // (noteUid null : saisie terminée)
+    const signalEditing = (noteUid) => {
+        const { noteUid: previous, at } = editingSignalRef.current;
+        if (noteUid === previous && (!noteUid || Date.now() - at < EDITING_SIGNAL_MS)) return;
+
+        editingSignalRef.current = { noteUid, at: Date.now() };
+        notesDB.broadcast({ type: 'editing', noteUid });
+    };
+
+    // Rafraîchir les compteurs de l'outbox
+    const refreshSyncStatus = async () => {
+        try {
+            const counts = await syncEngine.getCounts(notesDB.db);
+            const endpoint = await notesDB.getSetting('syncEndpoint');
+            setSyncStatus(prev => ({ ...prev, ...counts, endpoint: endpoint || null }));
+        } catch (error) {
+            console.error('Erreur lecture statut sync:', error);
+        }
+    };
+
+    // Synchroniser immédiatement depuis la page
+    const runSync = async () => {
+        if (!navigator.onLine) {
+            await refreshSyncStatus();
+            return;
+        }
+
+        setSyncStatus(prev => ({ ...prev, syncing: true }));
+        try {
+            const result = await syncEngine.run();
+            // Les notes reçues du serveur concernent aussi les autres onglets
+            if (!result.skipped) notesDB.notifyChange();
+            if (!result.skipped && !notesDB.isLocked()) {
+                await notesDB.refreshSearchIndex();
+                await loadNotes();
+                await refreshSelectedNote();
+            }
+        } catch (error) {
+            console.error('Erreur synchronisation:', error);
+        } finally {
+            setSyncStatus(prev => ({ ...prev, syncing: false }));
+            await refreshSyncStatus();
+        }
+    };
+
+    // Demander une synchronisation après une mutation :
+    // Background Sync si disponible (rejouée même si la page est fermée)
+    const requestSync = async () => {
+        await refreshSyncStatus();
+
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.sync.register('sync-notes');
+                return;
+            } catch (error) {
+                console.log('⚠️ Background Sync indisponible:', error);
+            }
+        }
+
+        runSync();
+    };
+
+    // Configurer l'URL de l'API de synchronisation
+    const configureSync = async () => {
+        const endpoint = prompt(
+            'URL de l\'API de synchronisation (vide pour désactiver) :',
+            syncStatus.endpoint || 'http://localhost:3001'
+        );
+        if (endpoint === null) return;
+
+        await notesDB.setSetting('syncEndpoint', endpoint.trim() || null);
+        await refreshSyncStatus();
+        runSync();
+    };
+
+    // Relancer les entrées en échec puis synchroniser
+    const retrySync = async () => {
+        await syncEngine.retryFailed(notesDB.db);
+        runSync();
+    };
+
+    // Créer une nouvelle note (type : CHECKLIST_TYPE pour une liste de tâches)
+    const createNote = async (type = 'text') => {
+        const newNote = {
+            title: type === CHECKLIST_TYPE ? 'Nouvelle liste' : 'Nouvelle note',
+            content: '',
+            type,
+            color: getRandomColor(),
+            // Créée depuis la liste d'un tag ou d'un carnet : elle y reste visible
+            tags: activeTag ? [activeTag] : [],
+            notebookUid: currentNotebook
+        };
+
+        try {
+            const id = await notesDB.addNote(newNote);
+            const [createdNote] = await reloadNotes([id]);
+            requestSync();
+            
+            // Sélectionner la nouvelle note
+            setSelectedNote(createdNote);
+            
+            // Sur mobile, fermer la sidebar après création
+            if (isMobile) {
+                setShowSidebar(false);
+            }
+        } catch (error) {
+            reportWriteError(error, 'Erreur création note:');
+        }
+    };
+
+    // Note renommée : ses liens [[Ancien titre]] suivent, sauf si une autre
+    // note porte encore l'ancien titre (les liens restent alors à elle)
+    const updateNoteLinks = async (id, oldTitle, newTitle) => {
+        const oldKey = normalizeNoteTitle(oldTitle);
+        if (!oldKey || !isLinkableTitle(newTitle) || oldKey === normalizeNoteTitle(newTitle)) return;
+
+        // Les textes relus doivent contenir la dernière saisie
+        await saveQueue.flush();
+        let records;
+        try {
+            records = await notesDB.getAllNotes();
+        } catch (error) {
+            console.error('Erreur lecture des liens:', error);
+            return;
+        }
+        if (records.some(note => note.id !== id && normalizeNoteTitle(note.title) === oldKey)) return;
+
+        const linking = records.filter(note => !note.unreadable && !note.conflict
+            && getNoteLinks(note).includes(oldKey));
+        try {
+            for (const note of linking) {
+                await writeNote(note.id, { content: replaceNoteLinks(note.content, oldTitle, newTitle) });
+            }
+        } catch (error) {
+            // Déjà signalée par writeNote
+            return;
+        }
+
+        if (linking.length > 0) {
+            setToast({
+                message: `🔗 Liens vers "${newTitle.trim()}" mis à jour dans ${linking.length} note(s)`
+            });
+        }
+    };
+
+    // Écrire une note (lève l'erreur : saveQueue retente)
+    const writeNote = async (id, updates) => {
+        pendingSavesRef.current++;
+        try {
+            // Seule la note enregistrée change dans l'état : pas de rechargement
+            const updated = await notesDB.updateNote(id, updates);
+            await mergeNotes([id], [updated], { tagsChanged: 'tags' in updates });
+            requestSync();
+            // Pas si la saisie a continué : l'éditeur reviendrait en arrière
+            if (!saveQueue.hasPending(id)) {
+                setSelectedNote(prev => prev && prev.id === id ? updated : prev);
+            }
+        } catch (error) {
+            reportWriteError(error, 'Erreur mise à jour note:');
+            throw error;
+        } finally {
+            pendingSavesRef.current--;
+        }
+    };
+
+    // Mettre à jour une note, après la saisie en attente (qu'elle n'écrase pas)
+    const updateNote = async (id, updates) => {
+        await saveQueue.flush(id);
+        try {
+            await writeNote(id, updates);
+        } catch (error) {
+            // Déjà signalée par writeNote
+        }
+    };
+
+    // Saisie de l'éditeur : écrite par saveQueue, et signalée aux autres onglets
+    const editNote = (id, updates) => {
+        saveQueue.schedule(id, updates);
+        if (selectedNote && selectedNote.id === id) signalEditing(selectedNote.uid);
+    };
+
+    // Programmer (ou retirer, reminder null) le rappel d'une note
+    const setNoteReminder = (id, reminder) => {
+        // La permission se demande pendant le clic, avant toute attente
+        if (reminder) enableReminderNotifications();
+        return updateNote(id, { reminder });
+    };
+
+    const snoozeNoteReminder = (note, delay) => {
+        return updateNote(note.id, { reminder: snoozeReminder(note.reminder, Date.now() + delay) });
+    };
+
+    const completeNoteReminder = (note) => {
+        return updateNote(note.id, { reminder: completeReminder(note.reminder) });
+    };
+
+    // Lancer "action" une fois la saisie de cet onglet enregistrée. Si
+    // l'écriture échoue, on abandonne : le bandeau propose de réessayer.
+    const whenSaved = (action) => {
+        updateActionRef.current = action;
+        setUpdateStatus('saving');
+        saveQueue.flush();
+
+        const check = () => {
+            if (saveQueue.status === 'error') {
+                setUpdateStatus('failed');
+                return;
+            }
+            if (hasPendingSaves()) {
+                setTimeout(check, 300);
+                return;
+            }
+            action();
+        };
+        check();
+    };
+
+    // Activer la nouvelle version : le Service Worker en attente prend le
+    // contrôle, puis chaque onglet se recharge (voir 'sw-controller-changed').
+    // Jamais pendant un enregistrement.
+    const applyUpdate = () => whenSaved(() => {
+        console.log('🆕 Activation de la nouvelle version');
+        window.waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    // Résoudre un conflit de synchronisation
+    const resolveConflict = async (id, resolution) => {
+        try {
+            const resolved = await notesDB.resolveConflict(id, resolution);
+            await reloadNotes([id]);
+            setSelectedNote(resolved);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur résolution conflit:', error);
+        }
+    };
+
+    // Restaurer une version de l'historique
+    const restoreRevision = async (id, revisionId) => {
+        // La saisie en attente devient une version de l'historique au lieu
+        // d'écraser la version restaurée
+        await saveQueue.flush(id);
+        try {
+            const restored = await notesDB.restoreRevision(id, revisionId);
+            await reloadNotes([id]);
+            setSelectedNote(restored);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur restauration version:', error);
+        }
+    };
+
+    // Supprimer une note
+    const deleteNote = async (id) => {
+        await saveQueue.flush(id);
+        try {
+            await notesDB.trashNote(id);
+            await reloadNotes([id]);
+            requestSync();
+            
+            if (selectedNote && selectedNote.id === id) {
+                setSelectedNote(null);
+            }
+
+            setToast({
+                message: '🗑️ Note déplacée dans la corbeille',
+                actionLabel: 'Annuler',
+                onAction: () => restoreNote(id)
+            });
+        } catch (error) {
+            reportWriteError(error, 'Erreur suppression note:');
+        }
+    };
+
+    // Restaurer une note depuis la corbeille
+    const restoreNote = async (id) => {
+        try {
+            await notesDB.restoreNote(id);
+            await reloadNotes([id]);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur restauration note:', error);
+        }
+    };
+
+    // Supprimer définitivement une note de la corbeille
+    const purgeNote = async (id) => {
+        if (!confirm('Supprimer définitivement cette note ? Cette action est irréversible.')) return;
+
+        try {
+            saveQueue.discard(id);
+            await notesDB.deleteNote(id);
+            await reloadNotes([id]);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur suppression définitive:', error);
+        }
+    };
+
+    // Vider la corbeille (pages pas encore lues comprises)
+    const emptyTrash = async () => {
+        try {
+            const ids = (await notesDB.getTrashedNotes()).map(note => note.id);
+            if (!confirm(`Supprimer définitivement ${ids.length} note(s) ? Cette action est irréversible.`)) return;
+
+            for (const id of ids) {
+                saveQueue.discard(id);
+                await notesDB.deleteNote(id);
+            }
+            await reloadNotes(ids);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur vidage corbeille:', error);
+        }
+    };
+
+    // Purge automatique selon la durée de conservation (0 = jamais)
+    const purgeTrash = async (days) => {
+        try {
+            const retention = days !== undefined
+                ? days
+                : ((await notesDB.getSetting('trashRetentionDays')) ?? DEFAULT_TRASH_RETENTION_DAYS);
+            setTrashRetentionDays(retention);
+
+            if (retention > 0 && await notesDB.purgeExpiredNotes(retention) > 0) {
+                requestSync();
+            }
+        } catch (error) {
+            console.error('Erreur purge corbeille:', error);
+        }
+    };
+
+    // Modifier la durée de conservation de la corbeille
+    const changeTrashRetention = async (days) => {
+        await notesDB.setSetting('trashRetentionDays', days);
+        await purgeTrash(days);
+        await loadNotes();
+    };
+
+    // Rechercher des notes (résultats déjà triés par pertinence).
+    // Une requête invalide garde la liste affichée et signale l'erreur.
+    const applySearch = async (term) => {
+        try {
+            const results = await notesDB.searchNotes(term);
+            setSearchError(null);
+            setNotes(results);
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                setSearchError(error.message);
+            } else {
+                console.error('Erreur recherche:', error);
+            }
+        }
+    };
+
+    const handleSearch = async (term) => {
+        setSearchTerm(term);
+        searchTermRef.current = term;
+        
+        if (term.trim() === '') {
+            setSearchError(null);
+            await loadNotes();
+        } else {
+            await applySearch(term);
+        }
+    };
+
+    // Tag affiché dans la liste (recherche "tag:..." seule)
+    const activeTag = tags.map(t => t.tag).find(tag => searchTerm.trim() === tagSearchQuery(tag)) || null;
+
+    // Filtrer la liste sur un tag (ou retirer le filtre)
+    const selectTag = (tag) => {
+        setSidebarView('notes');
+        handleSearch(tag && tag !== activeTag ? tagSearchQuery(tag) : '');
+    };
+
+    // Renommer un tag, ou le fusionner avec un tag existant
+    const renameTag = async (tag) => {
+        const newName = prompt(`Renommer le tag "${tag}" :`, tag);
+        if (newName === null || normalizeTag(newName) === tag) return;
+
+        const target = normalizeTag(newName);
+        if (!target) return;
+        if (tags.some(t => t.tag === target) &&
+            !confirm(`Le tag "${target}" existe déjà. Fusionner "${tag}" avec "${target}" ?`)) return;
+
+        try {
+            const since = Date.now();
+            await notesDB.renameTag(tag, target);
+            if (activeTag === tag) {
+                searchTermRef.current = tagSearchQuery(target);
+                setSearchTerm(searchTermRef.current);
+            }
+            await reloadNotesSince(since);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur renommage tag:', error);
+        }
+    };
+
+    // Retirer un tag de toutes les notes
+    const deleteTag = async (tag) => {
+        const count = tags.find(t => t.tag === tag)?.count || 0;
+        if (!confirm(`Retirer le tag "${tag}" de ${count} note(s) ? Les notes ne sont pas supprimées.`)) return;
+
+        try {
+            const since = Date.now();
+            await notesDB.deleteTag(tag);
+            if (activeTag === tag) {
+                // Plus de recherche sur ce tag : la liste redevient celle des pages lues
+                searchTermRef.current = '';
+                setSearchTerm('');
+                await loadNotes();
+            }
+            await reloadNotesSince(since);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur suppression tag:', error);
+        }
+    };
+
+    // Carnet affiché et ses sous-carnets (null = toutes les notes)
+    const notebookScope = currentNotebook ? collectNotebookSubtree(notebooks, currentNotebook) : null;
+    const inScope = note => !notebookScope || notebookScope.has(note.notebookUid);
+    // Une recherche garde l'ordre de pertinence et trouve aussi les notes
+    // archivées ; sinon, filtre et tri choisis (épinglées en tête)
+    const isSearching = searchTerm.trim() !== '';
+    const listedNotes = notes
+        .filter(inScope)
+        .filter(note => (isSearching && noteFilter === 'all') || NOTE_LIST_FILTERS[noteFilter].match(note));
+    const visibleNotes = isSearching ? listedNotes : sortNotes(listedNotes, noteSort);
+
+    // Les pages suivent l'index "updatedAt" : un autre tri, un filtre, un
+    // carnet, la liste des rappels, la palette, le graphe ou les liens [[...]]
+    // de la note ouverte portent sur toutes les notes, lues alors jusqu'à la
+    // dernière page (de même si aucune note lue n'est affichable)
+    const byDate = noteSort.field === 'updatedAt' && noteSort.direction === 'desc';
+    const needsAllNotes = sidebarView === 'reminders' || showPalette || showGraph
+        || (!!selectedNote && getNoteLinks(selectedNote).length > 0)
+        || (!isSearching && (!byDate || noteFilter !== 'all' || !!currentNotebook || visibleNotes.length === 0));
+    useEffect(() => {
+        if (needsAllNotes && hasMoreNotes && !notesLoading) loadMoreNotes();
+    }, [needsAllNotes, hasMoreNotes, notesLoading]);
+
+    // Statistiques de l'en-tête : globales ou limitées au carnet affiché
+    const statsNotes = notebookScope && statsScope === 'notebook' ? allNotes.filter(inScope) : allNotes;
+    const today = new Date().setHours(0, 0, 0, 0);
+    const stats = {
+        total: statsNotes.length,
+        today: statsNotes.filter(n => n.createdAt >= today).length,
+        pinned: statsNotes.filter(n => n.pinned).length,
+        archived: statsNotes.filter(n => n.archived).length,
+        scope: notebookScope ? notebooks.find(n => n.uid === currentNotebook)?.name : null,
+        scoped: !!notebookScope && statsScope === 'notebook',
+        // Pages pas encore lues : les nombres sont des minimums
+        partial: hasMoreNotes
+    };
+
+    // Créer un carnet (sous-carnet si parentUid est fourni)
+    const createNotebook = async (parentUid = null) => {
+        const name = prompt(parentUid ? 'Nom du sous-carnet :' : 'Nom du carnet :');
+        if (!name || !name.trim()) return;
+
+        try {
+            const notebook = await notesDB.addNotebook(name, parentUid);
+            await loadNotebooks();
+            setCurrentNotebook(notebook.uid);
+        } catch (error) {
+            console.error('Erreur création carnet:', error);
+        }
+    };
+
+    const renameNotebook = async (notebook) => {
+        const name = prompt('Renommer le carnet :', notebook.name);
+        if (!name || !name.trim() || name.trim() === notebook.name) return;
+
+        try {
+            await notesDB.renameNotebook(notebook.uid, name);
+            await loadNotebooks();
+        } catch (error) {
+            console.error('Erreur renommage carnet:', error);
+        }
+    };
+
+    // Supprimer un carnet : directement s'il est vide, sinon en demandant
+    // quoi faire de ses notes
+    const deleteNotebook = async (notebook) => {
+        // Compté dans la base : toutes les pages ne sont peut-être pas lues
+        let count;
+        try {
+            count = await notesDB.countNotebookNotes(collectNotebookSubtree(notebooks, notebook.uid));
+        } catch (error) {
+            console.error('Erreur lecture carnet:', error);
+            return;
+        }
+
+        if (count > 0) {
+            setNotebookToDelete({ notebook, count });
+        } else if (confirm(`Supprimer le carnet "${notebook.name}" ?`)) {
+            await confirmDeleteNotebook(notebook, {});
+        }
+    };
+
+    const confirmDeleteNotebook = async (notebook, options) => {
+        setNotebookToDelete(null);
+        try {
+            const since = Date.now();
+            await notesDB.deleteNotebook(notebook.uid, options);
+            await loadNotebooks();
+            // Notes déplacées ou mises à la corbeille (la note ouverte suit)
+            await reloadNotesSince(since);
+            requestSync();
+        } catch (error) {
+            console.error('Erreur suppression carnet:', error);
+        }
+    };
+
+    // Épingler, mettre en favori ou archiver une note (et l'inverse)
+    const toggleNoteFlag = (note, flag) => {
+        return updateNote(note.id, { [flag]: !note[flag] });
+    };
+
+    // Ranger une note dans un carnet (null = sans carnet)
+    const moveNote = async (id, notebookUid) => {
+        const note = allNotes.find(n => n.id === id);
+        if (!note || (note.notebookUid || null) === notebookUid) return;
+        await updateNote(id, { notebookUid });
+    };
+
+    // Installer la PWA
+    const installPWA = async () => {
+        console.log('🔘 Bouton installer cliqué');
+        
+        if (!window.deferredPrompt) {
+            console.log('⚠️ Pas de prompt d\'installation disponible');
+            alert('L\'installation n\'est pas disponible. L\'application est peut-être déjà installée ou vous devez utiliser HTTPS.');
+            return;
+        }
+
+        try {
+            // Afficher le prompt d'installation
+            console.log('📲 Affichage du prompt...');
+            window.deferredPrompt.prompt();
+            
+            // Attendre la réponse de l'utilisateur
+            const choiceResult = await window.deferredPrompt.userChoice;
+            
+            if (choiceResult.outcome === 'accepted') {
+                console.log('✅ Utilisateur a accepté l\'installation');
+            } else {
+                console.log('❌ Utilisateur a refusé l\'installation');
+            }
+            
+            // Réinitialiser le prompt
+            window.deferredPrompt = null;
+            setShowInstallPrompt(false);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'installation:', error);
+            alert('Erreur lors de l\'installation. Veuillez réessayer.');
+        }
+    };
+
+    const getRandomColor = () => {
+        const colors = Object.values(NOTE_COLORS);
+        return colors[Math.floor(Math.random() * colors.length)];
+    };
+
+    const handleSelectNote = (note) => {
+        setSelectedNote(note);
+        if (isMobile) {
+            setShowSidebar(false);
+        }
+    };
+
+    const handleBackToList = () => {
+        setShowSidebar(true);
+        if (isMobile) {
+            setSelectedNote(null);
+        }
+    };
+
+    const selectAdjacentNote = (offset) => {
+        const note = adjacentNote(visibleNotes, selectedNote, offset);
+        if (note) handleSelectNote(note);
+    };
+
+    const showSidebarView = (view) => {
+        setSidebarView(view);
+        setShowSidebar(true);
+    };
+
+    const focusSearch = () => {
+        if (!searchInputRef.current) return;
+        searchInputRef.current.focus();
+        searchInputRef.current.select();
+    };
+
+    // Actions du clavier et de la palette (null : indisponible)
+    const commands = {
+        palette: () => setShowPalette(open => !open),
+        shortcuts: () => setShowShortcuts(true),
+        newNote: () => createNote(),
+        newChecklist: () => createNote(CHECKLIST_TYPE),
+        focusSearch: isMobile ? null : focusSearch,
+        nextNote: () => selectAdjacentNote(1),
+        previousNote: () => selectAdjacentNote(-1),
+        deleteNote: selectedNote ? () => deleteNote(selectedNote.id) : null,
+        toggleSidebar: () => setShowSidebar(!showSidebar),
+        showNotes: () => showSidebarView('notes'),
+        showTrash: () => showSidebarView('trash'),
+        showReminders: () => showSidebarView('reminders'),
+        sync: syncStatus.failed > 0 ? retrySync : runSync,
+        backup: () => setShowBackup(true),
+        storage: () => setShowStorage(true),
+        graph: () => setShowGraph(true),
+        security: () => setShowSecurity(true),
+        lock: isEncrypted ? lockNotes : null
+    };
+    const shortcutBindings = resolveShortcuts(shortcutOverrides);
+    keyboardRef.current = { commands, bindings: shortcutBindings };
+
+    if (isLocked) {
+        return <LockScreen onUnlock={unlockNotes} />;
+    }
+
+    if (!isDBReady) {
+        return (
+            <div style={styles.loading}>
+                <div style={styles.loadingText}>
+                    {isDBBlocked
+                        ? '⏳ NotesFlow est ouvert dans un autre onglet avec une version précédente : fermez-le ou rechargez-le pour continuer.'
+                        : 'Initialisation d\'IndexedDB...'}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div style={styles.app}>
+            <Header 
+                isOnline={isOnline} 
+                syncStatus={syncStatus}
+                onSync={syncStatus.failed > 0 ? retrySync : runSync}
+                onConfigureSync={configureSync}
+                stats={stats}
+                onToggleStatsScope={() => setStatsScope(statsScope === 'notebook' ? 'all' : 'notebook')}
+                onOpenBackup={() => setShowBackup(true)}
+                storageLevel={storageLevel}
+                onOpenStorage={() => setShowStorage(true)}
+                isEncrypted={isEncrypted}
+                onOpenSecurity={() => setShowSecurity(true)}
+                onLock={lockNotes}
+                onSearch={handleSearch}
+                searchTerm={searchTerm}
+                searchError={searchError}
+                showInstallPrompt={showInstallPrompt}
+                onInstall={installPWA}
+                isMobile={isMobile}
+                showSidebar={showSidebar}
+                onToggleSidebar={() => setShowSidebar(!showSidebar)}
+                onOpenPalette={() => setShowPalette(true)}
+                searchInputRef={searchInputRef}
+            />
+            
+            <div style={styles.container}>
+                {showSidebar && (
+                    <Sidebar 
+                        notes={visibleNotes}
+                        selectedNote={selectedNote}
+                        onSelectNote={handleSelectNote}
+                        onCreateNote={createNote}
+                        onDeleteNote={deleteNote}
+                        view={sidebarView}
+                        onChangeView={setSidebarView}
+                        trashedNotes={trashedNotes}
+                        isLoading={notesLoading}
+                        hasMore={hasMoreNotes}
+                        onLoadMore={loadMoreNotes}
+                        onRestoreNote={restoreNote}
+                        onPurgeNote={purgeNote}
+                        onEmptyTrash={emptyTrash}
+                        trashRetentionDays={trashRetentionDays}
+                        onChangeTrashRetention={changeTrashRetention}
+                        tags={tags}
+                        activeTag={activeTag}
+                        onSelectTag={selectTag}
+                        onRenameTag={renameTag}
+                        onDeleteTag={deleteTag}
+                        notebooks={notebooks}
+                        allNotes={allNotes}
+                        currentNotebook={currentNotebook}
+                        onSelectNotebook={(uid) => {
+                            setCurrentNotebook(uid);
+                            setSidebarView('notes');
+                        }}
+                        onCreateNotebook={createNotebook}
+                        onRenameNotebook={renameNotebook}
+                        onDeleteNotebook={deleteNotebook}
+                        onMoveNote={moveNote}
+                        onToggleFlag={toggleNoteFlag}
+                        filter={noteFilter}
+                        onChangeFilter={setNoteFilter}
+                        sort={noteSort}
+                        onChangeSort={changeNoteSort}
+                        onSnoozeReminder={snoozeNoteReminder}
+                        onCompleteReminder={completeNoteReminder}
+                        isMobile={isMobile}
+                        onClose={() => setShowSidebar(false)}
+                    />
+                )}
+                
+                {(!isMobile || (isMobile && !showSidebar)) && (
+                    <Editor 
+                        note={selectedNote}
+                        onUpdate={updateNote}
+                        onResolveConflict={resolveConflict}
+                        onRestoreRevision={restoreRevision}
+                        allTags={tags.map(t => t.tag)}
+                        notebooks={notebooks}
+                        onMoveNote={moveNote}
+                        onToggleFlag={toggleNoteFlag}
+                        onSetReminder={setNoteReminder}
+                        notes={allNotes}
+                        onRenameTitle={updateNoteLinks}
+                        onOpenNote={handleSelectNote}
+                        onOpenGraph={() => setShowGraph(true)}
+                        onEdit={editNote}
+                        saveStatus={saveStatus}
+                        onRetrySave={() => saveQueue.flush()}
+                        editedElsewhere={!!selectedNote && Object.values(remoteEditing)
+                            .some(editing => editing.noteUid === selectedNote.uid)}
+                        isMobile={isMobile}
+                        onBack={handleBackToList}
+                    />
+                )}
+            </div>
+
+            {updateStatus && (
+                <UpdateBanner
+                    status={updateStatus}
+                    onReload={updateStatus === 'outdated'
+                        ? () => window.location.reload()
+                        : updateStatus === 'failed' ? () => whenSaved(updateActionRef.current) : applyUpdate}
+                    onDismiss={() => setUpdateStatus(null)}
+                />
+            )}
+
+            {toast && (
+                <Toast
+                    toast={toast}
+                    onDismiss={() => setToast(null)}
+                />
+            )}
+
+            {notebookToDelete && (
+                <NotebookDeleteDialog
+                    notebook={notebookToDelete.notebook}
+                    noteCount={notebookToDelete.count}
+                    notebooks={notebooks}
+                    onConfirm={(options) => confirmDeleteNotebook(notebookToDelete.notebook, options)}
+                    onCancel={() => setNotebookToDelete(null)}
+                />
+            )}
+
+            {showBackup && (
+                <BackupDialog
+                    isEncrypted={isEncrypted}
+                    onImported={async () => {
+                        await loadNotes();
+                        await refreshSelectedNote();
+                        requestSync();
+                    }}
+                    onClose={() => setShowBackup(false)}
+                />
+            )}
+
+            {showSecurity && (
+                <SecurityDialog
+                    isEncrypted={isEncrypted}
+                    autoLockMinutes={autoLockMinutes}
+                    onChangeAutoLock={changeAutoLock}
+                    onBeforeChange={() => saveQueue.flush()}
+                    onEncryptionChange={handleEncryptionChange}
+                    onLock={lockNotes}
+                    onClose={() => setShowSecurity(false)}
+                />
+            )}
+
+            {showStorage && (
+                <StorageDialog
+                    onChecked={checkStorage}
+                    onClose={() => setShowStorage(false)}
+                />
+            )}
+
+            {showGraph && (
+                <NoteGraphDialog
+                    notes={allNotes}
+                    currentNoteId={selectedNote ? selectedNote.id : null}
+                    onSelectNote={(note) => {
+                        setShowGraph(false);
+                        handleSelectNote(note);
+                    }}
+                    onClose={() => setShowGraph(false)}
+                />
+            )}
+
+            {showPalette && (
+                <CommandPalette
+                    commands={Object.keys(KEYBOARD_ACTIONS)
+                        .filter(id => commands[id] && id !== 'palette')
+                        .map(id => ({ id, ...KEYBOARD_ACTIONS[id], shortcut: shortcutBindings[id] }))}
+                    notes={allNotes}
+                    onRunCommand={(id) => {
+                        setShowPalette(false);
+                        commands[id]();
+                    }}
+                    onSelectNote={(note) => {
+                        setShowPalette(false);
+                        handleSelectNote(note);
+                    }}
+                    onClose={() => setShowPalette(false)}
+                />
+            )}
+
+            {showShortcuts && (
+                <ShortcutsDialog
+                    bindings={shortcutBindings}
+                    onChange={changeShortcut}
+                    onClose={() => setShowShortcuts(false)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Composant Header
+function Header({ isOnline, syncStatus, onSync, onConfigureSync, stats, onToggleStatsScope, onSearch, searchTerm, searchError, showInstallPrompt, onInstall, onOpenBackup, storageLevel, onOpenStorage, isEncrypted, onOpenSecurity, onLock, isMobile, showSidebar, onToggleSidebar, onOpenPalette, searchInputRef }) {
+    return (
+        <header style={styles.header}>
+            <div style={styles.headerLeft}>
+                {isMobile && (
+                    <button 
+                        onClick={onToggleSidebar}
+                        style={styles.hamburger}
+                        aria-label="Toggle menu"
+                    >
+                        {showSidebar ? '✕' : '☰'}
+                    </button>
+                )}
+                <h1 style={{...styles.logo, fontSize: isMobile ? '1.3rem' : '1.8rem'}}>
+                    <span style={styles.logoIcon}>{isMobile ? '📝' : '📝'}</span>
+                    {!isMobile && 'NotesFlow'}
+                </h1>
+                {!isMobile && (
+                    <div style={styles.statusBadge}>
+                        <span style={{
+                            ...styles.statusDot,
+                            backgroundColor: isOnline ? '#2ecc71' : '#e74c3c'
+                        }} />
+                        {isOnline ? 'En ligne' : 'Hors ligne'}
+                    </div>
+                )}
+                {!isMobile && (
+                    <SyncBadge
+                        syncStatus={syncStatus}
+                        onSync={onSync}
+                        onConfigure={onConfigureSync}
+                    />
+                )}
+            </div>
+            
+            {!isMobile && (
+                <div style={styles.headerCenter}>
+                    <div style={styles.searchField}>
+                        <input 
+                            ref={searchInputRef}
+                            type="text"
+                            placeholder="🔍 Rechercher... (tag:x, updated:<7d, -mot, OR)"
+                            title={'Mots (préfixes), "expressions exactes", tag:courses, color:rouge, '
+                                + 'created:>2026-01-01, updated:<7d, is:pinned, is:checklist, -exclure, a OR b, (groupes)'}
+                            value={searchTerm}
+                            onChange={(e) => onSearch(e.target.value)}
+                            style={{
+                                ...styles.searchInput,
+                                ...(searchError ? styles.searchInputInvalid : {})
+                            }}
+                            aria-invalid={!!searchError}
+                        />
+                        {searchError && (
+                            <div style={styles.searchError} role="alert">⚠️ {searchError}</div>
+                        )}
+                    </div>
+                </div>
+            )}
+            
+            <div style={styles.headerRight}>
+                {!isMobile && (
+                    <div style={styles.stats}>
+                        <div style={styles.statItem}>
+                            <span style={styles.statValue}>{stats.total}{stats.partial ? '+' : ''}</span>
+                            <span style={styles.statLabel}>notes</span>
+                        </div>
+                        <div style={styles.statDivider} />
+                        <div style={styles.statItem}>
+                            <span style={styles.statValue}>{stats.today}</span>
+                            <span style={styles.statLabel}>aujourd'hui</span>
+                        </div>
+                        {[
+                            { count: stats.pinned, label: 'épinglées' },
+                            { count: stats.archived, label: 'archivées' }
+                        ].filter(item => item.count > 0).map(item => (
+                            <React.Fragment key={item.label}>
+                                <div style={styles.statDivider} />
+                                <div style={styles.statItem}>
+                                    <span style={styles.statValue}>{item.count}</span>
+                                    <span style={styles.statLabel}>{item.label}</span>
+                                </div>
+                            </React.Fragment>
+                        ))}
+                        {stats.scope && (
+                            <button
+                                onClick={onToggleStatsScope}
+                                style={styles.statScope}
+                                title={stats.scoped ? 'Afficher les statistiques de toutes les notes' : 'Limiter au carnet affiché'}
+                            >
+                                {stats.scoped ? `📁 ${stats.scope}` : '📚 Tout'}
+                            </button>
+                        )}
+                    </div>
+                )}
+                
+                {showInstallPrompt && (
+                    <button onClick={onInstall} style={{...styles.installButton, fontSize: isMobile ? '0.8rem' : '0.9rem', padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'}}>
+                        {isMobile ? '📲' : '📲 Installer'}
+                    </button>
+                )}
+
+                <button
+                    onClick={onOpenBackup}
+                    style={{
+                        ...styles.installButton,
+                        background: '#16213e',
+                        marginLeft: '0.5rem',
+                        fontSize: isMobile ? '0.8rem' : '0.9rem',
+                        padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'
+                    }}
+                    title="Exporter ou importer les notes"
+                >
+                    {isMobile ? '💾' : '💾 Sauvegarde'}
+                </button>
+
+                <button
+                    onClick={onOpenStorage}
+                    style={{
+                        ...styles.installButton,
+                        background: storageLevel === 'critical' ? '#c0392b' : storageLevel === 'warning' ? '#b9770e' : '#16213e',
+                        marginLeft: '0.5rem',
+                        fontSize: isMobile ? '0.8rem' : '0.9rem',
+                        padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'
+                    }}
+                    title={storageLevel ? 'Espace de stockage bientôt plein' : 'Espace de stockage'}
+                >
+                    {isMobile ? '💽' : '💽 Stockage'}{storageLevel && ' ⚠️'}
+                </button>
+
+                <button
+                    onClick={onOpenSecurity}
+                    style={{
+                        ...styles.installButton,
+                        background: '#16213e',
+                        marginLeft: '0.5rem',
+                        fontSize: isMobile ? '0.8rem' : '0.9rem',
+                        padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'
+                    }}
+                    title="Chiffrement des notes"
+                >
+                    {isMobile ? '🔐' : '🔐 Chiffrement'}
+                </button>
+
+                {isEncrypted && (
+                    <button
+                        onClick={onLock}
+                        style={{
+                            ...styles.installButton,
+                            background: '#16213e',
+                            marginLeft: '0.5rem',
+                            fontSize: isMobile ? '0.8rem' : '0.9rem',
+                            padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'
+                        }}
+                        title="Verrouiller les notes"
+                        aria-label="Verrouiller les notes"
+                    >
+                        🔒
+                    </button>
+                )}
+
+                <button
+                    onClick={onOpenPalette}
+                    style={{
+                        ...styles.installButton,
+                        background: '#16213e',
+                        marginLeft: '0.5rem',
+                        fontSize: isMobile ? '0.8rem' : '0.9rem',
+                        padding: isMobile ? '0.5rem 0.8rem' : '0.6rem 1.2rem'
+                    }}
+                    title="Palette de commandes et raccourcis clavier"
+                    aria-label="Palette de commandes"
+                >
+                    ⌨️
+                </button>
+                
+                {!isMobile && (
+                    <button 
+                        onClick={() => {
+                            console.log('=== DEBUG PWA ===');
+                            console.log('deferredPrompt disponible:', !!window.deferredPrompt);
+                            console.log('Service Worker enregistré:', 'serviceWorker' in navigator);
+                            console.log('HTTPS actif:', window.location.protocol === 'https:' || window.location.hostname === 'localhost');
+                            console.log('showInstallPrompt:', showInstallPrompt);
+                            if (!window.deferredPrompt) {
+                                alert('❌ Prompt d\'installation non disponible.\n\nRaisons possibles:\n- L\'app est déjà installée\n- Vous n\'êtes pas sur HTTPS/localhost\n- Le navigateur ne supporte pas l\'installation\n- Les critères PWA ne sont pas remplis');
+                            } else {
+                                alert('✅ Prompt d\'installation disponible!\nCliquez sur le bouton "📲 Installer"');
+                            }
+                        }}
+                        style={{...styles.installButton, background: '#16213e', marginLeft: '0.5rem'}}
+                        title="Vérifier le statut d'installation"
+                    >
+                        🔍 Debug
+                    </button>
+                )}
+            </div>
+        </header>
+    );
+}
+
+// Composant SyncBadge : état de l'outbox à côté de l'indicateur réseau
+function SyncBadge({ syncStatus, onSync, onConfigure }) {
+    const { pending, failed, conflicts, syncing, endpoint } = syncStatus;
+
+    let label = '✓ Synchronisé';
+    if (!endpoint) label = 'Sync désactivée';
+    else if (syncing) label = '⟳ Synchronisation...';
+    else if (conflicts > 0) label = `🔀 ${conflicts} conflit${conflicts > 1 ? 's' : ''}`;
+    else if (failed > 0) label = `⚠ ${failed} échec${failed > 1 ? 's' : ''}`;
+    else if (pending > 0) label = `⟳ ${pending} en attente`;
+
+    return (
+        <div style={styles.syncBadge}>
+            <button
+                onClick={onSync}
+                disabled={!endpoint || syncing}
+                style={{
+                    ...styles.syncButton,
+                    color: failed > 0 || conflicts > 0 ? '#e74c3c' : pending > 0 ? '#f39c12' : '#a0a0a0'
+                }}
+                title={failed > 0
+                    ? `${pending} en attente, ${failed} en échec — cliquer pour réessayer`
+                    : `${pending} modification(s) en attente — cliquer pour synchroniser`}
+            >
+                {label}
+            </button>
+            <button
+                onClick={onConfigure}
+                style={styles.syncButton}
+                title="Configurer la synchronisation"
+            >
+                ⚙️
+            </button>
+        </div>
+    );
+}
+
+// Composant Sidebar
+function Sidebar({
+    notes, selectedNote, onSelectNote, onCreateNote, onDeleteNote,
+    view, onChangeView, trashedNotes, onRestoreNote, onPurgeNote, onEmptyTrash,
+    trashRetentionDays, onChangeTrashRetention,
+    tags, activeTag, onSelectTag, onRenameTag, onDeleteTag,
+    notebooks, allNotes, currentNotebook, onSelectNotebook, onCreateNotebook,
+    onRenameNotebook, onDeleteNotebook, onMoveNote, onToggleFlag,
+    filter, onChangeFilter, sort, onChangeSort, onSnoozeReminder, onCompleteReminder,
+    isLoading, hasMore, onLoadMore, isMobile, onClose
+}) {
+    const reminderCount = allNotes.filter(note => note.reminder).length;
+    // Conteneur défilant des listes (virtualisées, voir VirtualList)
+    const listScrollRef = useRef(null);
+
+    // ↑/↓ (Début/Fin) parcourent la liste des notes
+    const handleListKeyDown = (e) => {
+        const offsets = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+        if (!(e.key in offsets) || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        e.preventDefault();
+        const note = adjacentNote(notes, selectedNote, offsets[e.key]);
+        if (note) onSelectNote(note);
+    };
+
+    return (
+        <aside style={{
+            ...styles.sidebar,
+            width: isMobile ? '100%' : '350px',
+            position: isMobile ? 'fixed' : 'relative',
+            zIndex: isMobile ? 100 : 1,
+            height: isMobile ? '100vh' : 'auto'
+        }}>
+            {isMobile && (
+                <div style={styles.sidebarHeader}>
+                    <h2 style={styles.sidebarTitle}>Mes Notes</h2>
+                    <button onClick={onClose} style={styles.closeButton}>✕</button>
+                </div>
+            )}
+            
+            <div style={{ ...styles.createRow, margin: isMobile ? '1rem' : '1.5rem' }}>
+                <button onClick={() => onCreateNote()} style={{ ...styles.createButton, flex: 1 }}>
+                    ✚ Nouvelle Note
+                </button>
+                <button
+                    onClick={() => onCreateNote(CHECKLIST_TYPE)}
+                    style={styles.createButton}
+                    title="Nouvelle liste de tâches"
+                >
+                    ☑️
+                </button>
+            </div>
+
+            <div style={styles.sidebarTabs}>
+                <button
+                    onClick={() => onChangeView('notes')}
+                    style={{ ...styles.sidebarTab, ...(view === 'notes' ? styles.sidebarTabActive : {}) }}
+                >
+                    📝 Notes ({notes.length}{hasMore ? '+' : ''})
+                </button>
+                <button
+                    onClick={() => onChangeView('trash')}
+                    style={{ ...styles.sidebarTab, ...(view === 'trash' ? styles.sidebarTabActive : {}) }}
+                >
+                    🗑️ Corbeille ({trashedNotes.length}{hasMore ? '+' : ''})
+                </button>
+                <button
+                    onClick={() => onChangeView('reminders')}
+                    style={{ ...styles.sidebarTab, ...(view === 'reminders' ? styles.sidebarTabActive : {}) }}
+                >
+                    ⏰ Rappels ({reminderCount})
+                </button>
+            </div>
+            
+            {view === 'reminders' ? (
+                <ReminderList
+                    notes={allNotes}
+                    selectedNote={selectedNote}
+                    onSelectNote={onSelectNote}
+                    onSnooze={onSnoozeReminder}
+                    onComplete={onCompleteReminder}
+                />
+            ) : view === 'trash' ? (
+                <div ref={listScrollRef} style={styles.notesList}>
+                    <div style={styles.trashToolbar}>
+                        <label style={styles.trashRetention}>
+                            Purge auto :
+                            <select
+                                value={trashRetentionDays}
+                                onChange={(e) => onChangeTrashRetention(Number(e.target.value))}
+                                style={styles.trashSelect}
+                            >
+                                <option value={7}>7 jours</option>
+                                <option value={30}>30 jours</option>
+                                <option value={90}>90 jours</option>
+                                <option value={0}>Jamais</option>
+                            </select>
+                        </label>
+                        {trashedNotes.length > 0 && (
+                            <button onClick={onEmptyTrash} style={styles.trashEmptyButton}>
+                                Vider
+                            </button>
+                        )}
+                    </div>
+
+                    {trashedNotes.length === 0 ? (
+                        <div style={styles.emptyState}>
+                            <div style={styles.emptyIcon}>🗑️</div>
+                            <p>Corbeille vide</p>
+                        </div>
+                    ) : (
+                        <VirtualList
+                            items={trashedNotes}
+                            scrollRef={listScrollRef}
+                            onNearEnd={onLoadMore}
+                            renderItem={(note) => (
+                                <TrashCard
+                                    note={note}
+                                    onRestore={() => onRestoreNote(note.id)}
+                                    onPurge={() => onPurgeNote(note.id)}
+                                />
+                            )}
+                        />
+                    )}
+                </div>
+            ) : (
+                <div ref={listScrollRef} style={styles.notesList}>
+                    <NotebookTree
+                        notebooks={notebooks}
+                        allNotes={allNotes}
+                        currentNotebook={currentNotebook}
+                        onSelect={onSelectNotebook}
+                        onCreate={onCreateNotebook}
+                        onRename={onRenameNotebook}
+                        onDelete={onDeleteNotebook}
+                        onMoveNote={onMoveNote}
+                    />
+
+                    {tags.length > 0 && (
+                        <TagList
+                            tags={tags}
+                            activeTag={activeTag}
+                            onSelect={onSelectTag}
+                            onRename={onRenameTag}
+                            onDelete={onDeleteTag}
+                        />
+                    )}
+
+                    <NoteListToolbar
+                        filter={filter}
+                        onChangeFilter={onChangeFilter}
+                        sort={sort}
+                        onChangeSort={onChangeSort}
+                    />
+
+                    {notes.length === 0 && !isLoading ? (
+                        <div style={styles.emptyState}>
+                            <div style={styles.emptyIcon}>{filter === 'all' ? '📭' : NOTE_LIST_FILTERS[filter].icon}</div>
+                            <p>{NOTE_LIST_FILTERS[filter].empty}</p>
+                            {filter === 'all' && <p style={styles.emptySubtext}>Créez votre première note</p>}
+                        </div>
+                    ) : (
+                        <div role="listbox" aria-label="Notes (↑/↓ pour parcourir)" tabIndex={0} onKeyDown={handleListKeyDown}>
+                            <VirtualList
+                                items={notes}
+                                scrollRef={listScrollRef}
+                                selectedId={selectedNote?.id}
+                                onNearEnd={onLoadMore}
+                                renderItem={(note) => (
+                                    <NoteCard
+                                        note={note}
+                                        isSelected={selectedNote?.id === note.id}
+                                        onSelect={() => onSelectNote(note)}
+                                        onDelete={() => onDeleteNote(note.id)}
+                                        onToggleFlag={(flag) => onToggleFlag(note, flag)}
+                                    />
+                                )}
+                            />
+                        </div>
+                    )}
+
+                    {isLoading && (
+                        <div style={styles.noteListLoading}>⏳ Chargement des notes... ({allNotes.length})</div>
+                    )}
+                </div>
+            )}
+        </aside>
+    );
+}
+
+// Composant NotebookTree : arborescence repliable des carnets. Chaque ligne
+// filtre la liste et accepte les NoteCard glissées dessus.
+function NotebookTree({ notebooks, allNotes, currentNotebook, onSelect, onCreate, onRename, onDelete, onMoveNote }) {
+    const [expanded, setExpanded] = useState(true);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [dropTarget, setDropTarget] = useState(undefined);
+
+    const known = new Set(notebooks.map(n => n.uid));
+    const counts = new Map();
+    allNotes.forEach((note) => {
+        const uid = known.has(note.notebookUid) ? note.notebookUid : null;
+        counts.set(uid, (counts.get(uid) || 0) + 1);
+    });
+
+    const toggle = (uid) => {
+        const next = new Set(collapsed);
+        if (next.has(uid)) {
+            next.delete(uid);
+        } else {
+            next.add(uid);
+        }
+        setCollapsed(next);
+    };
+
+    // Cible de dépôt : uid du carnet, null pour "Toutes les notes" (sans carnet)
+    const dropHandlers = (uid) => ({
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(NOTE_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            setDropTarget(uid);
+        },
+        onDragLeave: () => setDropTarget(undefined),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(undefined);
+            const id = Number(e.dataTransfer.getData(NOTE_DRAG_TYPE));
+            if (id) onMoveNote(id, uid);
+        }
+    });
+
+    const rowStyle = (uid) => ({
+        ...styles.notebookRow,
+        ...(currentNotebook === uid ? styles.notebookRowActive : {}),
+        ...(dropTarget === uid ? styles.notebookRowDrop : {})
+    });
+
+    const renderNode = ({ notebook, depth, children }) => (
+        <React.Fragment key={notebook.uid}>
+            <div style={{ ...rowStyle(notebook.uid), paddingLeft: `${0.3 + depth * 1}rem` }} {...dropHandlers(notebook.uid)}>
+                <button
+                    onClick={() => toggle(notebook.uid)}
+                    style={{ ...styles.notebookToggle, visibility: children.length > 0 ? 'visible' : 'hidden' }}
+                    aria-label={collapsed.has(notebook.uid) ? 'Déplier' : 'Replier'}
+                >
+                    {collapsed.has(notebook.uid) ? '▸' : '▾'}
+                </button>
+                <button onClick={() => onSelect(notebook.uid)} style={styles.notebookName}>
+                    📁 {notebook.name} <span style={styles.sidebarCount}>{counts.get(notebook.uid) || 0}</span>
+                </button>
+                <button onClick={() => onCreate(notebook.uid)} style={styles.sidebarAction} title="Nouveau sous-carnet">➕</button>
+                <button onClick={() => onRename(notebook)} style={styles.sidebarAction} title="Renommer">✏️</button>
+                <button onClick={() => onDelete(notebook)} style={styles.sidebarAction} title="Supprimer le carnet">✕</button>
+            </div>
+            {!collapsed.has(notebook.uid) && children.map(renderNode)}
+        </React.Fragment>
+    );
+
+    return (
+        <div style={styles.sidebarSection}>
+            <div style={styles.notebookHeader}>
+                <button onClick={() => setExpanded(!expanded)} style={styles.sidebarSectionToggle}>
+                    {expanded ? '▾' : '▸'} 📚 Carnets ({notebooks.length})
+                </button>
+                <button onClick={() => onCreate(null)} style={styles.sidebarAction} title="Nouveau carnet">➕</button>
+            </div>
+
+            {expanded && (
+                <div style={styles.sidebarSectionItems}>
+                    <div style={rowStyle(null)} {...dropHandlers(null)} title="Déposer une note ici pour la sortir de son carnet">
+                        <button onClick={() => onSelect(null)} style={styles.notebookName}>
+                            📚 Toutes les notes <span style={styles.sidebarCount}>{allNotes.length}</span>
+                        </button>
+                    </div>
+                    {buildNotebookTree(notebooks).map(renderNode)}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Composant TagList : tags existants avec leur nombre de notes
+function TagList({ tags, activeTag, onSelect, onRename, onDelete }) {
+    const [expanded, setExpanded] = useState(true);
+
+    return (
+        <div style={styles.sidebarSection}>
+            <button onClick={() => setExpanded(!expanded)} style={styles.sidebarSectionToggle}>
+                {expanded ? '▾' : '▸'} 🏷️ Tags ({tags.length})
+            </button>
+
+            {expanded && (
+                <div style={styles.sidebarSectionItems}>
+                    {tags.map(({ tag, count }) => (
+                        <div
+                            key={tag}
+                            style={{
+                                ...styles.tagListItem,
+                                ...(tag === activeTag ? styles.tagListItemActive : {})
+                            }}
+                        >
+                            <button
+                                onClick={() => onSelect(tag)}
+                                style={styles.tagListName}
+                                title={tag === activeTag ? 'Afficher toutes les notes' : `Afficher les notes "${tag}"`}
+                            >
+                                #{tag} <span style={styles.sidebarCount}>{count}</span>
+                            </button>
+                            <button onClick={() => onRename(tag)} style={styles.sidebarAction} title="Renommer / fusionner">
+                                ✏️
+                            </button>
+                            <button onClick={() => onDelete(tag)} style={styles.sidebarAction} title="Retirer ce tag des notes">
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Formater une date relative ("Il y a 5min")
+function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diff = now - date;
+    
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+    
+    if (minutes < 1) return 'À l\'instant';
+    if (minutes < 60) return `Il y a ${minutes}min`;
+    if (hours < 24) return `Il y a ${hours}h`;
+    if (days < 7) return `Il y a ${days}j`;
+    
+    return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
+}
+
+// Échéance d'un rappel : "Aujourd'hui 14:30", "Demain 09:00", "lun. 12 oct. 09:00"
+function formatReminderDate(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+    const days = Math.round(
+        (new Date(date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / 86400000
+    );
+
+    if (days === 0) return `Aujourd'hui ${time}`;
+    if (days === 1) return `Demain ${time}`;
+    if (days === -1) return `Hier ${time}`;
+    return `${date.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric', month: 'short' })} ${time}`;
+}
+
+// Composant Highlight : segments d'un extrait, termes trouvés surlignés
+function Highlight({ segments }) {
+    return segments.map((segment, i) => segment.highlight
+        ? <mark key={i} style={styles.searchHighlight}>{segment.text}</mark>
+        : <React.Fragment key={i}>{segment.text}</React.Fragment>
+    );
+}
+
+// Type des données glissées d'une NoteCard vers un carnet
+const NOTE_DRAG_TYPE = 'application/x-notesflow-note';
+
+// Liste virtualisée : hauteur supposée d'un élément pas encore mesuré, et
+// éléments rendus en plus de part et d'autre de la zone visible
+const VIRTUAL_ITEM_HEIGHT = 140;
+const VIRTUAL_OVERSCAN = 6;
+
+// Composant VirtualList : ne rend que les éléments ({ id }) proches de la
+// zone visible du conteneur défilant "scrollRef", deux marges tenant la place
+// des autres. Les hauteurs (variables : tags, progression...) sont mesurées
+// après chaque rendu. "onNearEnd" est appelé quand la fin de la liste est
+// rendue (page suivante à lire).
+function VirtualList({ items, scrollRef, selectedId, renderItem, onNearEnd }) {
+    const listRef = useRef(null);
+    const heightsRef = useRef(new Map());
+    // Zone visible, en pixels depuis le début de la liste (d'autres sections
+    // la précèdent dans le conteneur)
+    const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+    const [, setMeasureCount] = useState(0);
+
+    const updateViewport = () => {
+        const container = scrollRef.current;
+        if (!container || !listRef.current) return;
+
+        const top = container.getBoundingClientRect().top - listRef.current.getBoundingClientRect().top;
+        const height = container.clientHeight;
+        setViewport(prev => prev.top === top && prev.height === height ? prev : { top, height });
+    };
+
+    // Suivre le défilement et la taille de la fenêtre (une fois par image)
+    useEffect(() => {
+        const container = scrollRef.current;
+        if (!container) return;
+
+        let frame = null;
+        const schedule = () => {
+            if (frame !== null) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                updateViewport();
+            });
+        };
+        container.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+        return () => {
+            cancelAnimationFrame(frame);
+            container.removeEventListener('scroll', schedule);
+            window.removeEventListener('resize', schedule);
+        };
+    }, []);
+
+    // Mesurer les éléments rendus ; la liste a pu se déplacer dans le conteneur
+    useEffect(() => {
+        let changed = false;
+        listRef.current.querySelectorAll(':scope > [data-virtual-id]').forEach((row) => {
+            const height = row.offsetHeight;
+            if (heightsRef.current.get(row.dataset.virtualId) !== height) {
+                heightsRef.current.set(row.dataset.virtualId, height);
+                changed = true;
+            }
+        });
+        if (changed) setMeasureCount(count => count + 1);
+        updateViewport();
+    });
+
+    // Position de chaque élément (mesurée, ou supposée)
+    const offsets = [0];
+    items.forEach((item, i) => {
+        offsets.push(offsets[i] + (heightsRef.current.get(String(item.id)) || VIRTUAL_ITEM_HEIGHT));
+    });
+
+    // Premier élément visible (dichotomie), puis jusqu'au bas de la zone visible
+    let first = 0;
+    let last = items.length;
+    while (first < last) {
+        const middle = (first + last) >> 1;
+        if (offsets[middle + 1] <= viewport.top) {
+            first = middle + 1;
+        } else {
+            last = middle;
+        }
+    }
+    let end = first;
+    while (end < items.length && offsets[end] < viewport.top + viewport.height) end++;
+    const start = Math.max(0, first - VIRTUAL_OVERSCAN);
+    end = Math.min(items.length, end + VIRTUAL_OVERSCAN);
+
+    // Élément sélectionné hors de la zone rendue (navigation au clavier) : y
+    // défiler, il se place ensuite lui-même (scrollIntoView de NoteCard)
+    useEffect(() => {
+        const index = items.findIndex(item => item.id === selectedId);
+        if (index === -1 || (index >= start && index < end) || !scrollRef.current) return;
+        scrollRef.current.scrollTop += offsets[index] - viewport.top;
+    }, [selectedId]);
+
+    useEffect(() => {
+        if (onNearEnd && end === items.length) onNearEnd();
+    }, [end, items.length]);
+
+    return (
+        <div ref={listRef}>
+            <div style={{ height: offsets[start] }} />
+            {items.slice(start, end).map(item => (
+                <div key={item.id} data-virtual-id={item.id} style={styles.virtualRow}>
+                    {renderItem(item)}
+                </div>
+            ))}
+            <div style={{ height: offsets[items.length] - offsets[end] }} />
+        </div>
+    );
+}
+
+// Composant NoteListToolbar : filtre (toutes, favoris, archives) et tri de la liste
+function NoteListToolbar({ filter, onChangeFilter, sort, onChangeSort }) {
+    return (
+        <div style={styles.noteListToolbar}>
+            <select
+                value={filter}
+                onChange={(e) => onChangeFilter(e.target.value)}
+                style={styles.noteListSelect}
+                aria-label="Notes affichées"
+            >
+                {Object.entries(NOTE_LIST_FILTERS).map(([id, option]) => (
+                    <option key={id} value={id}>{option.icon} {option.label}</option>
+                ))}
+            </select>
+            <label style={styles.noteListSort}>
+                Tri :
+                <select
+                    value={sort.field}
+                    onChange={(e) => onChangeSort({ ...sort, field: e.target.value })}
+                    style={styles.noteListSelect}
+                >
+                    {Object.entries(NOTE_SORT_FIELDS).map(([field, label]) => (
+                        <option key={field} value={field}>{label}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => onChangeSort({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+                    style={styles.noteListSelect}
+                    title={sort.direction === 'asc' ? 'Ordre croissant' : 'Ordre décroissant'}
+                >
+                    {sort.direction === 'asc' ? '↑' : '↓'}
+                </button>
+            </label>
+        </div>
+    );
+}
+
+// Composant NoteCard
+function NoteCard({ note, isSelected, onSelect, onDelete, onToggleFlag }) {
+    const handleDelete = (e) => {
+        e.stopPropagation();
+        onDelete();
+    };
+
+    const handleToggle = (e, flag) => {
+        e.stopPropagation();
+        onToggleFlag(flag);
+    };
+
+    // Garder la note sélectionnée visible (navigation au clavier). Pas au
+    // montage : la liste virtualisée rend aussi des cartes hors de l'écran
+    const cardRef = useRef(null);
+    const wasSelectedRef = useRef(isSelected);
+    useEffect(() => {
+        if (isSelected && !wasSelectedRef.current && cardRef.current) {
+            cardRef.current.scrollIntoView({ block: 'nearest' });
+        }
+        wasSelectedRef.current = isSelected;
+    }, [isSelected]);
+
+    // Résultat de recherche : extrait centré sur les termes trouvés
+    const matchedTerms = note.searchMatch ? note.searchMatch.terms : null;
+    const plainContent = markdownToPlainText(note.content || '');
+    const progress = isChecklist(note) ? checklistProgress(note.content) : null;
+
+    return (
+        <div 
+            ref={cardRef}
+            role="option"
+            aria-selected={isSelected}
+            style={{
+                ...styles.noteCard,
+                ...(isSelected ? styles.noteCardSelected : {})
+            }}
+            onClick={onSelect}
+            draggable
+            onDragStart={(e) => {
+                e.dataTransfer.setData(NOTE_DRAG_TYPE, String(note.id));
+                e.dataTransfer.effectAllowed = 'move';
+            }}
+        >
+            <div style={{...styles.noteColorBar, backgroundColor: note.color}} />
+            
+            <div style={styles.noteCardContent}>
+                <h3 style={styles.noteCardTitle}>
+                    {matchedTerms
+                        ? <Highlight segments={buildSearchSnippet(note.title, matchedTerms, 200)} />
+                        : note.title}
+                </h3>
+                <p style={styles.noteCardPreview}>
+                    {!note.content ? 'Aucun contenu' : matchedTerms
+                        ? <Highlight segments={buildSearchSnippet(plainContent, matchedTerms, 80)} />
+                        : plainContent.substring(0, 80) + '...'}
+                </p>
+                {progress && (
+                    <div style={styles.noteCardProgress} title={`${progress.done} tâche(s) terminée(s) sur ${progress.total}`}>
+                        <progress value={progress.done} max={progress.total} style={{ flex: 1 }} />
+                        <span>☑️ {progress.done}/{progress.total}</span>
+                    </div>
+                )}
+                {note.tags && note.tags.length > 0 && (
+                    <div style={styles.noteCardTags}>
+                        {note.tags.map(tag => <span key={tag} style={styles.tagChip}>#{tag}</span>)}
+                    </div>
+                )}
+                <div style={styles.noteCardFooter}>
+                    <span style={styles.noteCardDate}>
+                        {note.archived && <span title="Archivée">🗄️ </span>}
+                        {note.conflict && <span title="Conflit de synchronisation">🔀 </span>}
+                        {note.reminder && (
+                            <span title={`Rappel : ${formatReminderDate(reminderDueAt(note.reminder))}`}>⏰ </span>
+                        )}
+                        {formatDate(note.updatedAt)}
+                    </span>
+                    <div>
+                        <button
+                            onClick={(e) => handleToggle(e, 'pinned')}
+                            style={{ ...styles.deleteButton, ...(note.pinned ? styles.noteFlagActive : {}) }}
+                            title={note.pinned ? 'Désépingler' : 'Épingler en haut de la liste'}
+                        >
+                            📌
+                        </button>
+                        <button
+                            onClick={(e) => handleToggle(e, 'favorite')}
+                            style={{ ...styles.deleteButton, ...(note.favorite ? styles.noteFlagActive : {}) }}
+                            title={note.favorite ? 'Retirer des favoris' : 'Ajouter aux favoris'}
+                        >
+                            {note.favorite ? '⭐' : '☆'}
+                        </button>
+                        <button 
+                            onClick={handleDelete}
+                            style={styles.deleteButton}
+                            title="Supprimer"
+                        >
+                            🗑️
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant ReminderList : notes avec un rappel, par échéance, en retard en tête
+function ReminderList({ notes, selectedNote, onSelectNote, onSnooze, onComplete }) {
+    const [now, setNow] = useState(Date.now());
+
+    // Rafraîchir "en retard" sans attendre un rechargement des notes
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), REMINDER_CHECK_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const reminders = notes
+        .filter(note => note.reminder)
+        .map(note => ({ note, dueAt: reminderDueAt(note.reminder, now) }))
+        .sort((a, b) => a.dueAt - b.dueAt);
+
+    if (reminders.length === 0) {
+        return (
+            <div style={styles.notesList}>
+                <div style={styles.emptyState}>
+                    <div style={styles.emptyIcon}>⏰</div>
+                    <p>Aucun rappel</p>
+                    <p style={styles.emptySubtext}>Programmez-en un depuis l'éditeur (⏰)</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div style={styles.notesList}>
+            {reminders.map(({ note, dueAt }) => {
+                const overdue = dueAt <= now;
+                return (
+                    <div
+                        key={note.id}
+                        onClick={() => onSelectNote(note)}
+                        style={{
+                            ...styles.noteCard,
+                            ...(selectedNote?.id === note.id ? styles.noteCardSelected : {}),
+                            ...(overdue ? styles.reminderCardOverdue : {})
+                        }}
+                    >
+                        <div style={{ ...styles.noteColorBar, backgroundColor: note.color }} />
+                        <div style={styles.noteCardContent}>
+                            <h3 style={styles.noteCardTitle}>{note.title}</h3>
+                            <div style={styles.noteCardFooter}>
+                                <span style={{ ...styles.noteCardDate, ...(overdue ? styles.reminderOverdue : {}) }}>
+                                    {overdue ? '⚠️ En retard · ' : '⏰ '}
+                                    {formatReminderDate(dueAt)}
+                                    {note.reminder.repeat && ` · 🔁 ${REMINDER_REPEAT_LABELS[note.reminder.repeat].toLowerCase()}`}
+                                </span>
+                                <div onClick={(e) => e.stopPropagation()}>
+                                    <button
+                                        onClick={() => onSnooze(note, REMINDER_SNOOZE_MS)}
+                                        style={styles.deleteButton}
+                                        title="Reporter de 10 minutes"
+                                    >
+                                        💤
+                                    </button>
+                                    <button onClick={() => onComplete(note)} style={styles.deleteButton} title="Terminé">
+                                        ✅
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Composant TrashCard : note dans la corbeille
+function TrashCard({ note, onRestore, onPurge }) {
+    return (
+        <div style={{ ...styles.noteCard, cursor: 'default', opacity: 0.8 }}>
+            <div style={{...styles.noteColorBar, backgroundColor: note.color}} />
+
+            <div style={styles.noteCardContent}>
+                <h3 style={styles.noteCardTitle}>{note.title}</h3>
+                <div style={styles.noteCardFooter}>
+                    <span style={styles.noteCardDate}>Supprimée {formatDate(note.deletedAt).toLowerCase()}</span>
+                    <div>
+                        <button onClick={onRestore} style={styles.deleteButton} title="Restaurer">
+                            ♻️
+                        </button>
+                        <button onClick={onPurge} style={styles.deleteButton} title="Supprimer définitivement">
+                            ❌
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant Toast : message temporaire avec action (ex : annuler)
+function Toast({ toast, onDismiss }) {
+    const handleAction = () => {
+        toast.onAction();
+        onDismiss();
+    };
+
+    return (
+        <div style={styles.toast} role="status">
+            <span>{toast.message}</span>
+            {toast.actionLabel && (
+                <button onClick={handleAction} style={styles.toastAction}>
+                    {toast.actionLabel}
+                </button>
+            )}
+            <button onClick={onDismiss} style={styles.toastClose} aria-label="Fermer">✕</button>
+        </div>
+    );
+}
+
+// Composant UpdateBanner : nouvelle version de l'application disponible
+function UpdateBanner({ status, onReload, onDismiss }) {
+    return (
+        <div style={styles.updateBanner} role="status">
+            <span>
+                {{
+                    saving: '⏳ Enregistrement en cours, rechargement imminent...',
+                    failed: '⚠️ Des modifications n\'ont pas pu être enregistrées : la nouvelle version attendra.',
+                    outdated: '🔄 NotesFlow a été mis à jour dans un autre onglet : rechargez cette page pour continuer.'
+                }[status] || '🆕 Une nouvelle version de NotesFlow est disponible.'}
+            </span>
+            {(status === 'available' || status === 'failed') && (
+                <React.Fragment>
+                    <button onClick={onReload} style={styles.toastAction}>
+                        {status === 'failed' ? 'Réessayer' : 'Recharger'}
+                    </button>
+                    <button onClick={onDismiss} style={styles.toastClose} aria-label="Plus tard">✕</button>
+                </React.Fragment>
+            )}
+            {status === 'outdated' && (
+                <button onClick={onReload} style={styles.toastAction}>Recharger</button>
+            )}
+        </div>
+    );
+}
+
+// Composant NotebookDeleteDialog : que faire des notes d'un carnet supprimé ?
+function NotebookDeleteDialog({ notebook, noteCount, notebooks, onConfirm, onCancel }) {
+    const [action, setAction] = useState('move');
+    const [targetUid, setTargetUid] = useState(notebook.parentUid || '');
+
+    // Les sous-carnets disparaissent avec le carnet
+    const removed = collectNotebookSubtree(notebooks, notebook.uid);
+    const targets = flattenNotebookTree(buildNotebookTree(notebooks))
+        .filter(({ notebook: n }) => !removed.has(n.uid));
+
+    return (
+        <div style={styles.dialogOverlay} onClick={onCancel}>
+            <div style={styles.dialog} role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.dialogTitle}>Supprimer le carnet "{notebook.name}"</h3>
+                <p style={styles.dialogText}>
+                    Il contient {noteCount} note(s){removed.size > 1 ? `, sous-carnets compris (${removed.size - 1})` : ''}.
+                </p>
+
+                <label style={styles.dialogOption}>
+                    <input
+                        type="radio"
+                        checked={action === 'move'}
+                        onChange={() => setAction('move')}
+                    />
+                    Déplacer les notes vers
+                    <select
+                        value={targetUid}
+                        onChange={(e) => {
+                            setTargetUid(e.target.value);
+                            setAction('move');
+                        }}
+                        style={styles.trashSelect}
+                    >
+                        <option value="">Sans carnet</option>
+                        {targets.map(({ notebook: n, depth }) => (
+                            <option key={n.uid} value={n.uid}>{'\u00a0\u00a0'.repeat(depth)}{n.name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label style={styles.dialogOption}>
+                    <input
+                        type="radio"
+                        checked={action === 'trash'}
+                        onChange={() => setAction('trash')}
+                    />
+                    Mettre les notes à la corbeille
+                </label>
+
+                <div style={styles.dialogActions}>
+                    <button onClick={onCancel} style={styles.dialogButton}>Annuler</button>
+                    <button
+                        onClick={() => onConfirm(action === 'trash'
+                            ? { trashNotes: true }
+                            : { targetUid: targetUid || null })}
+                        style={styles.trashEmptyButton}
+                    >
+                        Supprimer le carnet
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant BackupDialog : export JSON / Markdown et import d'une sauvegarde
+function BackupDialog({ isEncrypted, onImported, onClose }) {
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [pending, setPending] = useState(null);
+    const [collision, setCollision] = useState('skip');
+    const [progress, setProgress] = useState(null);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    const run = async (task) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            await task();
+        } catch (error) {
+            console.error('Erreur sauvegarde:', error);
+            setMessage({
+                error: true,
+                text: error instanceof ImportError ? error.message : `Échec : ${error.message}`
+            });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const exportJSON = () => run(async () => {
+        const data = await notesDB.exportData();
+        downloadFile(JSON.stringify(data, null, 2), `notesflow-${stamp}.json`, 'application/json');
+        setMessage({ text: `✅ ${data.notes.length} note(s) exportée(s)` });
+    });
+
+    const exportMarkdown = () => run(async () => {
+        const data = await notesDB.exportData();
+        const files = buildMarkdownFiles(data.notes, data.notebooks);
+        downloadFile(createZip(files), `notesflow-${stamp}.zip`);
+        const count = files.filter(file => typeof file.content === 'string').length;
+        setMessage({ text: `✅ ${count} note(s) exportée(s) en Markdown` });
+    });
+
+    // Lire et valider le fichier, puis compter les notes déjà présentes
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setPending(null);
+        run(async () => {
+            let parsed;
+            if (/\.zip$/i.test(file.name)) {
+                const files = await readZip(await file.arrayBuffer());
+                parsed = readMarkdownArchive(files, await notesDB.getNotebooks());
+            } else if (/\.(md|markdown|txt)$/i.test(file.name)) {
+                parsed = readMarkdownArchive([{ name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) }], []);
+            } else {
+                let data;
+                try {
+                    data = JSON.parse(await file.text());
+                } catch (error) {
+                    throw new ImportError('Fichier JSON illisible');
+                }
+                parsed = validateImportData(data);
+            }
+
+            const existingUids = new Set((await notesDB.getAllRecords()).map(n => n.uid));
+            const collisions = parsed.records.filter(r => existingUids.has(r.note.uid)).length;
+            setPending({ ...parsed, collisions, fileName: file.name });
+        });
+    };
+
+    const runImport = () => run(async () => {
+        setProgress({ done: 0, total: pending.records.length });
+        await notesDB.importNotebooks(pending.notebooks, collision);
+        const summary = await notesDB.importNotes(pending.records, {
+            collision,
+            onProgress: (done, total) => setProgress({ done, total })
+        });
+        setPending(null);
+        setProgress(null);
+        await onImported();
+        setMessage({
+            text: `✅ Import terminé : ${summary.created} ajoutée(s), ${summary.overwritten} remplacée(s), ` +
+                `${summary.duplicated} copiée(s), ${summary.skipped} ignorée(s)`
+        });
+    });
+
+    return (
+        <div style={styles.dialogOverlay} onClick={busy ? undefined : onClose}>
+            <div style={styles.dialog} role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.dialogTitle}>💾 Sauvegarde</h3>
+                <p style={styles.dialogText}>
+                    Les notes ne sont stockées que dans ce navigateur : exportez-les régulièrement.
+                </p>
+                {isEncrypted && (
+                    <p style={styles.dialogText}>
+                        🔓 Les exports contiennent les notes en clair : conservez-les en lieu sûr.
+                    </p>
+                )}
+
+                <div style={styles.backupActions}>
+                    <button onClick={exportJSON} disabled={busy} style={styles.dialogButton}>
+                        ⬇️ Export complet (.json)
+                    </button>
+                    <button onClick={exportMarkdown} disabled={busy} style={styles.dialogButton}>
+                        ⬇️ Export Markdown (.zip)
+                    </button>
+                    <label style={{ ...styles.dialogButton, opacity: busy ? 0.5 : 1 }}>
+                        ⬆️ Importer...
+                        <input
+                            type="file"
+                            accept=".json,.zip,.md,.markdown,.txt,application/json,application/zip"
+                            onChange={handleFile}
+                            disabled={busy}
+                            style={{ display: 'none' }}
+                        />
+                    </label>
+                </div>
+
+                {pending && !progress && (
+                    <div style={styles.backupPending}>
+                        <p style={styles.dialogText}>
+                            {pending.fileName} : {pending.records.length} note(s)
+                            {pending.notebooks.length > 0 && `, ${pending.notebooks.length} carnet(s)`}
+                            {pending.collisions > 0 && `, dont ${pending.collisions} déjà présente(s)`}.
+                        </p>
+                        {pending.collisions > 0 && [
+                            { id: 'skip', label: 'Ignorer les notes déjà présentes' },
+                            { id: 'overwrite', label: 'Remplacer (l\'ancienne version reste dans l\'historique)' },
+                            { id: 'duplicate', label: 'Importer une copie' }
+                        ].map(option => (
+                            <label key={option.id} style={styles.dialogOption}>
+                                <input
+                                    type="radio"
+                                    checked={collision === option.id}
+                                    onChange={() => setCollision(option.id)}
+                                />
+                                {option.label}
+                            </label>
+                        ))}
+                        <div style={styles.dialogActions}>
+                            <button onClick={() => setPending(null)} style={styles.dialogButton}>Annuler</button>
+                            <button onClick={runImport} disabled={busy} style={styles.conflictButton}>Importer</button>
+                        </div>
+                    </div>
+                )}
+
+                {progress && (
+                    <div style={styles.backupProgress}>
+                        <progress value={progress.done} max={progress.total} style={{ width: '100%' }} />
+                        <span>{progress.done} / {progress.total}</span>
+                    </div>
+                )}
+
+                {message && (
+                    <p style={{ ...styles.dialogText, color: message.error ? '#e74c3c' : '#2ecc71' }} role="status">
+                        {message.error && '⚠️ '}{message.text}
+                    </p>
+                )}
+
+                <div style={styles.dialogActions}>
+                    <button onClick={onClose} disabled={busy} style={styles.dialogButton}>Fermer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant LockScreen : phrase secrète demandée avant d'afficher les notes chiffrées
+function LockScreen({ onUnlock }) {
+    const [passphrase, setPassphrase] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!passphrase || busy) return;
+
+        setBusy(true);
+        setError(null);
+        try {
+            await onUnlock(passphrase);
+        } catch (error) {
+            console.error('Erreur déverrouillage:', error);
+            setError(error instanceof EncryptionError ? error.message : `Échec : ${error.message}`);
+            setPassphrase('');
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div style={styles.loading}>
+            <form onSubmit={handleSubmit} style={styles.lockForm}>
+                <div style={styles.lockIcon}>🔒</div>
+                <h2 style={styles.dialogTitle}>Notes verrouillées</h2>
+                <p style={styles.dialogText}>Saisissez votre phrase secrète pour déchiffrer vos notes.</p>
+                <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Phrase secrète"
+                    autoComplete="current-password"
+                    autoFocus
+                    disabled={busy}
+                    style={styles.passphraseInput}
+                    aria-invalid={!!error}
+                />
+                {error && <p style={styles.passphraseError} role="alert">⚠️ {error}</p>}
+                <button type="submit" disabled={busy || !passphrase} style={{ ...styles.conflictButton, width: '100%', marginTop: '1rem' }}>
+                    {busy ? 'Déchiffrement...' : '🔓 Déverrouiller'}
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// Composant SecurityDialog : activer/désactiver le chiffrement, changer de
+// phrase secrète, délai de verrouillage automatique. "onBeforeChange" écrit
+// la saisie en attente avant que les notes soient réécrites.
+function SecurityDialog({ isEncrypted, autoLockMinutes, onChangeAutoLock, onBeforeChange, onEncryptionChange, onLock, onClose }) {
+    const [current, setCurrent] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const run = async (task, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            await onBeforeChange();
+            await task((done, total) => setProgress({ done, total }));
+            await onEncryptionChange();
+            setCurrent('');
+            setPassphrase('');
+            setConfirmation('');
+            setMessage({ text: success });
+        } catch (error) {
+            console.error('Erreur chiffrement:', error);
+            setMessage({
+                error: true,
+                text: error instanceof EncryptionError ? error.message : `Échec : ${error.message}`
+            });
+        } finally {
+            setBusy(false);
+            setProgress(null);
+        }
+    };
+
+    // Nouvelle phrase secrète valide ? → message d'erreur ou null
+    const newPassphraseError = passphrase.length < MIN_PASSPHRASE_LENGTH
+        ? `Au moins ${MIN_PASSPHRASE_LENGTH} caractères`
+        : passphrase !== confirmation ? 'Les deux saisies diffèrent' : null;
+
+    const enable = () => run(
+        onProgress => notesDB.enableEncryption(passphrase, onProgress),
+        '✅ Chiffrement activé'
+    );
+    const change = () => run(
+        onProgress => notesDB.changePassphrase(current, passphrase, onProgress),
+        '✅ Phrase secrète modifiée, notes rechiffrées'
+    );
+    const disable = () => {
+        if (!confirm('Déchiffrer toutes les notes ? Elles seront de nouveau stockées et synchronisées en clair.')) return;
+        run(onProgress => notesDB.disableEncryption(current, onProgress), '✅ Chiffrement désactivé');
+    };
+
+    const passphraseFields = (
+        <React.Fragment>
+            <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder={isEncrypted ? 'Nouvelle phrase secrète' : 'Phrase secrète'}
+                autoComplete="new-password"
+                disabled={busy}
+                style={styles.passphraseInput}
+            />
+            <input
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                placeholder="Confirmer la phrase secrète"
+                autoComplete="new-password"
+                disabled={busy}
+                style={styles.passphraseInput}
+            />
+            {passphrase && newPassphraseError && (
+                <p style={styles.passphraseError}>⚠️ {newPassphraseError}</p>
+            )}
+        </React.Fragment>
+    );
+
+    return (
+        <div style={styles.dialogOverlay} onClick={busy ? undefined : onClose}>
+            <div style={styles.dialog} role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.dialogTitle}>🔐 Chiffrement</h3>
+
+                {!isEncrypted ? (
+                    <React.Fragment>
+                        <p style={styles.dialogText}>
+                            Le titre et le contenu des notes sont chiffrés avec une phrase secrète,
+                            ici comme sur le serveur de synchronisation. Utilisez la même phrase sur
+                            tous vos appareils. Sans elle, les notes sont perdues : aucune récupération possible.
+                        </p>
+                        {passphraseFields}
+                        <div style={styles.dialogActions}>
+                            <button onClick={enable} disabled={busy || !!newPassphraseError} style={styles.conflictButton}>
+                                Activer le chiffrement
+                            </button>
+                        </div>
+                    </React.Fragment>
+                ) : (
+                    <React.Fragment>
+                        <p style={styles.dialogText}>
+                            Les notes sont chiffrées. Tags, couleurs, carnets, dates et pièces jointes restent en clair.
+                        </p>
+
+                        <label style={styles.dialogOption}>
+                            Verrouiller après
+                            <select
+                                value={autoLockMinutes}
+                                onChange={(e) => onChangeAutoLock(Number(e.target.value))}
+                                disabled={busy}
+                                style={styles.trashSelect}
+                            >
+                                {[1, 5, 15, 30, 60].map(minutes => (
+                                    <option key={minutes} value={minutes}>{minutes} min d'inactivité</option>
+                                ))}
+                                <option value={0}>jamais</option>
+                            </select>
+                        </label>
+
+                        <div style={styles.backupPending}>
+                            <input
+                                type="password"
+                                value={current}
+                                onChange={(e) => setCurrent(e.target.value)}
+                                placeholder="Phrase secrète actuelle"
+                                autoComplete="current-password"
+                                disabled={busy}
+                                style={styles.passphraseInput}
+                            />
+                            {passphraseFields}
+                            <div style={styles.dialogActions}>
+                                <button onClick={disable} disabled={busy || !current} style={styles.dialogButton}>
+                                    Désactiver
+                                </button>
+                                <button onClick={change} disabled={busy || !current || !!newPassphraseError} style={styles.conflictButton}>
+                                    Changer de phrase
+                                </button>
+                            </div>
+                        </div>
+                    </React.Fragment>
+                )}
+
+                {progress && (
+                    <div style={styles.backupProgress}>
+                        <progress value={progress.done} max={progress.total} style={{ width: '100%' }} />
+                        <span>{progress.done} / {progress.total}</span>
+                    </div>
+                )}
+
+                {message && (
+                    <p style={{ ...styles.dialogText, color: message.error ? '#e74c3c' : '#2ecc71' }} role="status">
+                        {message.error && '⚠️ '}{message.text}
+                    </p>
+                )}
+
+                <div style={styles.dialogActions}>
+                    {isEncrypted && (
+                        <button onClick={onLock} disabled={busy} style={styles.dialogButton}>🔒 Verrouiller</button>
+                    )}
+                    <button onClick={onClose} disabled={busy} style={styles.dialogButton}>Fermer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant StorageDialog : espace utilisé, répartition et stockage persistant
+function StorageDialog({ onChecked, onClose }) {
+    const [report, setReport] = useState(null);
+    const [persisted, setPersisted] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const canPersist = !!(navigator.storage && navigator.storage.persist);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        Promise.all([
+            getStorageEstimate(),
+            notesDB.measureStores(),
+            measureCaches(),
+            canPersist ? navigator.storage.persisted() : false
+        ])
+            .then(([estimate, stores, cacheSize, isPersisted]) => {
+                if (cancelled) return;
+                setPersisted(isPersisted);
+                setReport({
+                    estimate,
+                    cacheSize,
+                    categories: STORAGE_CATEGORIES.map(category => ({
+                        ...category,
+                        size: category.stores.reduce((sum, name) => sum + (stores[name] || 0), 0)
+                    }))
+                });
+            })
+            .catch((error) => {
+                console.error('Erreur mesure stockage:', error);
+                if (!cancelled) setMessage({ error: true, text: `Échec : ${error.message}` });
+            });
+        // Rafraîchir aussi l'alerte de l'en-tête
+        onChecked();
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const requestPersistence = async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const granted = await navigator.storage.persist();
+            setPersisted(granted);
+            setMessage(granted
+                ? { text: '✅ Stockage persistant accordé' }
+                : { error: true, text: 'Refusé par le navigateur. Installer l\'application augmente les chances de l\'obtenir.' });
+        } catch (error) {
+            console.error('Erreur stockage persistant:', error);
+            setMessage({ error: true, text: `Échec : ${error.message}` });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const estimate = report && report.estimate;
+    const level = getStorageLevel(estimate);
+
+    return (
+        <div style={styles.dialogOverlay} onClick={onClose}>
+            <div style={styles.dialog} role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.dialogTitle}>💽 Stockage</h3>
+
+                {!report && !message && (
+                    <p style={styles.dialogText}>Calcul de l'espace utilisé...</p>
+                )}
+
+                {report && (
+                    <React.Fragment>
+                        {estimate ? (
+                            <div style={styles.storageUsage}>
+                                <progress value={estimate.usage} max={estimate.quota} style={{ width: '100%' }} />
+                                <span>
+                                    {formatBytes(estimate.usage)} utilisés sur {formatBytes(estimate.quota)}
+                                    {' '}({Math.round(estimate.usage / estimate.quota * 100)} %)
+                                </span>
+                            </div>
+                        ) : (
+                            <p style={styles.dialogText}>Ce navigateur n'indique pas l'espace disponible.</p>
+                        )}
+
+                        {level && (
+                            <p style={{ ...styles.dialogText, color: level === 'critical' ? '#e74c3c' : '#f39c12' }} role="alert">
+                                ⚠️ {level === 'critical'
+                                    ? 'Stockage presque plein : les prochaines modifications risquent d\'être refusées.'
+                                    : 'L\'espace approche de sa limite.'}
+                                {' '}Videz la corbeille ou exportez puis supprimez d'anciennes notes.
+                            </p>
+                        )}
+
+                        <ul style={styles.storageList}>
+                            {report.categories.map(category => (
+                                <li key={category.key} style={styles.storageRow}>
+                                    <span>{category.label}</span>
+                                    <span>{formatBytes(category.size)}</span>
+                                </li>
+                            ))}
+                            <li style={styles.storageRow}>
+                                <span>📦 Fichiers hors ligne (caches)</span>
+                                <span>{formatBytes(report.cacheSize)}</span>
+                            </li>
+                        </ul>
+                        <p style={styles.storageHint}>
+                            Tailles estimées : le navigateur compte aussi ses index et métadonnées.
+                        </p>
+                    </React.Fragment>
+                )}
+
+                {(!canPersist || persisted !== null) && (
+                    <div style={styles.backupPending}>
+                        {!canPersist ? (
+                            <p style={styles.dialogText}>Ce navigateur ne permet pas de demander un stockage persistant.</p>
+                        ) : persisted ? (
+                            <p style={styles.dialogText}>
+                                🛡️ Stockage persistant : le navigateur n'effacera pas les notes sans votre accord.
+                            </p>
+                        ) : (
+                            <React.Fragment>
+                                <p style={styles.dialogText}>
+                                    ⚠️ Stockage temporaire : si l'appareil manque de place, le navigateur peut
+                                    effacer les notes qui n'ont pas été synchronisées ou exportées.
+                                </p>
+                                <button onClick={requestPersistence} disabled={busy} style={styles.conflictButton}>
+                                    Demander le stockage persistant
+                                </button>
+                            </React.Fragment>
+                        )}
+                    </div>
+                )}
+
+                {message && (
+                    <p style={{ ...styles.dialogText, color: message.error ? '#e74c3c' : '#2ecc71' }} role="status">
+                        {message.error && '⚠️ '}{message.text}
+                    </p>
+                )}
+
+                <div style={styles.dialogActions}>
+                    <button onClick={onClose} style={styles.dialogButton}>Fermer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant NoteGraphDialog : réseau des notes reliées par des liens [[Titre]].
+// Un clic sur une note l'ouvre ; la note ouverte est mise en évidence.
+function NoteGraphDialog({ notes, currentNoteId, onSelectNote, onClose }) {
+    // Calculé une fois à l'ouverture : le placement ne bouge plus ensuite
+    const [graph] = useState(() => {
+        const network = buildNoteGraph(notes, currentNoteId);
+        return { ...network, positions: layoutNoteGraph(network) };
+    });
+    const [hovered, setHovered] = useState(null);
+    const { nodes, edges, positions } = graph;
+    const neighbours = new Set(edges
+        .filter(edge => edge.from === hovered || edge.to === hovered)
+        .flatMap(edge => [edge.from, edge.to]));
+
+    return (
+        <div style={styles.dialogOverlay} onClick={onClose}>
+            <div style={{ ...styles.dialog, width: 'min(720px, 94vw)' }} role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.dialogTitle}>🕸️ Graphe des notes</h3>
+
+                {edges.length === 0 ? (
+                    <p style={styles.dialogText}>
+                        Aucune note reliée pour l'instant : écrivez [[Titre d'une note]] dans une note pour créer un lien.
+                    </p>
+                ) : (
+                    <React.Fragment>
+                        <p style={styles.dialogText}>
+                            {nodes.length} notes reliées, {edges.length} liens. Cliquez sur une note pour l'ouvrir.
+                        </p>
+                        <svg viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} style={styles.graph}>
+                            {edges.map(({ from, to }, index) => (
+                                <line
+                                    key={index}
+                                    x1={positions.get(from).x}
+                                    y1={positions.get(from).y}
+                                    x2={positions.get(to).x}
+                                    y2={positions.get(to).y}
+                                    stroke={hovered && (from === hovered || to === hovered) ? '#f39c12' : 'rgba(160, 160, 160, 0.35)'}
+                                    strokeWidth={1.5}
+                                />
+                            ))}
+                            {nodes.map(({ note, degree }) => {
+                                const { x, y } = positions.get(note.id);
+                                const isCurrent = note.id === currentNoteId;
+                                const isDimmed = hovered && hovered !== note.id && !neighbours.has(note.id);
+                                return (
+                                    <g
+                                        key={note.id}
+                                        onClick={() => onSelectNote(note)}
+                                        onMouseEnter={() => setHovered(note.id)}
+                                        onMouseLeave={() => setHovered(null)}
+                                        style={{ cursor: 'pointer', opacity: isDimmed ? 0.3 : 1 }}
+                                    >
+                                        <title>{note.title || 'Sans titre'}</title>
+                                        <circle
+                                            cx={x}
+                                            cy={y}
+                                            r={Math.min(14, 5 + degree * 1.5)}
+                                            fill={note.color}
+                                            stroke={isCurrent ? '#f39c12' : '#0f0f1e'}
+                                            strokeWidth={isCurrent ? 3 : 1.5}
+                                        />
+                                        <text x={x} y={y - 16} textAnchor="middle" style={styles.graphLabel}>
+                                            {(note.title || 'Sans titre').slice(0, 24)}
+                                        </text>
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    </React.Fragment>
+                )}
+
+                <div style={styles.dialogActions}>
+                    <button onClick={onClose} style={styles.dialogButton}>Fermer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant CommandPalette : actions et titres des notes en recherche
+// approximative. ↑/↓ pour choisir, Entrée pour valider, Échap pour fermer.
+function CommandPalette({ commands, notes, onRunCommand, onSelectNote, onClose }) {
+    const [query, setQuery] = useState('');
+    const [highlighted, setHighlighted] = useState(0);
+    const listRef = useRef(null);
+
+    const commandItems = commands.map(command => ({ key: `command-${command.id}`, command, text: command.label }));
+    const noteItems = notes.map(note => ({ key: `note-${note.id}`, note, text: note.title || 'Sans titre' }));
+
+    const results = query.trim()
+        ? [...commandItems, ...noteItems]
+            .map(item => ({ ...item, match: fuzzyMatch(query, item.text) }))
+            .filter(item => item.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, PALETTE_MAX_RESULTS)
+        : [...commandItems, ...noteItems.sort((a, b) => b.note.updatedAt - a.note.updatedAt).slice(0, PALETTE_RECENT_NOTES)];
+
+    useEffect(() => {
+        const item = listRef.current && listRef.current.children[highlighted];
+        if (item) item.scrollIntoView({ block: 'nearest' });
+    }, [highlighted]);
+
+    const run = (item) => {
+        if (item.command) {
+            onRunCommand(item.command.id);
+        } else {
+            onSelectNote(item.note);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && results.length > 0) {
+            e.preventDefault();
+            setHighlighted((highlighted + 1) % results.length);
+        } else if (e.key === 'ArrowUp' && results.length > 0) {
+            e.preventDefault();
+            setHighlighted(highlighted <= 0 ? results.length - 1 : highlighted - 1);
+        } else if (e.key === 'Enter' && results[highlighted]) {
+            e.preventDefault();
+            run(results[highlighted]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div style={{ ...styles.dialogOverlay, ...styles.paletteOverlay }} onClick={onClose}>
+            <div
+                style={{ ...styles.dialog, ...styles.palette }}
+                role="dialog"
+                aria-modal="true"
+                aria-label="Palette de commandes"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setHighlighted(0);
+                    }}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Action ou titre de note..."
+                    style={styles.passphraseInput}
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="command-palette-results"
+                    aria-activedescendant={results[highlighted] ? `command-palette-${highlighted}` : undefined}
+                    autoFocus
+                />
+                <ul id="command-palette-results" ref={listRef} style={styles.paletteList} role="listbox">
+                    {results.map((item, index) => (
+                        <li
+                            key={item.key}
+                            id={`command-palette-${index}`}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            onMouseMove={() => setHighlighted(index)}
+                            onClick={() => run(item)}
+                            style={{ ...styles.paletteItem, ...(index === highlighted ? styles.paletteItemActive : {}) }}
+                        >
+                            <span>{item.command ? item.command.icon : (item.note.archived ? '🗄️' : '📄')}</span>
+                            <span style={styles.paletteItemText}>
+                                {item.match ? <Highlight segments={item.match.segments} /> : item.text}
+                            </span>
+                            {item.command && item.command.shortcut && (
+                                <kbd style={styles.kbd}>{formatShortcut(item.command.shortcut)}</kbd>
+                            )}
+                        </li>
+                    ))}
+                    {results.length === 0 && (
+                        <li style={styles.paletteEmpty}>Aucun résultat</li>
+                    )}
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+// Composant ShortcutsDialog : aide-mémoire des raccourcis. "Modifier" attend
+// la prochaine combinaison (Échap annule), ✕ retire le raccourci.
+function ShortcutsDialog({ bindings, onChange, onClose }) {
+    const [recording, setRecording] = useState(null);
+    const [message, setMessage] = useState(null);
+    const dialogRef = useRef(null);
+
+    useEffect(() => {
+        dialogRef.current.focus();
+    }, []);
+
+    const handleKeyDown = (e) => {
+        if (!recording) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                onClose();
+            }
+            return;
+        }
+
+        const shortcut = eventToShortcut(e);
+        // Tab reste réservé au déplacement entre les boutons
+        if (!shortcut || shortcut === 'Tab' || shortcut === 'Shift+Tab') return;
+        e.preventDefault();
+        setRecording(null);
+        if (shortcut === 'Escape') return;
+
+        const previous = Object.keys(bindings).find(id => id !== recording && bindings[id] === shortcut);
+        setMessage(previous
+            ? `${formatShortcut(shortcut)} retiré de « ${KEYBOARD_ACTIONS[previous].label} »`
+            : null);
+        onChange(recording, shortcut);
+    };
+
+    return (
+        <div style={styles.dialogOverlay} onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                style={{ ...styles.dialog, ...styles.shortcutsDialog }}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="shortcuts-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={handleKeyDown}
+            >
+                <h3 id="shortcuts-title" style={styles.dialogTitle}>⌨️ Raccourcis clavier</h3>
+                <p style={styles.dialogText}>
+                    ↑/↓ parcourent la liste des notes quand elle a le focus. Sans Ctrl ni Alt, un raccourci
+                    ne fonctionne pas pendant la saisie. Ctrl vaut aussi Cmd sur macOS.
+                </p>
+
+                <ul style={styles.storageList}>
+                    {Object.entries(KEYBOARD_ACTIONS).map(([id, action]) => (
+                        <li key={id} style={styles.storageRow}>
+                            <span>{action.icon} {action.label}</span>
+                            <span style={styles.shortcutKeys}>
+                                {recording === id ? (
+                                    <kbd style={{ ...styles.kbd, ...styles.kbdRecording }}>Appuyez sur une combinaison...</kbd>
+                                ) : bindings[id] ? (
+                                    <kbd style={styles.kbd}>{formatShortcut(bindings[id])}</kbd>
+                                ) : (
+                                    <span style={styles.storageHint}>aucun</span>
+                                )}
+                                <button
+                                    onClick={() => setRecording(recording === id ? null : id)}
+                                    style={styles.sidebarAction}
+                                    title="Modifier le raccourci"
+                                >
+                                    ✏️
+                                </button>
+                                <button
+                                    onClick={() => onChange(id, '')}
+                                    disabled={!bindings[id]}
+                                    style={styles.sidebarAction}
+                                    title="Retirer le raccourci"
+                                >
+                                    ✕
+                                </button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+
+                {message && (
+                    <p style={styles.dialogText} role="status">{message}</p>
+                )}
+
+                <div style={styles.dialogActions}>
+                    <button onClick={() => onChange(null)} style={styles.dialogButton}>↺ Par défaut</button>
+                    <button onClick={onClose} style={styles.dialogButton}>Fermer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Composant Editor
+function Editor({ note, notes, onUpdate, onEdit, saveStatus, onRetrySave, onResolveConflict, onRestoreRevision, allTags, notebooks, onMoveNote, onToggleFlag, onSetReminder, onRenameTitle, onOpenNote, onOpenGraph, editedElsewhere, isMobile, onBack }) {
+    const [title, setTitle] = useState('');
+    const [content, setContent] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [showReminder, setShowReminder] = useState(false);
+    const [mode, setMode] = useState('edit');
+    const [hideCompleted, setHideCompleted] = useState(false);
+    const [attachments, setAttachments] = useState([]);
+    const [attachmentError, setAttachmentError] = useState(null);
+    const [shareMessage, setShareMessage] = useState(null);
+    // "[[" en cours de saisie : { start, query } (start : début de la saisie)
+    const [linkQuery, setLinkQuery] = useState(null);
+    const [linkHighlighted, setLinkHighlighted] = useState(0);
+    const textareaRef = useRef(null);
+    // Titre au moment où le champ a pris le focus (liens à réécrire au départ)
+    const titleAtFocusRef = useRef(null);
+    const fileInputRef = useRef(null);
+    // Note et texte courants, relus après l'enregistrement (asynchrone) d'un fichier
+    const currentRef = useRef({ noteId: null, content: '' });
+    currentRef.current = { noteId: note ? note.id : null, content };
+
+    // Mode d'affichage (édition / aperçu / côte à côte) et tâches terminées
+    // masquées ou non, mémorisés
+    useEffect(() => {
+        Promise.all([notesDB.getSetting('editorMode'), notesDB.getSetting('checklistHideCompleted')])
+            .then(([savedMode, savedHideCompleted]) => {
+                if (savedMode) setMode(savedMode);
+                setHideCompleted(!!savedHideCompleted);
+            })
+            .catch((error) => {
+                console.error('Erreur lecture mode éditeur:', error);
+            });
+    }, []);
+
+    const changeMode = (newMode) => {
+        setMode(newMode);
+        notesDB.setSetting('editorMode', newMode).catch((error) => {
+            console.error('Erreur enregistrement mode éditeur:', error);
+        });
+    };
+
+    const toggleHideCompleted = () => {
+        setHideCompleted(!hideCompleted);
+        notesDB.setSetting('checklistHideCompleted', !hideCompleted).catch((error) => {
+            console.error('Erreur enregistrement réglage liste:', error);
+        });
+    };
+
+    // Texte → liste de tâches (une par ligne) ou liste → texte (cases Markdown)
+    const toggleNoteType = () => {
+        const newContent = isChecklist(note) ? content : textToChecklist(content);
+        setContent(newContent);
+        onUpdate(note.id, { type: isChecklist(note) ? 'text' : CHECKLIST_TYPE, content: newContent });
+    };
+
+    // Fermer l'historique et le rappel quand on change de note
+    useEffect(() => {
+        setShowHistory(false);
+        setShowReminder(false);
+        setShareMessage(null);
+        setLinkQuery(null);
+    }, [note?.id]);
+
+    // Effacer le résultat du partage après quelques secondes
+    useEffect(() => {
+        if (!shareMessage) return;
+        const timer = setTimeout(() => setShareMessage(null), 3000);
+        return () => clearTimeout(timer);
+    }, [shareMessage]);
+
+    // Partager la note (Web Share API, avec les pièces jointes si le
+    // navigateur l'accepte) ; sinon la copier dans le presse-papiers
+    const shareNote = async () => {
+        const text = formatNoteForSharing(content, note.tags);
+        const data = { title: title || 'Note', text };
+        const files = attachments.filter(attachment => !attachment.unreadable).map(attachment =>
+            new File([attachment.blob], attachment.name, { type: attachment.type })
+        );
+        if (files.length > 0 && navigator.canShare && navigator.canShare({ ...data, files })) {
+            data.files = files;
+        }
+
+        if (navigator.share) {
+            try {
+                await navigator.share(data);
+                return;
+            } catch (error) {
+                // Partage annulé par l'utilisateur
+                if (error.name === 'AbortError') return;
+                console.error('Erreur partage:', error);
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(title ? `${title}\n\n${text}` : text);
+            setShareMessage('📋 Note copiée dans le presse-papiers');
+        } catch (error) {
+            console.error('Erreur copie presse-papiers:', error);
+            setShareMessage('⚠️ Partage impossible sur ce navigateur');
+        }
+    };
+
+    // Pièces jointes de la note ouverte, relues quand un autre onglet en
+    // ajoute ou en retire
+    useEffect(() => {
+        setAttachments([]);
+        setAttachmentError(null);
+        if (!note) return;
+
+        const noteId = note.id;
+        const loadAttachments = () => {
+            notesDB.getAttachments(noteId)
+                .then((found) => {
+                    if (currentRef.current.noteId === noteId) setAttachments(found);
+                })
+                .catch((error) => {
+                    console.error('Erreur lecture pièces jointes:', error);
+                });
+        };
+        loadAttachments();
+
+        return notesDB.subscribe((message) => {
+            if (message.type === 'change' && !message.setting &&
+                (!message.noteIds || message.noteIds.includes(noteId))) {
+                loadAttachments();
+            }
+        });
+    }, [note?.id]);
+
+    useEffect(() => {
+        if (note) {
+            setTitle(note.title);
+            setContent(note.content);
+        } else {
+            setTitle('');
+            setContent('');
+        }
+    }, [note]);
+
+    const handleTitleChange = (e) => {
+        const newTitle = e.target.value;
+        setTitle(newTitle);
+        
+        if (note) {
+            onEdit(note.id, { title: newTitle });
+        }
+    };
+
+    // Titre modifié : les liens des autres notes suivent quand on quitte le champ
+    const handleTitleBlur = () => {
+        const focused = titleAtFocusRef.current;
+        titleAtFocusRef.current = null;
+        if (focused && note && focused.noteId === note.id && focused.title !== title) {
+            onRenameTitle(note.id, focused.title, title);
+        }
+    };
+
+    const handleContentChange = (e) => {
+        updateContent(e.target.value);
+        updateLinkQuery(e.target);
+    };
+
+    // Autocomplétion des liens : "[[" suivi du début d'un titre, curseur sans sélection
+    const updateLinkQuery = (textarea) => {
+        const match = textarea.selectionStart === textarea.selectionEnd
+            && textarea.value.slice(0, textarea.selectionStart).match(NOTE_LINK_OPEN);
+        setLinkQuery(match ? { start: textarea.selectionStart - match[1].length, query: match[1] } : null);
+        setLinkHighlighted(0);
+    };
+
+    const linkSuggestions = linkQuery && note ? suggestNoteLinks(notes, linkQuery.query, note.id) : [];
+
+    // Remplacer "[[début" par le lien complet (et le "]]" déjà présent)
+    const insertNoteLink = (target) => {
+        const textarea = textareaRef.current;
+        const end = textarea ? textarea.selectionStart : linkQuery.start + linkQuery.query.length;
+        const after = content.slice(end);
+        const link = `[[${target.title.trim()}]]`;
+        const caret = linkQuery.start - 2 + link.length;
+
+        updateContent(content.slice(0, linkQuery.start - 2) + link + (after.startsWith(']]') ? after.slice(2) : after));
+        setLinkQuery(null);
+        if (textarea) {
+            requestAnimationFrame(() => {
+                textarea.focus();
+                textarea.setSelectionRange(caret, caret);
+            });
+        }
+    };
+
+    const updateContent = (newContent) => {
+        // Le texte illisible n'est qu'un substitut : ne pas écraser l'original
+        if (note && note.unreadable) return;
+        setContent(newContent);
+        
+        if (note) {
+            onEdit(note.id, { content: newContent });
+        }
+    };
+
+    // Appliquer une mise en forme Markdown à la sélection du textarea
+    const applyFormat = (action) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+
+        const result = applyMarkdownFormat(
+            content, textarea.selectionStart, textarea.selectionEnd, action.format
+        );
+        updateContent(result.text);
+
+        // Restaurer la sélection après le rendu
+        requestAnimationFrame(() => {
+            textarea.focus();
+            textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+        });
+    };
+
+    // Insérer du texte à la place de la sélection du textarea
+    const insertText = (text) => {
+        const textarea = textareaRef.current;
+        const current = currentRef.current.content;
+        const start = textarea ? textarea.selectionStart : current.length;
+        const end = textarea ? textarea.selectionEnd : current.length;
+        const before = current.slice(0, start);
+        const prefix = before && !before.endsWith('\n') ? '\n' : '';
+        const inserted = `${prefix}${text}\n`;
+
+        updateContent(before + inserted + current.slice(end));
+        if (textarea) {
+            requestAnimationFrame(() => {
+                textarea.focus();
+                textarea.setSelectionRange(start + inserted.length, start + inserted.length);
+            });
+        }
+    };
+
+    // Joindre des fichiers (sélection, collage ou glisser-déposer) et les
+    // insérer dans la note à la position du curseur
+    const addFiles = async (files) => {
+        if (files.length === 0 || note.unreadable || note.conflict) return;
+
+        const noteId = note.id;
+        const added = [];
+        setAttachmentError(null);
+
+        for (const file of files) {
+            try {
+                added.push(await notesDB.addAttachment(noteId, file));
+            } catch (error) {
+                console.error('Erreur ajout pièce jointe:', error);
+                setAttachmentError(
+                    error instanceof AttachmentError || error instanceof StorageQuotaError
+                        ? error.message
+                        : `"${file.name}" n'a pas pu être joint : ${error.message}`
+                );
+            }
+        }
+
+        // Note changée entre-temps : les fichiers restent dans sa liste
+        if (added.length === 0 || currentRef.current.noteId !== noteId) return;
+        setAttachments(previous => [...previous, ...added]);
+        insertText(added.map(attachmentMarkdown).join('\n'));
+    };
+
+    const handleFileInput = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        addFiles(files);
+    };
+
+    const handlePaste = (e) => {
+        const files = [...e.clipboardData.files];
+        if (files.length > 0) {
+            e.preventDefault();
+            addFiles(files);
+        }
+    };
+
+    const handleDragOver = (e) => {
+        if (e.dataTransfer.types.includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        }
+    };
+
+    const handleDrop = (e) => {
+        if (e.dataTransfer.files.length > 0) {
+            e.preventDefault();
+            addFiles([...e.dataTransfer.files]);
+        }
+    };
+
+    // Supprimer une pièce jointe et ses renvois dans le texte
+    const handleDeleteAttachment = async (attachment) => {
+        if (!confirm(`Supprimer la pièce jointe "${attachment.name}" ?`)) return;
+        try {
+            await notesDB.deleteAttachment(attachment.uid);
+            setAttachments(previous => previous.filter(a => a.uid !== attachment.uid));
+            const current = currentRef.current.content;
+            const stripped = removeAttachmentRefs(current, attachment.uid);
+            if (stripped !== current) updateContent(stripped);
+        } catch (error) {
+            console.error('Erreur suppression pièce jointe:', error);
+            setAttachmentError(`Suppression impossible : ${error.message}`);
+        }
+    };
+
+    const handleEditorKeyDown = (e) => {
+        if (linkSuggestions.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : linkSuggestions.length - 1;
+                setLinkHighlighted((linkHighlighted + step) % linkSuggestions.length);
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                insertNoteLink(linkSuggestions[Math.min(linkHighlighted, linkSuggestions.length - 1)]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setLinkQuery(null);
+                return;
+            }
+        }
+
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const action = MARKDOWN_ACTIONS.find(a => a.code === e.code && a.shift === e.shiftKey);
+        if (action) {
+            e.preventDefault();
+            applyFormat(action);
+        }
+    };
+
+    const handleRestore = (revisionId) => {
+        onRestoreRevision(note.id, revisionId);
+        setShowHistory(false);
+    };
+
+    if (!note) {
+        return (
+            <main style={styles.editor}>
+                <div style={styles.editorEmpty}>
+                    <div style={styles.editorEmptyIcon}>✍️</div>
+                    <h2 style={styles.editorEmptyTitle}>Sélectionnez une note</h2>
+                    <p style={styles.editorEmptySubtext}>ou créez-en une nouvelle pour commencer</p>
+                </div>
+            </main>
+        );
+    }
+
+    return (
+        <main style={styles.editor}>
+            <div style={{
+                ...styles.editorHeader,
+                padding: isMobile ? '1rem 1rem 0.5rem' : '2rem 3rem 1rem'
+            }}>
+                {isMobile && (
+                    <button onClick={onBack} style={styles.backButton}>
+                        ← Retour
+                    </button>
+                )}
+                <input 
+                    type="text"
+                    value={title}
+                    onChange={handleTitleChange}
+                    onFocus={() => {
+                        titleAtFocusRef.current = { noteId: note.id, title };
+                    }}
+                    onBlur={handleTitleBlur}
+                    readOnly={!!note.conflict || !!note.unreadable}
+                    placeholder="Titre de la note..."
+                    style={{
+                        ...styles.editorTitle,
+                        fontSize: isMobile ? '1.5rem' : '2rem'
+                    }}
+                />
+                <div style={styles.editorMetaRow}>
+                    <div style={styles.editorMeta}>
+                        Modifiée: {new Date(note.updatedAt).toLocaleString('fr-FR')}
+                        {note.unreadable && (
+                            <span title="Chiffrée sur un autre appareil avec une autre phrase secrète">
+                                {' '}· 🔒 Illisible, lecture seule
+                            </span>
+                        )}
+                        {note.archived && <span>{' '}· 🗄️ Archivée</span>}
+                        {note.reminder && (
+                            <span>
+                                {' '}· ⏰ {formatReminderDate(reminderDueAt(note.reminder))}
+                                {note.reminder.repeat && ' 🔁'}
+                            </span>
+                        )}
+                        {notebooks.length > 0 && (
+                            <select
+                                value={notebooks.some(n => n.uid === note.notebookUid) ? note.notebookUid : ''}
+                                onChange={(e) => onMoveNote(note.id, e.target.value || null)}
+                                style={styles.editorNotebookSelect}
+                                title="Carnet"
+                            >
+                                <option value="">📁 Sans carnet</option>
+                                {flattenNotebookTree(buildNotebookTree(notebooks)).map(({ notebook, depth }) => (
+                                    <option key={notebook.uid} value={notebook.uid}>
+                                        {'\u00a0\u00a0'.repeat(depth)}📁 {notebook.name}
+                                    </option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                    {!note.conflict && (
+                        <div style={styles.editorTools}>
+                            {!note.unreadable && !showHistory && (
+                                <button
+                                    onClick={toggleNoteType}
+                                    style={styles.editorToolButton}
+                                    title={isChecklist(note) ? 'Convertir en texte' : 'Convertir en liste de tâches (une par ligne)'}
+                                >
+                                    {isChecklist(note) ? '📝' : '☑️'}{!isMobile && (isChecklist(note) ? ' Texte' : ' Liste')}
+                                </button>
+                            )}
+                            {!showHistory && !isChecklist(note) && [
+                                { id: 'edit', icon: '✏️', label: 'Édition' },
+                                { id: 'split', icon: '◫', label: 'Côte à côte' },
+                                { id: 'preview', icon: '👁️', label: 'Aperçu' }
+                            ].map(option => (
+                                <button
+                                    key={option.id}
+                                    onClick={() => changeMode(option.id)}
+                                    style={{
+                                        ...styles.editorToolButton,
+                                        ...(mode === option.id ? styles.editorToolButtonActive : {})
+                                    }}
+                                    title={option.label}
+                                >
+                                    {option.icon}{!isMobile && ` ${option.label}`}
+                                </button>
+                            ))}
+                            {[
+                                { flag: 'pinned', icon: '📌', on: 'Désépingler', off: 'Épingler' },
+                                { flag: 'favorite', icon: '⭐', on: 'Retirer des favoris', off: 'Ajouter aux favoris' },
+                                { flag: 'archived', icon: '🗄️', on: 'Désarchiver', off: 'Archiver (masquée de la liste, toujours trouvée par la recherche)' }
+                            ].map(option => (
+                                <button
+                                    key={option.flag}
+                                    onClick={() => onToggleFlag(note, option.flag)}
+                                    style={{
+                                        ...styles.editorToolButton,
+                                        ...(note[option.flag] ? styles.editorToolButtonActive : {})
+                                    }}
+                                    title={note[option.flag] ? option.on : option.off}
+                                >
+                                    {option.icon}
+                                </button>
+                            ))}
+                            <button
+                                onClick={() => setShowReminder(!showReminder)}
+                                style={{
+                                    ...styles.editorToolButton,
+                                    ...(showReminder || note.reminder ? styles.editorToolButtonActive : {})
+                                }}
+                                title="Rappel"
+                            >
+                                ⏰{!isMobile && ' Rappel'}
+                            </button>
+                            <button
+                                onClick={() => setShowHistory(!showHistory)}
+                                style={{
+                                    ...styles.editorToolButton,
+                                    ...(showHistory ? styles.editorToolButtonActive : {})
+                                }}
+                                title="Historique des versions"
+                            >
+                                🕘 Historique
+                            </button>
+                            <button
+                                onClick={shareNote}
+                                style={styles.editorToolButton}
+                                title="Partager la note ou la copier"
+                            >
+                                📤 Partager
+                            </button>
+                        </div>
+                    )}
+                </div>
+                {showReminder && !note.conflict && (
+                    <ReminderPanel
+                        reminder={note.reminder}
+                        onSave={(reminder) => {
+                            onSetReminder(note.id, reminder);
+                            setShowReminder(false);
+                        }}
+                        onClose={() => setShowReminder(false)}
+                    />
+                )}
+                <TagInput
+                    key={note.id}
+                    tags={note.tags || []}
+                    allTags={allTags}
+                    onChange={(tags) => onUpdate(note.id, { tags })}
+                    disabled={!!note.conflict}
+                />
+                {editedElsewhere && !note.conflict && (
+                    <div style={styles.editorNotice} role="status">
+                        ✏️ Cette note est en cours de modification dans un autre onglet :
+                        la dernière modification enregistrée l'emportera (les précédentes restent dans 🕘 Historique).
+                    </div>
+                )}
+            </div>
+            
+            {note.conflict ? (
+                <ConflictView
+                    note={note}
+                    onResolve={(resolution) => onResolveConflict(note.id, resolution)}
+                    isMobile={isMobile}
+                />
+            ) : showHistory ? (
+                <HistoryPanel
+                    note={note}
+                    currentTitle={title}
+                    currentContent={content}
+                    onRestore={handleRestore}
+                    isMobile={isMobile}
+                />
+            ) : isChecklist(note) ? (
+                <ChecklistEditor
+                    content={content}
+                    onChange={updateContent}
+                    readOnly={!!note.unreadable}
+                    hideCompleted={hideCompleted}
+                    onToggleHideCompleted={toggleHideCompleted}
+                    isMobile={isMobile}
+                />
+            ) : (
+                <div style={{ ...styles.editorBody, flexDirection: isMobile ? 'column' : 'row' }}>
+                    {mode !== 'preview' && (
+                        <div style={{ ...styles.editorPane, position: 'relative' }} onDragOver={handleDragOver} onDrop={handleDrop}>
+                            <div style={{ ...styles.mdToolbar, padding: isMobile ? '0.4rem 1rem' : '0.5rem 3rem' }}>
+                                {MARKDOWN_ACTIONS.map(action => (
+                                    <button
+                                        key={action.id}
+                                        onClick={() => applyFormat(action)}
+                                        style={styles.mdToolbarButton}
+                                        title={action.shortcut ? `${action.label} (${action.shortcut})` : action.label}
+                                    >
+                                        {action.icon}
+                                    </button>
+                                ))}
+                                {!note.unreadable && (
+                                    <button
+                                        onClick={() => fileInputRef.current.click()}
+                                        style={styles.mdToolbarButton}
+                                        title="Joindre des fichiers (ou coller, glisser-déposer)"
+                                    >
+                                        📎
+                                    </button>
+                                )}
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    multiple
+                                    onChange={handleFileInput}
+                                    style={{ display: 'none' }}
+                                />
+                            </div>
+                            <textarea 
+                                ref={textareaRef}
+                                value={content}
+                                onChange={handleContentChange}
+                                onKeyDown={handleEditorKeyDown}
+                                onSelect={(e) => updateLinkQuery(e.target)}
+                                onBlur={() => setLinkQuery(null)}
+                                onPaste={handlePaste}
+                                readOnly={!!note.unreadable}
+                                placeholder="Commencez à écrire votre note... (Markdown, [[Titre]] pour lier une note)"
+                                style={{
+                                    ...styles.editorTextarea,
+                                    padding: isMobile ? '1rem' : '2rem 3rem',
+                                    fontSize: isMobile ? '0.95rem' : '1.05rem'
+                                }}
+                                aria-autocomplete="list"
+                            />
+                            {linkSuggestions.length > 0 && (
+                                <div style={{ ...styles.noteLinkSuggestions, left: isMobile ? '1rem' : '3rem' }} role="listbox">
+                                    {linkSuggestions.map((suggestion, index) => (
+                                        <div
+                                            key={suggestion.id}
+                                            role="option"
+                                            aria-selected={index === linkHighlighted}
+                                            // mousedown : avant la perte de focus du textarea
+                                            onMouseDown={(e) => {
+                                                e.preventDefault();
+                                                insertNoteLink(suggestion);
+                                            }}
+                                            style={{
+                                                ...styles.tagSuggestion,
+                                                ...(index === linkHighlighted ? styles.tagSuggestionActive : {})
+                                            }}
+                                        >
+                                            🔗 {suggestion.title}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {mode !== 'edit' && (
+                        <MarkdownPreview
+                            content={content}
+                            onToggleTask={(line) => updateContent(toggleMarkdownTask(content, line))}
+                            noteLinks={{ notes, onOpen: onOpenNote }}
+                            style={{
+                                padding: isMobile ? '1rem' : '2rem 3rem',
+                                borderLeft: mode === 'split' && !isMobile ? '1px solid rgba(243, 156, 18, 0.2)' : 'none'
+                            }}
+                        />
+                    )}
+                </div>
+            )}
+
+            {!note.conflict && !showHistory && (
+                <BacklinkList
+                    backlinks={collectBacklinks(notes, note)}
+                    onOpenNote={onOpenNote}
+                    onOpenGraph={onOpenGraph}
+                    isMobile={isMobile}
+                />
+            )}
+
+            {!note.conflict && !showHistory && (attachments.length > 0 || attachmentError) && (
+                <AttachmentList
+                    attachments={attachments}
+                    error={attachmentError}
+                    onInsert={attachment => insertText(attachmentMarkdown(attachment))}
+                    onDelete={handleDeleteAttachment}
+                    readOnly={!!note.unreadable}
+                />
+            )}
+            
+            <div style={{
+                ...styles.editorFooter,
+                padding: isMobile ? '0.8rem 1rem' : '1rem 3rem'
+            }}>
+                <div style={styles.wordCount}>
+                    {content.split(/\s+/).filter(w => w.length > 0).length} mots
+                    {' · '}
+                    {content.length} caractères
+                </div>
+                <div style={styles.saveStatus} role="status">
+                    {shareMessage && (
+                        <span style={styles.shareMessage}>{shareMessage}</span>
+                    )}
+                    {SAVE_STATUS_LABELS[saveStatus]}
+                    {saveStatus === 'error' && (
+                        <button onClick={onRetrySave} style={styles.saveRetryButton}>Réessayer</button>
+                    )}
+                </div>
+            </div>
+        </main>
+    );
+}
+
+// Composant ReminderPanel : échéance et répétition du rappel d'une note
+function ReminderPanel({ reminder, onSave, onClose }) {
+    const [dueAt, setDueAt] = useState(() => {
+        if (reminder) return toDateTimeLocal(reminderDueAt(reminder));
+        // Par défaut : l'heure pleine suivante, plus une heure
+        const date = new Date();
+        date.setHours(date.getHours() + 2, 0, 0, 0);
+        return toDateTimeLocal(date.getTime());
+    });
+    const [repeat, setRepeat] = useState(reminder && reminder.repeat ? reminder.repeat : '');
+
+    const time = new Date(dueAt).getTime();
+    const blocked = 'Notification' in window && Notification.permission === 'denied';
+
+    const save = () => {
+        if (!Number.isFinite(time)) return;
+        onSave({ dueAt: time, repeat: repeat || null, snoozedUntil: null });
+    };
+
+    return (
+        <div style={styles.reminderPanel}>
+            <input
+                type="datetime-local"
+                value={dueAt}
+                onChange={(e) => setDueAt(e.target.value)}
+                style={{ ...styles.editorNotebookSelect, marginLeft: 0 }}
+                aria-label="Échéance du rappel"
+            />
+            <select
+                value={repeat}
+                onChange={(e) => setRepeat(e.target.value)}
+                style={{ ...styles.editorNotebookSelect, marginLeft: 0 }}
+                aria-label="Répétition"
+            >
+                {Object.entries(REMINDER_REPEAT_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+            <button
+                onClick={save}
+                disabled={!Number.isFinite(time)}
+                style={{ ...styles.editorToolButton, ...styles.editorToolButtonActive }}
+            >
+                Enregistrer
+            </button>
+            {reminder && (
+                <button onClick={() => onSave(null)} style={styles.editorToolButton}>
+                    Supprimer le rappel
+                </button>
+            )}
+            <button onClick={onClose} style={styles.editorToolButton}>Annuler</button>
+            {blocked && (
+                <p style={{ ...styles.editorMeta, width: '100%', margin: 0 }}>
+                    🔕 Notifications bloquées par le navigateur : le rappel ne s'affichera que dans NotesFlow ouverte.
+                </p>
+            )}
+        </div>
+    );
+}
+
+// Composant ChecklistEditor : note de type liste de tâches.
+// Entrée ajoute une tâche, Tab / Maj+Tab indente, Alt+↑/↓ déplace la tâche
+// (avec ses sous-tâches), Ctrl+Entrée coche, Retour arrière supprime une tâche vide.
+function ChecklistEditor({ content, onChange, readOnly, hideCompleted, onToggleHideCompleted, isMobile }) {
+    const [dragIndex, setDragIndex] = useState(null);
+    const inputRefs = useRef([]);
+    // Tâche à activer (et position du curseur) après le prochain rendu
+    const focusRef = useRef(null);
+
+    const items = parseChecklist(content);
+    const done = items.filter(item => item.checked).length;
+    const visible = items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => !hideCompleted || !item.checked);
+
+    useEffect(() => {
+        if (!focusRef.current) return;
+        const { index, caret } = focusRef.current;
+        const input = inputRefs.current[index];
+        focusRef.current = null;
+        if (input) {
+            input.focus();
+            const position = caret === undefined ? input.value.length : caret;
+            input.setSelectionRange(position, position);
+        }
+    });
+
+    const commit = (newItems, focus) => {
+        focusRef.current = focus || null;
+        onChange(serializeChecklist(newItems));
+    };
+
+    const updateItem = (index, changes) => {
+        commit(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+    };
+
+    // Cocher une tâche coche aussi ses sous-tâches
+    const toggleItem = (index) => {
+        const checked = !items[index].checked;
+        const end = checklistBlockEnd(items, index);
+        commit(items.map((item, i) => (i >= index && i < end ? { ...item, checked } : item)));
+    };
+
+    const removeItem = (index) => {
+        const previous = visible.filter(v => v.index < index).pop();
+        commit(items.filter((_, i) => i !== index), previous ? { index: previous.index } : null);
+    };
+
+    const addItem = () => {
+        commit([...items, { text: '', checked: false, depth: 0 }], { index: items.length });
+    };
+
+    const moveFocus = (index, direction) => {
+        const position = visible.findIndex(v => v.index === index) + direction;
+        if (visible[position]) {
+            inputRefs.current[visible[position].index].focus();
+        }
+    };
+
+    const handleKeyDown = (e, index) => {
+        const item = items[index];
+        const { selectionStart, selectionEnd } = e.target;
+
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            toggleItem(index);
+        } else if (e.key === 'Enter') {
+            // Le texte après le curseur part dans la nouvelle tâche (première
+            // sous-tâche si la tâche en a déjà)
+            e.preventDefault();
+            const newItems = [...items];
+            newItems[index] = { ...item, text: item.text.slice(0, selectionStart) };
+            const depth = items[index + 1] && items[index + 1].depth > item.depth ? item.depth + 1 : item.depth;
+            newItems.splice(index + 1, 0, { text: item.text.slice(selectionEnd), checked: false, depth });
+            commit(newItems, { index: index + 1, caret: 0 });
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            commit(indentChecklistItem(items, index, e.shiftKey ? -1 : 1), { index, caret: selectionStart });
+        } else if (e.key === 'Backspace' && item.text === '') {
+            e.preventDefault();
+            removeItem(index);
+        } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.altKey) {
+            e.preventDefault();
+            const moved = swapChecklistItem(items, index, e.key === 'ArrowUp' ? -1 : 1);
+            if (moved) commit(moved.items, { index: moved.index, caret: selectionStart });
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            moveFocus(index, e.key === 'ArrowUp' ? -1 : 1);
+        }
+    };
+
+    // Glisser-déposer : la tâche (et ses sous-tâches) prend la place et le
+    // niveau de la tâche visée ; déposée sur "Ajouter", elle va à la fin
+    const handleDragStart = (e, index) => {
+        e.dataTransfer.setData(CHECKLIST_DRAG_TYPE, String(index));
+        e.dataTransfer.effectAllowed = 'move';
+        setDragIndex(index);
+    };
+
+    const handleDragOver = (e) => {
+        if (dragIndex !== null) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        }
+    };
+
+    const handleDrop = (e, target) => {
+        if (dragIndex === null) return;
+        e.preventDefault();
+        const depth = target < items.length ? items[target].depth : 0;
+        const moved = moveChecklistBlock(items, dragIndex, target, depth);
+        setDragIndex(null);
+        commit(moved.items);
+    };
+
+    return (
+        <div style={{ ...styles.checklist, padding: isMobile ? '1rem' : '2rem 3rem' }}>
+            <div style={styles.checklistHeader}>
+                <div style={styles.checklistProgress}>
+                    <progress value={done} max={Math.max(items.length, 1)} style={{ flex: 1 }} />
+                    <span>
+                        {done}/{items.length}
+                        {items.length > 0 && ` · ${Math.round(done / items.length * 100)} %`}
+                    </span>
+                </div>
+                <label style={styles.checklistOption}>
+                    <input type="checkbox" checked={hideCompleted} onChange={onToggleHideCompleted} />
+                    {' '}Masquer les tâches terminées
+                </label>
+            </div>
+
+            {visible.map(({ item, index }) => (
+                <div
+                    key={index}
+                    style={{
+                        ...styles.checklistItem,
+                        paddingLeft: `${item.depth * 1.5}rem`,
+                        opacity: dragIndex === index ? 0.4 : 1
+                    }}
+                    onDragOver={handleDragOver}
+                    onDrop={(e) => handleDrop(e, index)}
+                >
+                    {!readOnly && (
+                        <span
+                            draggable
+                            onDragStart={(e) => handleDragStart(e, index)}
+                            onDragEnd={() => setDragIndex(null)}
+                            style={styles.checklistHandle}
+                            title="Glisser pour déplacer (ou Alt+↑/↓)"
+                        >
+                            ⋮⋮
+                        </span>
+                    )}
+                    <input
+                        type="checkbox"
+                        checked={item.checked}
+                        onChange={() => toggleItem(index)}
+                        disabled={readOnly}
+                        style={styles.checklistCheckbox}
+                    />
+                    <input
+                        ref={(input) => { inputRefs.current[index] = input; }}
+                        type="text"
+                        value={item.text}
+                        onChange={(e) => updateItem(index, { text: e.target.value })}
+                        onKeyDown={(e) => handleKeyDown(e, index)}
+                        readOnly={readOnly}
+                        placeholder="Tâche..."
+                        style={{ ...styles.checklistInput, ...(item.checked ? styles.checklistInputDone : {}) }}
+                    />
+                    {!readOnly && (
+                        <button onClick={() => removeItem(index)} style={styles.checklistRemove} title="Supprimer la tâche">
+                            ✕
+                        </button>
+                    )}
+                </div>
+            ))}
+
+            {!readOnly && (
+                <button
+                    onClick={addItem}
+                    onDragOver={handleDragOver}
+                    onDrop={(e) => handleDrop(e, items.length)}
+                    style={styles.checklistAdd}
+                >
+                    ＋ Ajouter une tâche
+                </button>
+            )}
+            {hideCompleted && done > 0 && (
+                <p style={styles.editorMeta}>{done} tâche(s) terminée(s) masquée(s)</p>
+            )}
+        </div>
+    );
+}
+
+// Composant TagInput : tags de la note, avec suggestions parmi les tags existants.
+// Entrée ou virgule ajoute, Tab complète, Retour arrière retire le dernier tag.
+function TagInput({ tags, allTags, onChange, disabled }) {
+    const [draft, setDraft] = useState('');
+    const [highlighted, setHighlighted] = useState(-1);
+
+    const query = normalizeTerm(normalizeTag(draft));
+    const suggestions = query
+        ? allTags.filter(tag => !tags.includes(tag) && normalizeTerm(tag).startsWith(query)).slice(0, 6)
+        : [];
+
+    const addTag = (tag) => {
+        const normalized = normalizeTag(tag);
+        if (normalized && !tags.includes(normalized)) {
+            onChange([...tags, normalized]);
+        }
+        setDraft('');
+        setHighlighted(-1);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted((highlighted + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted(highlighted <= 0 ? suggestions.length - 1 : highlighted - 1);
+        } else if ((e.key === 'Enter' || e.key === ',') && draft.trim()) {
+            e.preventDefault();
+            addTag(highlighted >= 0 ? suggestions[highlighted] : draft);
+        } else if (e.key === 'Tab' && suggestions.length > 0) {
+            e.preventDefault();
+            addTag(suggestions[Math.max(highlighted, 0)]);
+        } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+        } else if (e.key === 'Escape') {
+            setDraft('');
+            setHighlighted(-1);
+        }
+    };
+
+    return (
+        <div style={styles.tagInput}>
+            {tags.map(tag => (
+                <span key={tag} style={styles.tagChip}>
+                    #{tag}
+                    {!disabled && (
+                        <button
+                            onClick={() => onChange(tags.filter(t => t !== tag))}
+                            style={styles.tagChipRemove}
+                            title={`Retirer "${tag}"`}
+                        >
+                            ✕
+                        </button>
+                    )}
+                </span>
+            ))}
+            {!disabled && (
+                <div style={styles.tagInputField}>
+                    <input
+                        type="text"
+                        value={draft}
+                        onChange={(e) => {
+                            setDraft(e.target.value);
+                            setHighlighted(-1);
+                        }}
+                        onKeyDown={handleKeyDown}
+                        onBlur={() => draft.trim() && addTag(draft)}
+                        placeholder={tags.length === 0 ? '🏷️ Ajouter un tag...' : '+ tag'}
+                        style={styles.tagInputText}
+                        aria-autocomplete="list"
+                    />
+                    {suggestions.length > 0 && (
+                        <div style={styles.tagSuggestions} role="listbox">
+                            {suggestions.map((tag, index) => (
+                                <div
+                                    key={tag}
+                                    role="option"
+                                    aria-selected={index === highlighted}
+                                    // mousedown : avant la perte de focus du champ
+                                    onMouseDown={(e) => {
+                                        e.preventDefault();
+                                        addTag(tag);
+                                    }}
+                                    style={{
+                                        ...styles.tagSuggestion,
+                                        ...(index === highlighted ? styles.tagSuggestionActive : {})
+                                    }}
+                                >
+                                    #{tag}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Composant MarkdownPreview
+function MarkdownPreview({ content, onToggleTask, noteLinks, style }) {
+    const blocks = parseMarkdown(content);
+
+    return (
+        <div style={{ ...styles.mdPreview, ...style }}>
+            {blocks.length === 0
+                ? <p style={styles.editorMeta}>Rien à prévisualiser</p>
+                : renderMarkdownBlocks(blocks, onToggleTask, '', noteLinks)}
+        </div>
+    );
+}
+
+// URL locale (blob:) d'un Blob, libérée quand il change ou au démontage
+function useObjectUrl(blob) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!blob) {
+            setUrl(null);
+            return undefined;
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [blob]);
+
+    return url;
+}
+
+// Pièce jointe lue dans IndexedDB (undefined pendant le chargement, null si absente)
+function useAttachment(uid) {
+    const [attachment, setAttachment] = useState(undefined);
+
+    useEffect(() => {
+        let cancelled = false;
+        setAttachment(undefined);
+        notesDB.getAttachment(uid)
+            .then((found) => {
+                if (!cancelled) setAttachment(found || null);
+            })
+            .catch((error) => {
+                console.error('Erreur lecture pièce jointe:', error);
+                if (!cancelled) setAttachment(null);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [uid]);
+
+    return attachment;
+}
+
+// Composant AttachmentImage : image jointe affichée dans l'aperçu
+function AttachmentImage({ uid, alt }) {
+    const attachment = useAttachment(uid);
+    const url = useObjectUrl(attachment ? attachment.blob : null);
+
+    if (attachment === null || (attachment && attachment.unreadable)) {
+        return <span style={styles.attachmentMissing}>📎 {alt || 'Image'} ({attachment ? 'illisible' : 'introuvable'})</span>;
+    }
+    return url ? <img src={url} alt={alt} style={styles.mdImage} /> : null;
+}
+
+// Composant AttachmentLink : fichier joint, téléchargé au clic
+function AttachmentLink({ uid, children }) {
+    const attachment = useAttachment(uid);
+
+    if (attachment === null || (attachment && attachment.unreadable)) {
+        return <span style={styles.attachmentMissing}>📎 {children} ({attachment ? 'illisible' : 'introuvable'})</span>;
+    }
+    return (
+        <button
+            onClick={() => attachment && downloadFile(attachment.blob, attachment.name)}
+            style={styles.attachmentLink}
+            title={attachment ? `Télécharger ${attachment.name} (${formatBytes(attachment.size)})` : undefined}
+        >
+            📎 {children}
+        </button>
+    );
+}
+
+// Composant AttachmentList : pièces jointes de la note, sous l'éditeur
+function AttachmentList({ attachments, error, onInsert, onDelete, readOnly }) {
+    return (
+        <div style={styles.attachmentList}>
+            {error && (
+                <p style={styles.attachmentError} role="alert">⚠️ {error}</p>
+            )}
+            {attachments.map(attachment => (
+                <AttachmentChip
+                    key={attachment.uid}
+                    attachment={attachment}
+                    onInsert={onInsert}
+                    onDelete={onDelete}
+                    readOnly={readOnly}
+                />
+            ))}
+        </div>
+    );
+}
+
+// Composant AttachmentChip : miniature (ou icône), nom, taille et actions
+function AttachmentChip({ attachment, onInsert, onDelete, readOnly }) {
+    const thumbnailUrl = useObjectUrl(attachment.thumbnail);
+
+    return (
+        <div style={styles.attachmentChip}>
+            {thumbnailUrl
+                ? <img src={thumbnailUrl} alt="" style={styles.attachmentThumbnail} />
+                : <span style={styles.attachmentIcon}>{isImageAttachment(attachment) ? '🖼️' : '📄'}</span>}
+            <div style={styles.attachmentInfo}>
+                <div style={styles.attachmentName} title={attachment.name}>{attachment.name}</div>
+                <div style={styles.editorMeta}>{formatBytes(attachment.size)}</div>
+            </div>
+            {!readOnly && (
+                <button onClick={() => onInsert(attachment)} style={styles.mdToolbarButton} title="Insérer dans la note">
+                    ↩︎
+                </button>
+            )}
+            {!attachment.unreadable && (
+                <button
+                    onClick={() => downloadFile(attachment.blob, attachment.name)}
+                    style={styles.mdToolbarButton}
+                    title="Télécharger"
+                >
+                    ⬇️
+                </button>
+            )}
+            {!readOnly && (
+                <button onClick={() => onDelete(attachment)} style={styles.mdToolbarButton} title="Supprimer">
+                    🗑️
+                </button>
+            )}
+        </div>
+    );
+}
+
+// Composant BacklinkList : notes qui renvoient à la note ouverte ([[Titre]])
+function BacklinkList({ backlinks, onOpenNote, onOpenGraph, isMobile }) {
+    return (
+        <div style={{ ...styles.backlinkList, padding: isMobile ? '0.6rem 1rem' : '0.6rem 3rem' }}>
+            <span style={styles.backlinkLabel}>
+                🔗 {backlinks.length === 0 ? 'Aucune note ne renvoie ici' : `Rétroliens (${backlinks.length}) :`}
+            </span>
+            {backlinks.map(backlink => (
+                <button
+                    key={backlink.id}
+                    onClick={() => onOpenNote(backlink)}
+                    style={styles.noteLink}
+                    title={`Ouvrir "${backlink.title}"`}
+                >
+                    {backlink.title || 'Sans titre'}
+                </button>
+            ))}
+            <button onClick={onOpenGraph} style={styles.backlinkGraphButton} title="Graphe des notes reliées">
+                🕸️ Graphe
+            </button>
+        </div>
+    );
+}
+
+// Composant HistoryPanel : versions enregistrées d'une note
+function HistoryPanel({ note, currentTitle, currentContent, onRestore, isMobile }) {
+    const [revisions, setRevisions] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        notesDB.getRevisions(note.id)
+            .then((result) => {
+                setRevisions(result);
+                setSelectedId(prev => result.some(r => r.id === prev) ? prev : (result[0]?.id ?? null));
+            })
+            .catch((error) => {
+                console.error('Erreur chargement historique:', error);
+            });
+    }, [note.id, note.updatedAt]);
+
+    const selected = revisions.find(r => r.id === selectedId);
+
+    const handleRestore = () => {
+        const date = new Date(selected.updatedAt).toLocaleString('fr-FR');
+        if (confirm(`Restaurer la version du ${date} ?\nLe texte actuel restera disponible dans l'historique.`)) {
+            onRestore(selected.id);
+        }
+    };
+
+    if (revisions.length === 0) {
+        return (
+            <div style={styles.editorEmpty}>
+                <div style={styles.editorEmptyIcon}>🕘</div>
+                <p style={styles.editorEmptySubtext}>Aucune version enregistrée pour le moment</p>
+            </div>
+        );
+    }
+
+    // Diff de la version choisie vers le texte actuel
+    const diff = selected ? diffLines(selected.content, currentContent) : [];
+    const isCurrent = selected && selected.title === currentTitle && selected.content === currentContent;
+
+    return (
+        <div style={{ ...styles.historyPanel, flexDirection: isMobile ? 'column' : 'row' }}>
+            <ul style={{ ...styles.historyList, maxHeight: isMobile ? '30vh' : 'none' }}>
+                {revisions.map((revision) => (
+                    <li
+                        key={revision.id}
+                        onClick={() => setSelectedId(revision.id)}
+                        style={{
+                            ...styles.historyItem,
+                            ...(revision.id === selectedId ? styles.historyItemSelected : {})
+                        }}
+                    >
+                        <div>{new Date(revision.updatedAt).toLocaleString('fr-FR')}</div>
+                        <div style={styles.editorMeta}>
+                            {revision.title || 'Sans titre'} · {revision.content.length} car.
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {selected && (
+                <div style={styles.historyDetail}>
+                    <div style={styles.historyDetailHeader}>
+                        <span style={styles.editorMeta}>
+                            {isCurrent
+                                ? 'Identique au texte actuel'
+                                : 'Différences avec le texte actuel (− version, + actuel)'}
+                        </span>
+                        <button
+                            onClick={handleRestore}
+                            disabled={isCurrent}
+                            style={styles.conflictButton}
+                        >
+                            ⏪ Restaurer
+                        </button>
+                    </div>
+                    {selected.title !== currentTitle && (
+                        <div style={styles.historyDiff}>
+                            <div style={styles.diffDelete}>− {selected.title}</div>
+                            <div style={styles.diffInsert}>+ {currentTitle}</div>
+                        </div>
+                    )}
+                    <div style={styles.historyDiff}>
+                        {diff.map((op, index) => op.lines.map((line, lineIndex) => (
+                            <div
+                                key={`${index}-${lineIndex}`}
+                                style={op.type === 'insert' ? styles.diffInsert
+                                    : op.type === 'delete' ? styles.diffDelete
+                                    : styles.diffEqual}
+                            >
+                                {op.type === 'insert' ? '+ ' : op.type === 'delete' ? '− ' : '  '}
+                                {line}
+                            </div>
+                        )))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Composant ConflictView : la note a été modifiée ici et sur un autre appareil
+function ConflictView({ note, onResolve, isMobile }) {
+    const { conflict } = note;
+    const [mergedTitle, setMergedTitle] = useState('');
+    const [mergedContent, setMergedContent] = useState('');
+
+    // Pré-remplir la fusion manuelle avec tout ce qui fusionne proprement
+    useEffect(() => {
+        const base = conflict.base || { title: '', content: '' };
+        setMergedTitle(mergeText(base.title, note.title, conflict.title).text);
+        setMergedContent(mergeText(base.content, note.content, conflict.content).text);
+    }, [note]);
+
+    const remainingMarkers = (mergedTitle + '\n' + mergedContent)
+        .split('\n')
+        .filter(line => line === CONFLICT_MARKERS.ours || line === CONFLICT_MARKERS.theirs)
+        .length;
+
+    const handleSaveMerge = () => {
+        if (remainingMarkers > 0 &&
+            !confirm('Des marqueurs de conflit sont encore présents. Enregistrer quand même ?')) {
+            return;
+        }
+        onResolve({ title: mergedTitle, content: mergedContent });
+    };
+
+    const versions = [
+        { label: '💻 Cet appareil', date: note.updatedAt, title: note.title, content: note.content },
+        { label: '☁️ Autre appareil', date: conflict.updatedAt, title: conflict.title, content: conflict.content }
+    ];
+
+    return (
+        <div style={{ ...styles.conflictView, padding: isMobile ? '1rem' : '1.5rem 3rem' }}>
+            <div style={styles.conflictBanner}>
+                ⚠️ Cette note a été modifiée sur un autre appareil pendant que vous la modifiiez.
+                Choisissez une version ou fusionnez-les à la main.
+            </div>
+
+            <div style={{ ...styles.conflictColumns, flexDirection: isMobile ? 'column' : 'row' }}>
+                {versions.map((version) => (
+                    <div key={version.label} style={styles.conflictColumn}>
+                        <div style={styles.conflictColumnHeader}>
+                            <span>{version.label}</span>
+                            <span style={styles.editorMeta}>
+                                {version.date ? new Date(version.date).toLocaleString('fr-FR') : ''}
+                            </span>
+                        </div>
+                        <div style={styles.conflictTitle}>{version.title}</div>
+                        <pre style={styles.conflictContent}>{version.content}</pre>
+                        <button
+                            onClick={() => onResolve({ title: version.title, content: version.content })}
+                            style={styles.conflictButton}
+                        >
+                            Garder cette version
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <div style={styles.conflictColumn}>
+                <div style={styles.conflictColumnHeader}>
+                    <span>✍️ Fusion manuelle</span>
+                    <span style={{ ...styles.editorMeta, color: remainingMarkers > 0 ? '#e74c3c' : '#2ecc71' }}>
+                        {remainingMarkers > 0
+                            ? `${remainingMarkers / 2} zone(s) en conflit`
+                            : 'Aucun conflit restant'}
+                    </span>
+                </div>
+                <input
+                    type="text"
+                    value={mergedTitle}
+                    onChange={(e) => setMergedTitle(e.target.value)}
+                    style={styles.conflictInput}
+                />
+                <textarea
+                    value={mergedContent}
+                    onChange={(e) => setMergedContent(e.target.value)}
+                    style={{ ...styles.conflictInput, ...styles.conflictTextarea }}
+                />
+                <button onClick={handleSaveMerge} style={styles.conflictButton}>
+                    Enregistrer la fusion
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// ============================================
+// STYLES
+// ============================================
+const styles = {
+    app: {
+        minHeight: '100vh',
+        display: 'flex',
+        flexDirection: 'column',
+        background: 'linear-gradient(135deg, #0f0f1e 0%, #1a1a2e 100%)',
+    },
+    loading: {
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        height: '100vh',
+        fontSize: '1.5rem',
+        color: '#f39c12',
+    },
+    loadingText: {
+        animation: 'pulse 1.5s ease-in-out infinite',
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '1rem 2rem',
+        background: 'rgba(26, 26, 46, 0.8)',
+        backdropFilter: 'blur(10px)',
+        borderBottom: '2px solid #f39c12',
+        boxShadow: '0 4px 20px rgba(243, 156, 18, 0.2)',
+        position: 'sticky',
+        top: 0,
+        zIndex: 50,
+    },
+    hamburger: {
+        background: 'none',
+        border: 'none',
+        color: '#f39c12',
+        fontSize: '1.8rem',
+        cursor: 'pointer',
+        padding: '0.5rem',
+        marginRight: '0.5rem',
+        lineHeight: 1,
+    },
+    sidebarHeader: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '1rem 1.5rem',
+        borderBottom: '2px solid rgba(243, 156, 18, 0.2)',
+    },
+    sidebarTitle: {
+        fontSize: '1.3rem',
+        fontWeight: 'bold',
+        color: '#f39c12',
+        margin: 0,
+    },
+    closeButton: {
+        background: 'none',
+        border: 'none',
+        color: '#e74c3c',
+        fontSize: '1.5rem',
+        cursor: 'pointer',
+        padding: '0.5rem',
+        lineHeight: 1,
+    },
+    backButton: {
+        background: 'none',
+        border: '2px solid rgba(243, 156, 18, 0.5)',
+        color: '#f39c12',
+        padding: '0.5rem 1rem',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        marginBottom: '1rem',
+        fontSize: '0.9rem',
+        fontFamily: 'Courier New, monospace',
+        transition: 'all 0.3s ease',
+    },
+    headerLeft: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1.5rem',
+        flex: 1,
+    },
+    headerCenter: {
+        flex: 2,
+        display: 'flex',
+        justifyContent: 'center',
+    },
+    headerRight: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        flex: 1,
+        justifyContent: 'flex-end',
+    },
+    logo: {
+        fontSize: '1.8rem',
+        fontWeight: 'bold',
+        color: '#f39c12',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        textShadow: '0 0 10px rgba(243, 156, 18, 0.5)',
+    },
+    logoIcon: {
+        fontSize: '2rem',
+    },
+    statusBadge: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        padding: '0.4rem 0.8rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        borderRadius: '20px',
+        fontSize: '0.85rem',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+    },
+    syncBadge: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.2rem',
+        padding: '0.2rem 0.4rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        borderRadius: '20px',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+    },
+    syncButton: {
+        background: 'none',
+        border: 'none',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.8rem',
+        padding: '0.2rem 0.4rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    statusDot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        animation: 'pulse 2s ease-in-out infinite',
+    },
+    searchInput: {
+        width: '100%',
+        maxWidth: '500px',
+        padding: '0.7rem 1.2rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '2px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '25px',
+        color: '#e8e8e8',
+        fontSize: '0.95rem',
+        outline: 'none',
+        transition: 'all 0.3s ease',
+        fontFamily: 'Courier New, monospace',
+    },
+    searchField: {
+        position: 'relative',
+        width: '100%',
+        maxWidth: '500px',
+    },
+    searchInputInvalid: {
+        border: '2px solid rgba(231, 76, 60, 0.7)',
+    },
+    searchError: {
+        position: 'absolute',
+        top: '100%',
+        left: '1.2rem',
+        right: '1.2rem',
+        marginTop: '0.3rem',
+        padding: '0.3rem 0.6rem',
+        background: 'rgba(231, 76, 60, 0.15)',
+        border: '1px solid rgba(231, 76, 60, 0.4)',
+        borderRadius: '6px',
+        color: '#f5b7b1',
+        fontSize: '0.8rem',
+        zIndex: 10,
+    },
+    stats: {
+        display: 'flex',
+        gap: '1rem',
+        alignItems: 'center',
+        padding: '0.5rem 1rem',
+        background: 'rgba(243, 156, 18, 0.1)',
+        borderRadius: '10px',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+    },
+    statItem: {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+    },
+    statValue: {
+        fontSize: '1.2rem',
+        fontWeight: 'bold',
+        color: '#f39c12',
+    },
+    statLabel: {
+        fontSize: '0.7rem',
+        color: '#a0a0a0',
+        textTransform: 'uppercase',
+    },
+    statDivider: {
+        width: '1px',
+        height: '30px',
+        background: 'rgba(243, 156, 18, 0.3)',
+    },
+    installButton: {
+        padding: '0.6rem 1.2rem',
+        background: '#f39c12',
+        color: '#0f0f1e',
+        border: 'none',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+        fontSize: '0.9rem',
+        fontFamily: 'Courier New, monospace',
+        transition: 'all 0.3s ease',
+    },
+    container: {
+        display: 'flex',
+        flex: 1,
+        overflow: 'hidden',
+    },
+    sidebar: {
+        width: '350px',
+        background: 'rgba(22, 33, 62, 0.6)',
+        borderRight: '2px solid rgba(243, 156, 18, 0.2)',
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden',
+        transition: 'transform 0.3s ease',
+    },
+    createRow: {
+        display: 'flex',
+        gap: '0.5rem',
+    },
+    createButton: {
+        padding: '1rem',
+        background: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)',
+        color: '#0f0f1e',
+        border: 'none',
+        borderRadius: '12px',
+        cursor: 'pointer',
+        fontSize: '1rem',
+        fontWeight: 'bold',
+        fontFamily: 'Courier New, monospace',
+        boxShadow: '0 4px 15px rgba(243, 156, 18, 0.4)',
+        transition: 'all 0.3s ease',
+    },
+    sidebarTabs: {
+        display: 'flex',
+        gap: '0.5rem',
+        padding: '0 1rem 1rem',
+    },
+    sidebarTab: {
+        flex: 1,
+        padding: '0.5rem',
+        background: 'none',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '8px',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    sidebarTabActive: {
+        background: 'rgba(243, 156, 18, 0.15)',
+        borderColor: '#f39c12',
+        color: '#f39c12',
+    },
+    trashToolbar: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '1rem',
+        fontSize: '0.8rem',
+        color: '#a0a0a0',
+    },
+    trashRetention: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.4rem',
+    },
+    trashSelect: {
+        background: '#1a1a2e',
+        color: '#e8e8e8',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        padding: '0.2rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    noteListToolbar: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '0.5rem',
+        marginBottom: '1rem',
+        fontSize: '0.8rem',
+        color: '#a0a0a0',
+    },
+    noteListSort: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.4rem',
+    },
+    noteListSelect: {
+        background: '#1a1a2e',
+        color: '#e8e8e8',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        padding: '0.2rem 0.4rem',
+        fontFamily: 'Courier New, monospace',
+        cursor: 'pointer',
+    },
+    trashEmptyButton: {
+        background: 'none',
+        border: '1px solid #e74c3c',
+        color: '#e74c3c',
+        borderRadius: '6px',
+        padding: '0.2rem 0.6rem',
+        cursor: 'pointer',
+        fontFamily: 'Courier New, monospace',
+    },
+    notebookHeader: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    notebookRow: {
+        display: 'flex',
+        alignItems: 'center',
+        borderRadius: '6px',
+        border: '1px dashed transparent',
+    },
+    notebookRowActive: {
+        background: 'rgba(243, 156, 18, 0.15)',
+    },
+    notebookRowDrop: {
+        border: '1px dashed #f39c12',
+        background: 'rgba(243, 156, 18, 0.25)',
+    },
+    notebookToggle: {
+        background: 'none',
+        border: 'none',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.75rem',
+        padding: '0 0.2rem',
+    },
+    notebookName: {
+        flex: 1,
+        textAlign: 'left',
+        background: 'none',
+        border: 'none',
+        color: '#e8e8e8',
+        cursor: 'pointer',
+        padding: '0.3rem 0.3rem',
+        fontSize: '0.85rem',
+        fontFamily: 'Courier New, monospace',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+    },
+    editorNotebookSelect: {
+        marginLeft: '0.8rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        color: '#e8e8e8',
+        fontSize: '0.8rem',
+        padding: '0.1rem 0.3rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    statScope: {
+        background: 'none',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        color: '#f39c12',
+        cursor: 'pointer',
+        fontSize: '0.75rem',
+        padding: '0.2rem 0.5rem',
+        maxWidth: '140px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+        fontFamily: 'Courier New, monospace',
+    },
+    dialogOverlay: {
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+    },
+    dialog: {
+        width: 'min(440px, 92vw)',
+        background: '#1a1a2e',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '12px',
+        padding: '1.5rem',
+        color: '#e8e8e8',
+        fontFamily: 'Courier New, monospace',
+    },
+    dialogTitle: {
+        fontSize: '1.1rem',
+        marginBottom: '0.6rem',
+        color: '#f39c12',
+    },
+    dialogText: {
+        fontSize: '0.9rem',
+        color: '#a0a0a0',
+        marginBottom: '1rem',
+    },
+    dialogOption: {
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '0.5rem',
+        marginBottom: '0.7rem',
+        fontSize: '0.9rem',
+        cursor: 'pointer',
+    },
+    dialogActions: {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '0.6rem',
+        marginTop: '1.2rem',
+    },
+    backupActions: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.6rem',
+    },
+    backupPending: {
+        marginTop: '1rem',
+        paddingTop: '1rem',
+        borderTop: '1px solid rgba(243, 156, 18, 0.2)',
+    },
+    lockForm: {
+        width: 'min(360px, 90vw)',
+        padding: '2rem',
+        background: '#1a1a2e',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '12px',
+        textAlign: 'center',
+        fontFamily: 'Courier New, monospace',
+    },
+    lockIcon: {
+        fontSize: '2.5rem',
+        marginBottom: '0.5rem',
+    },
+    passphraseInput: {
+        width: '100%',
+        padding: '0.6rem 0.8rem',
+        marginBottom: '0.6rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '8px',
+        color: '#e8e8e8',
+        fontSize: '0.95rem',
+        fontFamily: 'Courier New, monospace',
+        outline: 'none',
+    },
+    passphraseError: {
+        margin: '0 0 0.6rem',
+        fontSize: '0.8rem',
+        color: '#f5b7b1',
+    },
+    storageUsage: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.4rem',
+        marginBottom: '1rem',
+        fontSize: '0.85rem',
+    },
+    storageList: {
+        listStyle: 'none',
+        margin: '0 0 0.4rem',
+        padding: 0,
+    },
+    storageRow: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: '1rem',
+        padding: '0.35rem 0',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+        fontSize: '0.9rem',
+    },
+    storageHint: {
+        fontSize: '0.75rem',
+        color: '#666',
+    },
+    paletteOverlay: {
+        alignItems: 'flex-start',
+        paddingTop: '12vh',
+    },
+    palette: {
+        width: 'min(560px, 94vw)',
+        padding: '0.8rem',
+    },
+    paletteList: {
+        listStyle: 'none',
+        margin: 0,
+        padding: 0,
+        maxHeight: '50vh',
+        overflowY: 'auto',
+    },
+    paletteItem: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.6rem',
+        padding: '0.5rem 0.6rem',
+        borderRadius: '6px',
+        cursor: 'pointer',
+        fontSize: '0.9rem',
+    },
+    paletteItemActive: {
+        background: 'rgba(243, 156, 18, 0.15)',
+        color: '#f39c12',
+    },
+    paletteItemText: {
+        flex: 1,
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+    },
+    paletteEmpty: {
+        padding: '0.5rem 0.6rem',
+        fontSize: '0.85rem',
+        color: '#a0a0a0',
+    },
+    shortcutsDialog: {
+        width: 'min(520px, 94vw)',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        outline: 'none',
+    },
+    shortcutKeys: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.2rem',
+        whiteSpace: 'nowrap',
+    },
+    kbd: {
+        padding: '0.1rem 0.4rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '4px',
+        color: '#e8e8e8',
+        fontSize: '0.75rem',
+        fontFamily: 'Courier New, monospace',
+        whiteSpace: 'nowrap',
+    },
+    kbdRecording: {
+        borderColor: '#f39c12',
+        color: '#f39c12',
+    },
+    backupProgress: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.6rem',
+        marginTop: '1rem',
+        fontSize: '0.85rem',
+    },
+    dialogButton: {
+        background: 'none',
+        border: '1px solid rgba(255, 255, 255, 0.2)',
+        color: '#e8e8e8',
+        borderRadius: '6px',
+        padding: '0.2rem 0.6rem',
+        cursor: 'pointer',
+        fontFamily: 'Courier New, monospace',
+    },
+    sidebarSection: {
+        marginBottom: '0.8rem',
+        paddingBottom: '0.5rem',
+        borderBottom: '1px solid rgba(243, 156, 18, 0.2)',
+    },
+    sidebarSectionToggle: {
+        background: 'none',
+        border: 'none',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        padding: '0.2rem 0',
+        fontFamily: 'Courier New, monospace',
+    },
+    sidebarSectionItems: {
+        maxHeight: '180px',
+        overflowY: 'auto',
+        marginTop: '0.3rem',
+    },
+    tagListItem: {
+        display: 'flex',
+        alignItems: 'center',
+        borderRadius: '6px',
+    },
+    tagListItemActive: {
+        background: 'rgba(243, 156, 18, 0.15)',
+    },
+    tagListName: {
+        flex: 1,
+        textAlign: 'left',
+        background: 'none',
+        border: 'none',
+        color: '#e8e8e8',
+        cursor: 'pointer',
+        padding: '0.3rem 0.5rem',
+        fontSize: '0.85rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    sidebarCount: {
+        color: '#f39c12',
+        fontSize: '0.75rem',
+    },
+    sidebarAction: {
+        background: 'none',
+        border: 'none',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.75rem',
+        padding: '0.2rem 0.4rem',
+    },
+    tagChip: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.2rem',
+        padding: '0.1rem 0.5rem',
+        background: 'rgba(52, 152, 219, 0.15)',
+        border: '1px solid rgba(52, 152, 219, 0.4)',
+        borderRadius: '10px',
+        color: '#85c1e9',
+        fontSize: '0.75rem',
+    },
+    tagChipRemove: {
+        background: 'none',
+        border: 'none',
+        color: '#85c1e9',
+        cursor: 'pointer',
+        fontSize: '0.65rem',
+        padding: 0,
+    },
+    noteCardTags: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '0.3rem',
+        marginBottom: '0.6rem',
+    },
+    tagInput: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '0.4rem',
+        marginTop: '0.6rem',
+    },
+    tagInputField: {
+        position: 'relative',
+    },
+    tagInputText: {
+        background: 'none',
+        border: 'none',
+        borderBottom: '1px dashed rgba(255, 255, 255, 0.2)',
+        color: '#e8e8e8',
+        outline: 'none',
+        fontSize: '0.85rem',
+        padding: '0.2rem',
+        width: '140px',
+        fontFamily: 'Courier New, monospace',
+    },
+    tagSuggestions: {
+        position: 'absolute',
+        top: '100%',
+        left: 0,
+        minWidth: '160px',
+        marginTop: '0.2rem',
+        background: '#1a1a2e',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        zIndex: 20,
+        overflow: 'hidden',
+    },
+    tagSuggestion: {
+        padding: '0.35rem 0.6rem',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        color: '#e8e8e8',
+    },
+    tagSuggestionActive: {
+        background: 'rgba(243, 156, 18, 0.2)',
+    },
+    toast: {
+        position: 'fixed',
+        bottom: '1.5rem',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        padding: '0.8rem 1.2rem',
+        background: '#16213e',
+        border: '1px solid #f39c12',
+        borderRadius: '10px',
+        boxShadow: '0 4px 20px rgba(0, 0, 0, 0.5)',
+        zIndex: 200,
+        fontSize: '0.9rem',
+    },
+    updateBanner: {
+        position: 'fixed',
+        top: '5rem',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        padding: '0.7rem 1.2rem',
+        background: '#16213e',
+        border: '1px solid #2ecc71',
+        borderRadius: '10px',
+        boxShadow: '0 4px 20px rgba(0, 0, 0, 0.5)',
+        zIndex: 200,
+        fontSize: '0.9rem',
+    },
+    toastAction: {
+        background: 'none',
+        border: 'none',
+        color: '#f39c12',
+        fontWeight: 'bold',
+        cursor: 'pointer',
+        fontFamily: 'Courier New, monospace',
+        textTransform: 'uppercase',
+    },
+    toastClose: {
+        background: 'none',
+        border: 'none',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+    },
+    notesList: {
+        flex: 1,
+        overflowY: 'auto',
+        padding: '0 1rem 1rem',
+    },
+    virtualRow: {
+        // Contient la marge basse des cartes : elle compte dans la hauteur mesurée
+        display: 'flow-root',
+    },
+    noteListLoading: {
+        textAlign: 'center',
+        padding: '0.8rem',
+        color: '#a0a0a0',
+        fontSize: '0.85rem',
+    },
+    emptyState: {
+        textAlign: 'center',
+        padding: '3rem 1rem',
+        color: '#a0a0a0',
+    },
+    emptyIcon: {
+        fontSize: '4rem',
+        marginBottom: '1rem',
+    },
+    emptySubtext: {
+        fontSize: '0.85rem',
+        marginTop: '0.5rem',
+    },
+    noteCard: {
+        position: 'relative',
+        background: 'rgba(26, 26, 46, 0.8)',
+        border: '2px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '12px',
+        marginBottom: '1rem',
+        cursor: 'pointer',
+        transition: 'all 0.3s ease',
+        overflow: 'hidden',
+    },
+    noteCardSelected: {
+        background: 'rgba(243, 156, 18, 0.15)',
+        border: '2px solid #f39c12',
+        transform: 'translateX(8px)',
+    },
+    reminderCardOverdue: {
+        borderColor: 'rgba(231, 76, 60, 0.6)',
+    },
+    reminderOverdue: {
+        color: '#e74c3c',
+        fontWeight: 'bold',
     },
-    header: {
+    noteCardProgress: {
         display: 'flex',
-        justifyContent: 'space-between',
         alignItems: 'center',
-        padding: '1rem 2rem',
-        background: 'rgba(26, 26, 46, 0.8)',
-        backdropFilter: 'blur(10px)',
-        borderBottom: '2px solid #f39c12',
-        boxShadow: '0 4px 20px rgba(243, 156, 18, 0.2)',
-        position: 'sticky',
+        gap: '0.5rem',
+        marginBottom: '0.6rem',
+        fontSize: '0.75rem',
+        color: '#a0a0a0',
+    },
+    noteColorBar: {
+        position: 'absolute',
+        left: 0,
         top: 0,
-        zIndex: 50,
+        bottom: 0,
+        width: '5px',
     },
-    hamburger: {
-        background: 'none',
-        border: 'none',
-        color: '#f39c12',
-        fontSize: '1.8rem',
-        cursor: 'pointer',
-        padding: '0.5rem',
-        marginRight: '0.5rem',
-        lineHeight: 1,
+    noteCardContent: {
+        padding: '1rem 1rem 1rem 1.5rem',
     },
-    sidebarHeader: {
+    noteCardTitle: {
+        fontSize: '1.1rem',
+        fontWeight: 'bold',
+        marginBottom: '0.5rem',
+        color: '#e8e8e8',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+    },
+    noteCardPreview: {
+        fontSize: '0.85rem',
+        color: '#a0a0a0',
+        marginBottom: '0.8rem',
+        lineHeight: '1.4',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        display: '-webkit-box',
+        WebkitLineClamp: 2,
+        WebkitBoxOrient: 'vertical',
+    },
+    searchHighlight: {
+        background: 'rgba(243, 156, 18, 0.35)',
+        color: '#fff',
+        borderRadius: '2px',
+        padding: '0 1px',
+    },
+    noteCardFooter: {
         display: 'flex',
         justifyContent: 'space-between',
         alignItems: 'center',
-        padding: '1rem 1.5rem',
-        borderBottom: '2px solid rgba(243, 156, 18, 0.2)',
     },
-    sidebarTitle: {
-        fontSize: '1.3rem',
-        fontWeight: 'bold',
-        color: '#f39c12',
-        margin: 0,
+    noteCardDate: {
+        fontSize: '0.75rem',
+        color: '#666',
     },
-    closeButton: {
+    deleteButton: {
         background: 'none',
         border: 'none',
-        color: '#e74c3c',
-        fontSize: '1.5rem',
         cursor: 'pointer',
-        padding: '0.5rem',
-        lineHeight: 1,
+        fontSize: '1.2rem',
+        opacity: 0.6,
+        transition: 'opacity 0.2s ease',
+        padding: '0.2rem',
     },
-    backButton: {
-        background: 'none',
-        border: '2px solid rgba(243, 156, 18, 0.5)',
-        color: '#f39c12',
-        padding: '0.5rem 1rem',
-        borderRadius: '8px',
-        cursor: 'pointer',
-        marginBottom: '1rem',
-        fontSize: '0.9rem',
-        fontFamily: 'Courier New, monospace',
-        transition: 'all 0.3s ease',
+    noteFlagActive: {
+        opacity: 1,
     },
-    headerLeft: {
-        display: 'flex',
-        alignItems: 'center',
-        gap: '1.5rem',
+    editor: {
         flex: 1,
-    },
-    headerCenter: {
-        flex: 2,
         display: 'flex',
-        justifyContent: 'center',
+        flexDirection: 'column',
+        background: 'rgba(15, 15, 30, 0.6)',
+        position: 'relative',
     },
-    headerRight: {
+    editorEmpty: {
         display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'center',
         alignItems: 'center',
-        gap: '1rem',
-        flex: 1,
-        justifyContent: 'flex-end',
+        height: '100%',
+        color: '#a0a0a0',
     },
-    logo: {
-        fontSize: '1.8rem',
+    editorEmptyIcon: {
+        fontSize: '5rem',
+        marginBottom: '1rem',
+        opacity: 0.5,
+    },
+    editorEmptyTitle: {
+        fontSize: '1.5rem',
+        marginBottom: '0.5rem',
+        color: '#e8e8e8',
+    },
+    editorEmptySubtext: {
+        fontSize: '0.95rem',
+    },
+    editorHeader: {
+        padding: '2rem 3rem 1rem',
+        borderBottom: '1px solid rgba(243, 156, 18, 0.2)',
+    },
+    editorTitle: {
+        width: '100%',
+        fontSize: '2rem',
         fontWeight: 'bold',
         color: '#f39c12',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '0.5rem',
-        textShadow: '0 0 10px rgba(243, 156, 18, 0.5)',
+        background: 'none',
+        border: 'none',
+        outline: 'none',
+        marginBottom: '0.8rem',
+        fontFamily: 'Courier New, monospace',
     },
-    logoIcon: {
-        fontSize: '2rem',
+    editorMeta: {
+        fontSize: '0.8rem',
+        color: '#666',
     },
-    statusBadge: {
+    editorMetaRow: {
         display: 'flex',
+        justifyContent: 'space-between',
         alignItems: 'center',
         gap: '0.5rem',
-        padding: '0.4rem 0.8rem',
-        background: 'rgba(255, 255, 255, 0.05)',
-        borderRadius: '20px',
-        fontSize: '0.85rem',
-        border: '1px solid rgba(255, 255, 255, 0.1)',
+        flexWrap: 'wrap',
     },
-    statusDot: {
-        width: '8px',
-        height: '8px',
-        borderRadius: '50%',
-        animation: 'pulse 2s ease-in-out infinite',
+    editorTools: {
+        display: 'flex',
+        gap: '0.4rem',
+        flexWrap: 'wrap',
     },
-    searchInput: {
-        width: '100%',
-        maxWidth: '500px',
-        padding: '0.7rem 1.2rem',
-        background: 'rgba(255, 255, 255, 0.05)',
-        border: '2px solid rgba(243, 156, 18, 0.3)',
-        borderRadius: '25px',
-        color: '#e8e8e8',
-        fontSize: '0.95rem',
-        outline: 'none',
-        transition: 'all 0.3s ease',
-        fontFamily: 'Courier New, monospace',
+    checklist: {
+        flex: 1,
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.3rem',
     },
-    stats: {
+    checklistHeader: {
         display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
         gap: '1rem',
+        flexWrap: 'wrap',
+        marginBottom: '0.8rem',
+    },
+    checklistProgress: {
+        flex: 1,
+        minWidth: '10rem',
+        display: 'flex',
         alignItems: 'center',
-        padding: '0.5rem 1rem',
-        background: 'rgba(243, 156, 18, 0.1)',
-        borderRadius: '10px',
-        border: '1px solid rgba(243, 156, 18, 0.3)',
+        gap: '0.6rem',
+        fontSize: '0.85rem',
+        color: '#a0a0a0',
     },
-    statItem: {
+    checklistOption: {
+        fontSize: '0.85rem',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+    },
+    checklistItem: {
         display: 'flex',
-        flexDirection: 'column',
         alignItems: 'center',
+        gap: '0.5rem',
     },
-    statValue: {
-        fontSize: '1.2rem',
-        fontWeight: 'bold',
-        color: '#f39c12',
+    checklistHandle: {
+        color: '#666',
+        cursor: 'grab',
+        userSelect: 'none',
     },
-    statLabel: {
-        fontSize: '0.7rem',
-        color: '#a0a0a0',
-        textTransform: 'uppercase',
+    checklistCheckbox: {
+        width: '1.1rem',
+        height: '1.1rem',
+        accentColor: '#f39c12',
+        cursor: 'pointer',
     },
-    statDivider: {
-        width: '1px',
-        height: '30px',
-        background: 'rgba(243, 156, 18, 0.3)',
+    checklistInput: {
+        flex: 1,
+        minWidth: 0,
+        padding: '0.4rem 0',
+        background: 'none',
+        border: 'none',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+        outline: 'none',
+        color: '#e8e8e8',
+        fontSize: '1rem',
+        fontFamily: 'Courier New, monospace',
     },
-    installButton: {
-        padding: '0.6rem 1.2rem',
-        background: '#f39c12',
-        color: '#0f0f1e',
+    checklistInputDone: {
+        color: '#666',
+        textDecoration: 'line-through',
+    },
+    checklistRemove: {
+        background: 'none',
         border: 'none',
+        color: '#666',
+        cursor: 'pointer',
+    },
+    checklistAdd: {
+        alignSelf: 'flex-start',
+        marginTop: '0.5rem',
+        padding: '0.4rem 0.8rem',
+        background: 'none',
+        border: '1px dashed rgba(243, 156, 18, 0.4)',
         borderRadius: '8px',
+        color: '#f39c12',
         cursor: 'pointer',
-        fontWeight: 'bold',
-        fontSize: '0.9rem',
         fontFamily: 'Courier New, monospace',
-        transition: 'all 0.3s ease',
     },
-    container: {
-        display: 'flex',
+    editorBody: {
         flex: 1,
-        overflow: 'hidden',
+        display: 'flex',
+        minHeight: 0,
     },
-    sidebar: {
-        width: '350px',
-        background: 'rgba(22, 33, 62, 0.6)',
-        borderRight: '2px solid rgba(243, 156, 18, 0.2)',
+    editorPane: {
+        flex: 1,
         display: 'flex',
         flexDirection: 'column',
-        overflow: 'hidden',
-        transition: 'transform 0.3s ease',
+        minWidth: 0,
     },
-    createButton: {
-        margin: '1.5rem',
-        padding: '1rem',
-        background: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)',
-        color: '#0f0f1e',
-        border: 'none',
-        borderRadius: '12px',
+    mdToolbar: {
+        display: 'flex',
+        gap: '0.3rem',
+        flexWrap: 'wrap',
+        borderBottom: '1px solid rgba(243, 156, 18, 0.1)',
+    },
+    mdToolbarButton: {
+        minWidth: '2rem',
+        padding: '0.3rem 0.5rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '6px',
+        color: '#e8e8e8',
         cursor: 'pointer',
-        fontSize: '1rem',
+        fontSize: '0.8rem',
         fontWeight: 'bold',
         fontFamily: 'Courier New, monospace',
-        boxShadow: '0 4px 15px rgba(243, 156, 18, 0.4)',
-        transition: 'all 0.3s ease',
     },
-    notesList: {
+    mdPreview: {
         flex: 1,
         overflowY: 'auto',
-        padding: '0 1rem 1rem',
+        color: '#e8e8e8',
+        lineHeight: '1.7',
+        minWidth: 0,
     },
-    emptyState: {
-        textAlign: 'center',
-        padding: '3rem 1rem',
-        color: '#a0a0a0',
+    mdHeading: {
+        color: '#f39c12',
+        margin: '1.2rem 0 0.6rem',
     },
-    emptyIcon: {
-        fontSize: '4rem',
-        marginBottom: '1rem',
+    mdParagraph: {
+        margin: '0 0 1rem',
     },
-    emptySubtext: {
-        fontSize: '0.85rem',
-        marginTop: '0.5rem',
+    mdInlineCode: {
+        padding: '0.1rem 0.3rem',
+        background: 'rgba(255, 255, 255, 0.1)',
+        borderRadius: '4px',
+        fontSize: '0.9em',
     },
-    noteCard: {
-        position: 'relative',
-        background: 'rgba(26, 26, 46, 0.8)',
-        border: '2px solid rgba(255, 255, 255, 0.1)',
+    mdCodeBlock: {
+        margin: '0 0 1rem',
+        padding: '1rem',
+        background: 'rgba(0, 0, 0, 0.4)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '8px',
+        overflowX: 'auto',
+        fontSize: '0.9rem',
+    },
+    mdImage: {
+        display: 'block',
+        maxWidth: '100%',
+        maxHeight: '60vh',
+        margin: '0.5rem 0',
+        borderRadius: '8px',
+    },
+    attachmentLink: {
+        padding: '0.1rem 0.5rem',
+        background: 'rgba(243, 156, 18, 0.1)',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
         borderRadius: '12px',
-        marginBottom: '1rem',
+        color: '#f39c12',
         cursor: 'pointer',
-        transition: 'all 0.3s ease',
-        overflow: 'hidden',
+        font: 'inherit',
     },
-    noteCardSelected: {
-        background: 'rgba(243, 156, 18, 0.15)',
-        border: '2px solid #f39c12',
-        transform: 'translateX(8px)',
+    attachmentMissing: {
+        color: '#666',
+        fontStyle: 'italic',
     },
-    noteColorBar: {
-        position: 'absolute',
-        left: 0,
-        top: 0,
-        bottom: 0,
-        width: '5px',
+    attachmentList: {
+        display: 'flex',
+        gap: '0.5rem',
+        flexWrap: 'wrap',
+        maxHeight: '30vh',
+        overflowY: 'auto',
+        padding: '0.6rem 1rem',
+        borderTop: '1px solid rgba(243, 156, 18, 0.1)',
     },
-    noteCardContent: {
-        padding: '1rem 1rem 1rem 1.5rem',
+    attachmentChip: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.4rem',
+        maxWidth: '100%',
+        padding: '0.3rem 0.5rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '8px',
     },
-    noteCardTitle: {
-        fontSize: '1.1rem',
-        fontWeight: 'bold',
-        marginBottom: '0.5rem',
+    attachmentThumbnail: {
+        width: '40px',
+        height: '40px',
+        objectFit: 'cover',
+        borderRadius: '4px',
+    },
+    attachmentIcon: {
+        width: '40px',
+        textAlign: 'center',
+        fontSize: '1.5rem',
+    },
+    attachmentInfo: {
+        minWidth: 0,
+        maxWidth: '12rem',
+    },
+    attachmentName: {
         color: '#e8e8e8',
+        fontSize: '0.85rem',
         overflow: 'hidden',
         textOverflow: 'ellipsis',
         whiteSpace: 'nowrap',
     },
-    noteCardPreview: {
+    attachmentError: {
+        width: '100%',
+        margin: 0,
+        color: '#e74c3c',
         fontSize: '0.85rem',
+    },
+    mdLink: {
+        color: '#00d9ff',
+    },
+    mdHr: {
+        border: 'none',
+        borderTop: '1px solid rgba(243, 156, 18, 0.3)',
+        margin: '1.5rem 0',
+    },
+    mdBlockquote: {
+        margin: '0 0 1rem',
+        padding: '0.2rem 1rem',
+        borderLeft: '3px solid #f39c12',
         color: '#a0a0a0',
-        marginBottom: '0.8rem',
-        lineHeight: '1.4',
-        overflow: 'hidden',
-        textOverflow: 'ellipsis',
-        display: '-webkit-box',
-        WebkitLineClamp: 2,
-        WebkitBoxOrient: 'vertical',
     },
-    noteCardFooter: {
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
+    mdList: {
+        margin: '0 0 1rem',
+        paddingLeft: '1.5rem',
     },
-    noteCardDate: {
-        fontSize: '0.75rem',
+    mdListItem: {
+        margin: '0.2rem 0',
+    },
+    mdCheckbox: {
+        marginRight: '0.5rem',
+        accentColor: '#f39c12',
+        cursor: 'pointer',
+    },
+    mdTaskDone: {
+        textDecoration: 'line-through',
         color: '#666',
     },
-    deleteButton: {
+    mdTable: {
+        borderCollapse: 'collapse',
+        margin: '0 0 1rem',
+    },
+    mdTableCell: {
+        padding: '0.4rem 0.8rem',
+        border: '1px solid rgba(255, 255, 255, 0.15)',
+    },
+    mdTableHeader: {
+        background: 'rgba(243, 156, 18, 0.1)',
+        color: '#f39c12',
+    },
+    editorToolButton: {
         background: 'none',
-        border: 'none',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        color: '#a0a0a0',
+        padding: '0.3rem 0.7rem',
+        borderRadius: '6px',
         cursor: 'pointer',
-        fontSize: '1.2rem',
-        opacity: 0.6,
-        transition: 'opacity 0.2s ease',
-        padding: '0.2rem',
+        fontSize: '0.8rem',
+        fontFamily: 'Courier New, monospace',
     },
-    editor: {
+    reminderPanel: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        flexWrap: 'wrap',
+        marginTop: '0.6rem',
+    },
+    editorToolButtonActive: {
+        background: 'rgba(243, 156, 18, 0.15)',
+        borderColor: '#f39c12',
+        color: '#f39c12',
+    },
+    historyPanel: {
         flex: 1,
         display: 'flex',
-        flexDirection: 'column',
-        background: 'rgba(15, 15, 30, 0.6)',
-        position: 'relative',
+        overflow: 'hidden',
     },
-    editorEmpty: {
+    historyList: {
+        listStyle: 'none',
+        width: '280px',
+        minWidth: '220px',
+        overflowY: 'auto',
+        borderRight: '1px solid rgba(243, 156, 18, 0.2)',
+    },
+    historyItem: {
+        padding: '0.8rem 1rem',
+        fontSize: '0.85rem',
+        cursor: 'pointer',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+    },
+    historyItemSelected: {
+        background: 'rgba(243, 156, 18, 0.15)',
+        borderLeft: '3px solid #f39c12',
+    },
+    historyDetail: {
+        flex: 1,
         display: 'flex',
         flexDirection: 'column',
-        justifyContent: 'center',
-        alignItems: 'center',
-        height: '100%',
-        color: '#a0a0a0',
-    },
-    editorEmptyIcon: {
-        fontSize: '5rem',
-        marginBottom: '1rem',
-        opacity: 0.5,
+        gap: '0.8rem',
+        padding: '1rem 1.5rem',
+        overflowY: 'auto',
+        minWidth: 0,
     },
-    editorEmptyTitle: {
-        fontSize: '1.5rem',
-        marginBottom: '0.5rem',
-        color: '#e8e8e8',
+    historyDetailHeader: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '0.5rem',
     },
-    editorEmptySubtext: {
-        fontSize: '0.95rem',
+    historyDiff: {
+        fontSize: '0.9rem',
+        lineHeight: '1.6',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
     },
-    editorHeader: {
-        padding: '2rem 3rem 1rem',
-        borderBottom: '1px solid rgba(243, 156, 18, 0.2)',
+    diffInsert: {
+        background: 'rgba(46, 204, 113, 0.15)',
+        color: '#2ecc71',
     },
-    editorTitle: {
-        width: '100%',
-        fontSize: '2rem',
-        fontWeight: 'bold',
-        color: '#f39c12',
-        background: 'none',
-        border: 'none',
-        outline: 'none',
-        marginBottom: '0.8rem',
-        fontFamily: 'Courier New, monospace',
+    diffDelete: {
+        background: 'rgba(231, 76, 60, 0.15)',
+        color: '#e74c3c',
+        textDecoration: 'line-through',
     },
-    editorMeta: {
-        fontSize: '0.8rem',
-        color: '#666',
+    diffEqual: {
+        color: '#a0a0a0',
     },
     editorTextarea: {
         flex: 1,
@@ -1065,10 +10454,172 @@ const styles = {
         justifyContent: 'space-between',
         alignItems: 'center',
     },
+    conflictView: {
+        flex: 1,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '1rem',
+        overflowY: 'auto',
+    },
+    editorNotice: {
+        marginTop: '0.8rem',
+        padding: '0.6rem 1rem',
+        background: 'rgba(243, 156, 18, 0.12)',
+        border: '1px solid #f39c12',
+        borderRadius: '8px',
+        fontSize: '0.85rem',
+    },
+    conflictBanner: {
+        padding: '0.8rem 1rem',
+        background: 'rgba(231, 76, 60, 0.15)',
+        border: '1px solid #e74c3c',
+        borderRadius: '8px',
+        fontSize: '0.9rem',
+    },
+    conflictColumns: {
+        display: 'flex',
+        gap: '1rem',
+    },
+    conflictColumn: {
+        flex: 1,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.6rem',
+        padding: '1rem',
+        background: 'rgba(26, 26, 46, 0.8)',
+        border: '2px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '12px',
+        minWidth: 0,
+    },
+    conflictColumnHeader: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        color: '#f39c12',
+        fontWeight: 'bold',
+    },
+    conflictTitle: {
+        fontWeight: 'bold',
+        color: '#e8e8e8',
+    },
+    conflictContent: {
+        flex: 1,
+        maxHeight: '250px',
+        overflow: 'auto',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+        fontFamily: 'Courier New, monospace',
+        fontSize: '0.9rem',
+        color: '#a0a0a0',
+    },
+    conflictInput: {
+        padding: '0.6rem',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '8px',
+        color: '#e8e8e8',
+        fontFamily: 'Courier New, monospace',
+        fontSize: '0.95rem',
+        outline: 'none',
+    },
+    conflictTextarea: {
+        minHeight: '200px',
+        resize: 'vertical',
+        lineHeight: '1.6',
+    },
+    conflictButton: {
+        alignSelf: 'flex-start',
+        padding: '0.5rem 1rem',
+        background: '#f39c12',
+        color: '#0f0f1e',
+        border: 'none',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+        fontFamily: 'Courier New, monospace',
+    },
     wordCount: {
         fontSize: '0.85rem',
         color: '#666',
     },
+    saveStatus: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.6rem',
+        fontSize: '0.85rem',
+        color: '#666',
+    },
+    shareMessage: {
+        color: '#f39c12',
+    },
+    noteLink: {
+        padding: 0,
+        background: 'none',
+        border: 'none',
+        borderBottom: '1px dashed #00d9ff',
+        color: '#00d9ff',
+        cursor: 'pointer',
+        font: 'inherit',
+    },
+    noteLinkMissing: {
+        color: '#666',
+        borderBottom: '1px dashed #666',
+        cursor: 'help',
+    },
+    noteLinkSuggestions: {
+        position: 'absolute',
+        bottom: '1rem',
+        minWidth: '220px',
+        maxWidth: '80%',
+        background: '#1a1a2e',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        zIndex: 20,
+        overflow: 'hidden',
+    },
+    backlinkList: {
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '0.4rem 0.8rem',
+        borderTop: '1px solid rgba(243, 156, 18, 0.1)',
+        fontSize: '0.85rem',
+    },
+    backlinkLabel: {
+        color: '#666',
+    },
+    backlinkGraphButton: {
+        marginLeft: 'auto',
+        background: 'none',
+        border: '1px solid rgba(243, 156, 18, 0.3)',
+        borderRadius: '6px',
+        color: '#a0a0a0',
+        cursor: 'pointer',
+        fontSize: '0.8rem',
+        padding: '0.2rem 0.6rem',
+        fontFamily: 'Courier New, monospace',
+    },
+    graph: {
+        width: '100%',
+        height: 'auto',
+        background: '#0f0f1e',
+        borderRadius: '8px',
+    },
+    graphLabel: {
+        fill: '#e8e8e8',
+        fontSize: '11px',
+        fontFamily: 'Courier New, monospace',
+        pointerEvents: 'none',
+    },
+    saveRetryButton: {
+        background: 'none',
+        border: '1px solid #e74c3c',
+        borderRadius: '6px',
+        color: '#e74c3c',
+        cursor: 'pointer',
+        fontSize: '0.8rem',
+        padding: '0.2rem 0.6rem',
+    },
 };
 
 // Rendu de l'application
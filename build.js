@@ -0,0 +1,80 @@
+// ============================================
+// BUILD DE L'APPLICATION
+// ============================================
+// Compile app.jsx (JSX, React et ReactDOM compris) en un seul script minifié
+// servi depuis la même origine : plus de Babel dans le navigateur ni de CDN.
+// dist/ contient le site complet, dont asset-manifest.js généré à partir
+// des fichiers produits (pré-cache du Service Worker).
+// Usage : npm run build   (dist/ prêt à déployer)
+//         npm run dev     (recompilation à chaque modification + serveur sur :8000)
+
+const esbuild = require('esbuild');
+const fs = require('fs');
+const path = require('path');
+const { generateAssetManifest } = require('./generate-asset-manifest');
+
+const ROOT = __dirname;
+const DIST = path.join(ROOT, 'dist');
+const DEV_PORT = 8000;
+
+// Copiés tels quels (sync-engine.js est aussi importé par le Service Worker)
+const STATIC_FILES = ['index.html', 'offline.html', 'manifest.json', 'sync-engine.js', 'service-worker.js'];
+
+const watch = process.argv.includes('--watch');
+
+function copyStaticFiles() {
+    STATIC_FILES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(DIST, file)));
+}
+
+// Après chaque compilation réussie : fichiers statiques puis manifeste
+const distPlugin = {
+    name: 'notesflow-dist',
+    setup(build) {
+        build.onEnd((result) => {
+            if (result.errors.length > 0) return;
+            copyStaticFiles();
+            const { version, assets } = generateAssetManifest(DIST);
+            console.log(`📦 dist/ : version ${version}, ${assets.length} ressources pré-cachées`);
+        });
+    }
+};
+
+const options = {
+    entryPoints: { app: path.join(ROOT, 'app.jsx') },
+    outdir: DIST,
+    bundle: true,
+    format: 'iife',
+    target: ['es2020'],
+    minify: !watch,
+    sourcemap: 'linked',
+    // Les références libres à React et ReactDOM sont résolues par ce module
+    inject: [path.join(ROOT, 'react-globals.js')],
+    define: { 'process.env.NODE_ENV': JSON.stringify(watch ? 'development' : 'production') },
+    logLevel: 'info',
+    plugins: [distPlugin]
+};
+
+async function main() {
+    // Pas de fichiers d'un ancien build dans le pré-cache
+    fs.rmSync(DIST, { recursive: true, force: true });
+    fs.mkdirSync(DIST, { recursive: true });
+
+    if (!watch) {
+        await esbuild.build(options);
+        return;
+    }
+
+    const context = await esbuild.context(options);
+    await context.watch();
+    // esbuild ne surveille que le bundle : recompiler quand un fichier copié change
+    STATIC_FILES.forEach((file) => {
+        fs.watch(path.join(ROOT, file), () => context.rebuild().catch(() => {}));
+    });
+    await context.serve({ servedir: DIST, port: DEV_PORT });
+    console.log(`🚀 NotesFlow sur http://localhost:${DEV_PORT}`);
+}
+
+main().catch((error) => {
+    console.error('❌ Échec du build:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+// ============================================
+// MANIFESTE DES RESSOURCES PRÉ-CACHÉES
+// ============================================
+// Calcule l'empreinte (SHA-256) de chaque fichier du build mis en cache par
+// le Service Worker et écrit asset-manifest.js, importé par service-worker.js.
+// Le navigateur compare aussi les scripts importés : dès qu'un fichier change,
+// un nouveau Service Worker s'installe et l'App propose de recharger.
+// Appelé par build.js ; à la main : node generate-asset-manifest.js [dist]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_FILE = 'asset-manifest.js';
+// Le Service Worker et son manifeste sont vérifiés par le navigateur lui-même
+const EXCLUDED_FILES = ['service-worker.js', OUTPUT_FILE];
+
+function sha256(content, encoding) {
+    return crypto.createHash('sha256').update(content).digest(encoding);
+}
+
+// Pré-cache : tout le dossier du build sauf les source maps ("/" sert index.html)
+function generateAssetManifest(dir) {
+    const files = fs.readdirSync(dir)
+        .filter(file => !EXCLUDED_FILES.includes(file) && !file.endsWith('.map'))
+        .sort();
+
+    const assets = [['/', 'index.html'], ...files.map(file => ['/' + file, file])]
+        .map(([url, file]) => ({
+            url,
+            // Format Subresource Integrity, vérifié par fetch() à l'installation
+            integrity: `sha256-${sha256(fs.readFileSync(path.join(dir, file)), 'base64')}`
+        }));
+
+    const version = sha256(JSON.stringify(assets), 'hex').slice(0, 12);
+
+    fs.writeFileSync(path.join(dir, OUTPUT_FILE), `// Généré par generate-asset-manifest.js : ne pas modifier à la main
+self.ASSET_MANIFEST = ${JSON.stringify({ version, assets }, null, 4)};
+`);
+
+    return { version, assets };
+}
+
+module.exports = { generateAssetManifest };
+
+if (require.main === module) {
+    const dir = path.resolve(process.argv[2] || path.join(__dirname, 'dist'));
+    const { version, assets } = generateAssetManifest(dir);
+    console.log(`📦 ${OUTPUT_FILE} : version ${version}, ${assets.length} ressources`);
+}
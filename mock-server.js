@@ -0,0 +1,113 @@
+// ============================================
+// SERVEUR DE SYNCHRONISATION FACTICE (développement)
+// ============================================
+// Implémente le contrat attendu par sync-engine.js, en mémoire.
+// Usage : node mock-server.js [port]   (par défaut 3001)
+// Puis dans NotesFlow : ⚙️ Sync → http://localhost:3001
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 3001;
+
+// uid → note ou carnet (les suppressions sont gardées comme "tombstones")
+const notes = new Map();
+const notebooks = new Map();
+let revision = 0;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/(notes|notebooks)(?:\/([^/]+))?$/);
+
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (!match) return send(res, 404, { error: 'Not found' });
+
+    const uid = match[2] && decodeURIComponent(match[2]);
+
+    try {
+        if (req.method === 'GET' && !uid && match[1] === 'notes') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const changed = store => [...store.values()].filter(n => n.revision > since);
+            return send(res, 200, { notes: changed(notes), notebooks: changed(notebooks), cursor: revision });
+        }
+
+        // Carnets : la dernière écriture l'emporte
+        if (match[1] === 'notebooks' && uid) {
+            if (req.method === 'PUT') {
+                notebooks.set(uid, { ...(await readBody(req)), uid, revision: ++revision });
+                return send(res, 200, { revision });
+            }
+            if (req.method === 'DELETE') {
+                const current = notebooks.get(uid);
+                if (!current || current.deleted) {
+                    return send(res, 404, { error: 'Carnet inconnu' });
+                }
+                notebooks.set(uid, { uid, deleted: true, revision: ++revision });
+                return send(res, 200, { revision });
+            }
+        }
+
+        if (req.method === 'PUT' && uid && match[1] === 'notes') {
+            const { baseRevision, ...body } = await readBody(req);
+            const current = notes.get(uid);
+
+            // La note a changé depuis la révision connue du client
+            if (current && current.revision !== baseRevision) {
+                return send(res, 409, { error: 'Conflit de révision', note: current });
+            }
+
+            const note = { ...body, uid, revision: ++revision };
+            notes.set(uid, note);
+            return send(res, 200, { revision: note.revision, updatedAt: note.updatedAt });
+        }
+
+        if (req.method === 'DELETE' && uid && match[1] === 'notes') {
+            const current = notes.get(uid);
+            if (!current || current.deleted) {
+                return send(res, 404, { error: 'Note inconnue' });
+            }
+
+            const baseRevision = Number(url.searchParams.get('baseRevision'));
+            if (current.revision !== baseRevision) {
+                return send(res, 409, { error: 'Conflit de révision', note: current });
+            }
+
+            notes.set(uid, { uid, deleted: true, revision: ++revision });
+            return send(res, 200, { revision });
+        }
+
+        send(res, 405, { error: 'Méthode non supportée' });
+    } catch (error) {
+        send(res, 400, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🛰️ Serveur de synchronisation factice sur http://localhost:${PORT}`);
+});
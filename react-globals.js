@@ -0,0 +1,6 @@
+// React et ReactDOM tels que app.jsx les utilise (autrefois les globaux des
+// scripts UMD d'unpkg) : build.js injecte ce module dans le bundle.
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+
+export { React, ReactDOM };
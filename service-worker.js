@@ -1,33 +1,63 @@
-const CACHE_NAME = 'notesflow-v1';
+// asset-manifest.js (empreintes des fichiers du build, voir build.js)
+// change à chaque modification de l'application ; le navigateur compare aussi
+// les scripts importés, ce qui déclenche l'installation d'une nouvelle version.
+importScripts('/asset-manifest.js', '/sync-engine.js');
+
+const PRECACHE_PREFIX = 'notesflow-precache-';
+const CACHE_NAME = PRECACHE_PREFIX + self.ASSET_MANIFEST.version;
 const DYNAMIC_CACHE = 'notesflow-dynamic-v1';
+const API_CACHE = 'notesflow-api-v1';
+const RUNTIME_CACHES = [DYNAMIC_CACHE, API_CACHE];
+
+// Fichiers de l'application, toujours servis par le pré-cache de la version active
+const APP_SHELL = ['/', '/index.html', '/app.js', '/sync-engine.js', '/manifest.json'];
 
 // Ressources à mettre en cache lors de l'installation
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/app.jsx',
-    '/manifest.json',
-    'https://unpkg.com/react@18/umd/react.production.min.js',
-    'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
-    'https://unpkg.com/@babel/standalone/babel.min.js'
-];
+const STATIC_ASSETS = self.ASSET_MANIFEST.assets;
 
-// Installation du Service Worker
+// Empreinte SRI ("sha256-<base64>") d'une réponse
+async function computeIntegrity(response) {
+    const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+    return 'sha256-' + btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+// Mettre une ressource en pré-cache : reprise d'un ancien cache si elle n'a
+// pas changé, sinon téléchargée en contournant le cache HTTP et vérifiée
+// contre son empreinte (un fichier d'un autre déploiement fait échouer l'installation)
+async function precacheAsset(cache, { url, integrity }) {
+    const previous = await caches.match(url);
+    if (previous && (!integrity || await computeIntegrity(previous.clone()) === integrity)) {
+        return cache.put(url, previous);
+    }
+
+    const response = await fetch(new Request(url, { cache: 'reload', integrity }));
+    if (!response.ok) {
+        throw new Error(`${url} : HTTP ${response.status}`);
+    }
+    return cache.put(url, await stampResponse(response));
+}
+
+// Installation du Service Worker. La nouvelle version attend ensuite que
+// l'utilisateur accepte la mise à jour (message SKIP_WAITING) : les pages
+// ouvertes ne changent pas de code en pleine saisie.
 self.addEventListener('install', (event) => {
-    console.log('🔧 Service Worker: Installation...');
+    console.log('🔧 Service Worker: Installation, version', self.ASSET_MANIFEST.version);
     
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('📦 Cache ouvert, ajout des assets statiques');
-                return cache.addAll(STATIC_ASSETS);
+                return Promise.all(STATIC_ASSETS.map(asset => precacheAsset(cache, asset)));
             })
             .then(() => {
                 console.log('✅ Assets statiques mis en cache');
-                return self.skipWaiting(); // Active immédiatement le nouveau SW
             })
             .catch((error) => {
                 console.error('❌ Erreur lors de la mise en cache:', error);
+                // Installation annulée : le navigateur réessaiera à la prochaine visite
+                return caches.delete(CACHE_NAME).then(() => {
+                    throw error;
+                });
             })
     );
 });
@@ -43,7 +73,7 @@ self.addEventListener('activate', (event) => {
                     cacheNames
                         .filter((name) => {
                             // Supprime les anciens caches
-                            return name !== CACHE_NAME && name !== DYNAMIC_CACHE;
+                            return name !== CACHE_NAME && !RUNTIME_CACHES.includes(name);
                         })
                         .map((name) => {
                             console.log('🗑️ Suppression ancien cache:', name);
@@ -58,73 +88,340 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// ============================================
+// STRATÉGIES DE CACHE PAR RESSOURCE
+// ============================================
+
+// Délai au-delà duquel une réponse de l'API est remplacée par sa copie en cache
+const NETWORK_TIMEOUT_MS = 4000;
+// Cache dynamique : au plus 60 entrées de moins de 30 jours (les moins
+// récemment utilisées partent en premier)
+const DYNAMIC_MAX_ENTRIES = 60;
+const DYNAMIC_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const OFFLINE_PAGE = '/offline.html';
+
+// Date de mise en cache, ajoutée en en-tête aux réponses (les réponses
+// opaques ne peuvent pas être modifiées : elles passent pour expirées)
+const CACHED_AT_HEADER = 'x-notesflow-cached-at';
+
+async function stampResponse(response) {
+    if (response.type === 'opaque') return response;
+
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function isFresh(response, maxAgeMs) {
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    return cachedAt > 0 && Date.now() - cachedAt < maxAgeMs;
+}
+
+// Stale-while-revalidate limité au pré-cache : la copie de la version active
+// tout de suite, jamais remplacée fichier par fichier (deux déploiements ne
+// se mélangent pas). Le réseau est consulté en arrière-plan ; une empreinte
+// différente du manifeste signale un nouveau déploiement, installé par
+// registration.update() puis proposé à l'utilisateur comme toute mise à jour.
+async function staleWhileRevalidate(event, url) {
+    const cached = await caches.match(url.pathname, { cacheName: CACHE_NAME });
+    if (!cached) return fetch(event.request);
+
+    const asset = STATIC_ASSETS.find(a => a.url === url.pathname);
+    event.waitUntil(
+        fetch(event.request, { cache: 'no-cache' })
+            .then(async (response) => {
+                if (response.ok && asset && await computeIntegrity(response) !== asset.integrity) {
+                    console.log('🆕 Nouvelle version sur le serveur:', url.pathname);
+                    await self.registration.update();
+                }
+            })
+            .catch(() => {
+                console.log('⚠️ Revalidation impossible (offline):', url.pathname);
+            })
+    );
+    return cached;
+}
+
+// Cache First avec expiration : au-delà de maxAgeMs le réseau est consulté,
+// la copie expirée ne sert plus qu'en secours hors ligne
+async function cacheFirst(event, { cacheName, maxAgeMs, maxEntries }) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const own = await cache.match(request);
+    const cached = own || await caches.match(request, { cacheName: CACHE_NAME });
+
+    if (cached && isFresh(cached, maxAgeMs)) {
+        console.log('📦 Servi depuis le cache:', request.url);
+        if (own && maxEntries) {
+            // LRU : la ressource repasse en fin de liste (cache.keys() suit l'ordre d'insertion)
+            const copy = own.clone();
+            event.waitUntil(cache.delete(request).then(() => cache.put(request, copy)));
+        }
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const copy = response.clone();
+            event.waitUntil((async () => {
+                await cache.delete(request);
+                await cache.put(request, await stampResponse(copy));
+                console.log('💾 Ajouté au cache:', cacheName, request.url);
+                if (maxEntries) await trimCache(cache, maxEntries, maxAgeMs);
+            })());
+        }
+        return response;
+    } catch (error) {
+        if (cached) {
+            console.log('⚠️ Échec réseau, copie expirée servie:', request.url);
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Network First avec délai : copie en cache si le réseau échoue ou tarde
+// (sans copie, on attend quand même la réponse du réseau)
+async function networkFirst(event, { cacheName, timeoutMs }) {
+    const { request } = event;
+    const network = fetch(request);
+    // Mise en cache enregistrée avant toute attente : passé le délai, la
+    // réponse de secours est déjà partie et waitUntil() serait refusé
+    event.waitUntil(network
+        .then(async (response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                await (await caches.open(cacheName)).put(request, copy);
+            }
+        })
+        .catch(() => {}));
+    const cache = await caches.open(cacheName);
+
+    const timeout = new Promise(resolve => setTimeout(resolve, timeoutMs))
+        .then(() => cache.match(request))
+        .then(cached => cached || network);
+
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            console.log('⚠️ Échec réseau, réponse en cache:', request.url);
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Supprimer les entrées expirées puis les plus anciennes au-delà de maxEntries
+async function trimCache(cache, maxEntries, maxAgeMs) {
+    const requests = await cache.keys();
+    const expired = [];
+    const kept = [];
+
+    for (const request of requests) {
+        const response = await cache.match(request);
+        (response && isFresh(response, maxAgeMs) ? kept : expired).push(request);
+    }
+
+    const evicted = expired.concat(kept.slice(0, Math.max(0, kept.length - maxEntries)));
+    await Promise.all(evicted.map(request => cache.delete(request)));
+    if (evicted.length > 0) {
+        console.log(`🧹 ${evicted.length} entrée(s) retirée(s) du cache dynamique`);
+    }
+}
+
+// Table de routage : la première route qui correspond traite la requête.
+// Les requêtes sans route (serveur de synchronisation, autres origines)
+// passent directement par le réseau.
+const ROUTES = [
+    {
+        name: 'app-shell',
+        match: url => url.origin === location.origin && APP_SHELL.includes(url.pathname),
+        handle: (event, url) => staleWhileRevalidate(event, url)
+    },
+    {
+        name: 'api',
+        match: url => url.origin === location.origin && url.pathname.startsWith('/api/'),
+        handle: event => networkFirst(event, { cacheName: API_CACHE, timeoutMs: NETWORK_TIMEOUT_MS })
+    },
+    {
+        name: 'dynamic',
+        match: url => url.origin === location.origin,
+        handle: event => cacheFirst(event, {
+            cacheName: DYNAMIC_CACHE,
+            maxAgeMs: DYNAMIC_MAX_AGE_MS,
+            maxEntries: DYNAMIC_MAX_ENTRIES
+        })
+    }
+];
+
+// Page hors ligne pour une navigation qu'aucun cache ne peut servir
+async function offlineFallback(event, error) {
+    if (event.request.mode === 'navigate') {
+        const page = await caches.match(OFFLINE_PAGE, { cacheName: CACHE_NAME });
+        if (page) return page;
+    }
+    throw error;
+}
+
 // Interception des requêtes réseau
 self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
-    // Ne pas mettre en cache les requêtes vers l'API Anthropic ou autres APIs externes
-    if (url.origin !== location.origin && !url.href.includes('unpkg.com')) {
+    // Contenu partagé depuis une autre application (share_target du manifeste)
+    if (request.method === 'POST' && url.origin === self.location.origin
+        && url.pathname === SHARE_TARGET_PATH) {
+        event.respondWith(receiveSharedContent(request));
         return;
     }
 
-    // Stratégie: Cache First avec Network Fallback
-    event.respondWith(
-        caches.match(request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    console.log('📦 Servi depuis le cache:', request.url);
-                    return cachedResponse;
-                }
+    // Les écritures (PUT, DELETE...) ne passent jamais par le cache
+    if (request.method !== 'GET') return;
 
-                // Si pas en cache, fetch depuis le réseau
-                return fetch(request)
-                    .then((networkResponse) => {
-                        // Si la réponse est valide, la mettre en cache dynamique
-                        if (networkResponse && networkResponse.status === 200) {
-                            const responseClone = networkResponse.clone();
-                            
-                            caches.open(DYNAMIC_CACHE)
-                                .then((cache) => {
-                                    cache.put(request, responseClone);
-                                    console.log('💾 Ajouté au cache dynamique:', request.url);
-                                });
-                        }
-                        
-                        return networkResponse;
-                    })
-                    .catch((error) => {
-                        console.log('⚠️ Échec réseau, mode offline:', request.url);
-                        
-                        // En cas d'échec réseau, retourner une page offline personnalisée
-                        if (request.destination === 'document') {
-                            return caches.match('/index.html');
-                        }
-                        
-                        throw error;
-                    });
-            })
+    const route = ROUTES.find(r => r.match(url));
+    if (!route) return;
+
+    event.respondWith(
+        route.handle(event, url).catch((error) => {
+            console.log('⚠️ Échec réseau, mode offline:', route.name, request.url);
+            return offlineFallback(event, error);
+        })
     );
 });
 
+// Mettre le partage en attente puis ouvrir l'App, qui en fera une note
+// (303 : la page d'arrivée est chargée en GET)
+async function receiveSharedContent(request) {
+    try {
+        const form = await request.formData();
+        const files = form.getAll('files').filter(file => file instanceof File && file.size > 0);
+        const { db } = await new SyncEngine().openDB();
+        try {
+            // Base pas encore créée par l'App
+            if (!db.objectStoreNames.contains('settings')) {
+                throw new Error('Base de données absente');
+            }
+            await storeSharedContent(db, {
+                title: form.get('title'),
+                text: form.get('text'),
+                url: form.get('url'),
+                files
+            });
+        } finally {
+            db.close();
+        }
+        console.log('📥 Contenu partagé reçu:', files.length, 'fichier(s)');
+    } catch (error) {
+        console.error('❌ Erreur lors de la réception du partage:', error);
+    }
+    return Response.redirect('/?shared=1', 303);
+}
+
 // Gestion de la synchronisation en arrière-plan (Background Sync)
 self.addEventListener('sync', (event) => {
     console.log('🔄 Background Sync:', event.tag);
     
     if (event.tag === 'sync-notes') {
         event.waitUntil(
-            // Ici vous pourriez synchroniser les notes avec un serveur
-            Promise.resolve()
-                .then(() => {
+            new SyncEngine().run()
+                .then((result) => {
+                    notifyClients({ type: 'SYNC_COMPLETE', result });
+
+                    // Serveur injoignable : rejeter pour que le navigateur réessaie plus tard
+                    if (result.offline) {
+                        throw new Error('Serveur de synchronisation injoignable');
+                    }
                     console.log('✅ Synchronisation réussie');
                 })
                 .catch((error) => {
                     console.error('❌ Erreur de synchronisation:', error);
+                    throw error;
                 })
         );
     }
 });
 
+// Rappels : vérification périodique quand l'application est fermée
+// (Periodic Background Sync, enregistré par l'App ; Chrome et PWA installée)
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(checkReminders());
+    }
+});
+
+async function checkReminders() {
+    const { db } = await new SyncEngine().openDB();
+    try {
+        // Base pas encore créée par l'App
+        if (!db.objectStoreNames.contains('notes')) return;
+
+        const due = await collectDueReminders(db);
+        await Promise.all(due.map(note => showReminderNotification(self.registration, note)));
+        console.log('⏰ Rappels vérifiés:', due.length);
+    } finally {
+        db.close();
+    }
+}
+
+// Clic sur une notification de rappel : reporter, terminer, ou ouvrir la note
+self.addEventListener('notificationclick', (event) => {
+    const { noteUid } = event.notification.data || {};
+    event.notification.close();
+    if (!noteUid) return;
+
+    if (event.action === 'snooze' || event.action === 'done') {
+        const update = event.action === 'snooze'
+            ? reminder => snoozeReminder(reminder, Date.now() + REMINDER_SNOOZE_MS)
+            : completeReminder;
+        event.waitUntil(applyReminderAction(noteUid, update));
+        return;
+    }
+
+    event.waitUntil(openNote(noteUid));
+});
+
+async function applyReminderAction(noteUid, update) {
+    const { db } = await new SyncEngine().openDB();
+    try {
+        await updateNoteReminder(db, noteUid, update);
+    } finally {
+        db.close();
+    }
+
+    await notifyClients({ type: 'NOTES_CHANGED' });
+    if (self.registration.sync) {
+        await self.registration.sync.register('sync-notes');
+    }
+}
+
+// Afficher la note dans une fenêtre existante, sinon en ouvrir une
+async function openNote(noteUid) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => w.visibilityState === 'visible') || windows[0];
+
+    if (client) {
+        await client.focus();
+        client.postMessage({ type: 'OPEN_NOTE', noteUid });
+        return;
+    }
+    await self.clients.openWindow(`/?note=${encodeURIComponent(noteUid)}`);
+}
+
+// Prévenir les pages ouvertes (rafraîchissement des notes et compteurs)
+function notifyClients(message) {
+    return self.clients.matchAll({ type: 'window' })
+        .then((clients) => {
+            clients.forEach((client) => client.postMessage(message));
+        });
+}
+
 // Gestion des messages depuis l'application
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'CLEAR_CACHE') {
@@ -0,0 +1,946 @@
+// ============================================
+// MOTEUR DE SYNCHRONISATION
+// ============================================
+// Script partagé entre l'application (index.html) et le Service Worker
+// (importScripts). Il rejoue la file d'attente "outbox" d'IndexedDB vers
+// une API REST puis récupère les modifications distantes. Les rappels (fin
+// du fichier) sont partagés de la même façon.
+//
+// Contrat de l'API (voir mock-server.js) :
+//   GET    {endpoint}/notes?since=<curseur>  → { notes: [...], notebooks: [...], cursor }
+//   PUT    {endpoint}/notes/<uid>            → { revision, updatedAt }
+//   DELETE {endpoint}/notes/<uid>?baseRevision=<n> → { revision }
+//   PUT    {endpoint}/notebooks/<uid>        → { revision }
+//   DELETE {endpoint}/notebooks/<uid>        → { revision }
+//
+// PUT et DELETE d'une note transmettent la révision serveur sur laquelle la
+// modification locale est basée ; si la note a changé entre-temps le serveur
+// répond 409 { note } et le moteur tente une fusion à trois voies. Les
+// carnets (nom et parent) suivent la dernière écriture, sans conflit.
+
+const SYNC_DB_NAME = 'NotesFlowDB';
+const SYNC_LOCK_NAME = 'notesflow-sync';
+const SYNC_MAX_ATTEMPTS = 5;
+// Opérations de l'outbox sur un carnet (son uid est rangé dans "noteUid")
+const NOTEBOOK_OPS = ['notebook', 'notebook-delete'];
+// Stores rattachés à une note (index "noteId"), vidés quand elle est supprimée à distance
+const NOTE_CHILD_STORES = ['noteRevisions', 'attachments'];
+const CONFLICT_MARKERS = {
+    ours: '<<<<<<< Cet appareil',
+    separator: '=======',
+    theirs: '>>>>>>> Autre appareil'
+};
+// Champs simples d'une note, fusionnés à trois voies comme les tags
+const SYNC_MERGED_FIELDS = ['color', 'type', 'pinned', 'favorite', 'archived', 'notebookUid', 'reminder', 'deletedAt'];
+// Texte chiffré par l'application : "enc:v1:<sel>:<iv>:<données>" (base64)
+const ENCRYPTED_TEXT_PATTERN = /^enc:v1:([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+)$/;
+
+// Transformer une requête IndexedDB en Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Attendre la fin (commit) d'une transaction
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction annulée'));
+    });
+}
+
+// Le Service Worker n'a pas la clé : un texte chiffré ne peut pas être fusionné
+function isEncryptedText(value) {
+    return typeof value === 'string' && ENCRYPTED_TEXT_PATTERN.test(value);
+}
+
+// Générer un identifiant global pour une note (partagé entre appareils)
+function generateUid() {
+    if (self.crypto && self.crypto.randomUUID) {
+        return self.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+// ============================================
+// DIFF ET FUSION DE TEXTE
+// ============================================
+
+// Diff ligne à ligne (plus longue sous-séquence commune)
+// → [{ type: 'equal' | 'insert' | 'delete', lines: [...] }]
+function diffLines(oldText, newText) {
+    const a = oldText === '' ? [] : oldText.split('\n');
+    const b = newText === '' ? [] : newText.split('\n');
+
+    // Préfixe et suffixe communs : évite la table LCS dans le cas courant
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    const push = (type, line) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.lines.push(line);
+        else ops.push({ type, lines: [line] });
+    };
+
+    a.slice(0, start).forEach(line => push('equal', line));
+
+    const n = endA - start;
+    const m = endB - start;
+    const table = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * (m + 1) + j] = a[start + i] === b[start + j]
+                ? table[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            push('equal', a[start + i]);
+            i++;
+            j++;
+        } else if (j < m && (i === n || table[i * (m + 1) + j + 1] >= table[(i + 1) * (m + 1) + j])) {
+            push('insert', b[start + j]);
+            j++;
+        } else {
+            push('delete', a[start + i]);
+            i++;
+        }
+    }
+
+    a.slice(endA).forEach(line => push('equal', line));
+    return ops;
+}
+
+// Regrouper un diff en modifications exprimées dans les coordonnées de "base"
+// → [{ start, end, lines }] : remplacer base[start:end] par lines
+function diffHunks(base, text) {
+    const hunks = [];
+    let index = 0;
+    let current = null;
+
+    diffLines(base, text).forEach((op) => {
+        if (op.type === 'equal') {
+            current = null;
+            index += op.lines.length;
+            return;
+        }
+        if (!current) {
+            current = { start: index, end: index, lines: [] };
+            hunks.push(current);
+        }
+        if (op.type === 'delete') {
+            index += op.lines.length;
+            current.end = index;
+        } else {
+            current.lines.push(...op.lines);
+        }
+    });
+
+    return hunks;
+}
+
+// Fusion à trois voies (diff3) : applique les modifications des deux côtés
+// par rapport à l'ancêtre commun. Les zones modifiées des deux côtés de façon
+// différente sont entourées de marqueurs de conflit.
+// → { text, conflicts }
+function mergeText(base, ours, theirs) {
+    base = base || '';
+    ours = ours || '';
+    theirs = theirs || '';
+
+    if (ours === theirs || theirs === base) return { text: ours, conflicts: 0 };
+    if (ours === base) return { text: theirs, conflicts: 0 };
+    // Modifié des deux côtés et chiffré : pas de fusion ligne à ligne possible
+    if (isEncryptedText(ours) || isEncryptedText(theirs)) return { text: ours, conflicts: 1 };
+
+    const baseLines = base === '' ? [] : base.split('\n');
+    const hunks = [
+        ...diffHunks(base, ours).map(h => ({ ...h, side: 'ours' })),
+        ...diffHunks(base, theirs).map(h => ({ ...h, side: 'theirs' }))
+    ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+    // Remplacement de base[start:end] vu par un côté
+    const sideText = (group, side, start, end) => {
+        const result = [];
+        let index = start;
+        group.filter(h => h.side === side).forEach((h) => {
+            result.push(...baseLines.slice(index, h.start), ...h.lines);
+            index = h.end;
+        });
+        result.push(...baseLines.slice(index, end));
+        return result;
+    };
+
+    const output = [];
+    let conflicts = 0;
+    let index = 0;
+    let k = 0;
+
+    while (k < hunks.length) {
+        // Les modifications qui se chevauchent ou se touchent forment un groupe
+        const group = [hunks[k]];
+        let start = hunks[k].start;
+        let end = hunks[k].end;
+        k++;
+        while (k < hunks.length && hunks[k].start <= end) {
+            end = Math.max(end, hunks[k].end);
+            group.push(hunks[k]);
+            k++;
+        }
+
+        output.push(...baseLines.slice(index, start));
+        index = end;
+
+        const sides = new Set(group.map(h => h.side));
+        const oursLines = sideText(group, 'ours', start, end);
+        if (sides.size === 1) {
+            output.push(...(sides.has('ours') ? oursLines : sideText(group, 'theirs', start, end)));
+            continue;
+        }
+
+        const theirsLines = sideText(group, 'theirs', start, end);
+        if (oursLines.join('\n') === theirsLines.join('\n')) {
+            output.push(...oursLines);
+        } else {
+            conflicts++;
+            output.push(
+                CONFLICT_MARKERS.ours, ...oursLines,
+                CONFLICT_MARKERS.separator, ...theirsLines,
+                CONFLICT_MARKERS.theirs
+            );
+        }
+    }
+
+    output.push(...baseLines.slice(index));
+    return { text: output.join('\n'), conflicts };
+}
+
+// Fusion à trois voies d'un ensemble (tags) : les ajouts des deux côtés sont
+// conservés, un élément retiré d'un côté disparaît. Jamais de conflit.
+function mergeSets(base, ours, theirs) {
+    const removed = new Set((base || []).filter(item => !ours.includes(item) || !theirs.includes(item)));
+    return [...new Set([...ours, ...theirs])].filter(item => !removed.has(item));
+}
+
+// Fusion à trois voies des champs simples (SYNC_MERGED_FIELDS) : la valeur
+// distante l'emporte si la note locale n'a pas changé le champ depuis
+// l'ancêtre commun. Un ancêtre antérieur à ces champs garde la valeur locale.
+// → { champ: valeur }
+function mergeFields(base, ours, theirs) {
+    const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    const merged = {};
+
+    SYNC_MERGED_FIELDS.forEach((field) => {
+        if (!(field in ours) && !(field in theirs)) return;
+        const changedHere = !(field in base) || !sameValue(ours[field], base[field]);
+        merged[field] = changedHere ? ours[field] : theirs[field];
+    });
+    return merged;
+}
+
+// Ancêtre commun conservé avec la note pour les prochaines fusions
+function toSyncBase(note) {
+    const base = { title: note.title, content: note.content, tags: note.tags || [] };
+    SYNC_MERGED_FIELDS.forEach((field) => {
+        base[field] = note[field] === undefined ? null : note[field];
+    });
+    return base;
+}
+
+// Erreur HTTP renvoyée par le serveur de synchronisation
+class SyncHttpError extends Error {
+    constructor(response, body) {
+        super(`HTTP ${response.status} ${response.statusText}`);
+        this.name = 'SyncHttpError';
+        this.status = response.status;
+        this.body = body;
+    }
+
+    static async from(response) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            // Corps absent ou non JSON
+        }
+        return new SyncHttpError(response, body);
+    }
+}
+
+class SyncEngine {
+    constructor(options = {}) {
+        this.dbName = options.dbName || SYNC_DB_NAME;
+        // Fournit une connexion déjà ouverte (côté App), sinon on ouvre la nôtre
+        this.getDB = options.getDB || null;
+        this.running = null;
+    }
+
+    // Enregistrer une mutation dans l'outbox, dans la transaction de l'écriture
+    // (la transaction doit inclure le store "outbox").
+    // Une seule entrée est conservée par note : les mutations successives sont
+    // fusionnées, le contenu envoyé étant relu dans "notes" au moment du rejeu.
+    // Une entrée en conflit reste bloquée jusqu'à sa résolution (clearConflict).
+    // Une suppression mémorise la révision serveur de la note (baseRevision).
+    // Un carnet passe par la même file : op 'notebook' (créé ou modifié) ou
+    // 'notebook-delete', "noteUid" étant alors l'uid du carnet.
+    static recordMutation(transaction, op, noteUid, { clearConflict = false, baseRevision } = {}) {
+        const outbox = transaction.objectStore('outbox');
+        const request = outbox.index('noteUid').getAll(noteUid);
+
+        request.onsuccess = () => {
+            const existing = request.result[0];
+            const now = Date.now();
+
+            if (!existing) {
+                outbox.add({
+                    noteUid,
+                    op,
+                    baseRevision,
+                    status: 'pending',
+                    changes: 1,
+                    attempts: 0,
+                    lastError: null,
+                    createdAt: now,
+                    updatedAt: now
+                });
+                return;
+            }
+
+            // Une création jamais envoyée puis supprimée : rien à dire au serveur
+            if (op === 'delete' && existing.op === 'create' && !existing.sentAt) {
+                outbox.delete(existing.id);
+                return;
+            }
+
+            outbox.put({
+                ...existing,
+                op: existing.op === 'create' && op === 'update' ? 'create' : op,
+                baseRevision: op === 'delete' ? baseRevision : existing.baseRevision,
+                status: existing.status === 'conflict' && !clearConflict ? 'conflict' : 'pending',
+                changes: existing.changes + 1,
+                attempts: 0,
+                lastError: null,
+                updatedAt: now
+            });
+        };
+    }
+
+    async openDB() {
+        if (this.getDB) {
+            return { db: this.getDB(), owned: false };
+        }
+        // Sans numéro de version : on ouvre la base telle que l'App l'a créée
+        const db = await promisifyRequest(indexedDB.open(this.dbName));
+        // Ne pas bloquer une mise à niveau du schéma lancée par l'App
+        db.onversionchange = () => db.close();
+        return { db, owned: true };
+    }
+
+    async getSetting(db, key) {
+        const transaction = db.transaction(['settings'], 'readonly');
+        const record = await promisifyRequest(transaction.objectStore('settings').get(key));
+        return record ? record.value : undefined;
+    }
+
+    async setSetting(db, key, value) {
+        const transaction = db.transaction(['settings'], 'readwrite');
+        transaction.objectStore('settings').put({ key, value });
+        return transactionDone(transaction);
+    }
+
+    // Compter les entrées en attente / en échec
+    async getCounts(db) {
+        const transaction = db.transaction(['outbox'], 'readonly');
+        const entries = await promisifyRequest(transaction.objectStore('outbox').getAll());
+        return {
+            pending: entries.filter(e => e.status === 'pending').length,
+            failed: entries.filter(e => e.status === 'failed').length,
+            conflicts: entries.filter(e => e.status === 'conflict').length
+        };
+    }
+
+    // Remettre en file les entrées en échec
+    async retryFailed(db) {
+        const transaction = db.transaction(['outbox'], 'readwrite');
+        const outbox = transaction.objectStore('outbox');
+        const entries = await promisifyRequest(outbox.getAll());
+
+        entries
+            .filter(e => e.status === 'failed')
+            .forEach(e => outbox.put({ ...e, status: 'pending', attempts: 0, lastError: null }));
+
+        return transactionDone(transaction);
+    }
+
+    // Lancer une synchronisation (une seule à la fois, y compris entre App et SW)
+    run() {
+        if (this.running) return this.running;
+
+        const task = () => this.runExclusive();
+        const locks = self.navigator && self.navigator.locks;
+
+        this.running = (locks ? locks.request(SYNC_LOCK_NAME, task) : task())
+            .finally(() => {
+                this.running = null;
+            });
+
+        return this.running;
+    }
+
+    async runExclusive() {
+        const { db, owned } = await this.openDB();
+
+        // La base n'a pas encore été créée/mise à niveau par l'App
+        if (!db.objectStoreNames.contains('outbox')) {
+            if (owned) db.close();
+            return { skipped: true, offline: false, pushed: 0, pulled: 0 };
+        }
+
+        try {
+            const endpoint = await this.getSetting(db, 'syncEndpoint');
+            if (!endpoint) {
+                console.log('⏸️ Synchronisation désactivée (aucun endpoint configuré)');
+                return { skipped: true, offline: false, pushed: 0, pulled: 0 };
+            }
+
+            const baseUrl = endpoint.replace(/\/+$/, '');
+            const pushResult = await this.push(db, baseUrl);
+            const pulled = pushResult.offline ? 0 : await this.pull(db, baseUrl);
+
+            console.log(`✅ Synchronisation terminée: ${pushResult.pushed} envoyée(s), ${pulled} reçue(s)`);
+            return { skipped: false, offline: pushResult.offline, pushed: pushResult.pushed, pulled };
+        } finally {
+            if (owned) db.close();
+        }
+    }
+
+    // Rejouer l'outbox dans l'ordre d'enregistrement.
+    // Une note fusionnée après un 409 est renvoyée lors d'une seconde passe.
+    async push(db, baseUrl) {
+        let pushed = 0;
+
+        for (let pass = 0; pass < 2; pass++) {
+            const readTx = db.transaction(['outbox'], 'readonly');
+            const entries = (await promisifyRequest(readTx.objectStore('outbox').getAll()))
+                .filter(e => e.status === 'pending');
+            let merged = 0;
+
+            for (const entry of entries) {
+                const note = NOTEBOOK_OPS.includes(entry.op)
+                    ? await this.getNotebook(db, entry.noteUid)
+                    : await this.getNoteByUid(db, entry.noteUid);
+
+                // La note (ou le carnet) a disparu sans entrée de suppression
+                // (ne devrait pas arriver)
+                if (!note && entry.op !== 'delete' && entry.op !== 'notebook-delete') {
+                    await this.finalizeEntry(db, entry, null, null);
+                    continue;
+                }
+
+                try {
+                    await this.markSent(db, entry);
+                    const result = await this.sendEntry(baseUrl, entry, note);
+                    await this.finalizeEntry(db, entry, note, result);
+                    pushed++;
+                } catch (error) {
+                    // Erreur réseau : on arrête et on laisse l'outbox intacte
+                    if (!(error instanceof SyncHttpError)) {
+                        console.log('⚠️ Serveur injoignable, synchronisation reportée:', error.message);
+                        return { pushed, offline: true };
+                    }
+
+                    if (error.status === 409 && error.body && error.body.note) {
+                        console.log('🔀 Modification concurrente détectée:', entry.noteUid);
+                        if (await this.resolveRemoteChange(db, entry, error.body.note)) merged++;
+                        continue;
+                    }
+
+                    console.error('❌ Erreur de synchronisation:', entry.noteUid, error.message);
+                    await this.recordFailure(db, entry, error);
+                }
+            }
+
+            if (merged === 0) break;
+        }
+
+        return { pushed, offline: false };
+    }
+
+    async sendEntry(baseUrl, entry, note) {
+        if (NOTEBOOK_OPS.includes(entry.op)) {
+            return this.sendNotebookEntry(baseUrl, entry, note);
+        }
+
+        const url = `${baseUrl}/notes/${encodeURIComponent(entry.noteUid)}`;
+
+        if (entry.op === 'delete') {
+            const baseRevision = entry.baseRevision !== undefined ? entry.baseRevision : '';
+            const response = await fetch(`${url}?baseRevision=${encodeURIComponent(baseRevision)}`, {
+                method: 'DELETE'
+            });
+            // Déjà supprimée côté serveur : l'objectif est atteint
+            if (response.status === 404) return {};
+            if (!response.ok) throw await SyncHttpError.from(response);
+            return response.json();
+        }
+
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.toRemoteNote(note))
+        });
+        if (!response.ok) throw await SyncHttpError.from(response);
+        return response.json();
+    }
+
+    async sendNotebookEntry(baseUrl, entry, notebook) {
+        const url = `${baseUrl}/notebooks/${encodeURIComponent(entry.noteUid)}`;
+        const response = entry.op === 'notebook-delete'
+            ? await fetch(url, { method: 'DELETE' })
+            : await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(notebook)
+            });
+        // Déjà supprimé côté serveur : l'objectif est atteint
+        if (entry.op === 'notebook-delete' && response.status === 404) return {};
+        if (!response.ok) throw await SyncHttpError.from(response);
+        return response.json();
+    }
+
+    // Le serveur a une version plus récente que notre base : fusionner.
+    // Retourne true si l'entrée doit être renvoyée immédiatement.
+    async resolveRemoteChange(db, entry, remote) {
+        const transaction = db.transaction(['outbox', 'notes'], 'readwrite');
+        const outbox = transaction.objectStore('outbox');
+        const notes = transaction.objectStore('notes');
+
+        const current = await promisifyRequest(outbox.get(entry.id));
+        const local = await promisifyRequest(notes.index('uid').get(entry.noteUid));
+        let retry = false;
+
+        // Entrée déjà traitée entre-temps
+        if (!current) {
+            await transactionDone(transaction);
+            return false;
+        }
+
+        if (current.op === 'delete') {
+            // Supprimée ici mais modifiée ailleurs : on ne perd pas le travail distant
+            if (!remote.deleted) {
+                const { deleted, ...fields } = remote;
+                notes.add({ ...fields, syncBase: toSyncBase(fields) });
+                console.log('♻️ Note supprimée localement restaurée (modifiée sur un autre appareil)');
+            }
+            outbox.delete(current.id);
+        } else if (!local) {
+            outbox.delete(current.id);
+        } else if (remote.deleted) {
+            // Supprimée ailleurs mais modifiée ici : on la recrée côté serveur
+            notes.put({ ...local, revision: remote.revision });
+            retry = true;
+        } else {
+            const base = local.syncBase || { title: '', content: '' };
+            const title = mergeText(base.title, local.title, remote.title);
+            const content = mergeText(base.content, local.content, remote.content);
+            const tags = mergeSets(base.tags, local.tags || [], remote.tags || []);
+            const fields = mergeFields(base, local, remote);
+            const syncBase = toSyncBase(remote);
+
+            if (title.conflicts === 0 && content.conflicts === 0) {
+                notes.put({
+                    ...remote,
+                    ...local,
+                    ...fields,
+                    title: title.text,
+                    content: content.text,
+                    tags,
+                    revision: remote.revision,
+                    syncBase,
+                    updatedAt: Date.now()
+                });
+                outbox.put({ ...current, changes: current.changes + 1 });
+                retry = true;
+                console.log('✅ Fusion automatique réussie:', entry.noteUid);
+            } else {
+                // Conflit réel : on garde les deux versions et on attend l'utilisateur
+                // (les tags et champs simples, eux, se fusionnent toujours ; leurs
+                // valeurs distantes servent d'ancêtre après la résolution)
+                notes.put({
+                    ...local,
+                    ...fields,
+                    tags,
+                    conflict: {
+                        ...toSyncBase(remote),
+                        revision: remote.revision,
+                        updatedAt: remote.updatedAt,
+                        base,
+                        detectedAt: Date.now()
+                    }
+                });
+                outbox.put({ ...current, status: 'conflict' });
+                console.log('⚠️ Conflit à résoudre manuellement:', entry.noteUid);
+            }
+        }
+
+        await transactionDone(transaction);
+        return retry;
+    }
+
+    // Les champs purement locaux ne quittent pas l'appareil
+    toRemoteNote(note) {
+        const { id, revision, syncBase, conflict, ...remote } = note;
+        return { ...remote, baseRevision: revision };
+    }
+
+    async getNoteByUid(db, uid) {
+        const transaction = db.transaction(['notes'], 'readonly');
+        return promisifyRequest(transaction.objectStore('notes').index('uid').get(uid));
+    }
+
+    async getNotebook(db, uid) {
+        const transaction = db.transaction(['notebooks'], 'readonly');
+        return promisifyRequest(transaction.objectStore('notebooks').get(uid));
+    }
+
+    async markSent(db, entry) {
+        const transaction = db.transaction(['outbox'], 'readwrite');
+        const outbox = transaction.objectStore('outbox');
+        const current = await promisifyRequest(outbox.get(entry.id));
+        if (current) {
+            outbox.put({ ...current, sentAt: Date.now() });
+        }
+        return transactionDone(transaction);
+    }
+
+    // Retirer l'entrée envoyée, sauf si la note a changé pendant l'envoi.
+    // Le contenu envoyé devient l'ancêtre commun des prochaines fusions.
+    async finalizeEntry(db, entry, sent, result) {
+        const transaction = db.transaction(['outbox', 'notes'], 'readwrite');
+        const outbox = transaction.objectStore('outbox');
+        const notes = transaction.objectStore('notes');
+
+        const current = await promisifyRequest(outbox.get(entry.id));
+        if (current) {
+            if (current.changes === entry.changes) {
+                outbox.delete(entry.id);
+            } else {
+                // Modifiée entre-temps : elle existe désormais côté serveur
+                outbox.put({ ...current, op: current.op === 'create' ? 'update' : current.op });
+            }
+        }
+
+        if (result && result.revision !== undefined && (entry.op === 'create' || entry.op === 'update')) {
+            const note = await promisifyRequest(notes.index('uid').get(entry.noteUid));
+            if (note) {
+                notes.put({
+                    ...note,
+                    revision: result.revision,
+                    syncBase: toSyncBase(sent)
+                });
+            }
+        }
+
+        return transactionDone(transaction);
+    }
+
+    async recordFailure(db, entry, error) {
+        const transaction = db.transaction(['outbox'], 'readwrite');
+        const outbox = transaction.objectStore('outbox');
+        const current = await promisifyRequest(outbox.get(entry.id));
+
+        if (current) {
+            const attempts = current.attempts + 1;
+            // Une erreur 4xx ne se corrigera pas toute seule
+            const permanent = error.status >= 400 && error.status < 500;
+            outbox.put({
+                ...current,
+                attempts,
+                lastError: error.message,
+                status: permanent || attempts >= SYNC_MAX_ATTEMPTS ? 'failed' : 'pending'
+            });
+        }
+
+        return transactionDone(transaction);
+    }
+
+    // Récupérer les modifications distantes depuis le dernier curseur
+    async pull(db, baseUrl) {
+        const cursor = (await this.getSetting(db, 'syncCursor')) || 0;
+        const response = await fetch(`${baseUrl}/notes?since=${encodeURIComponent(cursor)}`);
+        if (!response.ok) throw await SyncHttpError.from(response);
+
+        const { notes: remoteNotes, notebooks: remoteNotebooks = [], cursor: nextCursor } = await response.json();
+
+        const childStores = NOTE_CHILD_STORES.filter(name => db.objectStoreNames.contains(name));
+        const notebookStores = db.objectStoreNames.contains('notebooks') ? ['notebooks'] : [];
+        const transaction = db.transaction(['notes', 'outbox', ...childStores, ...notebookStores], 'readwrite');
+        const notes = transaction.objectStore('notes');
+        const outbox = transaction.objectStore('outbox');
+        // Notes dont l'envoi a échoué : fusionnées après coup
+        const failed = [];
+        let applied = 0;
+
+        for (const remote of remoteNotes) {
+            // Une modification locale est en attente (ou en conflit) : elle sera
+            // envoyée d'abord
+            const entries = await promisifyRequest(outbox.index('noteUid').getAll(remote.uid));
+            if (entries.some(entry => entry.status !== 'failed')) continue;
+            if (entries.length > 0) {
+                failed.push({ entry: entries[0], remote });
+                continue;
+            }
+
+            const local = await promisifyRequest(notes.index('uid').get(remote.uid));
+            const { deleted, ...fields } = remote;
+
+            if (deleted) {
+                if (local) {
+                    notes.delete(local.id);
+                    for (const name of childStores) {
+                        const store = transaction.objectStore(name);
+                        const keys = await promisifyRequest(store.index('noteId').getAllKeys(local.id));
+                        keys.forEach(key => store.delete(key));
+                    }
+                }
+            } else {
+                const syncBase = toSyncBase(fields);
+                if (local) {
+                    notes.put({ ...local, ...fields, syncBase, id: local.id });
+                } else {
+                    notes.add({ ...fields, syncBase });
+                }
+            }
+            applied++;
+        }
+
+        // Carnets : la version distante l'emporte, sauf modification locale
+        // pas encore envoyée
+        for (const remote of notebookStores.length > 0 ? remoteNotebooks : []) {
+            const entries = await promisifyRequest(outbox.index('noteUid').getAll(remote.uid));
+            if (entries.some(entry => entry.status !== 'failed')) continue;
+
+            const { deleted, revision, ...notebook } = remote;
+            if (deleted) {
+                transaction.objectStore('notebooks').delete(remote.uid);
+            } else {
+                transaction.objectStore('notebooks').put(notebook);
+            }
+            applied++;
+        }
+
+        await transactionDone(transaction);
+
+        // Un envoi en échec ne doit pas priver la note des modifications
+        // distantes : fusion comme après un 409 (conflit affiché au besoin)
+        for (const { entry, remote } of failed) {
+            const local = await this.getNoteByUid(db, remote.uid);
+            if (local && local.revision === remote.revision) continue;
+            await this.resolveRemoteChange(db, entry, remote);
+            applied++;
+        }
+
+        await this.setSetting(db, 'syncCursor', nextCursor);
+        return applied;
+    }
+}
+
+// ============================================
+// RAPPELS
+// ============================================
+// note.reminder = { dueAt, repeat: null | 'daily' | 'weekly', snoozedUntil }
+// L'App vérifie les rappels tant qu'elle est ouverte ; le Service Worker
+// (Periodic Background Sync) prend le relais quand le navigateur le permet,
+// et traite les actions des notifications.
+
+const REMINDER_REPEAT_DAYS = { daily: 1, weekly: 7 };
+const REMINDER_SNOOZE_MS = 10 * 60 * 1000;
+const REMINDER_SYNC_TAG = 'check-reminders';
+// Dernière vérification sur cet appareil (store "settings")
+const REMINDER_CHECKED_SETTING = 'remindersCheckedAt';
+
+// Prochaine échéance strictement après "after" (null : rappel unique passé).
+// Les répétitions suivent le calendrier local : même heure après un
+// changement d'heure.
+function nextReminderOccurrence(reminder, after) {
+    if (reminder.dueAt > after) return reminder.dueAt;
+
+    const days = REMINDER_REPEAT_DAYS[reminder.repeat];
+    if (!days) return null;
+
+    const date = new Date(reminder.dueAt);
+    const periods = Math.floor((after - reminder.dueAt) / (days * 24 * 60 * 60 * 1000));
+    date.setDate(date.getDate() + Math.max(0, periods - 1) * days);
+    while (date.getTime() <= after) {
+        date.setDate(date.getDate() + days);
+    }
+    return date.getTime();
+}
+
+// Échéance affichée : report ou prochaine occurrence ; un rappel unique
+// dépassé garde sa date (il est en retard)
+function reminderDueAt(reminder, now = Date.now()) {
+    const upcoming = [nextReminderOccurrence(reminder, now), reminder.snoozedUntil]
+        .filter(time => time && time > now);
+    return upcoming.length > 0 ? Math.min(...upcoming) : reminder.dueAt;
+}
+
+function isReminderOverdue(reminder, now = Date.now()) {
+    return reminderDueAt(reminder, now) <= now;
+}
+
+// Le rappel a-t-il sonné dans l'intervalle ]from, to] ?
+function reminderFiredBetween(reminder, from, to) {
+    const next = nextReminderOccurrence(reminder, from);
+    return (next !== null && next <= to)
+        || (reminder.snoozedUntil > from && reminder.snoozedUntil <= to);
+}
+
+// Reporter un rappel (l'échéance d'origine et la répétition ne changent pas)
+function snoozeReminder(reminder, until) {
+    return { ...reminder, snoozedUntil: until };
+}
+
+// Rappel traité : un rappel unique disparaît, un rappel répété attend sa
+// prochaine occurrence
+function completeReminder(reminder) {
+    return REMINDER_REPEAT_DAYS[reminder.repeat] ? { ...reminder, snoozedUntil: null } : null;
+}
+
+// Notes dont un rappel a sonné depuis la dernière vérification de cet
+// appareil. La transaction en écriture sur "settings" sérialise l'App et le
+// Service Worker : un rappel n'est signalé qu'une fois.
+async function collectDueReminders(db, now = Date.now()) {
+    const transaction = db.transaction(['notes', 'settings'], 'readwrite');
+    const settings = transaction.objectStore('settings');
+    const checked = await promisifyRequest(settings.get(REMINDER_CHECKED_SETTING));
+    const notes = await promisifyRequest(transaction.objectStore('notes').getAll());
+    settings.put({ key: REMINDER_CHECKED_SETTING, value: now });
+    await transactionDone(transaction);
+
+    // Première vérification : rien à rattraper
+    if (!checked) return [];
+    return notes.filter(note => note.reminder && !note.deletedAt
+        && reminderFiredBetween(note.reminder, checked.value, now));
+}
+
+// Modifier le rappel d'une note hors de l'App ("update" : rappel → rappel ou null)
+async function updateNoteReminder(db, noteUid, update) {
+    const transaction = db.transaction(['notes', 'outbox'], 'readwrite');
+    const notes = transaction.objectStore('notes');
+    const note = await promisifyRequest(notes.index('uid').get(noteUid));
+
+    if (note && note.reminder) {
+        notes.put({ ...note, reminder: update(note.reminder), updatedAt: Date.now() });
+        SyncEngine.recordMutation(transaction, 'update', noteUid);
+    }
+    return transactionDone(transaction);
+}
+
+// Notification d'un rappel (le Service Worker n'a pas la clé des notes chiffrées)
+function showReminderNotification(registration, note) {
+    const encrypted = isEncryptedText(note.title);
+    const repeat = { daily: ' · 🔁 chaque jour', weekly: ' · 🔁 chaque semaine' }[note.reminder.repeat] || '';
+
+    return registration.showNotification(`⏰ ${encrypted ? '🔒 Note chiffrée' : note.title || 'Rappel'}`, {
+        body: (encrypted ? 'Déverrouillez NotesFlow pour lire la note' : (note.content || '').slice(0, 120)) + repeat,
+        tag: `reminder-${note.uid}`,
+        renotify: true,
+        requireInteraction: true,
+        data: { noteUid: note.uid },
+        actions: [
+            { action: 'snooze', title: '💤 10 min' },
+            { action: 'done', title: '✓ Terminé' }
+        ]
+    });
+}
+
+// ============================================
+// PARTAGE
+// ============================================
+// Contenu partagé vers NotesFlow (share_target du manifeste) : le Service
+// Worker reçoit le formulaire et le met en attente dans le store "settings" ;
+// l'App en crée des notes (chiffrées si besoin) à son prochain déverrouillage.
+
+const SHARE_TARGET_PATH = '/share-target';
+const SHARED_CONTENT_SETTING = 'sharedContent';
+
+// Mettre un partage en attente (les fichiers sont conservés tels quels)
+async function storeSharedContent(db, { title, text, url, files }) {
+    const transaction = db.transaction('settings', 'readwrite');
+    const settings = transaction.objectStore('settings');
+    const pending = await promisifyRequest(settings.get(SHARED_CONTENT_SETTING));
+    const entry = {
+        id: generateUid(),
+        title: title || '',
+        text: text || '',
+        url: url || '',
+        files: files || [],
+        receivedAt: Date.now()
+    };
+
+    settings.put({ key: SHARED_CONTENT_SETTING, value: [...(pending ? pending.value : []), entry] });
+    await transactionDone(transaction);
+    return entry;
+}
+
+async function readSharedContent(db) {
+    const pending = await promisifyRequest(
+        db.transaction('settings').objectStore('settings').get(SHARED_CONTENT_SETTING)
+    );
+    return pending ? pending.value : [];
+}
+
+// Retirer un partage une fois sa note créée
+async function removeSharedContent(db, id) {
+    const transaction = db.transaction('settings', 'readwrite');
+    const settings = transaction.objectStore('settings');
+    const pending = await promisifyRequest(settings.get(SHARED_CONTENT_SETTING));
+    const remaining = (pending ? pending.value : []).filter(entry => entry.id !== id);
+
+    if (remaining.length > 0) {
+        settings.put({ key: SHARED_CONTENT_SETTING, value: remaining });
+    } else {
+        settings.delete(SHARED_CONTENT_SETTING);
+    }
+    return transactionDone(transaction);
+}
+
+// Titre et contenu d'une note à partir d'un partage. Les applications ne
+// remplissent pas toutes les mêmes champs : l'URL arrive souvent dans "text".
+function buildSharedNote({ title, text, url }) {
+    const body = (text || '').trim();
+    const link = (url || '').trim();
+    const content = link && !body.includes(link) ? [body, link].filter(Boolean).join('\n\n') : body;
+
+    let fallback = body.split('\n')[0].trim().slice(0, 80);
+    if (!fallback && link) {
+        try {
+            fallback = new URL(link).hostname;
+        } catch (error) {
+            fallback = link;
+        }
+    }
+
+    return {
+        title: (title || '').trim() || fallback || 'Contenu partagé',
+        content
+    };
+}
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    NotesDB, EncryptedNotesDB, AttachmentError, attachmentMarkdown, removeAttachmentRefs, guessMimeType,
+    isEncryptedText, isEncryptedBlob, MAX_ATTACHMENT_SIZE, promisifyRequest, transactionDone
+} = loadApp([
+    'NotesDB', 'EncryptedNotesDB', 'AttachmentError', 'attachmentMarkdown', 'removeAttachmentRefs', 'guessMimeType',
+    'isEncryptedText', 'isEncryptedBlob', 'MAX_ATTACHMENT_SIZE', 'promisifyRequest', 'transactionDone'
+]);
+
+const PASSPHRASE = 'cheval agrafe pile';
+
+const newNote = (title, content = '') => ({ title, content, tags: [], color: '#fff' });
+const textFile = (name, text) => new File([text], name, { type: 'text/plain' });
+
+// Ce qui est réellement écrit dans IndexedDB
+async function readStored(db, uid) {
+    const transaction = db.db.transaction(['attachments'], 'readonly');
+    return promisifyRequest(transaction.objectStore('attachments').get(uid));
+}
+
+test('attachmentMarkdown insère une image ou un lien, removeAttachmentRefs les retire', () => {
+    const image = { uid: 'i1', name: 'photo [1].png', type: 'image/png' };
+    const pdf = { uid: 'p1', name: 'rapport.pdf', type: 'application/pdf' };
+    assert.equal(attachmentMarkdown(image), '![photo 1.png](attachment:i1)');
+    assert.equal(attachmentMarkdown(pdf), '[rapport.pdf](attachment:p1)');
+
+    const text = `Avant\n${attachmentMarkdown(image)}\nVoir ${attachmentMarkdown(pdf)} ici`;
+    assert.equal(removeAttachmentRefs(text, 'i1'), 'Avant\nVoir [rapport.pdf](attachment:p1) ici');
+    assert.equal(guessMimeType('Scan.JPG'), 'image/jpeg');
+    assert.equal(guessMimeType('archive'), 'application/octet-stream');
+});
+
+test('une pièce jointe est enregistrée, relue puis supprimée avec sa note', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote(newNote('Facture'));
+    const added = await db.addAttachment(id, textFile('facture.txt', 'total : 12 €'));
+    await db.addAttachment(id, new Blob(['x']));
+
+    const attachments = await db.getAttachments(id);
+    assert.deepEqual(attachments.map(a => a.name), ['facture.txt', 'fichier']);
+    assert.equal(await (await db.getAttachment(added.uid)).blob.text(), 'total : 12 €');
+
+    await db.deleteAttachment(added.uid);
+    assert.equal((await db.getAttachments(id)).length, 1);
+
+    await db.deleteNote(id);
+    assert.deepEqual(await db.getAttachments(id), []);
+    assert.equal(await db.purgeOrphanAttachments(), 0);
+});
+
+test('un fichier trop volumineux est refusé', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote(newNote('Vidéo'));
+    const huge = { name: 'film.mp4', type: 'video/mp4', size: MAX_ATTACHMENT_SIZE + 1 };
+    await assert.rejects(db.addAttachment(id, huge), AttachmentError);
+});
+
+test('chiffrement activé : nom, fichier et miniature sont chiffrés sur le disque', async () => {
+    const db = await openTestDatabase(EncryptedNotesDB);
+    await db.enableEncryption(PASSPHRASE);
+    const id = await db.addNote(newNote('Papiers'));
+    const added = await db.addAttachment(id, textFile('passeport.txt', 'n° 12AB34'));
+    assert.equal(added.name, 'passeport.txt');
+
+    const stored = await readStored(db, added.uid);
+    assert.ok(isEncryptedText(stored.name));
+    assert.ok(isEncryptedBlob(stored.blob));
+    assert.ok(!(await stored.blob.data.text()).includes('12AB34'));
+    assert.equal(stored.type, 'text/plain');
+
+    const [opened] = await db.getAttachments(id);
+    assert.equal(opened.name, 'passeport.txt');
+    assert.equal(await opened.blob.text(), 'n° 12AB34');
+    assert.equal(opened.blob.type, 'text/plain');
+
+    db.lock();
+    await assert.rejects(db.getAttachment(added.uid), { name: 'EncryptionError' });
+});
+
+test('activer, changer puis désactiver le chiffrement réécrit les pièces jointes', async () => {
+    const db = await openTestDatabase(EncryptedNotesDB);
+    const id = await db.addNote(newNote('Contrat'));
+    const added = await db.addAttachment(id, textFile('contrat.txt', 'signé'));
+
+    await db.enableEncryption(PASSPHRASE);
+    const sealed = await readStored(db, added.uid);
+    assert.ok(isEncryptedBlob(sealed.blob));
+
+    await db.changePassphrase(PASSPHRASE, 'nouvelle phrase secrète');
+    const resealed = await readStored(db, added.uid);
+    assert.notEqual(resealed.blob.salt, sealed.blob.salt);
+    assert.equal(await (await db.getAttachment(added.uid)).blob.text(), 'signé');
+
+    await db.disableEncryption('nouvelle phrase secrète');
+    const plain = await readStored(db, added.uid);
+    assert.equal(plain.name, 'contrat.txt');
+    assert.equal(await plain.blob.text(), 'signé');
+});
+
+test('une pièce jointe restée en clair (activation interrompue) est chiffrée à la remise à jour de l\'index', async () => {
+    const db = await openTestDatabase(EncryptedNotesDB);
+    const id = await db.addNote(newNote('Reçu'));
+    await db.enableEncryption(PASSPHRASE);
+    const transaction = db.db.transaction(['attachments'], 'readwrite');
+    transaction.objectStore('attachments').put({
+        uid: 'clair', noteId: id, name: 'recu.txt', type: 'text/plain', size: 4,
+        blob: new Blob(['reçu'], { type: 'text/plain' }), thumbnail: null, createdAt: 1
+    });
+    await transactionDone(transaction);
+
+    assert.equal(await (await db.getAttachment('clair')).blob.text(), 'reçu');
+    await db.refreshSearchIndex();
+    const stored = await readStored(db, 'clair');
+    assert.ok(isEncryptedText(stored.name) && isEncryptedBlob(stored.blob));
+});
+
+test('une pièce jointe chiffrée avec une autre phrase secrète est marquée illisible', async () => {
+    const db = await openTestDatabase(EncryptedNotesDB);
+    await db.enableEncryption(PASSPHRASE);
+    const id = await db.addNote(newNote('Ancien'));
+    const added = await db.addAttachment(id, textFile('ancien.txt', 'secret'));
+    // Sel d'une phrase secrète dont la clé n'est pas connue
+    const stored = await readStored(db, added.uid);
+    const transaction = db.db.transaction(['attachments'], 'readwrite');
+    transaction.objectStore('attachments').put({
+        ...stored,
+        name: stored.name.replace(db.encryption.salt, 'QXV0cmVTZWwxMjM0NTY3OA=='),
+        blob: { ...stored.blob, salt: 'QXV0cmVTZWwxMjM0NTY3OA==' }
+    });
+    await transactionDone(transaction);
+
+    const [attachment] = await db.getAttachments(id);
+    assert.equal(attachment.unreadable, true);
+    assert.equal(attachment.blob, null);
+});
+
+test('une note importée en copie reçoit des pièces jointes aux nouveaux uids, chiffrées', async () => {
+    for (const encrypted of [false, true]) {
+        const db = await openTestDatabase(EncryptedNotesDB);
+        if (encrypted) await db.enableEncryption(PASSPHRASE);
+        const id = await db.addNote(newNote('Plan'));
+        const added = await db.addAttachment(id, textFile('plan.txt', 'étage'));
+        await db.updateNote(id, { content: `voir ${attachmentMarkdown(added)}` });
+
+        const [note] = await db.getNotes([id]);
+        const { id: localId, ...exported } = note;
+        const summary = await db.importNotes(
+            [{ note: exported, revisions: [], attachments: await db.getAttachments(id) }],
+            { collision: 'duplicate' }
+        );
+        assert.equal(summary.duplicated, 1);
+
+        const copy = (await db.getAllNotes()).find(n => n.id !== id);
+        const [copied] = await db.getAttachments(copy.id);
+        assert.notEqual(copied.uid, added.uid);
+        assert.equal(copy.content, `voir [plan.txt](attachment:${copied.uid})`);
+        assert.equal(await copied.blob.text(), 'étage');
+        assert.equal(isEncryptedBlob((await readStored(db, copied.uid)).blob), encrypted);
+    }
+});
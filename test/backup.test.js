@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    NotesDB, ImportError, validateImportData, buildMarkdownFiles, parseMarkdownFile, readMarkdownArchive,
+    createZip, readZip, EXPORT_FORMAT
+} = loadApp([
+    'NotesDB', 'ImportError', 'validateImportData', 'buildMarkdownFiles', 'parseMarkdownFile', 'readMarkdownArchive',
+    'createZip', 'readZip', 'EXPORT_FORMAT'
+]);
+
+const backup = (notes, extra = {}) => ({ format: EXPORT_FORMAT, formatVersion: 1, notes, ...extra });
+
+test('validateImportData refuse les fichiers qui ne sont pas des sauvegardes valides', () => {
+    const invalid = [
+        [{ format: 'autre', notes: [] }, /pas une sauvegarde/],
+        [{ format: EXPORT_FORMAT, formatVersion: 99, notes: [] }, /plus récente/],
+        [{ format: EXPORT_FORMAT, formatVersion: 1 }, /sans liste de notes/],
+        [backup([{ title: 'A' }]), /Note n°1 : titre ou contenu manquant/],
+        [backup([{ title: 'A', content: '', tags: 'x' }]), /tags invalides/],
+        [backup([], { notebooks: [{ uid: 1 }] }), /Carnet n°1/]
+    ];
+    invalid.forEach(([data, message]) => {
+        assert.throws(() => validateImportData(data), error => error instanceof ImportError && message.test(error.message));
+    });
+});
+
+test('validateImportData complète les notes et retire l\'état local', () => {
+    const { records } = validateImportData(backup([{
+        id: 12, revision: 4, syncBase: {}, title: 'Courses', content: 'pain',
+        tags: ['#Maison', 'maison'], pinned: 'oui', createdAt: -1,
+        revisions: [{ id: 3, noteId: 12, title: 'Courses', content: '', createdAt: 1 }, { title: 1 }]
+    }]));
+    const [{ note, revisions }] = records;
+
+    assert.equal(note.id, undefined);
+    assert.equal(note.revision, undefined);
+    assert.equal(note.syncBase, undefined);
+    assert.ok(note.uid);
+    assert.deepEqual(note.tags, ['maison']);
+    assert.equal(note.pinned, false);
+    assert.equal(note.notebookUid, null);
+    assert.ok(note.createdAt > 0);
+    assert.deepEqual(revisions, [{ title: 'Courses', content: '', createdAt: 1 }]);
+});
+
+test('une sauvegarde exportée se réimporte dans une base vide', async () => {
+    const source = await openTestDatabase(NotesDB);
+    const notebook = await source.addNotebook('Travail');
+    const id = await source.addNote({ title: 'Réunion', content: 'v1', tags: ['projet'], color: '#fff', notebookUid: notebook.uid });
+    await source.updateNote(id, { content: 'v2' });
+
+    const data = JSON.parse(JSON.stringify(await source.exportData()));
+    const target = await openTestDatabase(NotesDB);
+    const { records, notebooks } = validateImportData(data);
+    await target.importNotebooks(notebooks);
+    const summary = await target.importNotes(records);
+
+    assert.deepEqual(summary, { created: 1, overwritten: 0, duplicated: 0, skipped: 0 });
+    const [note] = await target.getAllNotes();
+    assert.equal(note.content, 'v2');
+    assert.equal(note.notebookUid, notebook.uid);
+    assert.deepEqual((await target.getNotebooks()).map(n => n.name), ['Travail']);
+    assert.equal((await target.getRevisions(note.id)).length, (await source.getRevisions(id)).length);
+    assert.equal((await target.searchNotes('réunion')).length, 1);
+});
+
+test('collision d\'uid : ignorer, remplacer en gardant l\'historique, ou dupliquer', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote({ title: 'Idée', content: 'locale', tags: [], color: '#fff' });
+    const [{ uid }] = await db.getAllNotes();
+    const imported = () => validateImportData(backup([{ uid, title: 'Idée', content: 'sauvegardée' }])).records;
+
+    assert.equal((await db.importNotes(imported())).skipped, 1);
+    assert.equal((await db.getNotes([id]))[0].content, 'locale');
+
+    assert.equal((await db.importNotes(imported(), { collision: 'overwrite' })).overwritten, 1);
+    assert.equal((await db.getNotes([id]))[0].content, 'sauvegardée');
+    const revisions = await db.getRevisions(id);
+    assert.ok(revisions.some(r => r.content === 'locale'));
+
+    assert.equal((await db.importNotes(imported(), { collision: 'duplicate' })).duplicated, 1);
+    const notes = await db.getAllNotes();
+    assert.equal(notes.length, 2);
+    assert.equal(new Set(notes.map(n => n.uid)).size, 2);
+});
+
+test('les notes Markdown gardent leurs métadonnées et leur carnet', () => {
+    const notebooks = [{ uid: 'p', name: 'Projets', parentUid: null }, { uid: 'm', name: 'Maison', parentUid: 'p' }];
+    const notes = [
+        { uid: 'n1', title: 'Crème brûlée !', content: '# Recette', tags: ['cuisine'], color: '#fff', notebookUid: 'm', favorite: true, createdAt: 1000, updatedAt: 2000 },
+        { uid: 'n2', title: 'Crème brûlée !', content: 'doublon', tags: [], color: '#fff', createdAt: 1000, updatedAt: 1000 },
+        { uid: 'n3', title: 'Jetée', content: '', tags: [], color: '#fff', deletedAt: 5, createdAt: 1, updatedAt: 1 }
+    ];
+    const files = buildMarkdownFiles(notes, notebooks);
+    assert.deepEqual(files.map(f => f.name), ['projets/maison/creme-brulee.md', 'creme-brulee.md']);
+
+    const { note, notebookPath } = parseMarkdownFile(files[0].content, files[0].name);
+    assert.deepEqual(notebookPath, ['Projets', 'Maison']);
+    assert.equal(note.uid, 'n1');
+    assert.equal(note.title, 'Crème brûlée !');
+    assert.equal(note.content, '# Recette');
+    assert.deepEqual(note.tags, ['cuisine']);
+    assert.equal(note.favorite, true);
+    assert.equal(note.updatedAt, 2000);
+});
+
+test('un fichier Markdown sans front-matter prend le titre de son premier intitulé', () => {
+    const { note, notebookPath } = parseMarkdownFile('Intro\n\n# Plan du livre\n', 'Écriture/brouillon.md');
+    assert.equal(note.title, 'Plan du livre');
+    assert.deepEqual(notebookPath, ['Écriture']);
+    assert.equal(parseMarkdownFile('texte', 'idees.md').note.title, 'idees');
+});
+
+test('une archive ZIP se relit et réutilise les carnets existants', async () => {
+    const zip = createZip([
+        { name: 'travail/plan.md', content: '# Plan' },
+        { name: 'travail/archives/vieux.md', content: 'ancien' },
+        { name: '.DS_Store', content: 'x' }
+    ]);
+    const files = await readZip(await zip.arrayBuffer());
+    assert.equal(files.length, 3);
+
+    const existing = [{ uid: 'w', name: 'travail', parentUid: null }];
+    const { records, notebooks } = readMarkdownArchive(files, existing);
+    assert.deepEqual(notebooks.map(n => [n.name, n.parentUid]), [['archives', 'w']]);
+    assert.deepEqual(records.map(r => [r.note.title, r.note.notebookUid]), [
+        ['Plan', 'w'],
+        ['vieux', notebooks[0].uid]
+    ]);
+});
+
+test('une archive sans note Markdown est refusée', async () => {
+    const files = await readZip(await createZip([{ name: 'image.png', content: new Uint8Array([1, 2]) }]).arrayBuffer());
+    assert.throws(() => readMarkdownArchive(files, []), ImportError);
+    await assert.rejects(readZip(new ArrayBuffer(40)), ImportError);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const {
+    parseChecklist, serializeChecklist, textToChecklist, checklistProgress, moveChecklistBlock,
+    indentChecklistItem, swapChecklistItem
+} = loadApp([
+    'parseChecklist', 'serializeChecklist', 'textToChecklist', 'checklistProgress', 'moveChecklistBlock',
+    'indentChecklistItem', 'swapChecklistItem'
+]);
+
+const texts = items => items.map(item => `${item.depth}:${item.text}`);
+
+test('parseChecklist lit cases, puces et indentation', () => {
+    assert.deepEqual(parseChecklist('- [ ] Courses\n  - [x] Pain\n\n* [X] Étoile\n1. [ ] Numéro\nTexte libre'), [
+        { text: 'Courses', checked: false, depth: 0 },
+        { text: 'Pain', checked: true, depth: 1 },
+        { text: 'Étoile', checked: true, depth: 0 },
+        { text: 'Numéro', checked: false, depth: 0 },
+        { text: 'Texte libre', checked: false, depth: 0 }
+    ]);
+    assert.deepEqual(parseChecklist(''), []);
+});
+
+test('parseChecklist ne descend que d\'un niveau sous la tâche précédente', () => {
+    assert.deepEqual(texts(parseChecklist('- [ ] A\n      - [ ] B\n\t\t- [ ] C')), ['0:A', '1:B', '2:C']);
+});
+
+const items = parseChecklist('- [ ] A\n  - [ ] A1\n  - [ ] A2\n- [ ] B\n- [ ] C');
+
+test('moveChecklistBlock déplace une tâche avec ses sous-tâches', () => {
+    const down = moveChecklistBlock(items, 0, items.length);
+    assert.deepEqual(texts(down.items), ['0:B', '0:C', '0:A', '1:A1', '1:A2']);
+    assert.equal(down.index, 2);
+
+    const up = moveChecklistBlock(items, 4, 0);
+    assert.deepEqual(texts(up.items), ['0:C', '0:A', '1:A1', '1:A2', '0:B']);
+    assert.equal(up.index, 0);
+});
+
+test('moveChecklistBlock change le niveau du bloc déplacé', () => {
+    const { items: moved, index } = moveChecklistBlock(items, 3, 1, 1);
+    assert.deepEqual(texts(moved), ['0:A', '1:B', '1:A1', '1:A2', '0:C']);
+    assert.equal(index, 1);
+});
+
+test('moveChecklistBlock ignore un déplacement dans son propre bloc', () => {
+    assert.deepEqual(moveChecklistBlock(items, 0, 2), { items, index: 0 });
+});
+
+test('textToChecklist fait une tâche par ligne et garde les cases cochées', () => {
+    assert.equal(textToChecklist('Pain\n- [x] Lait\n  Œufs'), '- [ ] Pain\n- [x] Lait\n  - [ ] Œufs');
+    assert.equal(serializeChecklist(parseChecklist('- [ ] A\n  - [x] B')), '- [ ] A\n  - [x] B');
+});
+
+test('checklistProgress compte les tâches faites', () => {
+    assert.deepEqual(checklistProgress('- [x] A\n- [ ] B\n- [X] C'), { done: 2, total: 3 });
+    assert.equal(checklistProgress(''), null);
+});
+
+test('indentChecklistItem reste sous la tâche précédente et emmène les sous-tâches', () => {
+    assert.equal(indentChecklistItem(items, 0, 1), items);
+    assert.deepEqual(texts(indentChecklistItem(items, 3, 1)), ['0:A', '1:A1', '1:A2', '1:B', '0:C']);
+    assert.deepEqual(texts(indentChecklistItem(items, 0, -1)), texts(items));
+
+    const nested = parseChecklist('- [ ] A\n- [ ] B\n  - [ ] B1');
+    assert.deepEqual(texts(indentChecklistItem(nested, 1, 1)), ['0:A', '1:B', '2:B1']);
+});
+
+test('swapChecklistItem échange une tâche avec sa sœur, jamais avec un parent', () => {
+    const down = swapChecklistItem(items, 0, 1);
+    assert.deepEqual(texts(down.items), ['0:B', '0:A', '1:A1', '1:A2', '0:C']);
+    assert.equal(down.index, 1);
+
+    assert.deepEqual(texts(swapChecklistItem(items, 2, -1).items), ['0:A', '1:A2', '1:A1', '0:B', '0:C']);
+    assert.equal(swapChecklistItem(items, 1, -1), null);
+    assert.equal(swapChecklistItem(items, 4, 1), null);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB } = loadApp(['NotesDB']);
+
+const newNote = title => ({ title, content: '', tags: [], color: '#fff' });
+
+// Canal en mémoire entre deux bases : ce que l'une publie arrive chez l'autre
+function connect(first, second) {
+    const link = (from, to) => {
+        from.channel = { postMessage: message => to.emit(message) };
+    };
+    link(first, second);
+    link(second, first);
+}
+
+function record(db) {
+    const messages = [];
+    db.subscribe(message => messages.push(message));
+    return messages;
+}
+
+test('chaque écriture annonce les notes touchées aux autres onglets', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const other = new NotesDB();
+    connect(db, other);
+    const received = record(other);
+
+    const id = await db.addNote(newNote('Courses'));
+    await db.updateNote(id, { content: 'pain' });
+    await db.trashNote(id);
+    await db.restoreNote(id);
+    await db.deleteNote(id);
+
+    assert.equal(received.length, 5);
+    received.forEach((message) => {
+        assert.equal(message.type, 'change');
+        assert.equal(message.tabId, db.tabId);
+        assert.deepEqual(message.noteIds, [id]);
+    });
+});
+
+test('un réglage modifié est annoncé par sa clé', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const other = new NotesDB();
+    connect(db, other);
+    const received = record(other);
+
+    await db.setSetting('noteSort', { field: 'title', direction: 'asc' });
+    assert.deepEqual(received.map(m => [m.type, m.setting]), [['change', 'noteSort']]);
+});
+
+test('sans BroadcastChannel, les écritures restent locales', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const received = record(db);
+    assert.equal(db.channel, null);
+    await db.addNote(newNote('Seul'));
+    // L'onglet ne reçoit jamais ses propres annonces
+    assert.deepEqual(received, []);
+});
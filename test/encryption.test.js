@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    EncryptedNotesDB, EncryptionError, encryptText, decryptText, deriveEncryptionKey, isEncryptedText,
+    promisifyRequest
+} = loadApp([
+    'EncryptedNotesDB', 'EncryptionError', 'encryptText', 'decryptText', 'deriveEncryptionKey', 'isEncryptedText',
+    'promisifyRequest'
+]);
+
+const PASSPHRASE = 'cheval agrafe pile';
+
+// Ce qui est réellement écrit dans IndexedDB
+async function readStore(db, name) {
+    const transaction = db.db.transaction([name], 'readonly');
+    return promisifyRequest(transaction.objectStore(name).getAll());
+}
+
+// Base chiffrée avec une note et son historique
+async function setupEncrypted() {
+    const db = await openTestDatabase(EncryptedNotesDB);
+    const id = await db.addNote({ title: 'Banque', content: 'code 1234', tags: ['privé'], color: '#fff' });
+    await db.updateNote(id, { content: 'code 5678' });
+    await db.enableEncryption(PASSPHRASE);
+    return { db, id };
+}
+
+test('encryptText et decryptText font l\'aller-retour, le champ étant authentifié', async () => {
+    const salt = 'c2VsLWRlLXRlc3QtMTIzNA==';
+    const key = await deriveEncryptionKey(PASSPHRASE, salt, 1000);
+    const keys = new Map([[salt, key]]);
+    const value = await encryptText(key, salt, 'content', 'secret');
+
+    assert.ok(isEncryptedText(value));
+    assert.ok(!value.includes('secret'));
+    assert.notEqual(await encryptText(key, salt, 'content', 'secret'), value);
+    assert.equal(await decryptText(keys, 'content', value), 'secret');
+    await assert.rejects(decryptText(keys, 'title', value));
+    await assert.rejects(decryptText(new Map(), 'content', value), EncryptionError);
+});
+
+test('activer le chiffrement réécrit notes et historique, sans index persistant', async () => {
+    const { db, id } = await setupEncrypted();
+
+    const [stored] = await readStore(db, 'notes');
+    assert.ok(isEncryptedText(stored.title) && isEncryptedText(stored.content));
+    assert.deepEqual(stored.tags, ['privé']);
+    (await readStore(db, 'noteRevisions')).forEach((revision) => {
+        assert.ok(isEncryptedText(revision.content));
+    });
+    assert.deepEqual(await readStore(db, 'searchIndex'), []);
+
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'code 5678');
+    assert.ok((await db.getRevisions(id)).every(r => !isEncryptedText(r.content)));
+    // Index en mémoire reconstruit par l'App après l'activation
+    await db.refreshSearchIndex();
+    assert.deepEqual((await db.searchNotes('banque')).map(n => n.id), [id]);
+});
+
+test('les notes ajoutées ensuite sont chiffrées à l\'écriture', async () => {
+    const { db } = await setupEncrypted();
+    const id = await db.addNote({ title: 'Nouvelle', content: 'en clair ?', tags: [], color: '#fff' });
+
+    const stored = (await readStore(db, 'notes')).find(n => n.id === id);
+    assert.ok(isEncryptedText(stored.content));
+    assert.equal((await db.getNotes([id]))[0].content, 'en clair ?');
+});
+
+test('verrouillée, la base refuse lectures et écritures jusqu\'au bon mot de passe', async () => {
+    const { db, id } = await setupEncrypted();
+    db.lock();
+    assert.ok(db.isLocked());
+
+    await assert.rejects(db.getNotes([id]), EncryptionError);
+    await assert.rejects(db.addNote({ title: 'x', content: '', tags: [], color: '#fff' }), EncryptionError);
+    await assert.rejects(db.unlock('mauvaise phrase'), { name: 'EncryptionError', message: 'Phrase secrète incorrecte' });
+
+    await db.unlock(PASSPHRASE);
+    assert.equal((await db.getNotes([id]))[0].title, 'Banque');
+});
+
+test('rouverte, une base chiffrée démarre verrouillée', async () => {
+    const { db } = await setupEncrypted();
+    const reopened = new EncryptedNotesDB();
+    reopened.dbName = db.dbName;
+    await reopened.init();
+
+    assert.ok(reopened.isEncrypted());
+    assert.ok(reopened.isLocked());
+    await reopened.unlock(PASSPHRASE);
+    assert.equal((await reopened.getAllNotes())[0].content, 'code 5678');
+});
+
+test('changer puis désactiver le chiffrement', async () => {
+    const { db, id } = await setupEncrypted();
+    const before = (await readStore(db, 'notes'))[0].content;
+
+    await db.changePassphrase(PASSPHRASE, 'nouvelle phrase secrète');
+    assert.notEqual((await readStore(db, 'notes'))[0].content, before);
+    await assert.rejects(db.verifyPassphrase(PASSPHRASE), EncryptionError);
+
+    await db.disableEncryption('nouvelle phrase secrète');
+    assert.ok(!db.isEncrypted());
+    const [stored] = await readStore(db, 'notes');
+    assert.equal(stored.content, 'code 5678');
+    assert.equal((await db.getRevisions(id)).filter(r => isEncryptedText(r.content)).length, 0);
+});
@@ -0,0 +1,83 @@
+// ============================================
+// SERVEUR DE SYNCHRONISATION EN MÉMOIRE POUR LES TESTS
+// ============================================
+// Même contrat que mock-server.js, servi par un fetch() de remplacement :
+// pas de port ouvert. "offline" simule un serveur injoignable et
+// "failWith" une réponse d'erreur pour toutes les requêtes d'écriture.
+
+const ENDPOINT = 'https://sync.exemple';
+
+function createSyncServer() {
+    const server = {
+        // uid → note ou carnet (suppressions gardées comme "tombstones")
+        notes: new Map(),
+        notebooks: new Map(),
+        revision: 0,
+        requests: [],
+        offline: false,
+        failWith: null
+    };
+
+    const reply = (status, body) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    // Modification faite sur un autre appareil
+    server.edit = (uid, fields) => {
+        const note = { ...server.notes.get(uid), ...fields, uid, revision: ++server.revision };
+        server.notes.set(uid, note);
+        return note;
+    };
+
+    server.fetch = async (input, options = {}) => {
+        const method = options.method || 'GET';
+        const url = new URL(input);
+        server.requests.push(`${method} ${url.pathname}`);
+
+        if (server.offline) throw new TypeError('Failed to fetch');
+
+        const [, collection, encodedUid] = url.pathname.split('/');
+        const uid = encodedUid && decodeURIComponent(encodedUid);
+
+        if (method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const changed = store => [...store.values()].filter(record => record.revision > since);
+            return reply(200, { notes: changed(server.notes), notebooks: changed(server.notebooks), cursor: server.revision });
+        }
+
+        if (server.failWith) return reply(server.failWith, { error: 'Erreur simulée' });
+
+        // Carnets : la dernière écriture l'emporte
+        if (collection === 'notebooks') {
+            const current = server.notebooks.get(uid);
+            if (method === 'DELETE' && (!current || current.deleted)) return reply(404, { error: 'Carnet inconnu' });
+            const notebook = method === 'PUT' ? JSON.parse(options.body) : { deleted: true };
+            server.notebooks.set(uid, { ...notebook, uid, revision: ++server.revision });
+            return reply(200, { revision: server.revision });
+        }
+
+        const current = server.notes.get(uid);
+
+        if (method === 'PUT') {
+            const { baseRevision, ...body } = JSON.parse(options.body);
+            if (current && current.revision !== baseRevision) {
+                return reply(409, { error: 'Conflit de révision', note: current });
+            }
+            const note = { ...body, uid, revision: ++server.revision };
+            server.notes.set(uid, note);
+            return reply(200, { revision: note.revision, updatedAt: note.updatedAt });
+        }
+
+        if (!current || current.deleted) return reply(404, { error: 'Note inconnue' });
+        if (current.revision !== Number(url.searchParams.get('baseRevision'))) {
+            return reply(409, { error: 'Conflit de révision', note: current });
+        }
+        server.notes.set(uid, { uid, deleted: true, revision: ++server.revision });
+        return reply(200, { revision: server.revision });
+    };
+
+    return server;
+}
+
+module.exports = { ENDPOINT, createSyncServer };
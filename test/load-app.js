@@ -0,0 +1,65 @@
+// ============================================
+// CHARGEMENT DE L'APPLICATION POUR LES TESTS
+// ============================================
+// app.jsx et sync-engine.js sont des scripts de navigateur sans exports :
+// on les exécute dans le contexte global de Node (JSX compilé par esbuild),
+// jusqu'au rendu de l'App exclu, puis on lit leurs déclarations par leur nom.
+// IndexedDB est simulé par fake-indexeddb ; chaque fichier de test tourne
+// dans son propre processus (node --test).
+
+require('fake-indexeddb/auto');
+const esbuild = require('esbuild');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const RENDER_MARKER = "// Rendu de l'application";
+
+let loaded = false;
+
+function defineBrowserGlobals() {
+    global.window = global;
+    global.self = global;
+    global.location = { href: 'http://localhost:8000/' };
+    global.navigator = { onLine: true };
+    global.Notification = { permission: 'denied' };
+    // Pas de canal entre onglets : il garderait le processus ouvert
+    global.BroadcastChannel = undefined;
+    global.React = require('react');
+    global.ReactDOM = require('react-dom/client');
+    // Journal de l'application (📦, ✅...) masqué : sur stdout, il se mêle au
+    // rapport que node --test lit dans chaque processus de test
+    console.log = () => {};
+}
+
+function loadScripts() {
+    defineBrowserGlobals();
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, 'sync-engine.js'), 'utf8'), { filename: 'sync-engine.js' });
+
+    const app = fs.readFileSync(path.join(ROOT, 'app.jsx'), 'utf8');
+    const { code } = esbuild.transformSync(app.slice(0, app.indexOf(RENDER_MARKER)), { loader: 'jsx' });
+    vm.runInThisContext(code, { filename: 'app.jsx' });
+}
+
+// → { nom: valeur } pour les fonctions, classes et constantes demandées
+function loadApp(names) {
+    if (!loaded) {
+        loadScripts();
+        loaded = true;
+    }
+    return Object.fromEntries(names.map(name => [name, vm.runInThisContext(name)]));
+}
+
+// Base neuve, sous un nom propre à chaque appel : les tests d'un même
+// fichier ne partagent pas leurs données
+let databaseCount = 0;
+
+async function openTestDatabase(DatabaseClass) {
+    const db = new DatabaseClass();
+    db.dbName = `NotesFlowTest-${++databaseCount}`;
+    await db.init();
+    return db;
+}
+
+module.exports = { loadApp, openTestDatabase };
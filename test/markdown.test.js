@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderToStaticMarkup } = require('react-dom/server');
+const { loadApp } = require('./load-app');
+
+const {
+    sanitizeUrl, parseMarkdown, parseInline, renderInline, toggleMarkdownTask, applyMarkdownFormat, MARKDOWN_ACTIONS
+} = loadApp([
+    'sanitizeUrl', 'parseMarkdown', 'parseInline', 'renderInline', 'toggleMarkdownTask', 'applyMarkdownFormat',
+    'MARKDOWN_ACTIONS'
+]);
+
+const renderText = text => renderToStaticMarkup(React.createElement(React.Fragment, null, renderInline(parseInline(text))));
+const formatOf = id => MARKDOWN_ACTIONS.find(action => action.id === id).format;
+
+test('parseMarkdown découpe titres, paragraphes, listes, code et citations', () => {
+    assert.deepEqual(parseMarkdown('# Titre\n\nTexte\n\n- [x] fait\n- item\n\n```js\ncode\n```\n> cité'), [
+        { type: 'heading', level: 1, text: 'Titre' },
+        { type: 'paragraph', text: 'Texte' },
+        {
+            type: 'list',
+            ordered: false,
+            start: 1,
+            items: [
+                { text: 'fait', checked: true, line: 4, children: [] },
+                { text: 'item', checked: null, line: 5, children: [] }
+            ]
+        },
+        { type: 'code', lang: 'js', text: 'code' },
+        { type: 'blockquote', children: [{ type: 'paragraph', text: 'cité' }] }
+    ]);
+});
+
+test('le rendu n\'émet que des liens sûrs', () => {
+    assert.match(renderText('[ok](https://exemple.fr)'), /^<a href="https:\/\/exemple\.fr\/" target="_blank" rel="noopener noreferrer"/);
+    assert.doesNotMatch(renderText('[x](javascript:alert(1)) [y](\u0001javascript:alert(1))'), /href/);
+});
+
+test('toggleMarkdownTask coche et décoche la ligne donnée', () => {
+    assert.equal(toggleMarkdownTask('- [ ] a\n- [x] b', 0), '- [x] a\n- [x] b');
+    assert.equal(toggleMarkdownTask('- [ ] a\n- [x] b', 1), '- [ ] a\n- [ ] b');
+});
+
+test('applyMarkdownFormat entoure la sélection et bascule les préfixes de ligne', () => {
+    assert.deepEqual(applyMarkdownFormat('un mot', 3, 6, formatOf('bold')), {
+        text: 'un **mot**', selectionStart: 5, selectionEnd: 8
+    });
+    assert.equal(applyMarkdownFormat('a\nb', 0, 3, formatOf('list')).text, '- a\n- b');
+    assert.equal(applyMarkdownFormat('- a\n- b', 0, 7, formatOf('list')).text, 'a\nb');
+});
+
+test('sanitizeUrl accepte http, https et mailto', () => {
+    assert.equal(sanitizeUrl('https://exemple.com/a b'), 'https://exemple.com/a%20b');
+    assert.equal(sanitizeUrl('http://exemple.com'), 'http://exemple.com/');
+    assert.equal(sanitizeUrl('mailto:moi@exemple.fr'), 'mailto:moi@exemple.fr');
+});
+
+test('sanitizeUrl rend absolu un lien relatif', () => {
+    assert.equal(sanitizeUrl('/notes', 'https://app.exemple/dossier/'), 'https://app.exemple/notes');
+    assert.equal(sanitizeUrl('notes/1', 'https://app.exemple/dossier/'), 'https://app.exemple/dossier/notes/1');
+});
+
+test('sanitizeUrl refuse les autres protocoles, même déguisés', () => {
+    for (const url of ['javascript:alert(1)', '\u0001javascript:alert(1)', ' JaVa\tScript:alert(1)', 'data:text/html,x', 'vbscript:x']) {
+        assert.equal(sanitizeUrl(url), null, JSON.stringify(url));
+    }
+});
+
+test('sanitizeUrl refuse une URL invalide', () => {
+    assert.equal(sanitizeUrl('http://[invalide'), null);
+});
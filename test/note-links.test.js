@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const {
+    normalizeNoteTitle, isLinkableTitle, getNoteLinks, getNoteTitleIndex, collectBacklinks, suggestNoteLinks,
+    replaceNoteLinks, buildNoteGraph
+} = loadApp([
+    'normalizeNoteTitle', 'isLinkableTitle', 'getNoteLinks', 'getNoteTitleIndex', 'collectBacklinks',
+    'suggestNoteLinks', 'replaceNoteLinks', 'buildNoteGraph'
+]);
+
+const notes = [
+    { id: 1, title: 'Projet Été', content: 'Voir [[recettes]] et [[ Réunion  lundi ]], encore [[Recettes]]' },
+    { id: 2, title: 'Recettes', content: 'Retour au [[projet ete]]' },
+    { id: 3, title: 'Réunion lundi', content: '' },
+    { id: 4, title: 'Isolée', content: 'Lien vers [[Introuvable]]' },
+    { id: 5, title: 'Recettes', content: 'Doublon plus ancien' }
+];
+
+test('les titres liés ignorent casse, accents et espaces superflus', () => {
+    assert.equal(normalizeNoteTitle('  Réunion   Lundi '), normalizeNoteTitle('reunion lundi'));
+    assert.deepEqual(getNoteLinks(notes[0]), [normalizeNoteTitle('Recettes'), normalizeNoteTitle('Réunion lundi')]);
+    assert.ok(isLinkableTitle('Courses'));
+    assert.ok(!isLinkableTitle('[brouillon]'));
+    assert.ok(!isLinkableTitle('   '));
+});
+
+test('à titre égal, le lien mène à la première note de la liste', () => {
+    assert.equal(getNoteTitleIndex(notes).get(normalizeNoteTitle('recettes')).id, 2);
+});
+
+test('collectBacklinks trouve les notes qui renvoient à une note', () => {
+    assert.deepEqual(collectBacklinks(notes, notes[1]).map(note => note.id), [1]);
+    assert.deepEqual(collectBacklinks(notes, notes[0]).map(note => note.id), [2]);
+    assert.deepEqual(collectBacklinks(notes, notes[3]), []);
+});
+
+test('suggestNoteLinks propose d\'abord les titres qui commencent par la saisie', () => {
+    assert.deepEqual(suggestNoteLinks(notes, 'R', null).map(note => note.id), [2, 3, 5, 1]);
+    // Pas la note en cours d'édition
+    assert.deepEqual(suggestNoteLinks(notes, 'r', 2).map(note => note.id), [3, 5, 1]);
+});
+
+test('replaceNoteLinks fait suivre les liens d\'une note renommée', () => {
+    assert.equal(
+        replaceNoteLinks(notes[0].content, 'Recettes', ' Cuisine '),
+        'Voir [[Cuisine]] et [[ Réunion  lundi ]], encore [[Cuisine]]'
+    );
+});
+
+test('buildNoteGraph relie les notes et laisse de côté celles sans lien', () => {
+    const { nodes, edges } = buildNoteGraph(notes);
+    assert.deepEqual(edges, [{ from: 1, to: 2 }, { from: 1, to: 3 }, { from: 2, to: 1 }]);
+    assert.deepEqual(nodes.map(node => node.note.id).sort(), [1, 2, 3]);
+
+    const focused = buildNoteGraph(notes, 4);
+    assert.ok(focused.nodes.some(node => node.note.id === 4));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const {
+    sortNotes, normalizeNoteSort, NOTE_LIST_FILTERS, NOTE_COLORS, DEFAULT_NOTE_SORT
+} = loadApp([
+    'sortNotes', 'normalizeNoteSort', 'NOTE_LIST_FILTERS', 'NOTE_COLORS', 'DEFAULT_NOTE_SORT'
+]);
+
+const notes = [
+    { id: 1, title: 'Note 10', color: NOTE_COLORS.vert, createdAt: 3, updatedAt: 10 },
+    { id: 2, title: 'note 9', color: '#123456', createdAt: 1, updatedAt: 30, pinned: true },
+    { id: 3, title: 'Écrire', color: NOTE_COLORS.orange, createdAt: 2, updatedAt: 20, favorite: true },
+    { id: 4, title: 'Archive', color: NOTE_COLORS.bleu, createdAt: 4, updatedAt: 40, archived: true }
+];
+
+const ids = list => list.map(note => note.id);
+
+test('les notes épinglées restent en tête quel que soit le tri', () => {
+    assert.deepEqual(ids(sortNotes(notes, { field: 'updatedAt', direction: 'desc' })), [2, 4, 3, 1]);
+    assert.deepEqual(ids(sortNotes(notes, { field: 'updatedAt', direction: 'asc' })), [2, 1, 3, 4]);
+    assert.deepEqual(ids(sortNotes(notes, { field: 'createdAt', direction: 'asc' })), [2, 3, 1, 4]);
+});
+
+test('le tri par titre ignore accents et casse et compare les nombres', () => {
+    assert.deepEqual(ids(sortNotes(notes, { field: 'title', direction: 'asc' })), [2, 4, 3, 1]);
+    assert.deepEqual(ids(sortNotes(notes.map(n => ({ ...n, pinned: false })), { field: 'title', direction: 'asc' })), [4, 3, 2, 1]);
+});
+
+test('le tri par couleur suit la palette, couleurs inconnues à la fin', () => {
+    const unpinned = notes.map(n => ({ ...n, pinned: false }));
+    assert.deepEqual(ids(sortNotes(unpinned, { field: 'color', direction: 'asc' })), [3, 4, 1, 2]);
+});
+
+test('un réglage de tri illisible revient au tri par défaut', () => {
+    assert.equal(normalizeNoteSort(null), DEFAULT_NOTE_SORT);
+    assert.equal(normalizeNoteSort({ field: 'auteur', direction: 'asc' }), DEFAULT_NOTE_SORT);
+    assert.equal(normalizeNoteSort({ field: 'title', direction: 'haut' }), DEFAULT_NOTE_SORT);
+    assert.deepEqual(normalizeNoteSort({ field: 'title', direction: 'asc' }), { field: 'title', direction: 'asc' });
+});
+
+test('les filtres de la liste séparent favoris et archives', () => {
+    const match = key => ids(notes.filter(NOTE_LIST_FILTERS[key].match));
+    assert.deepEqual(match('all'), [1, 2, 3]);
+    assert.deepEqual(match('favorites'), [3]);
+    assert.deepEqual(match('archived'), [4]);
+});
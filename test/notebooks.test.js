@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+const { ENDPOINT, createSyncServer } = require('./fake-sync-server');
+
+const {
+    NotesDB, SyncEngine, collectNotebookSubtree, buildNotebookTree, flattenNotebookTree, promisifyRequest
+} = loadApp([
+    'NotesDB', 'SyncEngine', 'collectNotebookSubtree', 'buildNotebookTree', 'flattenNotebookTree', 'promisifyRequest'
+]);
+
+// Deux appareils reliés au même serveur en mémoire
+async function setupDevices() {
+    const server = createSyncServer();
+    global.fetch = server.fetch;
+    const devices = [];
+    for (let i = 0; i < 2; i++) {
+        const db = await openTestDatabase(NotesDB);
+        await db.setSetting('syncEndpoint', ENDPOINT);
+        devices.push({ db, engine: new SyncEngine({ getDB: () => db.db }) });
+    }
+    return { server, devices };
+}
+
+async function readOutbox(db) {
+    const transaction = db.db.transaction(['outbox'], 'readonly');
+    return promisifyRequest(transaction.objectStore('outbox').getAll());
+}
+
+const names = notebooks => notebooks.map(n => n.name).sort();
+
+test('collectNotebookSubtree suit tous les niveaux de sous-carnets', () => {
+    const notebooks = [
+        { uid: 'c', parentUid: 'b' },
+        { uid: 'b', parentUid: 'a' },
+        { uid: 'a', parentUid: null },
+        { uid: 'x', parentUid: null }
+    ];
+    assert.deepEqual([...collectNotebookSubtree(notebooks, 'a')].sort(), ['a', 'b', 'c']);
+    assert.deepEqual([...collectNotebookSubtree(notebooks, 'x')], ['x']);
+});
+
+test('buildNotebookTree trie par nom et rattache à la racine un carnet orphelin', () => {
+    const notebooks = [
+        { uid: 'p', name: 'Projets', parentUid: null },
+        { uid: 'z', name: 'Zèbre', parentUid: 'p' },
+        { uid: 'e', name: 'École', parentUid: 'p' },
+        { uid: 'o', name: 'Orphelin', parentUid: 'disparu' }
+    ];
+    const flat = flattenNotebookTree(buildNotebookTree(notebooks));
+    assert.deepEqual(
+        flat.map(({ notebook, depth }) => [notebook.name, depth]),
+        [['Orphelin', 0], ['Projets', 0], ['École', 1], ['Zèbre', 1]]
+    );
+});
+
+test('créer, renommer et supprimer un carnet passe par l\'outbox', async () => {
+    const { devices: [{ db }] } = await setupDevices();
+    const notebook = await db.addNotebook(' Travail ');
+    assert.equal(notebook.name, 'Travail');
+
+    await db.renameNotebook(notebook.uid, 'Bureau');
+    let outbox = await readOutbox(db);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].op, 'notebook');
+    assert.equal(outbox[0].noteUid, notebook.uid);
+
+    const child = await db.addNotebook('Réunions', notebook.uid);
+    await db.deleteNotebook(notebook.uid);
+    outbox = await readOutbox(db);
+    assert.deepEqual(
+        outbox.map(entry => [entry.noteUid, entry.op]).sort(),
+        [[notebook.uid, 'notebook-delete'], [child.uid, 'notebook-delete']].sort()
+    );
+    assert.deepEqual(await db.getNotebooks(), []);
+});
+
+test('les carnets créés sur un appareil arrivent sur l\'autre', async () => {
+    const { server, devices: [first, second] } = await setupDevices();
+    const parent = await first.db.addNotebook('Projets');
+    await first.db.addNotebook('Maison', parent.uid);
+    await first.engine.run();
+
+    assert.deepEqual(names([...server.notebooks.values()]), ['Maison', 'Projets']);
+    assert.deepEqual(await readOutbox(first.db), []);
+
+    await second.engine.run();
+    const received = await second.db.getNotebooks();
+    assert.deepEqual(names(received), ['Maison', 'Projets']);
+    assert.equal(received.find(n => n.name === 'Maison').parentUid, parent.uid);
+    assert.ok(received.every(n => n.revision === undefined));
+});
+
+test('renommage et suppression distants sont appliqués', async () => {
+    const { devices: [first, second] } = await setupDevices();
+    const kept = await first.db.addNotebook('Idées');
+    const removed = await first.db.addNotebook('Brouillons');
+    await first.engine.run();
+    await second.engine.run();
+
+    await second.db.renameNotebook(kept.uid, 'Idées en vrac');
+    await second.db.deleteNotebook(removed.uid);
+    await second.engine.run();
+    await first.engine.run();
+
+    assert.deepEqual(names(await first.db.getNotebooks()), ['Idées en vrac']);
+});
+
+test('un carnet modifié ici et pas encore envoyé n\'est pas écrasé par le serveur', async () => {
+    const { devices: [first, second] } = await setupDevices();
+    const notebook = await first.db.addNotebook('Lectures');
+    await first.engine.run();
+    await second.engine.run();
+
+    await first.db.renameNotebook(notebook.uid, 'Livres');
+    await first.engine.run();
+
+    await second.db.renameNotebook(notebook.uid, 'Romans');
+    await second.engine.pull(second.db.db, ENDPOINT);
+    assert.equal((await second.db.getNotebooks())[0].name, 'Romans');
+
+    // Envoyé ensuite, le renommage local l'emporte (dernière écriture)
+    await second.engine.run();
+    await first.engine.run();
+    assert.equal((await first.db.getNotebooks())[0].name, 'Romans');
+});
+
+test('un carnet créé puis supprimé avant l\'envoi ne bloque pas l\'outbox', async () => {
+    const { devices: [{ db, engine }] } = await setupDevices();
+    const notebook = await db.addNotebook('Temporaire');
+    await db.deleteNotebook(notebook.uid);
+
+    const result = await engine.run();
+    assert.equal(result.pushed, 1);
+    assert.deepEqual(await readOutbox(db), []);
+});
+
+test('la mise à niveau v8 met en file les carnets existants', async () => {
+    const db = new NotesDB();
+    db.dbName = 'NotesFlowTest-v7';
+    db.version = 7;
+    await db.init();
+    const notebook = await db.addNotebook('Ancien');
+    // Base v7 : rien n'était enregistré dans l'outbox pour les carnets
+    const transaction = db.db.transaction(['outbox'], 'readwrite');
+    await promisifyRequest(transaction.objectStore('outbox').clear());
+    db.db.close();
+
+    const upgraded = new NotesDB();
+    upgraded.dbName = 'NotesFlowTest-v7';
+    await upgraded.init();
+    const outbox = await readOutbox(upgraded);
+    assert.deepEqual(outbox.map(entry => [entry.noteUid, entry.op]), [[notebook.uid, 'notebook']]);
+});
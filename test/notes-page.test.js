@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const { NotesDB, upsertNotes, transactionDone } = loadApp(['NotesDB', 'upsertNotes', 'transactionDone']);
+
+// Base contenant "count" notes ; "sameDate" d'entre elles partagent une date
+async function createDatabase(count, sameDate) {
+    const db = new NotesDB();
+    db.dbName = `NotesPageTest-${count}-${sameDate}`;
+    await db.init();
+
+    const transaction = db.db.transaction(['notes'], 'readwrite');
+    const objectStore = transaction.objectStore('notes');
+    for (let i = 0; i < count; i++) {
+        objectStore.add({
+            uid: `note-${i}`,
+            title: `Note ${i}`,
+            content: '',
+            tags: [],
+            createdAt: 1000,
+            updatedAt: i < sameDate ? 5000 : 1000 + i,
+            notebookUid: i % 2 ? 'carnet' : null
+        });
+    }
+    await transactionDone(transaction);
+    return db;
+}
+
+async function readAllPages(db, limit) {
+    const pages = [];
+    let after = null;
+    do {
+        const page = await db.getNotesPage({ after, limit });
+        pages.push(page.notes.map(note => note.id));
+        after = page.cursor;
+    } while (after);
+    return pages;
+}
+
+test('getNotesPage parcourt les notes de la plus récente à la plus ancienne', async () => {
+    const db = await createDatabase(7, 0);
+    assert.deepEqual(await readAllPages(db, 3), [[7, 6, 5], [4, 3, 2], [1]]);
+});
+
+test('getNotesPage reprend après la dernière note d\'une page, même à date égale', async () => {
+    const db = await createDatabase(8, 5);
+    const pages = await readAllPages(db, 2);
+    assert.deepEqual(pages, [[5, 4], [3, 2], [1, 8], [7, 6]]);
+});
+
+test('getNotesPage rend un curseur vide à la dernière page', async () => {
+    const db = await createDatabase(2, 0);
+    const page = await db.getNotesPage({ limit: 2 });
+    assert.equal(page.notes.length, 2);
+    assert.equal(page.cursor, null);
+});
+
+test('getNoteIdsUpdatedSince et countNotebookNotes lisent les index sans parcourir la liste', async () => {
+    const db = await createDatabase(6, 0);
+    assert.deepEqual(await db.getNoteIdsUpdatedSince(1004), [5, 6]);
+    assert.equal(await db.countNotebookNotes(new Set(['carnet'])), 3);
+    assert.equal(await db.countNotebookNotes(['carnet', 'autre']), 3);
+});
+
+test('upsertNotes remplace, retire et ajoute les notes relues', () => {
+    const list = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }, { id: 3, title: 'c' }];
+    const records = [{ id: 2, title: 'B' }, { id: 4, title: 'd' }];
+    assert.deepEqual(upsertNotes(list, [2, 3, 4], records), [
+        { id: 1, title: 'a' }, { id: 2, title: 'B' }, { id: 4, title: 'd' }
+    ]);
+    // Une note déjà présente n'est pas ajoutée deux fois
+    assert.deepEqual(upsertNotes(list, [1], [{ id: 1, title: 'A' }]).map(note => note.title), ['A', 'b', 'c']);
+});
@@ -0,0 +1,95 @@
+// Calendrier local avec changement d'heure (dernier dimanche de mars)
+process.env.TZ = 'Europe/Paris';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    NotesDB, nextReminderOccurrence, reminderDueAt, isReminderOverdue, reminderFiredBetween,
+    snoozeReminder, completeReminder, collectDueReminders, updateNoteReminder, promisifyRequest
+} = loadApp([
+    'NotesDB', 'nextReminderOccurrence', 'reminderDueAt', 'isReminderOverdue', 'reminderFiredBetween',
+    'snoozeReminder', 'completeReminder', 'collectDueReminders', 'updateNoteReminder', 'promisifyRequest'
+]);
+
+const at = text => new Date(text).getTime();
+const HOUR = 60 * 60 * 1000;
+
+test('nextReminderOccurrence : rappel unique, quotidien et hebdomadaire', () => {
+    const once = { dueAt: at('2026-03-10T09:00'), repeat: null };
+    assert.equal(nextReminderOccurrence(once, at('2026-03-09T00:00')), once.dueAt);
+    assert.equal(nextReminderOccurrence(once, once.dueAt), null);
+
+    const daily = { dueAt: at('2026-03-10T09:00'), repeat: 'daily' };
+    assert.equal(nextReminderOccurrence(daily, at('2026-03-10T09:00')), at('2026-03-11T09:00'));
+    assert.equal(nextReminderOccurrence(daily, at('2026-03-20T08:00')), at('2026-03-20T09:00'));
+
+    const weekly = { dueAt: at('2026-03-02T18:30'), repeat: 'weekly' };
+    assert.equal(nextReminderOccurrence(weekly, at('2026-03-10T12:00')), at('2026-03-16T18:30'));
+});
+
+test('une répétition garde son heure locale après le passage à l\'heure d\'été', () => {
+    const daily = { dueAt: at('2026-03-27T09:00'), repeat: 'daily' };
+    const next = nextReminderOccurrence(daily, at('2026-03-29T00:00'));
+    assert.equal(next, at('2026-03-29T09:00'));
+    assert.equal(next - daily.dueAt, 2 * 24 * HOUR - HOUR);
+});
+
+test('un report passe avant l\'échéance, un rappel unique dépassé est en retard', () => {
+    const now = at('2026-05-01T12:00');
+    const once = { dueAt: at('2026-05-01T10:00'), repeat: null };
+    assert.ok(isReminderOverdue(once, now));
+    assert.equal(reminderDueAt(once, now), once.dueAt);
+
+    const snoozed = snoozeReminder(once, now + 10 * 60 * 1000);
+    assert.equal(snoozed.dueAt, once.dueAt);
+    assert.equal(reminderDueAt(snoozed, now), now + 10 * 60 * 1000);
+    assert.ok(!isReminderOverdue(snoozed, now));
+
+    const daily = { dueAt: at('2026-04-01T08:00'), repeat: 'daily', snoozedUntil: now + HOUR };
+    assert.equal(reminderDueAt(daily, now), now + HOUR);
+    assert.ok(!isReminderOverdue(daily, now));
+});
+
+test('reminderFiredBetween tient compte des occurrences et des reports', () => {
+    const daily = { dueAt: at('2026-05-01T08:00'), repeat: 'daily' };
+    assert.ok(reminderFiredBetween(daily, at('2026-05-03T07:00'), at('2026-05-03T08:00')));
+    assert.ok(!reminderFiredBetween(daily, at('2026-05-03T08:00'), at('2026-05-03T09:00')));
+
+    const snoozed = { dueAt: at('2026-05-01T08:00'), repeat: null, snoozedUntil: at('2026-05-01T08:10') };
+    assert.ok(reminderFiredBetween(snoozed, at('2026-05-01T08:05'), at('2026-05-01T08:15')));
+});
+
+test('completeReminder supprime un rappel unique et garde un rappel répété', () => {
+    assert.equal(completeReminder({ dueAt: 1, repeat: null }), null);
+    assert.deepEqual(completeReminder({ dueAt: 1, repeat: 'weekly', snoozedUntil: 5 }), { dueAt: 1, repeat: 'weekly', snoozedUntil: null });
+});
+
+test('collectDueReminders signale chaque rappel une seule fois', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const reminder = { dueAt: at('2026-05-01T10:00'), repeat: null };
+    await db.addNote({ title: 'Dentiste', content: '', tags: [], color: '#fff', reminder });
+    const trashed = await db.addNote({ title: 'Oublié', content: '', tags: [], color: '#fff', reminder });
+    await db.trashNote(trashed);
+
+    assert.deepEqual(await collectDueReminders(db.db, at('2026-05-01T09:00')), []);
+    const due = await collectDueReminders(db.db, at('2026-05-01T10:00'));
+    assert.deepEqual(due.map(note => note.title), ['Dentiste']);
+    assert.deepEqual(await collectDueReminders(db.db, at('2026-05-01T10:01')), []);
+});
+
+test('updateNoteReminder modifie le rappel et le met en file pour la synchronisation', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote({
+        title: 'Réunion', content: '', tags: [], color: '#fff', reminder: { dueAt: 1, repeat: null }
+    });
+    const [{ uid }] = await db.getNotes([id]);
+    const transaction = db.db.transaction(['outbox'], 'readwrite');
+    await promisifyRequest(transaction.objectStore('outbox').clear());
+
+    await updateNoteReminder(db.db, uid, completeReminder);
+    assert.equal((await db.getNotes([id]))[0].reminder, null);
+    const outbox = await promisifyRequest(db.db.transaction(['outbox'], 'readonly').objectStore('outbox').getAll());
+    assert.deepEqual(outbox.map(entry => [entry.noteUid, entry.op]), [[uid, 'update']]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB, REVISION_COALESCE_MS, MAX_REVISIONS_PER_NOTE } = loadApp([
+    'NotesDB', 'REVISION_COALESCE_MS', 'MAX_REVISIONS_PER_NOTE'
+]);
+
+// Horloge avancée à la main : le regroupement dépend de Date.now()
+const realNow = Date.now;
+let clock = 1000000;
+test.beforeEach(() => {
+    Date.now = () => clock;
+});
+test.afterEach(() => {
+    Date.now = realNow;
+});
+const wait = (ms) => {
+    clock += ms;
+};
+
+async function createNote() {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote({ title: 'Titre', content: 'v0', tags: [], color: '#fff' });
+    return { db, id };
+}
+
+const contents = revisions => revisions.map(revision => revision.content);
+
+test('la première modification garde aussi le texte d\'origine', async () => {
+    const { db, id } = await createNote();
+    wait(1000);
+    await db.updateNote(id, { content: 'v1' });
+
+    assert.deepEqual(contents(await db.getRevisions(id)), ['v1', 'v0']);
+});
+
+test('les modifications rapprochées sont regroupées dans une version', async () => {
+    const { db, id } = await createNote();
+    for (const content of ['v1', 'v2', 'v3']) {
+        wait(60 * 1000);
+        await db.updateNote(id, { content });
+    }
+    assert.deepEqual(contents(await db.getRevisions(id)), ['v3', 'v0']);
+
+    wait(REVISION_COALESCE_MS);
+    await db.updateNote(id, { content: 'v4' });
+    assert.deepEqual(contents(await db.getRevisions(id)), ['v4', 'v3', 'v0']);
+});
+
+test('un changement sans texte modifié ne crée pas de version', async () => {
+    const { db, id } = await createNote();
+    wait(1000);
+    await db.updateNote(id, { color: '#000', tags: ['x'] });
+
+    assert.deepEqual(await db.getRevisions(id), []);
+});
+
+test('l\'historique est limité aux versions les plus récentes', async () => {
+    const { db, id } = await createNote();
+    for (let i = 1; i <= MAX_REVISIONS_PER_NOTE + 5; i++) {
+        wait(REVISION_COALESCE_MS);
+        await db.updateNote(id, { content: `v${i}` });
+    }
+
+    const revisions = await db.getRevisions(id);
+    assert.equal(revisions.length, MAX_REVISIONS_PER_NOTE);
+    assert.equal(revisions[0].content, `v${MAX_REVISIONS_PER_NOTE + 5}`);
+    assert.equal(revisions[revisions.length - 1].content, 'v6');
+});
+
+test('restaurer une version la recopie et l\'ajoute à l\'historique', async () => {
+    const { db, id } = await createNote();
+    wait(1000);
+    await db.updateNote(id, { content: 'v1' });
+    const original = (await db.getRevisions(id)).find(revision => revision.content === 'v0');
+
+    wait(1000);
+    await db.restoreRevision(id, original.id);
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'v0');
+    assert.deepEqual(contents(await db.getRevisions(id)), ['v0', 'v1', 'v0']);
+
+    await assert.rejects(db.restoreRevision(id, 9999), /Version non trouvée/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB, SaveQueue, NoteNotFoundError, SAVE_DELAY_MS, SAVE_RETRY_DELAYS_MS } = loadApp([
+    'NotesDB', 'SaveQueue', 'NoteNotFoundError', 'SAVE_DELAY_MS', 'SAVE_RETRY_DELAYS_MS'
+]);
+
+// File dont les écritures sont enregistrées dans "writes" ; "fail" fait
+// échouer les suivantes
+function createQueue() {
+    const writes = [];
+    const statuses = [];
+    const control = { fail: false };
+    const queue = new SaveQueue(async (noteId, updates) => {
+        if (control.fail) throw new Error('écriture refusée');
+        writes.push([noteId, updates]);
+    }, status => statuses.push(status));
+    return { queue, writes, statuses, control };
+}
+
+test('SaveQueue regroupe les champs d\'une note en une écriture', async () => {
+    const { queue, writes, statuses } = createQueue();
+    queue.schedule(1, { title: 'T' });
+    queue.schedule(1, { content: 'a' });
+    queue.schedule(1, { content: 'ab' });
+    assert.equal(queue.hasPending(1), true);
+
+    await queue.flush();
+    assert.deepEqual(writes, [[1, { title: 'T', content: 'ab' }]]);
+    assert.equal(queue.hasPending(), false);
+    assert.deepEqual(statuses, ['pending', 'saving', 'saved']);
+});
+
+test('SaveQueue écrit après le délai sans flush', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { queue, writes } = createQueue();
+    queue.schedule(1, { content: 'a' });
+    t.mock.timers.tick(SAVE_DELAY_MS - 1);
+    assert.deepEqual(writes, []);
+    t.mock.timers.tick(1);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(writes, [[1, { content: 'a' }]]);
+    assert.equal(queue.status, 'saved');
+});
+
+test('SaveQueue garde une écriture refusée, complétée par la saisie suivante', async () => {
+    const { queue, writes, control } = createQueue();
+    control.fail = true;
+    queue.schedule(1, { title: 'T', content: 'a' });
+    await queue.flush();
+    assert.equal(queue.status, 'error');
+    assert.equal(queue.hasPending(1), true);
+
+    queue.schedule(1, { content: 'ab' });
+    control.fail = false;
+    await queue.flush(1);
+    assert.deepEqual(writes, [[1, { title: 'T', content: 'ab' }]]);
+    assert.equal(queue.status, 'saved');
+});
+
+test('SaveQueue oublie la saisie d\'une note supprimée', async () => {
+    const { queue, writes } = createQueue();
+    queue.schedule(1, { content: 'a' });
+    queue.schedule(2, { content: 'b' });
+    queue.discard(1);
+
+    await queue.flush();
+    assert.deepEqual(writes, [[2, { content: 'b' }]]);
+});
+
+test('SaveQueue réessaie indéfiniment après le dernier délai', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { queue, writes, control } = createQueue();
+    control.fail = true;
+    queue.schedule(1, { content: 'a' }, 0);
+
+    // Délais successifs, puis le dernier répété
+    const delays = [0, ...SAVE_RETRY_DELAYS_MS, SAVE_RETRY_DELAYS_MS.at(-1), SAVE_RETRY_DELAYS_MS.at(-1)];
+    for (const delay of delays) {
+        t.mock.timers.tick(delay);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.equal(queue.pending.get(1).attempts, delays.length);
+    assert.equal(queue.status, 'error');
+
+    control.fail = false;
+    t.mock.timers.tick(SAVE_RETRY_DELAYS_MS.at(-1));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(writes, [[1, { content: 'a' }]]);
+    assert.equal(queue.status, 'saved');
+});
+
+test('SaveQueue abandonne la saisie d\'une note qui n\'existe plus', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const id = await db.addNote({ title: 'Brouillon', content: '', tags: [], color: '#fff' });
+    await db.deleteNote(id);
+    await assert.rejects(db.updateNote(id, { content: 'a' }), NoteNotFoundError);
+
+    const queue = new SaveQueue((noteId, updates) => db.updateNote(noteId, updates), () => {});
+    queue.schedule(id, { content: 'a' });
+
+    await queue.flush();
+    assert.equal(queue.hasPending(id), false);
+    assert.equal(queue.status, 'saved');
+});
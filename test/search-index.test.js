@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB, tokenize, rankSearchFrequencies, computeSearchStats, buildSearchSnippet } = loadApp([
+    'NotesDB', 'tokenize', 'rankSearchFrequencies', 'computeSearchStats', 'buildSearchSnippet'
+]);
+
+async function createDatabase(notes) {
+    const db = await openTestDatabase(NotesDB);
+    for (const note of notes) {
+        await db.addNote({ tags: [], color: '#fff', ...note });
+    }
+    return db;
+}
+
+const titles = results => results.map(note => note.title);
+
+test('tokenize ignore casse, accents, ligatures et restes d\'élisions', () => {
+    assert.deepEqual(tokenize("L'Été qu'il œuvre, 3 B").map(t => t.term), ['ete', 'il', 'oeuvre', '3']);
+    assert.deepEqual(tokenize('Été')[0], { term: 'ete', position: 0, start: 0, end: 3 });
+});
+
+test('rankSearchFrequencies favorise les termes rares et les champs courts', () => {
+    const docs = [
+        { noteId: 1, titleLength: 2, contentLength: 10 },
+        { noteId: 2, titleLength: 2, contentLength: 100 },
+        { noteId: 3, titleLength: 2, contentLength: 10 }
+    ];
+    const stats = computeSearchStats(docs);
+    const scores = rankSearchFrequencies(new Map([[1, { title: 0, content: 1 }], [2, { title: 0, content: 1 }]]), stats);
+    assert.ok(scores.get(1) > scores.get(2));
+
+    const rare = rankSearchFrequencies(new Map([[1, { title: 0, content: 1 }]]), stats);
+    assert.ok(rare.get(1) > scores.get(1));
+});
+
+test('une note qui contient le terme dans son titre passe devant', async () => {
+    const db = await createDatabase([
+        { title: 'Courses', content: 'lait et pain' },
+        { title: 'Recette', content: 'pain perdu : pain rassis, lait, œufs' },
+        { title: 'Pain maison', content: 'farine et eau' },
+        { title: 'Vacances', content: 'plage' }
+    ]);
+
+    assert.deepEqual(titles(await db.searchNotes('pain')), ['Pain maison', 'Recette', 'Courses']);
+    assert.deepEqual(titles(await db.searchNotes('OEUFS')), ['Recette']);
+});
+
+test('un mot cherché trouve aussi les mots qui commencent par lui, moins bien classés', async () => {
+    const db = await createDatabase([
+        { title: 'A', content: 'programmation' },
+        { title: 'B', content: 'programme' },
+        { title: 'C', content: 'prog' }
+    ]);
+
+    const results = await db.searchNotes('prog');
+    assert.equal(results[0].title, 'C');
+    assert.deepEqual(titles(results.slice(1)).sort(), ['A', 'B']);
+    assert.ok(results[0].searchMatch.score > results[1].searchMatch.score);
+    assert.deepEqual(titles(await db.searchNotes('programme')), ['B']);
+});
+
+test('une expression entre guillemets exige des mots consécutifs', async () => {
+    const db = await createDatabase([
+        { title: 'A', content: 'le chat noir dort' },
+        { title: 'B', content: 'le noir chat dort' }
+    ]);
+
+    assert.deepEqual(titles(await db.searchNotes('"chat noir"')), ['A']);
+    assert.deepEqual(titles(await db.searchNotes('chat noir')).sort(), ['A', 'B']);
+});
+
+test('l\'index suit les modifications, la corbeille et les suppressions', async () => {
+    const db = await createDatabase([{ title: 'A', content: 'ancien' }]);
+    const [{ id }] = await db.getAllNotes();
+
+    await db.updateNote(id, { content: 'nouveau' });
+    assert.deepEqual(titles(await db.searchNotes('ancien')), []);
+    assert.deepEqual(titles(await db.searchNotes('nouveau')), ['A']);
+
+    await db.trashNote(id);
+    assert.deepEqual(titles(await db.searchNotes('nouveau')), []);
+
+    await db.deleteNote(id);
+    const transaction = db.db.transaction(['searchIndex', 'searchDocs'], 'readonly');
+    assert.equal(await new Promise(resolve => {
+        transaction.objectStore('searchIndex').count().onsuccess = event => resolve(event.target.result);
+    }), 0);
+});
+
+test('les résultats indiquent les termes à surligner', async () => {
+    const db = await createDatabase([{ title: 'Liste', content: 'Acheter du café et des croissants' }]);
+    const [result] = await db.searchNotes('cafe croiss');
+
+    assert.deepEqual(result.searchMatch.terms.sort(), ['cafe', 'croissants']);
+    assert.deepEqual(buildSearchSnippet(result.content, result.searchMatch.terms), [
+        { text: 'Acheter du ', highlight: false },
+        { text: 'café', highlight: true },
+        { text: ' et des ', highlight: false },
+        { text: 'croissants', highlight: true }
+    ]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB, parseSearchQuery, parseDateFilter, SearchQueryError, NOTE_COLORS } = loadApp([
+    'NotesDB', 'parseSearchQuery', 'parseDateFilter', 'SearchQueryError', 'NOTE_COLORS'
+]);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('parseSearchQuery combine mots, filtres et exclusions', () => {
+    assert.deepEqual(parseSearchQuery('café tag:travail -brouillon'), {
+        type: 'and',
+        children: [
+            { type: 'term', term: 'cafe', prefix: true },
+            { type: 'filter', field: 'tag', value: 'travail' },
+            { type: 'not', child: { type: 'term', term: 'brouillon', prefix: true } }
+        ]
+    });
+});
+
+test('parseSearchQuery gère OR, les parenthèses et les expressions', () => {
+    assert.deepEqual(parseSearchQuery('(pomme OR poire) "mot exact"'), {
+        type: 'and',
+        children: [
+            {
+                type: 'or',
+                children: [
+                    { type: 'term', term: 'pomme', prefix: true },
+                    { type: 'term', term: 'poire', prefix: true }
+                ]
+            },
+            { type: 'phrase', words: ['mot', 'exact'] }
+        ]
+    });
+});
+
+test('parseSearchQuery ne prend pas une URL pour un filtre', () => {
+    assert.deepEqual(parseSearchQuery('https://exemple.com'), { type: 'phrase', words: ['https', 'exemple', 'com'] });
+});
+
+test('parseSearchQuery retourne null pour une requête vide', () => {
+    assert.equal(parseSearchQuery('   '), null);
+    assert.equal(parseSearchQuery(undefined), null);
+});
+
+test('parseSearchQuery refuse une requête invalide', () => {
+    for (const query of [
+        'pomme OR', '(pomme', 'pomme)', 'pomme - ', '()', '"ouvert',
+        'tag:', 'color:beige', 'is:inconnu', 'created:2026-02-30', 'auteur:moi'
+    ]) {
+        assert.throws(() => parseSearchQuery(query), SearchQueryError, query);
+    }
+});
+
+test('parseDateFilter accepte une date ou un âge', () => {
+    const now = new Date(2026, 5, 15, 12).getTime();
+    const day = new Date(2026, 0, 10).getTime();
+    assert.deepEqual(parseDateFilter('created', '2026-01-10', now), { lower: day, upper: day + DAY });
+    assert.deepEqual(parseDateFilter('created', '>=2026-01-10', now), { lower: day });
+    assert.deepEqual(parseDateFilter('created', '<2026-01-10', now), { upper: day });
+    assert.deepEqual(parseDateFilter('updated', '<7d', now), { lower: now - 7 * DAY });
+    assert.deepEqual(parseDateFilter('updated', '>2w', now), { upper: now - 14 * DAY });
+});
+
+test('les filtres, exclusions et alternatives s\'appliquent aux notes', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const add = note => db.addNote({ content: '', tags: [], color: NOTE_COLORS.orange, ...note });
+    await add({ title: 'Tarte aux pommes', tags: ['cuisine'], pinned: true });
+    await add({ title: 'Compote de pommes', tags: ['cuisine', 'brouillon'], color: NOTE_COLORS.vert });
+    await add({ title: 'Poires au vin', tags: ['cuisine'] });
+    await add({ title: 'Réunion', content: 'pommes de discorde', tags: ['travail'] });
+
+    const search = async query => (await db.searchNotes(query)).map(note => note.title).sort();
+    assert.deepEqual(await search('pommes tag:cuisine'), ['Compote de pommes', 'Tarte aux pommes']);
+    assert.deepEqual(await search('pommes -tag:brouillon'), ['Réunion', 'Tarte aux pommes']);
+    assert.deepEqual(await search('tag:cuisine (tarte OR poires)'), ['Poires au vin', 'Tarte aux pommes']);
+    assert.deepEqual(await search('color:vert'), ['Compote de pommes']);
+    assert.deepEqual(await search('is:pinned'), ['Tarte aux pommes']);
+    assert.deepEqual(await search('updated:<1d -pommes'), ['Poires au vin']);
+    assert.deepEqual(await search('created:>1d'), []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    NotesDB, buildSharedNote, formatNoteForSharing, storeSharedContent, readSharedContent, removeSharedContent
+} = loadApp([
+    'NotesDB', 'buildSharedNote', 'formatNoteForSharing', 'storeSharedContent', 'readSharedContent',
+    'removeSharedContent'
+]);
+
+test('buildSharedNote ajoute l\'URL au texte, sauf si elle y est déjà', () => {
+    assert.deepEqual(buildSharedNote({ title: ' Article ', text: 'À lire', url: 'https://exemple.fr/a' }), {
+        title: 'Article',
+        content: 'À lire\n\nhttps://exemple.fr/a'
+    });
+    assert.deepEqual(buildSharedNote({ text: 'Voir https://exemple.fr/a', url: 'https://exemple.fr/a' }), {
+        title: 'Voir https://exemple.fr/a',
+        content: 'Voir https://exemple.fr/a'
+    });
+});
+
+test('sans titre, la première ligne, le domaine ou un titre par défaut', () => {
+    assert.equal(buildSharedNote({ text: 'Ligne 1\nLigne 2' }).title, 'Ligne 1');
+    assert.equal(buildSharedNote({ url: 'https://www.exemple.fr/page' }).title, 'www.exemple.fr');
+    assert.equal(buildSharedNote({ url: 'pas une adresse' }).title, 'pas une adresse');
+    assert.equal(buildSharedNote({}).title, 'Contenu partagé');
+    assert.equal(buildSharedNote({ text: 'x'.repeat(100) }).title.length, 80);
+});
+
+test('formatNoteForSharing remplace les pièces jointes par leur nom et ajoute les tags', () => {
+    const content = 'Compte rendu\n![plan.png](attachment:a1)\nVoir [devis.pdf](attachment:b2) ';
+    assert.equal(
+        formatNoteForSharing(content, ['travail', 'devis']),
+        'Compte rendu\n📎 plan.png\nVoir 📎 devis.pdf\n\n#travail #devis'
+    );
+    assert.equal(formatNoteForSharing('', []), '');
+});
+
+test('un partage reste en attente jusqu\'à ce que sa note soit créée', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const first = await storeSharedContent(db.db, { title: 'Lien', url: 'https://exemple.fr' });
+    const second = await storeSharedContent(db.db, { text: 'Texte', files: [new File(['x'], 'x.txt')] });
+
+    const pending = await readSharedContent(db.db);
+    assert.deepEqual(pending.map(entry => entry.id), [first.id, second.id]);
+    assert.equal(pending[1].files.length, 1);
+
+    await removeSharedContent(db.db, first.id);
+    assert.deepEqual((await readSharedContent(db.db)).map(entry => entry.id), [second.id]);
+    await removeSharedContent(db.db, second.id);
+    assert.deepEqual(await readSharedContent(db.db), []);
+});
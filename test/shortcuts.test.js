@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const {
+    eventToShortcut, isTypingShortcut, resolveShortcuts, rebindShortcut, adjacentNote, formatShortcut, fuzzyMatch,
+    KEYBOARD_ACTIONS
+} = loadApp([
+    'eventToShortcut', 'isTypingShortcut', 'resolveShortcuts', 'rebindShortcut', 'adjacentNote', 'formatShortcut',
+    'fuzzyMatch', 'KEYBOARD_ACTIONS'
+]);
+
+const key = (key, code, modifiers = {}) => ({
+    key, code, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers
+});
+
+test('eventToShortcut : touche physique pour lettres et chiffres, caractère pour la ponctuation', () => {
+    assert.equal(eventToShortcut(key('k', 'KeyK', { ctrlKey: true })), 'Ctrl+K');
+    assert.equal(eventToShortcut(key('k', 'KeyK', { metaKey: true })), 'Ctrl+K');
+    // Alt+N sur macOS donne "˜"
+    assert.equal(eventToShortcut(key('˜', 'KeyN', { altKey: true })), 'Alt+N');
+    assert.equal(eventToShortcut(key('N', 'KeyN', { altKey: true, shiftKey: true })), 'Alt+Shift+N');
+    // "?" tapé avec Maj (touche M en AZERTY) : Maj n'apparaît pas
+    assert.equal(eventToShortcut(key('?', 'KeyM', { shiftKey: true })), '?');
+    assert.equal(eventToShortcut(key('ArrowDown', 'ArrowDown', { altKey: true })), 'Alt+ArrowDown');
+    assert.equal(eventToShortcut(key(' ', 'Space')), 'Space');
+    assert.equal(eventToShortcut(key('Shift', 'ShiftLeft', { shiftKey: true })), null);
+});
+
+test('seules les combinaisons avec Ctrl ou Alt restent actives pendant la saisie', () => {
+    assert.ok(!isTypingShortcut('Ctrl+K'));
+    assert.ok(!isTypingShortcut('Alt+N'));
+    assert.ok(isTypingShortcut('/'));
+    assert.ok(isTypingShortcut('Delete'));
+});
+
+test('rebindShortcut retire la combinaison à l\'action qui l\'utilisait', () => {
+    const overrides = rebindShortcut({}, 'sync', 'Alt+N');
+    assert.deepEqual(overrides, { sync: 'Alt+N', newNote: '' });
+    const bindings = resolveShortcuts(overrides);
+    assert.equal(bindings.sync, 'Alt+N');
+    assert.equal(bindings.newNote, '');
+    assert.equal(bindings.palette, KEYBOARD_ACTIONS.palette.shortcut);
+});
+
+test('revenir à la combinaison par défaut efface la modification', () => {
+    const overrides = rebindShortcut({ palette: 'Ctrl+P', inconnue: 'X' }, 'palette', 'Ctrl+K');
+    assert.deepEqual(overrides, {});
+    assert.deepEqual(resolveShortcuts({ palette: 42 }).palette, 'Ctrl+K');
+});
+
+test('adjacentNote s\'arrête aux extrémités de la liste', () => {
+    const notes = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    assert.equal(adjacentNote(notes, notes[0], 1).id, 2);
+    assert.equal(adjacentNote(notes, notes[2], 1).id, 3);
+    assert.equal(adjacentNote(notes, null, 1).id, 1);
+    assert.equal(adjacentNote(notes, null, -1).id, 3);
+    assert.equal(adjacentNote(notes, notes[1], -Infinity).id, 1);
+    assert.equal(adjacentNote([], null, 1), null);
+});
+
+test('formatShortcut affiche flèches et touches en français', () => {
+    assert.equal(formatShortcut('Alt+ArrowDown'), 'Alt+↓');
+    assert.equal(formatShortcut('Delete'), 'Suppr');
+});
+
+test('fuzzyMatch préfère les lettres consécutives et les débuts de mots', () => {
+    assert.equal(fuzzyMatch('xyz', 'Nouvelle note'), null);
+    const start = fuzzyMatch('nn', 'Nouvelle note');
+    const middle = fuzzyMatch('ll', 'Nouvelle note');
+    assert.ok(start.score > middle.score);
+    assert.ok(fuzzyMatch('syn', 'Synchroniser').score > fuzzyMatch('syn', 'Styles anciens').score);
+
+    assert.deepEqual(fuzzyMatch('eco', 'École').segments, [
+        { text: 'Éco', highlight: true },
+        { text: 'le', highlight: false }
+    ]);
+});
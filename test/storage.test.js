@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const {
+    NotesDB, StorageQuotaError, getStorageLevel, isQuotaError, toStorageError, estimateSize, formatBytes
+} = loadApp([
+    'NotesDB', 'StorageQuotaError', 'getStorageLevel', 'isQuotaError', 'toStorageError', 'estimateSize', 'formatBytes'
+]);
+
+test('getStorageLevel alerte à 80 % puis à 95 % du quota', () => {
+    assert.equal(getStorageLevel(null), null);
+    assert.equal(getStorageLevel({ usage: 79, quota: 100 }), null);
+    assert.equal(getStorageLevel({ usage: 80, quota: 100 }), 'warning');
+    assert.equal(getStorageLevel({ usage: 95, quota: 100 }), 'critical');
+});
+
+test('les erreurs de quota des différents navigateurs deviennent StorageQuotaError', () => {
+    const quota = [{ name: 'QuotaExceededError' }, { name: 'NS_ERROR_DOM_QUOTA_REACHED' }, { name: 'Error', code: 22 }];
+    quota.forEach((error) => {
+        assert.ok(isQuotaError(error));
+        assert.ok(toStorageError(error) instanceof StorageQuotaError);
+    });
+
+    const other = new Error('autre');
+    assert.ok(!isQuotaError(null));
+    assert.equal(toStorageError(other), other);
+});
+
+test('estimateSize compte le texte en UTF-16 et les fichiers à leur taille', () => {
+    assert.equal(estimateSize('abc'), 6);
+    assert.equal(estimateSize({ a: 1, b: [true, null] }), 2 + 8 + 2 + 4);
+    assert.equal(estimateSize({ blob: new Blob(['12345']) }), 8 + 5);
+    assert.equal(estimateSize(new Uint8Array(10)), 10);
+});
+
+test('formatBytes choisit l\'unité et écrit les nombres à la française', () => {
+    assert.equal(formatBytes(512), '512 o');
+    assert.equal(formatBytes(1536), '1,5 Ko');
+    assert.equal(formatBytes(5 * 1024 * 1024), '5 Mo');
+});
+
+test('measureStores mesure chaque object store', async () => {
+    const db = await openTestDatabase(NotesDB);
+    const empty = await db.measureStores();
+    assert.equal(empty.notes, 0);
+
+    await db.addNote({ title: 'Titre', content: 'x'.repeat(1000), tags: [], color: '#fff' });
+    const sizes = await db.measureStores();
+    assert.ok(sizes.notes > 2000);
+    assert.ok(sizes.searchIndex > 0);
+    assert.ok(sizes.outbox > 0);
+});
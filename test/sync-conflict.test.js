@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+const { ENDPOINT, createSyncServer } = require('./fake-sync-server');
+
+const { NotesDB, SyncEngine, CONFLICT_MARKERS, promisifyRequest } = loadApp([
+    'NotesDB', 'SyncEngine', 'CONFLICT_MARKERS', 'promisifyRequest'
+]);
+
+// Note déjà synchronisée, que l'on modifie ensuite ici et "ailleurs"
+async function setup(content = 'un\ndeux\ntrois') {
+    const db = await openTestDatabase(NotesDB);
+    await db.setSetting('syncEndpoint', ENDPOINT);
+    const server = createSyncServer();
+    global.fetch = server.fetch;
+    const engine = new SyncEngine({ getDB: () => db.db });
+
+    const id = await db.addNote({ title: 'Note', content, tags: ['a'], color: '#fff', pinned: false });
+    await engine.run();
+    const [{ uid }] = await db.getAllNotes();
+    return { db, server, engine, id, uid };
+}
+
+async function readOutbox(db) {
+    const transaction = db.db.transaction(['outbox'], 'readonly');
+    return promisifyRequest(transaction.objectStore('outbox').getAll());
+}
+
+test('des modifications de lignes différentes sont fusionnées et renvoyées', async () => {
+    const { db, server, engine, id, uid } = await setup();
+    server.edit(uid, { content: 'un\ndeux\nTROIS', tags: ['a', 'distant'] });
+    await db.updateNote(id, { content: 'UN\ndeux\ntrois', tags: ['a', 'local'] });
+
+    await engine.run();
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'UN\ndeux\nTROIS');
+    assert.deepEqual([...note.tags].sort(), ['a', 'distant', 'local']);
+    assert.equal(note.conflict, undefined);
+    assert.equal(server.notes.get(uid).content, 'UN\ndeux\nTROIS');
+    assert.deepEqual(await readOutbox(db), []);
+});
+
+test('la fusion garde les champs simples modifiés sur l\'autre appareil', async () => {
+    const { db, server, engine, id, uid } = await setup();
+    server.edit(uid, { color: '#f00', pinned: true, reminder: { dueAt: 1000, repeat: 'daily' } });
+    await db.updateNote(id, { content: 'un\ndeux\ntrois\nquatre', archived: true });
+
+    await engine.run();
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'un\ndeux\ntrois\nquatre');
+    assert.equal(note.color, '#f00');
+    assert.equal(note.pinned, true);
+    assert.deepEqual(note.reminder, { dueAt: 1000, repeat: 'daily' });
+    assert.equal(note.archived, true);
+    assert.equal(server.notes.get(uid).archived, true);
+    assert.equal(server.notes.get(uid).color, '#f00');
+});
+
+test('une même ligne modifiée des deux côtés attend une résolution', async () => {
+    const { db, server, engine, id, uid } = await setup();
+    server.edit(uid, { content: 'un\nAILLEURS\ntrois', pinned: true });
+    await db.updateNote(id, { content: 'un\nICI\ntrois' });
+
+    await engine.run();
+    let [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'un\nICI\ntrois');
+    assert.equal(note.conflict.content, 'un\nAILLEURS\ntrois');
+    assert.equal(note.pinned, true);
+    assert.equal((await readOutbox(db))[0].status, 'conflict');
+
+    const merged = `un\n${CONFLICT_MARKERS.ours}\nICI`;
+    await db.resolveConflict(id, { title: 'Note', content: merged });
+    await engine.run();
+    [note] = await db.getNotes([id]);
+    assert.equal(note.conflict, undefined);
+    assert.equal(server.notes.get(uid).content, merged);
+    assert.deepEqual(await readOutbox(db), []);
+});
+
+test('une note dont l\'envoi a échoué reçoit encore les modifications distantes', async () => {
+    const { db, server, engine, id, uid } = await setup();
+    server.failWith = 400;
+    await db.updateNote(id, { content: 'un\ndeux\ntrois\nlocal' });
+    await engine.run();
+    assert.equal((await readOutbox(db))[0].status, 'failed');
+
+    server.failWith = null;
+    server.edit(uid, { content: 'distant\ndeux\ntrois', color: '#0f0' });
+    await engine.pull(db.db, ENDPOINT);
+
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'distant\ndeux\ntrois\nlocal');
+    assert.equal(note.color, '#0f0');
+    assert.equal(note.revision, server.notes.get(uid).revision);
+});
+
+test('une note en attente d\'envoi n\'est pas écrasée par la réception', async () => {
+    const { db, server, engine, id, uid } = await setup();
+    server.edit(uid, { content: 'distant' });
+    await db.updateNote(id, { content: 'local' });
+
+    await engine.pull(db.db, ENDPOINT);
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.content, 'local');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const { diffHunks, mergeText, mergeSets, mergeFields, toSyncBase, CONFLICT_MARKERS } = loadApp([
+    'diffHunks', 'mergeText', 'mergeSets', 'mergeFields', 'toSyncBase', 'CONFLICT_MARKERS'
+]);
+
+test('diffHunks exprime les modifications dans les lignes de base', () => {
+    assert.deepEqual(diffHunks('a\nb\nc', 'a\nB\nc\nd'), [
+        { start: 1, end: 2, lines: ['B'] },
+        { start: 3, end: 3, lines: ['d'] }
+    ]);
+    assert.deepEqual(diffHunks('a\nb', 'a\nb'), []);
+});
+
+test('mergeText garde les modifications des deux côtés', () => {
+    assert.deepEqual(mergeText('a\nb\nc', 'A\nb\nc', 'a\nb\nC'), { text: 'A\nb\nC', conflicts: 0 });
+    assert.deepEqual(mergeText('a\nb\nc', 'a\nX\nc', 'a\nX\nc'), { text: 'a\nX\nc', conflicts: 0 });
+    assert.deepEqual(mergeText('a', 'a', 'b'), { text: 'b', conflicts: 0 });
+    assert.deepEqual(mergeText(null, 'x', 'x'), { text: 'x', conflicts: 0 });
+});
+
+test('mergeText entoure de marqueurs une ligne modifiée différemment des deux côtés', () => {
+    const { text, conflicts } = mergeText('a\nb\nc', 'a\nX\nc', 'a\nY\nc');
+    assert.equal(conflicts, 1);
+    assert.equal(text, [
+        'a', CONFLICT_MARKERS.ours, 'X', CONFLICT_MARKERS.separator, 'Y', CONFLICT_MARKERS.theirs, 'c'
+    ].join('\n'));
+});
+
+test('mergeText ne fusionne pas un texte chiffré', () => {
+    const ours = 'enc:v1:AA==:AA==:AA==';
+    assert.deepEqual(mergeText('a', ours, 'b'), { text: ours, conflicts: 1 });
+});
+
+test('mergeSets garde les ajouts des deux côtés et les retraits de chacun', () => {
+    assert.deepEqual(mergeSets(['a', 'b'], ['a', 'b', 'c'], ['b', 'd']), ['b', 'c', 'd']);
+});
+
+test('mergeFields prend la valeur distante des champs inchangés ici', () => {
+    const base = toSyncBase({ title: '', content: '', color: '#fff', pinned: false, reminder: null });
+    const ours = { color: '#000', pinned: false, reminder: null };
+    const theirs = { color: '#fff', pinned: true, reminder: { dueAt: 5, repeat: null } };
+    assert.deepEqual(mergeFields(base, ours, theirs), {
+        color: '#000',
+        pinned: true,
+        reminder: { dueAt: 5, repeat: null }
+    });
+});
+
+test('mergeFields garde la valeur locale sans ancêtre pour le champ', () => {
+    assert.deepEqual(mergeFields({ title: '', content: '', tags: [] }, { color: '#000' }, { color: '#fff' }), { color: '#000' });
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+const { ENDPOINT, createSyncServer } = require('./fake-sync-server');
+
+const { NotesDB, SyncEngine, SYNC_MAX_ATTEMPTS, promisifyRequest } = loadApp([
+    'NotesDB', 'SyncEngine', 'SYNC_MAX_ATTEMPTS', 'promisifyRequest'
+]);
+
+// Base de l'App reliée à un serveur en mémoire
+async function setup() {
+    const db = await openTestDatabase(NotesDB);
+    await db.setSetting('syncEndpoint', ENDPOINT);
+    const server = createSyncServer();
+    global.fetch = server.fetch;
+    return { db, server, engine: new SyncEngine({ getDB: () => db.db }) };
+}
+
+async function readOutbox(db) {
+    const transaction = db.db.transaction(['outbox'], 'readonly');
+    return promisifyRequest(transaction.objectStore('outbox').getAll());
+}
+
+const textBase = ({ syncBase: { title, content, tags } }) => ({ title, content, tags });
+
+const newNote = (title, content = '') => ({ title, content, tags: [], color: '#fff' });
+
+test('la synchronisation envoie les notes créées et vide l\'outbox', async () => {
+    const { db, server, engine } = await setup();
+    const id = await db.addNote(newNote('Courses', 'pain'));
+    const [{ uid }] = await db.getAllNotes();
+
+    const result = await engine.run();
+    assert.deepEqual(result, { skipped: false, offline: false, pushed: 1, pulled: 1 });
+    assert.equal(server.notes.get(uid).content, 'pain');
+    assert.deepEqual(await readOutbox(db), []);
+
+    const [note] = await db.getNotes([id]);
+    assert.equal(note.revision, server.notes.get(uid).revision);
+    assert.deepEqual(textBase(note), { title: 'Courses', content: 'pain', tags: [] });
+});
+
+test('plusieurs modifications d\'une note forment une seule entrée', async () => {
+    const { db, server, engine } = await setup();
+    const id = await db.addNote(newNote('A'));
+    await db.updateNote(id, { content: 'un' });
+    await db.updateNote(id, { content: 'deux' });
+
+    const outbox = await readOutbox(db);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].op, 'create');
+
+    await engine.run();
+    assert.equal(server.requests.filter(r => r.startsWith('PUT')).length, 1);
+    assert.equal([...server.notes.values()][0].content, 'deux');
+});
+
+test('une note créée puis supprimée avant l\'envoi n\'est jamais envoyée', async () => {
+    const { db, server, engine } = await setup();
+    const id = await db.addNote(newNote('Brouillon'));
+    await db.deleteNote(id);
+
+    assert.deepEqual(await readOutbox(db), []);
+    await engine.run();
+    assert.deepEqual(server.requests, ['GET /notes']);
+});
+
+test('une suppression envoyée garde la révision connue du serveur', async () => {
+    const { db, server, engine } = await setup();
+    const id = await db.addNote(newNote('A'));
+    const [{ uid }] = await db.getAllNotes();
+    await engine.run();
+
+    await db.deleteNote(id);
+    await engine.run();
+    assert.equal(server.notes.get(uid).deleted, true);
+    assert.deepEqual(await readOutbox(db), []);
+});
+
+test('hors ligne, l\'outbox reste intacte', async () => {
+    const { db, server, engine } = await setup();
+    await db.addNote(newNote('A'));
+    server.offline = true;
+
+    const result = await engine.run();
+    assert.equal(result.offline, true);
+    assert.equal(result.pushed, 0);
+    const [entry] = await readOutbox(db);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.attempts, 0);
+});
+
+test('une erreur serveur est retentée, une erreur 4xx marque l\'entrée en échec', async () => {
+    const { db, server, engine } = await setup();
+    await db.addNote(newNote('A'));
+
+    server.failWith = 503;
+    await engine.run();
+    let [entry] = await readOutbox(db);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.attempts, 1);
+
+    for (let i = 1; i < SYNC_MAX_ATTEMPTS; i++) await engine.run();
+    [entry] = await readOutbox(db);
+    assert.equal(entry.status, 'failed');
+
+    await engine.retryFailed(db.db);
+    server.failWith = 400;
+    await engine.run();
+    [entry] = await readOutbox(db);
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'HTTP 400 ');
+});
+
+test('la réception applique les notes et suppressions distantes', async () => {
+    const { db, server, engine } = await setup();
+    server.edit('distante', { title: 'D', content: 'ailleurs', tags: ['x'], createdAt: 1, updatedAt: 1 });
+    await engine.run();
+
+    let [note] = await db.getAllNotes();
+    assert.equal(note.uid, 'distante');
+    assert.equal(note.content, 'ailleurs');
+    assert.deepEqual(textBase(note), { title: 'D', content: 'ailleurs', tags: ['x'] });
+
+    server.notes.set('distante', { uid: 'distante', deleted: true, revision: ++server.revision });
+    await engine.run();
+    assert.deepEqual(await db.getAllNotes(), []);
+    assert.equal(await engine.getSetting(db.db, 'syncCursor'), server.revision);
+});
+
+test('sans endpoint configuré, rien n\'est envoyé', async () => {
+    const { db, server, engine } = await setup();
+    await db.setSetting('syncEndpoint', null);
+    await db.addNote(newNote('A'));
+
+    assert.equal((await engine.run()).skipped, true);
+    assert.deepEqual(server.requests, []);
+});
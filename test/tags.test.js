@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB, normalizeTags, tagSearchQuery, promisifyRequest } = loadApp([
+    'NotesDB', 'normalizeTags', 'tagSearchQuery', 'promisifyRequest'
+]);
+
+async function setup() {
+    const db = await openTestDatabase(NotesDB);
+    const ids = [];
+    for (const tags of [['#Maison', 'travaux'], ['maison', 'jardin'], ['Jardin '], []]) {
+        ids.push(await db.addNote({ title: 'Note', content: '', tags, color: '#fff' }));
+    }
+    return { db, ids };
+}
+
+const tagsOf = async (db, ids) => (await db.getNotes(ids)).map(note => [...note.tags].sort());
+
+test('normalizeTags retire "#", casse, espaces en trop et doublons', () => {
+    assert.deepEqual(normalizeTags(['#Maison ', 'maison', '  Liste   de  courses', '', '##']), ['maison', 'liste de courses']);
+});
+
+test('tagSearchQuery met entre guillemets un tag avec espaces', () => {
+    assert.equal(tagSearchQuery('maison'), 'tag:maison');
+    assert.equal(tagSearchQuery('liste de courses'), 'tag:"liste de courses"');
+});
+
+test('les tags sont comptés hors corbeille', async () => {
+    const { db, ids } = await setup();
+    await db.trashNote(ids[0]);
+    assert.deepEqual(await db.getTagCounts(), [{ tag: 'jardin', count: 2 }, { tag: 'maison', count: 1 }]);
+});
+
+test('renommer un tag existant fusionne les deux', async () => {
+    const { db, ids } = await setup();
+    assert.equal(await db.renameTag('jardin', 'Maison'), 2);
+    assert.deepEqual(await tagsOf(db, ids), [['maison', 'travaux'], ['maison'], ['maison'], []]);
+    await assert.rejects(db.renameTag('maison', ' # '), /Nom de tag vide/);
+});
+
+test('supprimer un tag le retire de ses notes et le signale à la synchronisation', async () => {
+    const { db, ids } = await setup();
+    const before = await db.getNotes(ids);
+    assert.equal(await db.deleteTag('maison'), 2);
+    assert.deepEqual(await tagsOf(db, ids), [['travaux'], ['jardin'], ['jardin'], []]);
+
+    const transaction = db.db.transaction(['outbox'], 'readonly');
+    const outbox = await promisifyRequest(transaction.objectStore('outbox').getAll());
+    assert.equal(outbox.find(entry => entry.noteUid === before[0].uid).changes, 2);
+});
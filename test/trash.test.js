@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, openTestDatabase } = require('./load-app');
+
+const { NotesDB } = loadApp(['NotesDB']);
+
+const DAY = 86400000;
+
+async function setup() {
+    const db = await openTestDatabase(NotesDB);
+    const ids = [];
+    for (const title of ['A', 'B', 'C']) {
+        ids.push(await db.addNote({ title, content: '', tags: [], color: '#fff' }));
+    }
+    return { db, ids };
+}
+
+const titles = notes => notes.map(note => note.title).sort();
+
+test('une note mise à la corbeille sort de la liste et peut être restaurée', async () => {
+    const { db, ids } = await setup();
+    await db.trashNote(ids[0]);
+    assert.deepEqual(titles(await db.getAllNotes()), ['B', 'C']);
+    assert.deepEqual(titles(await db.getTrashedNotes()), ['A']);
+
+    await db.restoreNote(ids[0]);
+    assert.deepEqual(titles(await db.getAllNotes()), ['A', 'B', 'C']);
+    assert.deepEqual(await db.getTrashedNotes(), []);
+});
+
+test('la purge ne supprime que les notes restées plus longtemps que la rétention', async () => {
+    const { db, ids } = await setup();
+    await db.updateNote(ids[0], { deletedAt: Date.now() - 31 * DAY });
+    await db.updateNote(ids[1], { deletedAt: Date.now() - 29 * DAY });
+
+    assert.equal(await db.purgeExpiredNotes(30), 1);
+    assert.deepEqual(titles(await db.getTrashedNotes()), ['B']);
+    assert.deepEqual(await db.getNotes([ids[0]]), []);
+    assert.deepEqual(await db.getRevisions(ids[0]), []);
+});